@@ -0,0 +1,54 @@
+import 'dotenv/config'
+import { parseArgs } from 'node:util'
+import {
+  formatReport,
+  parseStrategy,
+  readFixture,
+  readStrategies,
+  runBacktest,
+} from '../lib/backtest.js'
+import { loadConfig } from '../lib/config-file.js'
+import { configureLogger, parseLogOptions } from '../lib/logger.js'
+
+const USAGE = `Usage: npm run backtest -- <fixture.json> [--strategies <file>]
+
+Replays the recorded auctions in the fixture with each strategy in the file,
+or with the current configuration, and reports what each would have earned.`
+
+/** @type {{ fixture: string; strategies: string | undefined }} */
+let args
+try {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: { strategies: { type: 'string' } },
+  })
+  if (positionals.length !== 1) {
+    throw new Error('Expected one fixture file')
+  }
+  args = { fixture: positionals[0], strategies: values.strategies }
+} catch (error) {
+  console.error(`Error: ${/** @type {Error} */ (error).message}`)
+  console.error()
+  console.error(USAGE)
+  process.exit(1)
+}
+
+try {
+  const { env, fields } = await loadConfig(process.env)
+  // Every evaluation is logged, so only errors are shown unless LOG_LEVEL is set
+  configureLogger(parseLogOptions({ LOG_LEVEL: 'error', ...env }))
+
+  const fixture = await readFixture(args.fixture)
+  const strategies = args.strategies
+    ? await readStrategies(args.strategies)
+    : [parseStrategy('current', env, fields)]
+
+  const reports = []
+  for (const strategy of strategies) {
+    reports.push(await runBacktest({ fixture, strategy }))
+  }
+  console.log(formatReport(reports, fixture.tokens))
+} catch (error) {
+  console.error(`Error: ${/** @type {Error} */ (error).message}`)
+  process.exit(1)
+}
@@ -1,51 +1,316 @@
 import 'dotenv/config'
+import { randomUUID } from 'node:crypto'
 import { setTimeout } from 'node:timers/promises'
+import { getChain } from '@filoz/synapse-core/chains'
 import { discoverSushiswapRouter } from '../lib/swap.js'
 import { initializeConfig, ensureApproval } from '../lib/config.js'
+import { loadConfig } from '../lib/config-file.js'
 import { processAuctions } from '../lib/auction.js'
+import { getNextCheckDelay } from '../lib/scheduler.js'
+import { createMetrics } from '../lib/metrics.js'
+import { startServer } from '../lib/server.js'
+import { readLedger } from '../lib/ledger.js'
+import { createSpendTracker } from '../lib/risk.js'
+import { verifyExecutor } from '../lib/executor.js'
+import {
+  createCheckpoint,
+  readCheckpoint,
+  reconcileCheckpoint,
+} from '../lib/checkpoint.js'
+import {
+  createTransactionManager,
+  readPendingTransactions,
+} from '../lib/transactions.js'
+import { createRivalWatcher } from '../lib/rivals.js'
+import { createAuctionWatcher } from '../lib/events.js'
+import { createLeaderElector, createLeaderLock } from '../lib/leader.js'
+import {
+  createWalletPool,
+  sweepProceeds,
+  walletStatePath,
+} from '../lib/wallets.js'
+import {
+  configureLogger,
+  logger,
+  parseLogOptions,
+  withLogContext,
+} from '../lib/logger.js'
+
+const { env, fields } = await loadConfig(process.env)
+configureLogger(parseLogOptions(env))
+const config = await initializeConfig(env, { fields })
+const metrics = createMetrics()
+const spendTracker = createSpendTracker(
+  config.ledgerPath ? await readLedger(config.ledgerPath) : [],
+)
+
+// Aborted by SIGTERM or SIGINT. The iteration in progress still finishes, so
+// transactions already sent are seen through and recorded, but no new one
+// starts. A second signal exits right away.
+const shutdown = new AbortController()
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, () => {
+    logger.info(
+      `Received ${signal}, finishing in-flight work before exiting...`,
+    )
+    shutdown.abort(`Received ${signal}`)
+    setTimeout(config.shutdownTimeout, undefined, { ref: false }).then(() => {
+      logger.error(
+        `Shutdown timed out after ${config.shutdownTimeout}ms. Unfinished trades are recorded on the next start.`,
+      )
+      process.exit(1)
+    })
+  })
+}
+
+// Only the instance holding the lease bids. Losing it stops this one like a
+// shutdown, and it exits with an error to come back as a standby.
+const lock = createLeaderLock(config.leader)
+const leader = lock
+  ? createLeaderElector({
+      lock,
+      id: config.leader.id,
+      leaseDuration: config.leader.leaseDuration,
+      renewInterval: config.leader.renewInterval,
+      onLost: () => shutdown.abort('Lost the leader lease'),
+      metrics,
+    })
+  : null
+
+// Ready once an iteration has finished and the next one is not overdue, or
+// while standing by
+let nextIterationDue = 0
+const server = await startServer({
+  port: config.port,
+  metrics,
+  isReady: () =>
+    (leader !== null && nextIterationDue === 0 && !leader.isLeader()) ||
+    (nextIterationDue > 0 &&
+      Date.now() <= nextIterationDue + config.readyGrace),
+})
+
+if (config.tokens.length === 0) {
+  logger.error('Error: No tokens configured for this network.')
+  process.exit(1)
+}
+
+if (leader) {
+  logger.info(`Waiting to become the active instance (${leader.id})...`)
+  if (!(await leader.start(shutdown.signal))) {
+    await leader.stop()
+    server.close()
+    logger.info('Shutdown complete.')
+    process.exit(0)
+  }
+}
 
-const config = await initializeConfig(process.env)
 const sushiswapRouterAddress = await discoverSushiswapRouter({
   chainId: config.chainId,
-  tokenIn: config.usdfcAddress,
+  tokenIn: config.tokens[0].quoteAddress,
   sender: config.account.address,
+  maxSlippage: config.slippage.base,
+  getSwap: config.getSwap,
 })
 
 if (!sushiswapRouterAddress && config.chainId === 314) {
-  console.error(
+  logger.error(
     'Error: Could not discover Sushiswap router address on Filecoin mainnet.',
   )
   process.exit(1)
 }
 
-if (sushiswapRouterAddress) {
-  await ensureApproval({
+// Every wallet has its own nonces to track. Dry runs send nothing, so there is
+// nothing to track.
+const poolWallets = []
+for (const [index, wallet] of config.wallets.entries()) {
+  const statePath =
+    config.transactions.statePath &&
+    walletStatePath(config.transactions.statePath, wallet.address, index)
+  poolWallets.push({
+    ...wallet,
+    txManager: config.dryRun
+      ? null
+      : createTransactionManager({
+          publicClient: config.publicClient,
+          walletClient: wallet.walletClient,
+          account: wallet.account,
+          pending: statePath ? await readPendingTransactions(statePath) : [],
+          ...config.transactions,
+          statePath,
+        }),
+  })
+}
+const walletPool = createWalletPool({
+  wallets: poolWallets,
+  publicClient: config.quorumClient,
+  metrics,
+})
+const checkpoint = config.dryRun
+  ? null
+  : createCheckpoint({
+      path: config.checkpointPath,
+      trades: config.checkpointPath
+        ? await readCheckpoint(config.checkpointPath)
+        : [],
+    })
+// Record what a shutdown or crash cut short before sending anything new
+if (checkpoint) {
+  await reconcileCheckpoint({
+    checkpoint,
     publicClient: config.publicClient,
-    walletClient: config.walletClient,
-    account: config.account,
-    tokenAddress: config.usdfcAddress,
-    spenderAddress: /** @type {import('viem').Address} */ (
-      sushiswapRouterAddress
-    ),
+    txManager: walletPool,
+    ledgerPath: config.ledgerPath,
+    spendTracker,
+    notifier: config.notifier,
   })
 }
 
-console.log()
-console.log('Starting auction monitoring...')
-console.log()
+if (config.executorAddress && sushiswapRouterAddress) {
+  await verifyExecutor({
+    publicClient: config.publicClient,
+    executorAddress: config.executorAddress,
+    walletAddress: config.walletAddress,
+  })
+} else if (config.executorAddress) {
+  logger.info('No Sushiswap router on this network: bidding without executor.')
+}
+
+if (sushiswapRouterAddress && config.dryRun) {
+  logger.info('Dry run: skipping router approvals.')
+} else if (sushiswapRouterAddress) {
+  for (const wallet of config.wallets) {
+    for (const token of config.tokens) {
+      await ensureApproval({
+        publicClient: config.publicClient,
+        walletClient: wallet.walletClient,
+        account: wallet.account,
+        tokenAddress: token.address,
+        tokenSymbol: token.symbol,
+        spenderAddress: /** @type {import('viem').Address} */ (
+          sushiswapRouterAddress
+        ),
+      })
+    }
+  }
+}
+
+// Aborted to cut the wait between iterations short
+let wake = new AbortController()
+const rivals = config.rivalOptions.watch
+  ? createRivalWatcher({
+      publicClient: config.publicClient,
+      paymentsAddress: getChain(config.chainId).contracts.payments.address,
+      tokens: config.tokens,
+      ownAddresses: [
+        ...config.wallets.map((wallet) => wallet.address),
+        ...(config.executorAddress ? [config.executorAddress] : []),
+      ],
+      // Re-check right away, while a pending rival bid can still be beaten
+      onRival: () => wake.abort('Rival bid detected'),
+      metrics,
+      ledgerPath: config.ledgerPath,
+    })
+  : null
+// Without a WebSocket RPC every auction is polled each iteration
+const auctionWatcher = config.eventClient
+  ? createAuctionWatcher({
+      publicClient: config.eventClient,
+      readClient: config.publicClient,
+      paymentsAddress: getChain(config.chainId).contracts.payments.address,
+      tokens: config.tokens,
+      onChange: () => wake.abort('Auction changed'),
+      reevaluateAfter: config.reevaluateAfter,
+    })
+  : null
 
-while (true) {
-  console.log(`Starting auction check...`)
+logger.blank()
+logger.info('Starting auction monitoring...')
+logger.blank()
 
+/**
+ * Check every auction once and wait for the next check. Every line logged along
+ * the way carries the iteration ID.
+ */
+async function runIteration() {
+  logger.info(`Starting auction check...`)
+  const startedAt = Date.now()
+
+  /** @type {bigint[]} */
+  let breakEvenTimes = []
   try {
-    await processAuctions({ ...config, sushiswapRouterAddress })
+    // Resolve anything left pending by the last iteration or run before
+    // sending more
+    await walletPool.settlePending()
+    breakEvenTimes = await processAuctions({
+      ...config,
+      sushiswapRouterAddress,
+      metrics,
+      spendTracker,
+      walletPool,
+      recipient: config.walletOptions.recipient,
+      checkpoint,
+      rivals,
+      outbidPercent: config.rivalOptions.outbid
+        ? config.rivalOptions.outbidPercent
+        : null,
+      auctionWatcher,
+      signal: shutdown.signal,
+      elector: leader,
+    })
+    if (config.walletOptions.treasury) {
+      await sweepProceeds({
+        walletPool,
+        treasury: config.walletOptions.treasury,
+        sweepAbove: /** @type {bigint} */ (config.walletOptions.sweepAbove),
+        publicClient: config.quorumClient,
+      })
+    }
   } catch (error) {
     const err = /** @type {Error} */ (error)
-    console.log()
-    console.error(`Error during auction check: ${err.message}`)
+    config.notifier?.recordError(err)
+    logger.blank()
+    logger.error(`Error during auction check: ${err.message}`, { error: err })
+  }
+  await config.notifier?.endIteration()
+
+  const delay = getNextCheckDelay({
+    breakEvenTimes,
+    now: Date.now(),
+    schedule: config.schedule,
+  })
+
+  const finishedAt = Date.now()
+  metrics.iterationDuration.observe((finishedAt - startedAt) / 1000)
+  metrics.lastIteration.set({}, Math.floor(finishedAt / 1000))
+  nextIterationDue = finishedAt + delay
+  if (shutdown.signal.aborted) return
+
+  logger.info(`Waiting ${delay}ms until next check...`, {
+    delay,
+    durationMs: finishedAt - startedAt,
+  })
+  logger.blank()
+  try {
+    await setTimeout(delay, undefined, {
+      signal: AbortSignal.any([wake.signal, shutdown.signal]),
+    })
+  } catch {
+    if (!shutdown.signal.aborted) {
+      logger.info(`${wake.signal.reason}, checking auctions now...`)
+      logger.blank()
+    }
   }
+  wake = new AbortController()
+}
 
-  console.log(`Waiting ${config.delay}ms until next check...`)
-  console.log()
-  await setTimeout(config.delay)
+while (!shutdown.signal.aborted) {
+  await withLogContext({ iteration: randomUUID() }, runIteration)
 }
+
+rivals?.stop()
+auctionWatcher?.stop()
+const lostLeadership = leader !== null && !leader.isLeader()
+await leader?.stop()
+server.close()
+logger.info('Shutdown complete.')
+process.exit(lostLeadership ? 1 : 0)
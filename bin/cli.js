@@ -0,0 +1,128 @@
+import 'dotenv/config'
+import {
+  USAGE,
+  checkAuctions,
+  checkConfig,
+  parseCommand,
+  placeManualBid,
+  selectTokens,
+  sellTokens,
+  showHistory,
+  showWallets,
+} from '../lib/cli.js'
+import {
+  ensureApproval,
+  initializeConfig,
+  revokeApproval,
+} from '../lib/config.js'
+import { loadConfig } from '../lib/config-file.js'
+import { configureLogger, logger, parseLogOptions } from '../lib/logger.js'
+import { discoverSushiswapRouter } from '../lib/swap.js'
+
+/** @type {import('../lib/cli.js').Command} */
+let command
+try {
+  command = parseCommand(process.argv.slice(2))
+} catch (error) {
+  console.error(`Error: ${/** @type {Error} */ (error).message}`)
+  console.error()
+  console.error(USAGE)
+  process.exit(1)
+}
+
+if (command.name === 'config') {
+  const valid = await checkConfig({ file: command.file, env: process.env })
+  process.exit(valid ? 0 : 1)
+}
+
+const { env, fields } = await loadConfig(process.env)
+
+if (command.name === 'history') {
+  await showHistory({
+    ledgerPath: env.LEDGER_PATH || 'ledger.jsonl',
+    limit: command.limit,
+  })
+  process.exit(0)
+}
+
+configureLogger(parseLogOptions(env))
+const config = await initializeConfig(env, { fields })
+
+try {
+  const tokens = selectTokens(config.tokens, command.token)
+  if (tokens.length === 0) {
+    throw new Error('No tokens configured for this network.')
+  }
+  const sushiswapRouterAddress = await discoverSushiswapRouter({
+    chainId: config.chainId,
+    tokenIn: tokens[0].quoteAddress,
+    sender: config.account.address,
+    maxSlippage: config.slippage.base,
+    getSwap: config.getSwap,
+  })
+  logger.blank()
+
+  switch (command.name) {
+    case 'status':
+    case 'simulate': {
+      const failed = await checkAuctions({
+        ...config,
+        tokens,
+        sushiswapRouterAddress,
+        at: command.at ?? undefined,
+      })
+      if (failed.length > 0) {
+        throw new Error(`Could not check ${failed.join(', ')}`)
+      }
+      break
+    }
+
+    case 'bid':
+      if (tokens.length > 1) {
+        throw new Error('Several tokens are configured, pick one with --token')
+      }
+      await placeManualBid({
+        ...config,
+        recipient: config.walletOptions.recipient,
+        token: tokens[0],
+        amount: /** @type {string} */ (command.amount),
+        maxPrice: /** @type {bigint} */ (command.maxPrice),
+      })
+      break
+
+    case 'swap':
+      if (!sushiswapRouterAddress) {
+        throw new Error('No Sushiswap router on this network to swap through')
+      }
+      await sellTokens({ ...config, tokens })
+      break
+
+    case 'wallets':
+      await showWallets({ ...config, tokens })
+      break
+
+    case 'approve':
+    case 'revoke':
+      if (!sushiswapRouterAddress) {
+        throw new Error('No Sushiswap router on this network to approve')
+      }
+      for (const token of tokens) {
+        const args = {
+          ...config,
+          tokenAddress: token.address,
+          tokenSymbol: token.symbol,
+          spenderAddress: sushiswapRouterAddress,
+        }
+        await (command.name === 'approve'
+          ? ensureApproval(args)
+          : revokeApproval(args))
+      }
+      break
+  }
+} catch (error) {
+  console.error(`Error: ${/** @type {Error} */ (error).message}`)
+  process.exit(1)
+}
+
+// RPC health checks would otherwise keep the process alive
+process.exit(0)
@@ -0,0 +1,6 @@
+import 'dotenv/config'
+import { showHistory } from '../lib/cli.js'
+import { loadConfig } from '../lib/config-file.js'
+
+const { env } = await loadConfig(process.env)
+await showHistory({ ledgerPath: env.LEDGER_PATH || 'ledger.jsonl' })
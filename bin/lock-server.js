@@ -0,0 +1,35 @@
+import { parseArgs } from 'node:util'
+import { createLockServer } from '../lib/leader.js'
+
+const USAGE = `Usage: npm run lock-server -- [--port <port>] [--host <host>]
+
+Serves leases for LEADER_LOCK=http from memory, as a stand-in for a real lock
+service. Leases are lost when it stops, so use it for local setups only.`
+
+/** @type {{ port: number; host: string }} */
+let args
+try {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '8081' },
+      host: { type: 'string', default: '127.0.0.1' },
+    },
+  })
+  if (!/^\d+$/.test(values.port) || Number(values.port) > 65535) {
+    throw new Error(`Expected a port number up to 65535, got ${values.port}`)
+  }
+  args = { port: Number(values.port), host: values.host }
+} catch (error) {
+  console.error(`Error: ${/** @type {Error} */ (error).message}`)
+  console.error()
+  console.error(USAGE)
+  process.exit(1)
+}
+
+const server = createLockServer()
+server.listen(args.port, args.host, () => {
+  console.log(`Lock server listening on http://${args.host}:${args.port}`)
+})
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, () => server.close(() => process.exit(0)))
+}
@@ -0,0 +1,76 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+interface IERC20 {
+    function approve(address spender, uint256 amount) external returns (bool);
+
+    function balanceOf(address account) external view returns (uint256);
+
+    function transfer(address to, uint256 amount) external returns (bool);
+}
+
+interface IPayments {
+    function burnForFees(address token, address recipient, uint256 requested) external payable;
+}
+
+/// @notice Bids on a Filecoin Pay fee auction and sells the proceeds in one
+/// transaction, reverting both when the swap returns less than required.
+/// @dev Deploy once per bidding wallet. The deployer becomes the owner, the
+/// only account allowed to bid, and receives all FIL the swaps return.
+contract AuctionExecutor {
+    address public immutable owner;
+    IPayments public immutable payments;
+
+    error NotOwner();
+    error SwapFailed(bytes reason);
+    error Unprofitable(uint256 received, uint256 required);
+    error TransferFailed();
+
+    constructor(IPayments payments_) {
+        owner = msg.sender;
+        payments = payments_;
+    }
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert NotOwner();
+        _;
+    }
+
+    /// @param token Auctioned token
+    /// @param amount Token amount to bid for
+    /// @param router Sushiswap route processor
+    /// @param swapData Route processor calldata selling `amount` of `token`
+    /// for FIL, with this contract as the recipient
+    /// @param minAmountOut Least FIL the swap must return, usually the auction
+    /// price plus gas and the minimum profit
+    function bidAndSwap(
+        address token,
+        uint256 amount,
+        address router,
+        bytes calldata swapData,
+        uint256 minAmountOut
+    ) external payable onlyOwner {
+        uint256 balanceBefore = address(this).balance - msg.value;
+
+        payments.burnForFees{value: msg.value}(token, address(this), amount);
+
+        IERC20(token).approve(router, amount);
+        (bool ok, bytes memory reason) = router.call(swapData);
+        if (!ok) revert SwapFailed(reason);
+        IERC20(token).approve(router, 0);
+
+        uint256 received = address(this).balance - balanceBefore;
+        if (received < minAmountOut) revert Unprofitable(received, minAmountOut);
+
+        (bool sent, ) = owner.call{value: address(this).balance}("");
+        if (!sent) revert TransferFailed();
+    }
+
+    /// @notice Recover tokens left behind, e.g. by a partially filled route
+    function sweep(address token) external onlyOwner {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        if (!IERC20(token).transfer(owner, balance)) revert TransferFailed();
+    }
+
+    receive() external payable {}
+}
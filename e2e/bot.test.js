@@ -0,0 +1,392 @@
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { setTimeout } from 'node:timers/promises'
+import { erc20Abi, isAddressEqual, parseEther } from 'viem'
+import { privateKeyToAccount } from 'viem/accounts'
+import { readLedger } from '../lib/ledger.js'
+import {
+  BOT_KEY,
+  PAYMENTS_ADDRESS,
+  RIVAL_KEY,
+  compileContracts,
+  createChainClient,
+  deployExecutor,
+  deployMocks,
+  openAuction,
+  startAnvil,
+  startBot,
+  startSushiStub,
+} from './harness.js'
+
+const BOT_ADDRESS = privateKeyToAccount(BOT_KEY).address
+const RIVAL_ADDRESS = privateKeyToAccount(RIVAL_KEY).address
+
+describe('bot end to end', { timeout: 300000 }, () => {
+  let anvil
+  let artifacts
+  let mocks
+  let sushi
+  let client
+  let snapshot
+  let dir
+  let bot
+  let standby
+
+  before(async () => {
+    artifacts = await compileContracts()
+    anvil = await startAnvil()
+    mocks = await deployMocks({ url: anvil.url, artifacts })
+    sushi = await startSushiStub({
+      router: mocks.router,
+      routerAbi: artifacts.MockRouteProcessor.abi,
+    })
+    client = createChainClient(anvil.url, RIVAL_KEY)
+    snapshot = await client.snapshot()
+  })
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'auction-bot-e2e-'))
+  })
+
+  afterEach(async () => {
+    await bot?.stop()
+    await standby?.stop()
+    bot = undefined
+    standby = undefined
+    await rm(dir, { recursive: true, force: true })
+    // Every scenario starts from the freshly deployed contracts
+    await client.revert({ id: snapshot })
+    snapshot = await client.snapshot()
+  })
+
+  after(async () => {
+    await sushi?.stop()
+    await anvil?.stop()
+  })
+
+  /**
+   * @param {object} args
+   * @param {string} args.quoted - FIL per token the Sushiswap API quotes
+   * @param {string} [args.paid] - FIL per token the route processor pays
+   */
+  const setRates = async ({ quoted, paid = quoted }) => {
+    sushi.setRate(mocks.token, parseEther(quoted))
+    const hash = await client.writeContract({
+      address: mocks.router,
+      abi: artifacts.MockRouteProcessor.abi,
+      functionName: 'setRate',
+      args: [mocks.token, parseEther(paid)],
+    })
+    await client.waitForTransactionReceipt({ hash })
+  }
+
+  // Sells what a failed or missing swap left in the wallet
+  const liquidating = { LIQUIDATE_STRANDED: 'true', LIQUIDATION_MIN_PRICE: '0' }
+
+  /** @param {Record<string, string>} [env] */
+  const runBot = (env = {}) =>
+    startBot({
+      cwd: dir,
+      env: {
+        RPC_URL: anvil.url,
+        PRIVATE_KEY: BOT_KEY,
+        SUSHI_API_URL: sushi.url,
+        // Replaces the mainnet USDFC with the mock token
+        TOKENS: JSON.stringify([
+          { symbol: 'USDFC', addresses: { 314: mocks.token } },
+        ]),
+        BID_SIZES_BPS: '10000',
+        DELAY: '1000',
+        LEDGER_PATH: join(dir, 'ledger.jsonl'),
+        PORT: '0',
+        ...env,
+      },
+    })
+
+  /**
+   * Wait for the bot to record an entry, which it does after logging about it
+   *
+   * @param {string} type
+   */
+  const waitForLedger = async (type) => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const entries = await readLedger(join(dir, 'ledger.jsonl'))
+      const entry = entries.find((entry) => entry.type === type)
+      if (entry) return { entry, entries }
+      await setTimeout(100)
+    }
+    throw new Error(`The bot recorded no ${type} entry`)
+  }
+
+  const feesLeft = async () => {
+    const [funds] = await client.readContract({
+      address: PAYMENTS_ADDRESS,
+      abi: artifacts.MockPayments.abi,
+      functionName: 'accounts',
+      args: [mocks.token, PAYMENTS_ADDRESS],
+    })
+    return funds
+  }
+
+  const tokenBalance = (address) =>
+    client.readContract({
+      address: mocks.token,
+      abi: erc20Abi,
+      functionName: 'balanceOf',
+      args: [address],
+    })
+
+  it('bids on a profitable auction and sells the tokens', async () => {
+    await setRates({ quoted: '0.1' })
+    await openAuction({
+      url: anvil.url,
+      artifacts,
+      token: mocks.token,
+      amount: parseEther('100'),
+      startPrice: parseEther('5'),
+    })
+    const balanceBefore = await client.getBalance({ address: BOT_ADDRESS })
+
+    bot = runBot()
+    await bot.waitFor((entry) => entry.msg?.startsWith('Realized profit'))
+
+    const { entry: trade } = await waitForLedger('trade')
+    assert.equal(trade.bidStatus, 'success')
+    assert.equal(trade.swapStatus, 'success')
+    assert.equal(trade.amount, parseEther('100'))
+    assert.equal(trade.auctionPrice, parseEther('5'))
+    assert.equal(trade.filReturned, parseEther('10'))
+    assert.ok(trade.profit > parseEther('4.9'))
+
+    assert.equal(await feesLeft(), 0n)
+    assert.equal(await tokenBalance(BOT_ADDRESS), 0n)
+    const balanceAfter = await client.getBalance({ address: BOT_ADDRESS })
+    assert.ok(balanceAfter - balanceBefore > parseEther('4.9'))
+  })
+
+  it('bids and swaps atomically through the executor', async () => {
+    await setRates({ quoted: '0.1' })
+    await openAuction({
+      url: anvil.url,
+      artifacts,
+      token: mocks.token,
+      amount: parseEther('100'),
+      startPrice: parseEther('5'),
+    })
+    const executor = await deployExecutor({
+      url: anvil.url,
+      artifacts,
+      privateKey: BOT_KEY,
+    })
+
+    bot = runBot({ EXECUTOR_ADDRESS: executor })
+    await bot.waitFor((entry) => entry.msg?.startsWith('Realized profit'))
+    assert.ok(
+      bot.logs.some((entry) =>
+        entry.msg?.startsWith('Submitting bid and swap atomically'),
+      ),
+    )
+
+    const { entry: trade } = await waitForLedger('trade')
+    assert.equal(trade.bidStatus, 'success')
+    assert.equal(trade.amount, parseEther('100'))
+    assert.equal(trade.filReturned, parseEther('10'))
+    assert.ok(trade.profit > parseEther('4.9'))
+    assert.equal(await feesLeft(), 0n)
+    assert.equal(await tokenBalance(executor), 0n)
+    assert.equal(await tokenBalance(BOT_ADDRESS), 0n)
+  })
+
+  it('skips an auction the swap would not pay for', async () => {
+    await setRates({ quoted: '0.1' })
+    await openAuction({
+      url: anvil.url,
+      artifacts,
+      token: mocks.token,
+      amount: parseEther('100'),
+      startPrice: parseEther('20'),
+    })
+
+    bot = runBot()
+    await bot.waitFor((entry) => entry.decision === 'not-profitable')
+
+    const { entry, entries } = await waitForLedger('evaluation')
+    assert.equal(entry.decision, 'not-profitable')
+    assert.ok(!entries.some((entry) => entry.type === 'trade'))
+    assert.equal(await feesLeft(), parseEther('100'))
+    assert.equal(await tokenBalance(BOT_ADDRESS), 0n)
+  })
+
+  it('keeps the tokens when the swap reverts, and sells them later', async () => {
+    // The price dropped after the quote, below the swap's minimum output
+    await setRates({ quoted: '0.1', paid: '0.05' })
+    await openAuction({
+      url: anvil.url,
+      artifacts,
+      token: mocks.token,
+      amount: parseEther('100'),
+      startPrice: parseEther('5'),
+    })
+
+    bot = runBot(liquidating)
+    await bot.waitFor((entry) => entry.msg?.startsWith('Realized profit'))
+    assert.ok(
+      bot.logs.some((entry) => entry.msg?.startsWith('Swap submission failed')),
+    )
+
+    const { entry: trade } = await waitForLedger('trade')
+    assert.equal(trade.bidStatus, 'success')
+    assert.equal(trade.swapHash, null)
+    assert.equal(trade.filReturned, 0n)
+    assert.equal(await tokenBalance(BOT_ADDRESS), parseEther('100'))
+
+    // Once the route pays the quoted price again, the stranded tokens are sold
+    await setRates({ quoted: '0.1' })
+    await bot.waitFor((entry) => entry.msg?.startsWith('Liquidation result'))
+    const { entry: liquidation } = await waitForLedger('liquidation')
+    assert.equal(liquidation.swapStatus, 'success')
+    assert.equal(liquidation.filReturned, parseEther('10'))
+    assert.equal(await tokenBalance(BOT_ADDRESS), 0n)
+  })
+
+  it('records a trade cut short by a crash when restarted', async () => {
+    await setRates({ quoted: '0.1' })
+    await openAuction({
+      url: anvil.url,
+      artifacts,
+      token: mocks.token,
+      amount: parseEther('100'),
+      startPrice: parseEther('5'),
+    })
+    // The previous run got its bid mined, then died before sending the swap
+    const wallet = createChainClient(anvil.url, BOT_KEY)
+    const bidHash = await wallet.writeContract({
+      address: PAYMENTS_ADDRESS,
+      abi: artifacts.MockPayments.abi,
+      functionName: 'burnForFees',
+      args: [mocks.token, BOT_ADDRESS, parseEther('100')],
+      value: parseEther('5'),
+    })
+    await wallet.waitForTransactionReceipt({ hash: bidHash })
+    await writeFile(
+      join(dir, 'checkpoint.json'),
+      JSON.stringify([
+        {
+          token: 'USDFC',
+          tokenAddress: mocks.token,
+          amount: parseEther('100').toString(),
+          auctionPrice: parseEther('5').toString(),
+          atomic: false,
+          bidHash,
+          swapHash: null,
+          startedAt: new Date().toISOString(),
+        },
+      ]),
+    )
+
+    bot = runBot(liquidating)
+    await bot.waitFor((entry) => entry.msg?.startsWith('Liquidation result'))
+
+    const { entry: trade } = await waitForLedger('trade')
+    assert.equal(trade.bidHash, bidHash)
+    assert.equal(trade.amount, parseEther('100'))
+    assert.equal(trade.swapHash, null)
+    const { entry: liquidation } = await waitForLedger('liquidation')
+    assert.equal(liquidation.filReturned, parseEther('10'))
+    assert.equal(await tokenBalance(BOT_ADDRESS), 0n)
+
+    assert.equal(await bot.stop(), 0)
+    assert.ok(bot.logs.some((entry) => entry.msg === 'Shutdown complete.'))
+    assert.equal(await readFile(join(dir, 'checkpoint.json'), 'utf8'), '[]')
+  })
+
+  it('lets a standby take over when the active instance dies', async () => {
+    await setRates({ quoted: '0.1' })
+    const leaderEnv = {
+      LEADER_LOCK: 'file',
+      LEADER_LOCK_PATH: join(dir, 'leader-lock.json'),
+      LEADER_LEASE_DURATION: '5000',
+      LEADER_RENEW_INTERVAL: '1000',
+    }
+
+    bot = runBot({ ...leaderEnv, LEADER_ID: 'first' })
+    await bot.waitFor((entry) =>
+      entry.msg?.startsWith('Became the active instance (first)'),
+    )
+    await bot.waitFor((entry) => entry.msg?.startsWith('Waiting 1000ms'))
+    standby = runBot({ ...leaderEnv, LEADER_ID: 'second' })
+    await standby.waitFor((entry) =>
+      entry.msg?.startsWith('Waiting to become the active instance'),
+    )
+
+    // The active instance dies without releasing the lease
+    assert.equal(await bot.stop('SIGKILL'), null)
+    await openAuction({
+      url: anvil.url,
+      artifacts,
+      token: mocks.token,
+      amount: parseEther('100'),
+      startPrice: parseEther('5'),
+    })
+    await standby.waitFor((entry) =>
+      entry.msg?.startsWith('Became the active instance (second)'),
+    )
+    await standby.waitFor((entry) => entry.msg?.startsWith('Realized profit'))
+
+    const { entry: trade } = await waitForLedger('trade')
+    assert.equal(trade.swapStatus, 'success')
+    // The standby checked no auction before taking over
+    const indexOf = (prefix) =>
+      standby.logs.findIndex((entry) => entry.msg?.startsWith(prefix))
+    assert.ok(
+      indexOf('Became the active instance') < indexOf('Starting auction check'),
+    )
+
+    assert.equal(await standby.stop(), 0)
+    assert.ok(
+      standby.logs.some((entry) =>
+        entry.msg?.startsWith('Released the leader lease'),
+      ),
+    )
+  })
+
+  it('records an auction lost to another bidder', async () => {
+    await setRates({ quoted: '0.1' })
+    await openAuction({
+      url: anvil.url,
+      artifacts,
+      token: mocks.token,
+      amount: parseEther('100'),
+      startPrice: parseEther('20'),
+    })
+
+    bot = runBot({ WATCH_RIVALS: 'true' })
+    await bot.waitFor((entry) => entry.decision === 'not-profitable')
+
+    // Another wallet values the tokens higher and takes them all
+    const hash = await client.writeContract({
+      address: PAYMENTS_ADDRESS,
+      abi: artifacts.MockPayments.abi,
+      functionName: 'burnForFees',
+      args: [mocks.token, RIVAL_ADDRESS, parseEther('100')],
+      value: parseEther('20'),
+    })
+    await client.waitForTransactionReceipt({ hash })
+
+    await bot.waitFor(
+      (entry) => entry.stage === 'mined' && entry.rivalHash === hash,
+    )
+    await bot.waitFor((entry) =>
+      entry.msg?.startsWith('No available fees in auction'),
+    )
+
+    const { entry: rival, entries } = await waitForLedger('rival-bid')
+    assert.ok(isAddressEqual(rival.bidder, RIVAL_ADDRESS))
+    assert.equal(rival.amount, parseEther('100'))
+    assert.ok(!entries.some((entry) => entry.type === 'trade'))
+    assert.equal(await tokenBalance(RIVAL_ADDRESS), parseEther('100'))
+  })
+})
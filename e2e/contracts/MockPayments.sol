@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
+/// @notice Stands in for the Filecoin Pay Payments contract in the end-to-end
+/// tests, with only the fee auction the bot bids on.
+/// @dev Placed at the Payments address with `anvil_setCode`, so it has no
+/// constructor. The price halves every 3.5 days like the real auction, but in
+/// whole steps rounded down, so it never asks more than the exact price the bot
+/// pays.
+contract MockPayments {
+    uint256 private constant HALVING_SECONDS = 3.5 days;
+
+    struct Account {
+        uint256 funds;
+        uint256 lockupCurrent;
+        uint256 lockupRate;
+        uint256 lockupLastSettledAt;
+    }
+
+    struct Auction {
+        uint88 startPrice;
+        uint168 startTime;
+    }
+
+    mapping(address token => mapping(address owner => Account)) public accounts;
+    mapping(address token => Auction) public auctionInfo;
+
+    error InsufficientPayment(uint256 paid, uint256 price);
+    error InsufficientFees(uint256 requested, uint256 available);
+    error TransferFailed();
+
+    /// @notice Collect network fees and restart the token's auction
+    /// @param startTime A time in the future keeps the price at `startPrice`
+    function addFees(address token, uint256 amount, uint88 startPrice, uint168 startTime) external {
+        if (!IERC20(token).transferFrom(msg.sender, address(this), amount)) revert TransferFailed();
+        accounts[token][address(this)].funds += amount;
+        auctionInfo[token] = Auction(startPrice, startTime);
+    }
+
+    function priceAt(address token, uint256 timestamp) public view returns (uint256) {
+        Auction memory auction = auctionInfo[token];
+        if (timestamp <= auction.startTime) return auction.startPrice;
+        uint256 halvings = (timestamp - auction.startTime + HALVING_SECONDS - 1) / HALVING_SECONDS;
+        return halvings >= 88 ? 0 : auction.startPrice >> halvings;
+    }
+
+    /// @notice Pay the auction price in FIL for `requested` of the fees. The
+    /// auction restarts at twice the price paid.
+    function burnForFees(address token, address recipient, uint256 requested) external payable {
+        uint256 price = priceAt(token, block.timestamp);
+        if (msg.value < price) revert InsufficientPayment(msg.value, price);
+        Account storage account = accounts[token][address(this)];
+        if (requested > account.funds) revert InsufficientFees(requested, account.funds);
+
+        account.funds -= requested;
+        auctionInfo[token] = Auction(uint88(msg.value * 2), uint168(block.timestamp));
+        if (!IERC20(token).transfer(recipient, requested)) revert TransferFailed();
+    }
+}
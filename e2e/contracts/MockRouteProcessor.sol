@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+interface IERC20 {
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
+/// @notice Stands in for the Sushiswap route processor in the end-to-end tests.
+/// Buys tokens for FIL at a set rate, ignoring the route.
+/// @dev Fund it with FIL to pay out. The local Sushiswap API stub quotes its own
+/// rates, which can differ from these to make swaps revert.
+contract MockRouteProcessor {
+    address private constant NATIVE = 0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE;
+
+    /// @notice FIL paid per whole token, in wei
+    mapping(address token => uint256) public rates;
+
+    event Route(
+        address indexed from,
+        address to,
+        address indexed tokenIn,
+        address indexed tokenOut,
+        uint256 amountIn,
+        uint256 amountOutMin,
+        uint256 amountOut
+    );
+
+    error UnsupportedRoute();
+    error MinimalOutputBalanceViolation(uint256 amountOut);
+    error TransferFailed();
+
+    receive() external payable {}
+
+    function setRate(address token, uint256 rate) external {
+        rates[token] = rate;
+    }
+
+    function processRoute(
+        address tokenIn,
+        uint256 amountIn,
+        address tokenOut,
+        uint256 amountOutMin,
+        address to,
+        bytes calldata
+    ) external payable returns (uint256 amountOut) {
+        if (tokenOut != NATIVE || rates[tokenIn] == 0) revert UnsupportedRoute();
+        amountOut = (amountIn * rates[tokenIn]) / 1e18;
+        if (amountOut < amountOutMin) revert MinimalOutputBalanceViolation(amountOut);
+
+        if (!IERC20(tokenIn).transferFrom(msg.sender, address(this), amountIn)) revert TransferFailed();
+        (bool sent, ) = to.call{value: amountOut}("");
+        if (!sent) revert TransferFailed();
+        emit Route(msg.sender, to, tokenIn, tokenOut, amountIn, amountOutMin, amountOut);
+    }
+}
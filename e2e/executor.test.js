@@ -0,0 +1,219 @@
+import { after, afterEach, before, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { encodeFunctionData, erc20Abi, parseEther } from 'viem'
+import { privateKeyToAccount } from 'viem/accounts'
+import {
+  simulateAtomicBid,
+  submitAtomicBidAndSwap,
+  verifyExecutor,
+} from '../lib/executor.js'
+import { createTradeEntry } from '../lib/ledger.js'
+import { SUSHISWAP_NATIVE_PLACEHOLDER } from '../lib/swap.js'
+import {
+  BOT_KEY,
+  PAYMENTS_ADDRESS,
+  RIVAL_KEY,
+  compileContracts,
+  createChainClient,
+  deployExecutor,
+  deployMocks,
+  openAuction,
+  startAnvil,
+} from './harness.js'
+
+const BOT_ADDRESS = privateKeyToAccount(BOT_KEY).address
+const RIVAL_ADDRESS = privateKeyToAccount(RIVAL_KEY).address
+
+describe('AuctionExecutor', { timeout: 120000 }, () => {
+  let anvil
+  let artifacts
+  let mocks
+  let executor
+  let bot
+  let rival
+  let snapshot
+
+  before(async () => {
+    artifacts = await compileContracts()
+    anvil = await startAnvil()
+    mocks = await deployMocks({ url: anvil.url, artifacts })
+    executor = await deployExecutor({
+      url: anvil.url,
+      artifacts,
+      privateKey: BOT_KEY,
+    })
+    bot = createChainClient(anvil.url, BOT_KEY)
+    rival = createChainClient(anvil.url, RIVAL_KEY)
+    snapshot = await bot.snapshot()
+  })
+
+  afterEach(async () => {
+    await bot.revert({ id: snapshot })
+    snapshot = await bot.snapshot()
+  })
+
+  after(async () => {
+    await anvil?.stop()
+  })
+
+  /** @param {string} rate - FIL per token the route processor pays */
+  const setRate = async (rate) => {
+    const hash = await bot.writeContract({
+      address: mocks.router,
+      abi: artifacts.MockRouteProcessor.abi,
+      functionName: 'setRate',
+      args: [mocks.token, parseEther(rate)],
+    })
+    await bot.waitForTransactionReceipt({ hash })
+  }
+
+  /** 100 tokens on auction for 5 FIL */
+  const open = () =>
+    openAuction({
+      url: anvil.url,
+      artifacts,
+      token: mocks.token,
+      amount: parseEther('100'),
+      startPrice: parseEther('5'),
+    })
+
+  /** Sell the 100 tokens with the executor as sender and recipient */
+  const swapTx = () => ({
+    to: mocks.router,
+    data: encodeFunctionData({
+      abi: artifacts.MockRouteProcessor.abi,
+      functionName: 'processRoute',
+      args: [
+        mocks.token,
+        parseEther('100'),
+        SUSHISWAP_NATIVE_PLACEHOLDER,
+        0n,
+        executor,
+        '0x',
+      ],
+    }),
+  })
+
+  /** @param {any} client */
+  const bidArgs = (client) => ({
+    publicClient: client,
+    account: client.account,
+    executorAddress: executor,
+    tokenAddress: mocks.token,
+    amount: parseEther('100'),
+    price: parseEther('5'),
+    swapTx: swapTx(),
+    minAmountOut: parseEther('6'),
+  })
+
+  const feesLeft = async () => {
+    const [funds] = await bot.readContract({
+      address: PAYMENTS_ADDRESS,
+      abi: artifacts.MockPayments.abi,
+      functionName: 'accounts',
+      args: [mocks.token, PAYMENTS_ADDRESS],
+    })
+    return funds
+  }
+
+  const tokenBalance = (address) =>
+    bot.readContract({
+      address: mocks.token,
+      abi: erc20Abi,
+      functionName: 'balanceOf',
+      args: [address],
+    })
+
+  it('bids and swaps in one transaction, paying the owner', async () => {
+    await setRate('0.1')
+    await open()
+    await verifyExecutor({
+      publicClient: bot,
+      executorAddress: executor,
+      walletAddress: BOT_ADDRESS,
+    })
+    const balanceBefore = await bot.getBalance({ address: BOT_ADDRESS })
+
+    const hash = await submitAtomicBidAndSwap({
+      ...bidArgs(bot),
+      walletClient: bot,
+    })
+    assert.ok(hash)
+    const receipt = await bot.waitForTransactionReceipt({ hash })
+
+    assert.equal(receipt.status, 'success')
+    assert.equal(await feesLeft(), 0n)
+    assert.equal(await tokenBalance(executor), 0n)
+    assert.equal(await tokenBalance(BOT_ADDRESS), 0n)
+    assert.equal(await bot.getBalance({ address: executor }), 0n)
+    const gasFee = receipt.gasUsed * receipt.effectiveGasPrice
+    assert.equal(
+      (await bot.getBalance({ address: BOT_ADDRESS })) - balanceBefore,
+      parseEther('5') - gasFee,
+    )
+
+    const trade = createTradeEntry({
+      token: { symbol: 'USDFC', address: mocks.token },
+      amount: parseEther('100'),
+      auctionPrice: parseEther('5'),
+      bidReceipt: receipt,
+      swapReceipt: receipt,
+    })
+    assert.equal(trade.filReturned, parseEther('10'))
+    assert.equal(trade.profit, parseEther('5') - gasFee)
+  })
+
+  it('rolls the bid back when the swap returns too little', async () => {
+    await setRate('0.1')
+    await open()
+    const request = await simulateAtomicBid(bidArgs(bot))
+
+    // The pool moves between the simulation and the transaction
+    await setRate('0.05')
+    await assert.rejects(simulateAtomicBid(bidArgs(bot)), /Unprofitable/)
+    const balanceBefore = await bot.getBalance({ address: BOT_ADDRESS })
+    const hash = await bot.writeContract({ ...request, gas: 1000000n })
+    const receipt = await bot.waitForTransactionReceipt({ hash })
+
+    assert.equal(receipt.status, 'reverted')
+    assert.equal(await feesLeft(), parseEther('100'))
+    assert.equal(await tokenBalance(executor), 0n)
+    // Only gas was spent
+    assert.equal(
+      balanceBefore - (await bot.getBalance({ address: BOT_ADDRESS })),
+      receipt.gasUsed * receipt.effectiveGasPrice,
+    )
+  })
+
+  it('rejects bids from any account but the owner', async () => {
+    await setRate('0.1')
+    await open()
+
+    await assert.rejects(
+      verifyExecutor({
+        publicClient: rival,
+        executorAddress: executor,
+        walletAddress: RIVAL_ADDRESS,
+      }),
+      { message: new RegExp(`is owned by ${BOT_ADDRESS}`) },
+    )
+    await assert.rejects(simulateAtomicBid(bidArgs(rival)), /NotOwner/)
+    assert.equal(
+      await submitAtomicBidAndSwap({ ...bidArgs(rival), walletClient: rival }),
+      null,
+    )
+    const hash = await rival.writeContract({
+      address: executor,
+      abi: artifacts.AuctionExecutor.abi,
+      functionName: 'bidAndSwap',
+      args: [mocks.token, parseEther('100'), mocks.router, swapTx().data, 0n],
+      value: parseEther('5'),
+      gas: 1000000n,
+    })
+    const receipt = await rival.waitForTransactionReceipt({ hash })
+
+    assert.equal(receipt.status, 'reverted')
+    assert.equal(await feesLeft(), parseEther('100'))
+    assert.equal(await tokenBalance(RIVAL_ADDRESS), 0n)
+  })
+})
@@ -0,0 +1,442 @@
+import { spawn } from 'node:child_process'
+import { once } from 'node:events'
+import { readdir, readFile } from 'node:fs/promises'
+import { createServer } from 'node:http'
+import { createRequire } from 'node:module'
+import { join } from 'node:path'
+import { createInterface } from 'node:readline'
+import { fileURLToPath } from 'node:url'
+import { getChain } from '@filoz/synapse-core/chains'
+import solc from 'solc'
+import {
+  createTestClient,
+  encodeFunctionData,
+  http,
+  parseEther,
+  publicActions,
+  walletActions,
+} from 'viem'
+import { privateKeyToAccount } from 'viem/accounts'
+import { SUSHISWAP_NATIVE_PLACEHOLDER } from '../lib/swap.js'
+
+const require = createRequire(import.meta.url)
+const ROOT = fileURLToPath(new URL('..', import.meta.url))
+const CONTRACTS = join(ROOT, 'e2e', 'contracts')
+const EXECUTOR = join(ROOT, 'contracts', 'AuctionExecutor.sol')
+
+// Anvil's first dev accounts, funded with 10000 FIL each
+export const BOT_KEY =
+  '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'
+export const RIVAL_KEY =
+  '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d'
+const DEPLOYER_KEY =
+  '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a'
+
+export const PAYMENTS_ADDRESS = getChain(314).contracts.payments.address
+
+/**
+ * Compile the mock contracts and the executor with solc-js, so no Solidity
+ * toolchain is needed
+ *
+ * @returns {Promise<
+ *   Record<
+ *     string,
+ *     { abi: any[]; bytecode: `0x${string}`; deployedBytecode: `0x${string}` }
+ *   >
+ * >}
+ *   Keyed by contract name
+ */
+export async function compileContracts() {
+  const sources = {}
+  for (const file of await readdir(CONTRACTS)) {
+    sources[file] = { content: await readFile(join(CONTRACTS, file), 'utf8') }
+  }
+  sources['AuctionExecutor.sol'] = { content: await readFile(EXECUTOR, 'utf8') }
+  const output = JSON.parse(
+    solc.compile(
+      JSON.stringify({
+        language: 'Solidity',
+        sources,
+        settings: {
+          evmVersion: 'cancun',
+          outputSelection: {
+            '*': { '*': ['abi', 'evm.bytecode', 'evm.deployedBytecode'] },
+          },
+        },
+      }),
+    ),
+  )
+  const errors = (output.errors ?? []).filter(
+    (error) => error.severity === 'error',
+  )
+  if (errors.length > 0) {
+    throw new Error(errors.map((error) => error.formattedMessage).join('\n'))
+  }
+
+  const artifacts = {}
+  for (const contracts of Object.values(output.contracts)) {
+    for (const [name, contract] of Object.entries(contracts)) {
+      artifacts[name] = {
+        abi: contract.abi,
+        bytecode: `0x${contract.evm.bytecode.object}`,
+        deployedBytecode: `0x${contract.evm.deployedBytecode.object}`,
+      }
+    }
+  }
+  return artifacts
+}
+
+/**
+ * Start an Anvil dev node posing as Filecoin mainnet, so the bot swaps through
+ * Sushiswap
+ *
+ * @returns {Promise<{ url: string; stop: () => Promise<void> }>}
+ */
+export async function startAnvil() {
+  const anvil = spawn(
+    process.execPath,
+    [
+      require.resolve('@foundry-rs/anvil/bin.mjs'),
+      '--port',
+      '0',
+      '--chain-id',
+      '314',
+    ],
+    { stdio: ['ignore', 'pipe', 'inherit'] },
+  )
+  const exited = once(anvil, 'exit')
+
+  let url = null
+  const lines = createInterface({ input: anvil.stdout })
+  for await (const line of lines) {
+    const match = line.match(/^Listening on (\S+)/)
+    if (match) {
+      url = `http://${match[1]}`
+      break
+    }
+  }
+  if (!url) {
+    throw new Error('Anvil exited before listening')
+  }
+  // Keep draining its output
+  anvil.stdout.resume()
+
+  return {
+    url,
+    stop: async () => {
+      anvil.kill()
+      await exited
+    },
+  }
+}
+
+/**
+ * A client for one of the dev accounts that can also call Anvil's test methods
+ *
+ * @param {string} url
+ * @param {`0x${string}`} privateKey
+ */
+export function createChainClient(url, privateKey) {
+  return createTestClient({
+    mode: 'anvil',
+    chain: getChain(314),
+    transport: http(url),
+    account: privateKeyToAccount(privateKey),
+  })
+    .extend(publicActions)
+    .extend(walletActions)
+}
+
+/**
+ * Deploy the mock token and route processor, and put the mock Payments contract
+ * where the bot expects Filecoin Pay on mainnet
+ *
+ * @param {object} args
+ * @param {string} args.url
+ * @param {Awaited<ReturnType<typeof compileContracts>>} args.artifacts
+ */
+export async function deployMocks({ url, artifacts }) {
+  const client = createChainClient(url, DEPLOYER_KEY)
+  const deploy = async (name, args = []) => {
+    const { abi, bytecode } = artifacts[name]
+    const hash = await client.deployContract({ abi, bytecode, args })
+    const { contractAddress } = await client.waitForTransactionReceipt({
+      hash,
+    })
+    return contractAddress
+  }
+
+  const token = await deploy('MockToken', [
+    'USD for Filecoin Community',
+    'USDFC',
+  ])
+  const router = await deploy('MockRouteProcessor')
+  await client.setBalance({ address: router, value: parseEther('1000000') })
+  await client.setCode({
+    address: PAYMENTS_ADDRESS,
+    bytecode: artifacts.MockPayments.deployedBytecode,
+  })
+
+  return { token, router }
+}
+
+/**
+ * Deploy `contracts/AuctionExecutor.sol`, owned by the account of `privateKey`
+ *
+ * @param {object} args
+ * @param {string} args.url
+ * @param {Awaited<ReturnType<typeof compileContracts>>} args.artifacts
+ * @param {`0x${string}`} args.privateKey
+ * @returns {Promise<`0x${string}`>}
+ */
+export async function deployExecutor({ url, artifacts, privateKey }) {
+  const client = createChainClient(url, privateKey)
+  const { abi, bytecode } = artifacts.AuctionExecutor
+  const hash = await client.deployContract({
+    abi,
+    bytecode,
+    args: [PAYMENTS_ADDRESS],
+  })
+  const { contractAddress } = await client.waitForTransactionReceipt({ hash })
+  return /** @type {`0x${string}`} */ (contractAddress)
+}
+
+/**
+ * Collect network fees in the mock Payments contract, which starts an auction
+ * for them that stays at `startPrice` for a day
+ *
+ * @param {object} args
+ * @param {string} args.url
+ * @param {Awaited<ReturnType<typeof compileContracts>>} args.artifacts
+ * @param {`0x${string}`} args.token
+ * @param {bigint} args.amount
+ * @param {bigint} args.startPrice
+ */
+export async function openAuction({
+  url,
+  artifacts,
+  token,
+  amount,
+  startPrice,
+}) {
+  const client = createChainClient(url, DEPLOYER_KEY)
+  const { timestamp } = await client.getBlock()
+  for (const request of [
+    {
+      address: token,
+      abi: artifacts.MockToken.abi,
+      functionName: 'mint',
+      args: [client.account.address, amount],
+    },
+    {
+      address: token,
+      abi: artifacts.MockToken.abi,
+      functionName: 'approve',
+      args: [PAYMENTS_ADDRESS, amount],
+    },
+    {
+      address: PAYMENTS_ADDRESS,
+      abi: artifacts.MockPayments.abi,
+      functionName: 'addFees',
+      args: [token, amount, startPrice, timestamp + 86400n],
+    },
+  ]) {
+    const hash = await client.writeContract(request)
+    await client.waitForTransactionReceipt({ hash })
+  }
+}
+
+/**
+ * @param {import('node:http').ServerResponse} res
+ * @param {number} status
+ * @param {object} body
+ */
+function reply(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * Serve the Sushiswap quote and swap API from set rates, routing every swap
+ * through the mock route processor
+ *
+ * @param {object} args
+ * @param {`0x${string}`} args.router
+ * @param {any[]} args.routerAbi
+ * @returns {Promise<{
+ *   url: string
+ *   setRate: (token: string, rate: bigint) => void
+ *   stop: () => Promise<void>
+ * }>}
+ */
+export async function startSushiStub({ router, routerAbi }) {
+  // FIL per whole token, in wei
+  const rates = new Map()
+
+  const server = createServer((req, res) => {
+    const url = new URL(req.url ?? '/', 'http://localhost')
+    const [, api] = url.pathname.split('/')
+    const tokenIn = url.searchParams.get('tokenIn') ?? ''
+    const amount = BigInt(url.searchParams.get('amount') ?? '0')
+    const maxSlippage = Number(url.searchParams.get('maxSlippage') ?? '0.005')
+    const rate = rates.get(tokenIn.toLowerCase())
+    if (rate === undefined) {
+      return reply(res, 200, { status: 'NoWay' })
+    }
+
+    const assumedAmountOut = (amount * rate) / 10n ** 18n
+    if (api === 'quote') {
+      return reply(res, 200, {
+        status: 'Success',
+        assumedAmountOut: assumedAmountOut.toString(),
+        gasSpent: '200000',
+        priceImpact: 0,
+      })
+    }
+    if (api !== 'swap') {
+      return reply(res, 404, { error: `Unknown API ${url.pathname}` })
+    }
+
+    const sender = url.searchParams.get('sender')
+    const amountOutMin =
+      (assumedAmountOut * BigInt(Math.round((1 - maxSlippage) * 1e6))) /
+      1000000n
+    reply(res, 200, {
+      status: 'Success',
+      tokens: [
+        { address: tokenIn, decimals: 18, symbol: 'IN', name: 'Token in' },
+        {
+          address: SUSHISWAP_NATIVE_PLACEHOLDER,
+          decimals: 18,
+          symbol: 'FIL',
+          name: 'Filecoin',
+        },
+      ],
+      tokenFrom: 0,
+      tokenTo: 1,
+      swapPrice: Number(rate) / 1e18,
+      priceImpact: 0,
+      amountIn: amount.toString(),
+      assumedAmountOut: assumedAmountOut.toString(),
+      tx: {
+        from: sender,
+        to: router,
+        gasPrice: 1000000000,
+        data: encodeFunctionData({
+          abi: routerAbi,
+          functionName: 'processRoute',
+          args: [
+            tokenIn,
+            amount,
+            SUSHISWAP_NATIVE_PLACEHOLDER,
+            amountOutMin,
+            url.searchParams.get('recipient') ?? sender,
+            '0x',
+          ],
+        }),
+      },
+    })
+  })
+  server.listen(0, '127.0.0.1')
+  await once(server, 'listening')
+  const { port } = /** @type {import('node:net').AddressInfo} */ (
+    server.address()
+  )
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    setRate: (token, rate) => rates.set(token.toLowerCase(), rate),
+    stop: async () => {
+      server.close()
+      await once(server, 'close')
+    },
+  }
+}
+
+/**
+ * Run `bin/bot.js` with JSON logs, to wait for what it logs and stop it
+ *
+ * @param {object} args
+ * @param {Record<string, string>} args.env - The whole environment; nothing is
+ *   inherited, and no `.env` file is read
+ * @param {string} args.cwd
+ */
+export function startBot({ env, cwd }) {
+  const bot = spawn(process.execPath, [join(ROOT, 'bin', 'bot.js')], {
+    cwd,
+    env: { PATH: process.env.PATH, ...env, LOG_FORMAT: 'json' },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  })
+  const exited = once(bot, 'exit')
+  const logs = []
+  const waiters = new Set()
+
+  const onLine = (line) => {
+    let entry
+    try {
+      entry = JSON.parse(line)
+    } catch {
+      entry = { level: 'error', msg: line }
+    }
+    logs.push(entry)
+    for (const waiter of waiters) {
+      if (waiter.match(entry)) waiter.resolve(entry)
+    }
+  }
+  createInterface({ input: bot.stdout }).on('line', onLine)
+  createInterface({ input: bot.stderr }).on('line', onLine)
+
+  return {
+    logs,
+
+    /**
+     * Wait until the bot logs a matching entry, including one logged already
+     *
+     * @param {(entry: Record<string, any>) => boolean} match
+     * @param {number} [timeout]
+     * @returns {Promise<Record<string, any>>}
+     */
+    async waitFor(match, timeout = 60000) {
+      const logged = logs.find(match)
+      if (logged) return logged
+
+      const { promise, resolve, reject } = Promise.withResolvers()
+      const waiter = { match, resolve }
+      waiters.add(waiter)
+      const timer = setTimeout(
+        () => reject(new Error(`Timed out waiting for the bot:\n${tail()}`)),
+        timeout,
+      )
+      exited.then(([code]) =>
+        reject(new Error(`The bot exited with ${code}:\n${tail()}`)),
+      )
+      try {
+        return await promise
+      } finally {
+        clearTimeout(timer)
+        waiters.delete(waiter)
+      }
+    },
+
+    /**
+     * Send a signal, unless the bot exited already
+     *
+     * @param {NodeJS.Signals} [signal] - `SIGKILL` to simulate a crash
+     * @returns {Promise<number | null>} Exit code, null when killed
+     */
+    async stop(signal = 'SIGTERM') {
+      if (bot.exitCode === null && bot.signalCode === null) {
+        bot.kill(signal)
+      }
+      const [code] = await exited
+      return code
+    },
+  }
+
+  function tail() {
+    return logs
+      .slice(-20)
+      .map((entry) => `  ${entry.level}: ${entry.msg}`)
+      .join('\n')
+  }
+}
@@ -1,4 +1,10 @@
-import { formatEther } from 'viem'
+import {
+  encodeFunctionData,
+  formatEther,
+  formatGwei,
+  formatUnits,
+  isAddressEqual,
+} from 'viem'
 import {
   auctionInfo,
   auctionFunds,
@@ -17,14 +23,51 @@ import {
   getQuote as defaultGetQuote,
 } from './swap.js'
 import { logReceipt } from './helpers.js'
+import { logger, withLogContext } from './logger.js'
+import { sizeBid } from './sizing.js'
+import { findBreakEvenTime } from './scheduler.js'
+import { appendLedgerEntry, createTradeEntry } from './ledger.js'
+import { checkRiskLimits } from './risk.js'
+import { simulateAtomicBid, submitAtomicBidAndSwap } from './executor.js'
+import { liquidateStrandedTokens } from './liquidation.js'
+import { getOutbidFees } from './rivals.js'
 
 /**
+ * @import {AuctionInfo} from "@filoz/synapse-core/auction"
  * @import {
  *   Account,
  *   Address,
  *   PublicClient,
+ *   TransactionReceipt,
  *   WalletClient
  * } from "viem"
+ * @import {Checkpoint} from "./checkpoint.js"
+ * @import {AuctionWatcher} from "./events.js"
+ * @import {LeaderElector} from "./leader.js"
+ * @import {EvaluationEntry} from "./ledger.js"
+ * @import {LiquidationOptions} from "./liquidation.js"
+ * @import {Metrics} from "./metrics.js"
+ * @import {Notifier} from "./notify.js"
+ * @import {PriceOracle} from "./oracle.js"
+ * @import {
+ *   RiskLimits,
+ *   SpendTracker
+ * } from "./risk.js"
+ * @import {
+ *   RivalBid,
+ *   RivalWatcher
+ * } from "./rivals.js"
+ * @import {BidEvaluation} from "./sizing.js"
+ * @import {SlippageOptions} from "./slippage.js"
+ * @import {Token} from "./tokens.js"
+ * @import {
+ *   Fees,
+ *   TransactionManager
+ * } from "./transactions.js"
+ * @import {
+ *   PoolWallet,
+ *   WalletPool
+ * } from "./wallets.js"
  */
 
 /**
@@ -69,56 +112,55 @@ export async function getActiveAuction(publicClient, tokenAddress) {
  * @param {PublicClient} config.publicClient - Viem public client for blockchain
  *   queries
  * @param {Address} config.tokenAddress - Token contract address
+ * @param {bigint} [config.at] - Unix time to price the auction at, instead of
+ *   the latest block
  * @returns {Promise<{
  *   auction: any
  *   bidAmount: bigint
  *   auctionPrice: bigint
  * } | null>}
  */
-export async function getTokenAuction({ publicClient, tokenAddress }) {
+export async function getTokenAuction({ publicClient, tokenAddress, at }) {
   const auction = await getActiveAuction(publicClient, tokenAddress)
 
   if (!auction) {
-    console.log(`No active auction found for ${tokenAddress}.`)
+    logger.info(`No active auction found for ${tokenAddress}.`)
     return null
   }
 
   if (auction.availableFees === 0n) {
-    console.log(`No available fees in auction for ${tokenAddress}.`)
+    logger.info(`No available fees in auction for ${tokenAddress}.`)
     return null
   }
 
-  const block = await publicClient.getBlock()
+  const timestamp = at ?? (await publicClient.getBlock()).timestamp
   const bidAmount = auction.availableFees
-  const auctionPrice = auctionPriceAt(auction, block.timestamp)
+  const auctionPrice = auctionPriceAt(auction, timestamp)
   return { auction, bidAmount, auctionPrice }
 }
 
 /**
- * Place a bid on an auction and return the transaction hash
+ * Simulate a `burnForFees` bid and return the request to submit
  *
  * @param {object} args
- * @param {WalletClient} args.walletClient
  * @param {PublicClient} args.publicClient
- * @param {Account} args.account
+ * @param {number | undefined} args.chainId
+ * @param {Account | Address} args.account
  * @param {Address} args.tokenAddress
  * @param {Address} args.recipient
  * @param {bigint} args.amount
  * @param {bigint} args.price
- * @param {number} [args.nonce] - Optional nonce for transaction ordering
- * @returns {Promise<`0x${string}`>}
  */
-export async function placeBid({
-  walletClient,
+export async function simulateBid({
   publicClient,
+  chainId,
   account,
   tokenAddress,
   recipient,
   amount,
   price,
-  nonce,
 }) {
-  const chain = getChain(walletClient?.chain?.id)
+  const chain = getChain(chainId)
   const contractAddress = chain.contracts.payments.address
 
   const { request } = await publicClient.simulateContract({
@@ -130,14 +172,70 @@ export async function placeBid({
     value: price,
   })
 
-  const hash = await walletClient.writeContract({
-    ...request,
-    nonce,
+  return request
+}
+
+/**
+ * Place a bid on an auction and return the transaction hash
+ *
+ * @param {object} args
+ * @param {WalletClient} args.walletClient
+ * @param {PublicClient} args.publicClient
+ * @param {Account} args.account
+ * @param {Address} args.tokenAddress
+ * @param {Address} args.recipient
+ * @param {bigint} args.amount
+ * @param {bigint} args.price
+ * @param {number} [args.nonce] - Optional nonce for transaction ordering
+ * @param {Fees} [args.fees] - Optional fees, e.g. to get ahead of a rival bid
+ * @returns {Promise<`0x${string}`>}
+ */
+export async function placeBid({
+  walletClient,
+  publicClient,
+  account,
+  tokenAddress,
+  recipient,
+  amount,
+  price,
+  nonce,
+  fees,
+}) {
+  const request = await simulateBid({
+    publicClient,
+    chainId: walletClient?.chain?.id,
+    account,
+    tokenAddress,
+    recipient,
+    amount,
+    price,
   })
 
+  const hash = await walletClient.writeContract(
+    /** @type {typeof request} */ ({ ...request, nonce, ...fees }),
+  )
+
   return hash
 }
 
+/**
+ * Turn a simulated `burnForFees` request into raw transaction fields
+ *
+ * @param {Awaited<ReturnType<typeof simulateBid>>} request
+ * @returns {{ to: Address; data: `0x${string}`; value: bigint }}
+ */
+function toTransaction(request) {
+  return {
+    to: request.address,
+    data: encodeFunctionData({
+      abi: request.abi,
+      functionName: request.functionName,
+      args: request.args,
+    }),
+    value: request.value ?? 0n,
+  }
+}
+
 /**
  * Submit bid and swap transactions
  *
@@ -146,11 +244,16 @@ export async function placeBid({
  * @param {PublicClient} args.publicClient
  * @param {Account} args.account
  * @param {Address} args.tokenAddress
- * @param {Address} args.walletAddress
+ * @param {Address} args.recipient - Receives the tokens bid for
  * @param {bigint} args.amount
  * @param {bigint} args.price
  * @param {boolean} args.swapEnabled
  * @param {{ to: Address; data: `0x${string}`; value: bigint }} [args.swapTx]
+ * @param {TransactionManager | null} [args.txManager] - Assigns nonces and
+ *   tracks the transactions until mined
+ * @param {Checkpoint | null} [args.checkpoint] - Told about each transaction as
+ *   soon as it is sent
+ * @param {Fees} [args.fees] - Least fees to pay for both transactions
  * @returns {Promise<{
  *   bidHash: `0x${string}`
  *   swapHash: `0x${string}` | null
@@ -161,55 +264,90 @@ async function submitBidAndSwap({
   publicClient,
   account,
   tokenAddress,
-  walletAddress,
+  recipient,
   amount,
   price,
   swapEnabled,
   swapTx,
+  txManager = null,
+  checkpoint = null,
+  fees,
 }) {
-  const nonce = await publicClient.getTransactionCount({
-    address: account.address,
-  })
+  const nonce = txManager
+    ? await txManager.nextNonce()
+    : await publicClient.getTransactionCount({
+        address: account.address,
+      })
 
   if (swapEnabled) {
-    console.log(
+    logger.info(
       `Submitting bid (nonce ${nonce}) and swap (nonce ${nonce + 1}) simultaneously...`,
+      { nonce },
     )
   } else {
-    console.log('Placing bid...')
+    logger.info('Placing bid...', { nonce })
   }
-  console.log()
 
   try {
-    const bidHash = await placeBid({
+    const bidArgs = {
       walletClient,
       publicClient,
       account,
       tokenAddress,
-      recipient: walletAddress,
+      recipient,
       amount,
       price,
       nonce,
-    })
-    console.log(`Bid transaction: ${bidHash}`)
+      fees,
+    }
+    const bidHash = txManager
+      ? await txManager.send({
+          label: 'bid',
+          nonce,
+          minFees: fees,
+          ...toTransaction(
+            await simulateBid({ ...bidArgs, chainId: walletClient?.chain?.id }),
+          ),
+        })
+      : await placeBid(bidArgs)
+    logger.info(`Bid transaction: ${bidHash}`, { bidHash })
+    await checkpoint?.sent(tokenAddress, { bidHash })
 
     let swapHash = null
     if (swapEnabled && swapTx) {
-      // @ts-expect-error - chain is inferred from walletClient
-      swapHash = await walletClient.sendTransaction({
-        account,
-        to: swapTx.to,
-        data: swapTx.data,
-        value: swapTx.value,
-        nonce: nonce + 1,
-      })
-      console.log(`Swap transaction: ${swapHash}`)
+      try {
+        swapHash = txManager
+          ? await txManager.send({
+              label: 'swap',
+              nonce: nonce + 1,
+              minFees: fees,
+              dependsOn: nonce,
+              ...swapTx,
+            })
+          : // @ts-expect-error - chain is inferred from walletClient
+            await walletClient.sendTransaction({
+              account,
+              to: swapTx.to,
+              data: swapTx.data,
+              value: swapTx.value,
+              nonce: nonce + 1,
+              ...fees,
+            })
+        logger.info(`Swap transaction: ${swapHash}`, { swapHash })
+        await checkpoint?.sent(tokenAddress, { swapHash })
+      } catch (error) {
+        // The bid is out, so it is still seen through and recorded
+        const err = /** @type {Error} */ (error)
+        logger.error(`Swap submission failed: ${err.message}`, { error: err })
+      }
     }
 
     return { bidHash, swapHash }
   } catch (error) {
     const err = /** @type {Error} */ (error)
-    console.log(`Transaction submission failed: ${err.message}`)
+    logger.error(`Transaction submission failed: ${err.message}`, {
+      error: err,
+    })
     return null
   }
 }
@@ -221,101 +359,662 @@ async function submitBidAndSwap({
  * @param {PublicClient} args.publicClient
  * @param {`0x${string}`} args.bidHash
  * @param {`0x${string}` | null} args.swapHash
+ * @param {string} args.tokenSymbol
+ * @param {TransactionManager | null} [args.txManager] - Wait with timeouts, fee
+ *   bumps and cancellation
+ * @param {(fees: Fees) => Promise<boolean>} [args.bidStillPays] - Asked before
+ *   raising the bid's fees; the bid, and the swap with it, is cancelled when it
+ *   no longer pays
+ * @returns {Promise<{
+ *   bidReceipt: TransactionReceipt | null
+ *   swapReceipt: TransactionReceipt | null
+ * }>}
+ *   A null receipt means the transaction was cancelled or is still pending
  */
-async function waitForReceipts({ publicClient, bidHash, swapHash }) {
-  console.log()
-  console.log('Waiting for transaction receipts...')
+async function waitForReceipts({
+  publicClient,
+  bidHash,
+  swapHash,
+  tokenSymbol,
+  txManager = null,
+  bidStillPays,
+}) {
+  logger.info('Waiting for transaction receipts...')
+
+  /**
+   * @param {`0x${string}`} hash
+   * @param {(fees: Fees) => Promise<boolean>} [shouldBump]
+   */
+  const wait = async (hash, shouldBump) => {
+    if (!txManager) {
+      return publicClient.waitForTransactionReceipt({ hash })
+    }
+    const { receipt, cancelled } = await txManager.waitForReceipt(hash, {
+      shouldBump,
+    })
+    return cancelled ? null : receipt
+  }
 
   const [bidReceipt, swapReceipt] = await Promise.all([
-    publicClient.waitForTransactionReceipt({ hash: bidHash }),
-    swapHash
-      ? publicClient.waitForTransactionReceipt({ hash: swapHash })
-      : Promise.resolve(null),
+    wait(bidHash, bidStillPays),
+    swapHash ? wait(swapHash) : Promise.resolve(null),
   ])
 
-  logReceipt('Bid result', bidReceipt)
-  if (bidReceipt.status !== 'success') {
-    console.log('Bid failed.')
+  if (!bidReceipt) {
+    logger.warn('Bid was not mined.', { bidHash })
+  } else {
+    logReceipt('Bid result', bidReceipt)
+    if (bidReceipt.status !== 'success') {
+      logger.warn('Bid failed.', { bidHash })
+    }
   }
 
   if (swapReceipt) {
     logReceipt('Swap result', swapReceipt)
     if (swapReceipt.status !== 'success') {
-      console.log()
-      console.log('Swap failed. USDFC held for next iteration.')
+      logger.warn(`Swap failed. ${tokenSymbol} held for next iteration.`, {
+        swapHash,
+      })
     }
   }
+
+  return { bidReceipt, swapReceipt }
 }
 
 /**
- * Process a single auction check iteration
+ * Simulate the bid and log what would have been submitted
+ *
+ * @param {object} args
+ * @param {PublicClient} args.publicClient
+ * @param {number | undefined} args.chainId
+ * @param {Account} args.account
+ * @param {Token} args.token
+ * @param {Address} args.recipient - Receives the tokens bid for
+ * @param {bigint} args.amount
+ * @param {bigint} args.auctionPrice
+ * @param {bigint} args.profit
+ * @param {{ to: Address; data: `0x${string}`; value: bigint }} [args.swapTx]
+ * @param {Address | null} [args.executorAddress] - Simulate the bid and swap
+ *   atomically through this executor
+ * @param {bigint} [args.minAmountOut] - Least FIL the atomic swap must return
+ * @returns {Promise<boolean>} Whether the bid simulation succeeded
+ */
+async function reportDryRun({
+  publicClient,
+  chainId,
+  account,
+  token,
+  recipient,
+  amount,
+  auctionPrice,
+  profit,
+  swapTx,
+  executorAddress = null,
+  minAmountOut = 0n,
+}) {
+  logger.info('Dry run: simulating bid...')
+
+  try {
+    if (executorAddress && swapTx) {
+      await simulateAtomicBid({
+        publicClient,
+        account,
+        executorAddress,
+        tokenAddress: token.address,
+        amount,
+        price: auctionPrice,
+        swapTx,
+        minAmountOut,
+      })
+    } else {
+      await simulateBid({
+        publicClient,
+        chainId,
+        account,
+        tokenAddress: token.address,
+        recipient,
+        amount,
+        price: auctionPrice,
+      })
+    }
+  } catch (error) {
+    const err = /** @type {Error} */ (error)
+    logger.warn(`Dry run: bid simulation failed: ${err.message}`, {
+      error: err,
+    })
+    return false
+  }
+
+  logger.info(
+    `Dry run: would bid ${formatEther(auctionPrice)} FIL for ${formatUnits(amount, token.decimals)} ${token.symbol}`,
+    { auctionPrice, amount },
+  )
+  if (swapTx) {
+    logger.info(
+      executorAddress
+        ? `Dry run: would swap atomically through executor ${executorAddress} and router ${swapTx.to}`
+        : `Dry run: would swap through router ${swapTx.to}`,
+      { executorAddress, router: swapTx.to },
+    )
+  }
+  logger.info(`Dry run: expected profit ${formatEther(profit)} FIL`, {
+    profit,
+  })
+  return true
+}
+
+/**
+ * Process a single auction check iteration for every registered token
+ *
+ * Each token is evaluated independently, so a failure for one token does not
+ * prevent bids on the others. Tokens stranded by an earlier failed swap are
+ * liquidated first, whether or not the token has an active auction. With a
+ * wallet pool, each wallet's stranded tokens are liquidated and each bid goes
+ * out from the wallet the pool picks.
  *
  * @param {object} config
  * @param {PublicClient} config.publicClient
+ * @param {PublicClient} config.quorumClient
  * @param {WalletClient} config.walletClient
  * @param {Account} config.account
  * @param {Address} config.walletAddress
- * @param {Address} config.usdfcAddress
- * @param {Address} config.usdfcAddressMainnet
+ * @param {Token[]} config.tokens
  * @param {Address | null} config.sushiswapRouterAddress
+ * @param {number[]} [config.bidSizesBps]
+ * @param {SlippageOptions} [config.slippage]
+ * @param {string} [config.ledgerPath]
+ * @param {Metrics} [config.metrics]
+ * @param {boolean} [config.dryRun]
+ * @param {RiskLimits} [config.riskLimits]
+ * @param {SpendTracker} [config.spendTracker]
+ * @param {Address | null} [config.executorAddress]
+ * @param {LiquidationOptions} [config.liquidation]
+ * @param {PriceOracle | null} [config.priceOracle]
+ * @param {TransactionManager | null} [config.txManager]
+ * @param {Checkpoint | null} [config.checkpoint]
+ * @param {RivalWatcher | null} [config.rivals] - Pending rival bids to react to
+ * @param {number | null} [config.outbidPercent]
+ * @param {AuctionWatcher | null} [config.auctionWatcher] - Skips the full
+ *   evaluation of auctions that have not changed
+ * @param {Notifier | null} [config.notifier] - Told about errors, to alert when
+ *   they keep happening
+ * @param {WalletPool | null} [config.walletPool] - Wallets to bid from instead
+ *   of `walletClient`, `account` and `txManager`
+ * @param {Address | null} [config.recipient]
+ * @param {AbortSignal} [config.signal] - Aborted to skip the tokens not checked
+ *   yet, e.g. on shutdown
+ * @param {LeaderElector | null} [config.elector] - Bids are only sent while
+ *   this instance holds the lease
  * @param {typeof defaultGetBalance} [config.getBalance]
  * @param {typeof defaultGetTokenBalance} [config.getTokenBalance]
  * @param {typeof defaultGetQuote} [config.getQuote]
  * @param {typeof defaultGetSwap} [config.getSwap]
+ * @returns {Promise<bigint[]>} Break-even timestamps of auctions that are not
+ *   profitable yet
  */
 export async function processAuctions({
+  tokens,
+  liquidation,
+  rivals = null,
+  auctionWatcher = null,
+  notifier = null,
+  walletPool = null,
+  signal,
+  elector = null,
+  ...config
+}) {
+  /** @type {bigint[]} */
+  const breakEvenTimes = []
+  /** @param {PoolWallet | null} wallet */
+  const walletArgs = (wallet) =>
+    wallet
+      ? {
+          walletClient: wallet.walletClient,
+          account: wallet.account,
+          walletAddress: wallet.address,
+          txManager: wallet.txManager,
+        }
+      : {}
+
+  for (const token of tokens) {
+    if (signal?.aborted) {
+      logger.info(`${signal.reason}, skipping the remaining tokens.`)
+      break
+    }
+    await withLogContext({ token: token.symbol }, async () => {
+      const liquidating = liquidation?.enabled && config.sushiswapRouterAddress
+      for (const wallet of liquidating ? (walletPool?.wallets ?? [null]) : []) {
+        try {
+          await liquidateStrandedTokens({
+            ...config,
+            ...walletArgs(wallet),
+            token,
+            liquidation: /** @type {LiquidationOptions} */ (liquidation),
+            notifier,
+          })
+        } catch (error) {
+          const err = /** @type {Error} */ (error)
+          notifier?.recordError(err)
+          logger.error(
+            `Error during ${token.symbol} liquidation: ${err.message}`,
+            { error: err },
+          )
+        }
+      }
+
+      logger.info(`Checking ${token.symbol} auction...`)
+
+      try {
+        if (
+          auctionWatcher &&
+          !(await auctionWatcher.shouldEvaluate(token.address))
+        ) {
+          logger.info(
+            `No ${token.symbol} auction changes since the last check.`,
+          )
+          const breakEvenTime = auctionWatcher.breakEvenTime(token.address)
+          if (breakEvenTime !== null) {
+            breakEvenTimes.push(breakEvenTime)
+          }
+          return
+        }
+
+        const result = await processTokenAuction({
+          ...config,
+          ...walletArgs((await walletPool?.pick()) ?? null),
+          token,
+          rival: rivals?.pendingBid(token.address) ?? null,
+          notifier,
+          signal,
+          elector,
+        })
+        auctionWatcher?.recordEvaluation(
+          token.address,
+          result?.breakEvenTime ?? null,
+          { walletBound: result?.walletBound ?? false },
+        )
+        if (result && result.breakEvenTime !== null) {
+          breakEvenTimes.push(result.breakEvenTime)
+        }
+      } catch (error) {
+        const err = /** @type {Error} */ (error)
+        notifier?.recordError(err)
+        logger.error(
+          `Error during ${token.symbol} auction check: ${err.message}`,
+          { error: err },
+        )
+      }
+    })
+
+    logger.blank()
+  }
+
+  return breakEvenTimes
+}
+
+/**
+ * @typedef {'quote-failed'
+ *   | 'not-profitable'
+ *   | 'price-mismatch'
+ *   | 'risk-limit'
+ *   | 'insufficient-balance'
+ *   | 'bid'} Decision
+ */
+
+/**
+ * @typedef {object} AuctionEvaluation
+ * @property {Decision} decision
+ * @property {BidEvaluation | null} best - Most profitable bid size
+ * @property {Partial<EvaluationEntry>} details - Recorded in the ledger with
+ *   the decision
+ * @property {bigint | null} breakEvenTime - When an auction that is not
+ *   profitable yet is expected to be
+ */
+
+/**
+ * Decide whether to bid on an auction at its current price, and for how much
+ *
+ * This is the part of `processTokenAuction` that sends nothing, so the
+ * backtester can replay recorded auctions through it.
+ *
+ * @param {object} args
+ * @param {Token} args.token
+ * @param {AuctionInfo} args.auction
+ * @param {bigint} args.auctionPrice
+ * @param {bigint} args.availableFees
+ * @param {bigint} args.bidGasCost
+ * @param {bigint} args.gasPrice - Gas price bids and swaps are costed at
+ * @param {bigint} args.balance - Wallet FIL balance
+ * @param {boolean} args.swapEnabled
+ * @param {number[]} [args.bidSizesBps]
+ * @param {SlippageOptions} [args.slippage]
+ * @param {RiskLimits} [args.riskLimits]
+ * @param {bigint} [args.spentLast24h] - FIL spent on bids in the last 24 hours
+ * @param {PriceOracle | null} [args.priceOracle]
+ * @param {Metrics} [args.metrics]
+ * @param {Notifier | null} [args.notifier]
+ * @param {typeof defaultGetQuote} [args.getQuote]
+ * @returns {Promise<AuctionEvaluation>}
+ */
+export async function evaluateAuction({
+  token,
+  auction,
+  auctionPrice,
+  availableFees,
+  bidGasCost,
+  gasPrice,
+  balance,
+  swapEnabled,
+  bidSizesBps,
+  slippage,
+  riskLimits,
+  spentLast24h = 0n,
+  priceOracle = null,
+  metrics,
+  notifier = null,
+  getQuote = defaultGetQuote,
+}) {
+  const labels = { token: token.symbol }
+  logger.info('Getting Sushiswap quotes...')
+
+  const { best, evaluations, failedStatus } = await sizeBid({
+    quoteAddress: token.quoteAddress,
+    availableFees,
+    auctionPrice,
+    bidGasCost,
+    gasPrice,
+    swapEnabled,
+    sizesBps: bidSizesBps,
+    slippage,
+    getQuote,
+  }).catch(async (error) => {
+    await notifier?.notify(
+      'quote-source-down',
+      `Sushiswap quote for ${token.symbol} failed: ${error.message}`,
+      { key: 'sushiswap' },
+    )
+    throw error
+  })
+
+  if (!best) {
+    logger.info(`Skipping auction: swap quote status is ${failedStatus}`)
+    return {
+      decision: 'quote-failed',
+      best: null,
+      details: {},
+      breakEvenTime: null,
+    }
+  }
+
+  if (evaluations.length > 1) {
+    for (const evaluation of evaluations) {
+      logger.info(
+        `Bid sizing: ${formatUnits(evaluation.amount, token.decimals)} ${token.symbol}: ${formatEther(evaluation.profit)} FIL net`,
+        { amount: evaluation.amount, profit: evaluation.profit },
+      )
+    }
+  }
+
+  const { amount, swapAmountOut, totalGasCost, totalCost } = best
+  const isProfitable = swapAmountOut >= totalCost
+  const evaluated = { amount, swapAmountOut, totalCost }
+  /**
+   * @param {Decision} decision
+   * @param {Partial<EvaluationEntry>} [details]
+   * @param {bigint | null} [breakEvenTime]
+   * @returns {AuctionEvaluation}
+   */
+  const decide = (decision, details = evaluated, breakEvenTime = null) => ({
+    decision,
+    best,
+    details,
+    breakEvenTime,
+  })
+  metrics?.quoteAmountOut.set(labels, Number(formatEther(swapAmountOut)))
+  if (isProfitable) {
+    metrics?.profitableChecks.inc(labels)
+  } else {
+    metrics?.unprofitableChecks.inc(labels)
+  }
+
+  logger.info(
+    `Price comparison: ${formatUnits(amount, token.decimals)} ${token.symbol} for ${formatEther(auctionPrice)} FIL plus ${formatEther(totalGasCost)} FIL gas, ${formatEther(totalCost)} FIL in total. Minimum swap out amount: ${formatEther(swapAmountOut)} FIL (${(best.slippage * 100).toFixed(2)}% slippage)`,
+    {
+      amount,
+      auctionPrice,
+      totalGasCost,
+      totalCost,
+      swapAmountOut,
+      slippage: best.slippage,
+    },
+  )
+
+  if (!isProfitable) {
+    logger.info('Auction not profitable. Swap output below total cost.')
+
+    // Highest price any candidate size could still pay for itself at
+    let breakEvenPrice = -1n
+    for (const evaluation of evaluations) {
+      const price = evaluation.swapAmountOut - evaluation.totalGasCost
+      if (price > breakEvenPrice) breakEvenPrice = price
+    }
+
+    const breakEvenTime = findBreakEvenTime(auction, breakEvenPrice)
+    if (breakEvenTime !== null) {
+      logger.info(
+        `Expected to become profitable at ${new Date(Number(breakEvenTime) * 1000).toISOString()}`,
+        { breakEvenTime },
+      )
+    }
+    return decide('not-profitable', evaluated, breakEvenTime)
+  }
+
+  if (priceOracle) {
+    logger.info('Verifying quote against price sources...')
+    const mismatch = await priceOracle.verify({
+      token,
+      amount,
+      amountOut: BigInt(best.quote.assumedAmountOut),
+    })
+    if (mismatch) {
+      logger.warn(`Quote rejected: ${mismatch.message}`)
+      metrics?.priceMismatches.inc({ ...labels, source: mismatch.source })
+      return decide('price-mismatch', {
+        ...evaluated,
+        reason: mismatch.source,
+      })
+    }
+  }
+
+  if (riskLimits) {
+    const blocked = checkRiskLimits({
+      limits: riskLimits,
+      profit: best.profit,
+      totalCost,
+      balance,
+      spentLast24h,
+    })
+    if (blocked) {
+      logger.warn(`Bid blocked by ${blocked.limit}: ${blocked.message}`)
+      return decide('risk-limit', { ...evaluated, reason: blocked.limit })
+    }
+  }
+
+  logger.info('Checking balance...')
+
+  if (balance < totalCost) {
+    logger.warn(
+      `Insufficient balance. Need ${formatEther(totalCost)} FIL (including estimated gas) but only have ${formatEther(balance)} FIL`,
+    )
+    return decide('insufficient-balance')
+  }
+
+  return decide('bid')
+}
+
+/**
+ * Decisions against bidding that a wallet top-up, a settled transaction or the
+ * passing of time can undo, without any auction event
+ *
+ * @type {Set<Decision>}
+ */
+const WALLET_DECISIONS = new Set(['risk-limit', 'insufficient-balance'])
+
+/**
+ * Evaluate the auction for a single token and bid if profitable
+ *
+ * @param {object} config
+ * @param {PublicClient} config.publicClient
+ * @param {PublicClient} config.quorumClient - Client for the auction and
+ *   balance reads the bid is decided on; `publicClient` unless `RPC_QUORUM` is
+ *   set
+ * @param {WalletClient} config.walletClient
+ * @param {Account} config.account
+ * @param {Address} config.walletAddress
+ * @param {Token} config.token
+ * @param {Address | null} config.sushiswapRouterAddress
+ * @param {number[]} [config.bidSizesBps] - Candidate bid sizes in basis points
+ *   of the available fees
+ * @param {SlippageOptions} [config.slippage] - Slippage tolerance for quotes
+ *   and swaps
+ * @param {string} [config.ledgerPath] - JSONL file to record evaluations and
+ *   trades in
+ * @param {Metrics} [config.metrics]
+ * @param {boolean} [config.dryRun] - Evaluate and simulate the bid without
+ *   sending any transactions
+ * @param {RiskLimits} [config.riskLimits] - Limits a profitable bid must also
+ *   pass
+ * @param {SpendTracker} [config.spendTracker] - FIL spent in the last 24 hours,
+ *   for `riskLimits.maxDailySpend`
+ * @param {Address | null} [config.executorAddress] - Executor contract to bid
+ *   and swap through in a single transaction
+ * @param {PriceOracle | null} [config.priceOracle] - Sources a profitable quote
+ *   must agree with before bidding
+ * @param {TransactionManager | null} [config.txManager] - Sends transactions
+ *   and sees them through to a receipt; bids wait while any are pending
+ * @param {Checkpoint | null} [config.checkpoint] - Keeps the trade from its bid
+ *   until it is recorded, for a restart to finish
+ * @param {RivalBid | null} [config.rival] - Pending bid by another wallet for
+ *   this auction
+ * @param {number | null} [config.outbidPercent] - Bid ahead of `rival` with
+ *   fees this much higher, or null to leave the fees alone
+ * @param {bigint} [config.at] - Evaluate the auction at this unix time instead
+ *   of now. Only supported in dry run mode, and the bid is not simulated.
+ * @param {Notifier | null} [config.notifier] - Alerted about bids, failed
+ *   transactions, a low balance and failing quotes
+ * @param {Address | null} [config.recipient] - Receives the tokens bid for,
+ *   instead of `walletAddress`, which then does not swap them
+ * @param {AbortSignal} [config.signal] - Aborted, e.g. on shutdown, to not send
+ *   the bid
+ * @param {LeaderElector | null} [config.elector] - The bid is only sent while
+ *   this instance holds the lease
+ * @param {typeof defaultGetBalance} [config.getBalance]
+ * @param {typeof defaultGetTokenBalance} [config.getTokenBalance]
+ * @param {typeof defaultGetQuote} [config.getQuote]
+ * @param {typeof defaultGetSwap} [config.getSwap]
+ * @returns {Promise<
+ *   { breakEvenTime: bigint | null; walletBound: boolean } | undefined
+ * >}
+ *   When the auction is not profitable yet, the time at which its price is
+ *   expected to cross our break-even. `walletBound` when no bid was placed for
+ *   a reason that changes with the wallet rather than the auction, such as its
+ *   balance or pending transactions.
+ */
+export async function processTokenAuction({
   publicClient,
+  quorumClient = publicClient,
   walletClient,
   account,
   walletAddress,
-  usdfcAddress,
-  usdfcAddressMainnet,
+  token,
   sushiswapRouterAddress,
+  bidSizesBps,
+  slippage,
+  ledgerPath,
+  metrics,
+  dryRun = false,
+  riskLimits,
+  spendTracker,
+  executorAddress = null,
+  priceOracle = null,
+  txManager = null,
+  checkpoint = null,
+  rival = null,
+  outbidPercent = null,
+  at,
+  notifier = null,
+  recipient = null,
+  signal,
+  elector = null,
   getBalance = defaultGetBalance,
   getTokenBalance = defaultGetTokenBalance,
   getQuote = defaultGetQuote,
   getSwap = defaultGetSwap,
 }) {
-  const balance = await getBalance(publicClient, walletAddress)
-  console.log(`Wallet balance: ${formatEther(balance)} FIL`)
+  const balance = await getBalance(quorumClient, walletAddress)
+  logger.info(`Wallet balance: ${formatEther(balance)} FIL`, { balance })
+  metrics?.walletBalance.set(
+    { wallet: walletAddress },
+    Number(formatEther(balance)),
+  )
 
-  const existingUsdfcBalance = await getTokenBalance(
-    publicClient,
-    usdfcAddress,
+  const existingTokenBalance = await getTokenBalance(
+    quorumClient,
+    token.address,
     walletAddress,
   )
-  console.log(
-    `Existing USDFC balance: ${formatEther(existingUsdfcBalance)} USDFC`,
+  logger.info(
+    `Existing ${token.symbol} balance: ${formatUnits(existingTokenBalance, token.decimals)} ${token.symbol}`,
+    { tokenBalance: existingTokenBalance },
+  )
+  const labels = { token: token.symbol }
+  metrics?.tokenBalance.set(
+    { ...labels, wallet: walletAddress },
+    Number(formatUnits(existingTokenBalance, token.decimals)),
   )
 
-  const usdfcAuctionData = await getTokenAuction({
-    publicClient,
-    tokenAddress: usdfcAddress,
+  if (at !== undefined && !dryRun) {
+    throw new Error('Evaluating an auction at another time requires dry run')
+  }
+
+  const auctionData = await getTokenAuction({
+    publicClient: quorumClient,
+    tokenAddress: token.address,
+    at,
   })
-  if (!usdfcAuctionData) return
+  if (!auctionData) return
 
-  console.log(
-    `Found active auction for USDFC with ${formatEther(usdfcAuctionData.auction.availableFees)} tokens available`,
+  const { auction, bidAmount, auctionPrice } = auctionData
+  logger.info(
+    `Found active auction for ${token.symbol} with ${formatUnits(auction.availableFees, token.decimals)} tokens available`,
+    { availableFees: auction.availableFees, auctionPrice },
   )
-
-  const { auction, bidAmount, auctionPrice } = usdfcAuctionData
+  metrics?.auctionPrice.set(labels, Number(formatEther(auctionPrice)))
   const chain = getChain(walletClient?.chain?.id)
   const contractAddress = chain.contracts.payments.address
-  const swapEnabled = sushiswapRouterAddress !== null
-  const totalSwapAmount = existingUsdfcBalance + bidAmount
-
-  console.log()
-  console.log('Getting Sushiswap quote...')
+  const receiver = recipient ?? walletAddress
+  // Tokens sent elsewhere are not the wallet's to sell
+  const swapEnabled =
+    sushiswapRouterAddress !== null && isAddressEqual(receiver, walletAddress)
+  // Atomic execution needs a swap to bundle with the bid
+  const atomic = swapEnabled && executorAddress !== null
 
-  const quote = await getQuote({
-    tokenIn: usdfcAddressMainnet,
-    tokenOut: SUSHISWAP_NATIVE_PLACEHOLDER,
-    amount: bidAmount,
-  })
-
-  if (quote.status !== 'Success') {
-    console.log(`Skipping auction: swap quote status is ${quote.status}`)
-    return
+  /**
+   * @param {string} decision
+   * @param {Partial<EvaluationEntry>} [details]
+   */
+  const recordEvaluation = async (decision, details = {}) => {
+    logger.info(`Decision: ${decision}`, { decision, auctionPrice, ...details })
+    if (!ledgerPath) return
+    await appendLedgerEntry(ledgerPath, {
+      type: 'evaluation',
+      timestamp: new Date().toISOString(),
+      token: token.symbol,
+      tokenAddress: token.address,
+      decision,
+      auctionPrice,
+      ...details,
+    })
   }
 
   const [bidGasEstimate, gasPrice] = await Promise.all([
@@ -324,79 +1023,326 @@ export async function processAuctions({
       address: contractAddress,
       abi: payments,
       functionName: 'burnForFees',
-      args: [/** @type {Address} */ (auction.token), walletAddress, bidAmount],
+      args: [/** @type {Address} */ (auction.token), receiver, bidAmount],
       value: auctionPrice,
     }),
     publicClient.getGasPrice(),
   ])
-  const bidGasCost = gasPrice * bidGasEstimate
 
-  const swapGasCost = swapEnabled ? BigInt(quote.gasSpent) * gasPrice : 0n
-  const swapAmountOut = BigInt(quote.assumedAmountOut)
-  const totalGasCost = bidGasCost + swapGasCost
-  const totalCost = auctionPrice + totalGasCost
-  const isProfitable = swapAmountOut >= totalCost
-
-  console.log()
-  console.log('Price comparison:')
-  console.log(` Auction price: ${formatEther(auctionPrice)} FIL`)
-  console.log(` Total gas cost: ${formatEther(totalGasCost)} FIL`)
-  console.log(` Total cost: ${formatEther(totalCost)} FIL`)
-  console.log(` Swap out amount: ${formatEther(swapAmountOut)} FIL`)
-
-  if (!isProfitable) {
-    console.log()
-    console.log('Auction not profitable. Swap output below total cost.')
-    return
+  // Getting ahead of a rival costs more gas, so price the bid at our fee cap
+  const outbidFees =
+    rival && outbidPercent !== null ? getOutbidFees(rival, outbidPercent) : null
+  if (rival) {
+    logger.info(
+      outbidFees
+        ? `Rival bid pending from ${rival.bidder}: bidding ahead at ${formatGwei(outbidFees.maxPriorityFeePerGas)} gwei premium`
+        : `Rival bid pending from ${rival.bidder}`,
+      { rivalBidder: rival.bidder, rivalHash: rival.hash },
+    )
   }
+  const costGasPrice =
+    outbidFees && outbidFees.maxFeePerGas > gasPrice
+      ? outbidFees.maxFeePerGas
+      : gasPrice
+  const bidGasCost = costGasPrice * bidGasEstimate
 
-  console.log()
-  console.log('Checking balance...')
-
-  if (balance < totalCost) {
-    console.log(
-      `Insufficient balance. Need ${formatEther(totalCost)} FIL (including estimated gas) but only have ${formatEther(balance)} FIL`,
-    )
-    return
+  const evaluation = await evaluateAuction({
+    token,
+    auction,
+    auctionPrice,
+    availableFees: bidAmount,
+    bidGasCost,
+    gasPrice: costGasPrice,
+    balance,
+    swapEnabled,
+    bidSizesBps,
+    slippage,
+    riskLimits,
+    spentLast24h: spendTracker?.spentLast24h() ?? 0n,
+    priceOracle,
+    metrics,
+    notifier,
+    getQuote,
+  })
+  if (evaluation.decision !== 'bid') {
+    await recordEvaluation(evaluation.decision, evaluation.details)
+    if (evaluation.decision === 'insufficient-balance') {
+      await notifier?.notify(
+        'insufficient-balance',
+        `Wallet ${walletAddress} has ${formatEther(balance)} FIL, but a profitable ${token.symbol} bid needs ${formatEther(/** @type {bigint} */ (evaluation.details.totalCost))} FIL`,
+        {
+          key: token.symbol,
+          fields: {
+            token: token.symbol,
+            balance,
+            totalCost: evaluation.details.totalCost,
+          },
+        },
+      )
+    }
+    return {
+      breakEvenTime: evaluation.breakEvenTime,
+      walletBound: WALLET_DECISIONS.has(evaluation.decision),
+    }
   }
 
+  const best = /** @type {BidEvaluation} */ (evaluation.best)
+  const { amount, totalCost } = best
+  // The executor only holds the tokens it bids for
+  const totalSwapAmount = atomic ? amount : existingTokenBalance + amount
+  const swapSender = atomic
+    ? /** @type {Address} */ (executorAddress)
+    : walletAddress
+  const evaluated = evaluation.details
+
   // Get swap transaction data (only if profitable)
   const swapData = swapEnabled
     ? await getSwap({
         chainId: ChainId.FILECOIN,
-        tokenIn: usdfcAddressMainnet,
+        tokenIn: token.quoteAddress,
         tokenOut: SUSHISWAP_NATIVE_PLACEHOLDER,
         amount: totalSwapAmount,
-        sender: walletAddress,
-        maxSlippage: 0.005,
+        sender: swapSender,
+        recipient: swapSender,
+        maxSlippage: best.slippage,
         simulate: false,
       })
     : null
 
   if (swapData && swapData?.status !== RouteStatus.Success) {
-    console.log(
+    logger.info(
       `Skipping auction: swap data retrieval status is ${swapData?.status}`,
     )
+    await recordEvaluation('swap-route-failed', evaluated)
     return
   }
 
-  const txResult = await submitBidAndSwap({
-    walletClient,
-    publicClient,
-    account,
-    tokenAddress: /** @type {Address} */ (auction.token),
-    walletAddress,
-    amount: bidAmount,
-    price: auctionPrice,
-    swapEnabled,
-    swapTx: swapData?.tx,
+  // An atomic bid reverts unless the swap covers its cost and minimum profit
+  const minAmountOut = totalCost + (riskLimits?.minProfit ?? 0n)
+
+  if (dryRun && at !== undefined) {
+    // The chain can only simulate the bid at today's price
+    logger.info(
+      `Dry run: would bid ${formatEther(auctionPrice)} FIL for ${formatUnits(amount, token.decimals)} ${token.symbol} at ${new Date(Number(at) * 1000).toISOString()}`,
+      { auctionPrice, amount, at },
+    )
+    logger.info(`Dry run: expected profit ${formatEther(best.profit)} FIL`, {
+      profit: best.profit,
+    })
+    return
+  }
+
+  if (dryRun) {
+    const simulated = await reportDryRun({
+      publicClient,
+      chainId: walletClient?.chain?.id,
+      account,
+      token,
+      recipient: receiver,
+      amount,
+      auctionPrice,
+      profit: best.profit,
+      swapTx: swapData?.tx,
+      executorAddress: atomic ? executorAddress : null,
+      minAmountOut,
+    })
+    await recordEvaluation(
+      simulated ? 'dry-run' : 'simulation-failed',
+      evaluated,
+    )
+    return
+  }
+
+  const stuck = txManager?.pending().length ?? 0
+  if (stuck > 0) {
+    logger.warn(`Skipping bid: ${stuck} earlier transaction(s) still pending`)
+    await recordEvaluation('pending-transactions', evaluated)
+    return { breakEvenTime: null, walletBound: true }
+  }
+
+  // The lease can run out while quotes are fetched, and a standby that took
+  // over may already be bidding on the same auction
+  const stopped = signal?.aborted
+    ? String(signal.reason)
+    : elector && !elector.isLeader()
+      ? 'Lost the leader lease'
+      : null
+  if (stopped) {
+    logger.warn(`Not bidding: ${stopped}`)
+    await recordEvaluation('aborted', { ...evaluated, reason: stopped })
+    return
+  }
+
+  await checkpoint?.start({
+    token: token.symbol,
+    tokenAddress: token.address,
+    amount,
+    auctionPrice,
+    atomic: Boolean(atomic && swapData),
   })
+  const txResult =
+    atomic && swapData
+      ? await submitAtomicBidAndSwap({
+          walletClient,
+          publicClient,
+          account,
+          executorAddress: /** @type {Address} */ (executorAddress),
+          tokenAddress: /** @type {Address} */ (auction.token),
+          amount,
+          price: auctionPrice,
+          swapTx: swapData.tx,
+          minAmountOut,
+          txManager,
+          fees: outbidFees ?? undefined,
+        }).then(async (hash) => {
+          if (!hash) return null
+          await checkpoint?.sent(token.address, { bidHash: hash })
+          return { bidHash: hash, swapHash: null }
+        })
+      : await submitBidAndSwap({
+          walletClient,
+          publicClient,
+          account,
+          tokenAddress: /** @type {Address} */ (auction.token),
+          recipient: receiver,
+          amount,
+          price: auctionPrice,
+          swapEnabled,
+          swapTx: swapData?.tx,
+          txManager,
+          checkpoint,
+          fees: outbidFees ?? undefined,
+        })
 
-  if (!txResult) return
+  if (!txResult) {
+    await checkpoint?.finish(token.address)
+    metrics?.bidsFailed.inc(labels)
+    await recordEvaluation('submission-failed', evaluated)
+    await notifier?.notify(
+      'tx-failed',
+      `Submitting the ${token.symbol} bid failed`,
+      { fields: { token: token.symbol, ...evaluated } },
+    )
+    return { breakEvenTime: null, walletBound: true }
+  }
+  metrics?.bidsSubmitted.inc(labels)
+  await recordEvaluation('bid', evaluated)
+  await notifier?.notify(
+    'bid-placed',
+    `Bid ${formatEther(auctionPrice)} FIL for ${formatUnits(amount, token.decimals)} ${token.symbol}, expecting ${formatEther(best.profit)} FIL profit: ${txResult.bidHash}`,
+    {
+      key: txResult.bidHash,
+      fields: {
+        token: token.symbol,
+        auctionPrice,
+        amount,
+        profit: best.profit,
+        ...txResult,
+      },
+    },
+  )
 
-  await waitForReceipts({
+  /**
+   * Whether the bid still pays at raised fees: its auction is still open at no
+   * more than the price bid, and the swap covers the gas at the new fee cap
+   *
+   * @param {Fees} fees
+   */
+  const bidStillPays = async (fees) => {
+    const current = await getActiveAuction(quorumClient, token.address)
+    if (!current || current.availableFees < amount) {
+      logger.info(`The ${token.symbol} auction was taken or reset.`)
+      return false
+    }
+    const { timestamp } = await quorumClient.getBlock()
+    if (auctionPriceAt(current, timestamp) > auctionPrice) {
+      logger.info(`The ${token.symbol} auction restarted above the bid.`)
+      return false
+    }
+    const { best: rechecked } = await sizeBid({
+      quoteAddress: token.quoteAddress,
+      availableFees: amount,
+      auctionPrice,
+      bidGasCost: bidGasEstimate * fees.maxFeePerGas,
+      gasPrice: fees.maxFeePerGas,
+      swapEnabled,
+      sizesBps: [10000],
+      slippage,
+      getQuote,
+    })
+    if (!rechecked) {
+      logger.info(`No ${token.symbol} quote to re-check the bid against.`)
+      return false
+    }
+    logger.info(
+      `Bid profit at raised fees: ${formatEther(rechecked.profit)} FIL`,
+      { profit: rechecked.profit, ...fees },
+    )
+    return rechecked.profit >= 0n
+  }
+
+  const receipts = await waitForReceipts({
     publicClient,
     bidHash: txResult.bidHash,
     swapHash: txResult.swapHash,
+    tokenSymbol: token.symbol,
+    txManager,
+    bidStillPays,
   })
+  const { bidReceipt } = receipts
+  if (!bidReceipt) {
+    await checkpoint?.finish(token.address)
+    metrics?.bidsFailed.inc(labels)
+    await notifier?.notify(
+      'tx-failed',
+      `${token.symbol} bid was not mined: ${txResult.bidHash}`,
+      { fields: { token: token.symbol, ...txResult } },
+    )
+    return { breakEvenTime: null, walletBound: true }
+  }
+  // The atomic transaction's receipt carries both the bid and the swap
+  const swapReceipt = atomic ? bidReceipt : receipts.swapReceipt
+  if (bidReceipt.status !== 'success') {
+    metrics?.bidsFailed.inc(labels)
+    if (atomic) {
+      logger.warn('Bid and swap reverted together. Only gas was spent.')
+    }
+    await notifier?.notify(
+      'tx-failed',
+      `${token.symbol} bid reverted: ${txResult.bidHash}`,
+      { fields: { token: token.symbol, ...txResult } },
+    )
+  } else if (swapReceipt && swapReceipt.status !== 'success') {
+    await notifier?.notify(
+      'tx-failed',
+      `${token.symbol} swap reverted, leaving the tokens in the wallet: ${txResult.swapHash}`,
+      { fields: { token: token.symbol, ...txResult } },
+    )
+  } else if (swapEnabled && !swapReceipt) {
+    await notifier?.notify(
+      'tx-failed',
+      `${token.symbol} swap was not sent or not mined, leaving the tokens in the wallet`,
+      { fields: { token: token.symbol, ...txResult } },
+    )
+  }
+
+  if (ledgerPath || spendTracker) {
+    const trade = createTradeEntry({
+      token,
+      amount,
+      auctionPrice,
+      bidReceipt,
+      swapReceipt,
+    })
+    spendTracker?.record(trade.filPaid)
+    if (ledgerPath) {
+      await appendLedgerEntry(ledgerPath, trade)
+    }
+    logger.info(`Realized profit: ${formatEther(trade.profit)} FIL`, {
+      profit: trade.profit,
+      bidHash: trade.bidHash,
+      swapHash: trade.swapHash,
+    })
+  }
+  await checkpoint?.finish(token.address)
 }
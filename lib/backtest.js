@@ -0,0 +1,559 @@
+import { readFile as defaultReadFile } from 'node:fs/promises'
+import { basename } from 'node:path'
+import { auctionPriceAt } from '@filoz/synapse-core/auction'
+import { formatEther, formatUnits } from 'viem'
+import { parse as parseYaml } from 'yaml'
+import { evaluateAuction } from './auction.js'
+import { parseBotOptions } from './config.js'
+import { configToEnv, describeProblem } from './config-file.js'
+import { withLogContext } from './logger.js'
+import { createSpendTracker, parseRiskLimits } from './risk.js'
+import { getNextCheckDelay } from './scheduler.js'
+import { parseBidSizes } from './sizing.js'
+import { parseSlippage } from './slippage.js'
+
+/**
+ * @import {AuctionInfo} from "@filoz/synapse-core/auction"
+ * @import {Decision} from "./auction.js"
+ * @import {RiskLimits} from "./risk.js"
+ * @import {ScheduleOptions} from "./scheduler.js"
+ * @import {SlippageOptions} from "./slippage.js"
+ * @import {QuoteResponse} from "./swap.js"
+ * @import {Token} from "./tokens.js"
+ */
+
+/**
+ * Something that happened to a token's auction, at a unix time in seconds
+ *
+ * - `auction`: `auctionInfo` as read at that time, e.g. after a bid restarted the
+ *   auction; `availableFees` is optional
+ * - `fees`: network fees added to the auction
+ * - `burn`: another wallet bid `price` for `amount` tokens
+ *
+ * @typedef {{ time: number; token: string } & (
+ *   | {
+ *       type: 'auction'
+ *       startPrice: bigint
+ *       startTime: bigint
+ *       availableFees?: bigint
+ *     }
+ *   | { type: 'fees'; amount: bigint }
+ *   | { type: 'burn'; amount: bigint; price: bigint; bidder?: string }
+ * )} AuctionEvent
+ */
+
+/**
+ * A recorded Sushiswap quote for selling `amount` tokens
+ *
+ * @typedef {QuoteResponse & {
+ *   time: number
+ *   token: string
+ *   amount: bigint
+ * }} RecordedQuote
+ */
+
+/**
+ * Recorded auction and market history to replay
+ *
+ * @typedef {object} Fixture
+ * @property {Token[]} tokens
+ * @property {AuctionEvent[]} events - In time order
+ * @property {RecordedQuote[]} quotes
+ * @property {{ time: number; gasPrice: bigint }[]} gasPrices
+ * @property {bigint} bidGas - Gas a bid uses
+ * @property {bigint} balance - FIL the wallet starts with
+ * @property {number} start - Unix time of the first check
+ * @property {number} end - Unix time after which no more checks are made
+ */
+
+/**
+ * Settings that change how the bot trades
+ *
+ * @typedef {object} Strategy
+ * @property {string} name
+ * @property {number[]} bidSizesBps
+ * @property {SlippageOptions} slippage
+ * @property {RiskLimits} riskLimits
+ * @property {ScheduleOptions} schedule
+ */
+
+/**
+ * @typedef {object} BacktestTrade
+ * @property {number} time
+ * @property {string} token
+ * @property {bigint} amount
+ * @property {bigint} auctionPrice
+ * @property {bigint} totalCost - Auction price plus gas
+ * @property {bigint} filReturned - Quoted swap output
+ * @property {bigint} profit
+ */
+
+/**
+ * A bid by another wallet that the strategy would have made at that price
+ *
+ * @typedef {object} MissedTrade
+ * @property {number} time
+ * @property {string} token
+ * @property {bigint} amount
+ * @property {bigint} auctionPrice
+ * @property {bigint} profit - What the strategy expected to make at that price
+ * @property {string | null} bidder
+ */
+
+/**
+ * @typedef {object} BacktestReport
+ * @property {string} strategy
+ * @property {number} checks - Auction checks made
+ * @property {Partial<Record<Decision, number>>} decisions - Evaluations by
+ *   outcome
+ * @property {BacktestTrade[]} trades
+ * @property {MissedTrade[]} missed
+ * @property {bigint} filPaid
+ * @property {bigint} filReturned
+ * @property {bigint} profit
+ */
+
+/**
+ * @typedef {object} TokenState
+ * @property {Token} token
+ * @property {AuctionInfo | null} auction
+ * @property {bigint} recordedFees - Fees in the recorded auction
+ * @property {bigint} taken - Fees the strategy took that no recorded bid has
+ *   claimed since
+ * @property {RecordedQuote[]} quotes
+ */
+
+const BIGINT_FIELDS = new Set([
+  'startPrice',
+  'startTime',
+  'availableFees',
+  'amount',
+  'price',
+  'gasPrice',
+  'bidGas',
+  'balance',
+])
+
+const EVENT_TYPES = ['auction', 'fees', 'burn']
+
+/**
+ * Read a recorded fixture file
+ *
+ * FIL and token amounts are integer strings in wei, times unix seconds.
+ *
+ * @param {string} path
+ * @param {object} [options]
+ * @param {typeof defaultReadFile} [options.readFile]
+ * @returns {Promise<Fixture>}
+ */
+export async function readFixture(path, { readFile = defaultReadFile } = {}) {
+  const source = basename(path)
+  let fixture
+  try {
+    fixture = JSON.parse(await readFile(path, 'utf8'), (key, value) =>
+      BIGINT_FIELDS.has(key) &&
+      (typeof value === 'string' || typeof value === 'number')
+        ? BigInt(value)
+        : value,
+    )
+  } catch (error) {
+    throw new Error(
+      `${source} is not a valid fixture: ${/** @type {Error} */ (error).message}`,
+    )
+  }
+
+  const { tokens, events = [], quotes = [], gasPrices = [] } = fixture
+  if (!Array.isArray(tokens) || tokens.length === 0) {
+    throw new Error(`${source} must list the tokens to replay`)
+  }
+  const symbols = tokens.map((token) => token.symbol)
+  for (const item of [...events, ...quotes]) {
+    if (typeof item.time !== 'number') {
+      throw new Error(`${source}: every event and quote needs a unix time`)
+    }
+    if (!symbols.includes(item.token)) {
+      throw new Error(`${source}: unknown token ${item.token}`)
+    }
+  }
+  for (const event of events) {
+    if (!EVENT_TYPES.includes(event.type)) {
+      throw new Error(
+        `${source}: event type must be one of ${EVENT_TYPES.join(', ')}, got ${event.type}`,
+      )
+    }
+  }
+  if (gasPrices.length === 0) {
+    throw new Error(`${source} must record at least one gas price`)
+  }
+  if (typeof fixture.bidGas !== 'bigint') {
+    throw new Error(`${source} must set bidGas, the gas a bid uses`)
+  }
+
+  const times = [...events, ...quotes]
+    .map((item) => item.time)
+    .sort((a, b) => a - b)
+  return {
+    tokens: tokens.map((token) => ({
+      decimals: 18,
+      quoteAddress: token.address,
+      ...token,
+    })),
+    events: [...events].sort((a, b) => a.time - b.time),
+    quotes,
+    gasPrices: [...gasPrices].sort((a, b) => a.time - b.time),
+    bidGas: fixture.bidGas,
+    balance: fixture.balance ?? 0n,
+    start: fixture.start ?? times[0] ?? 0,
+    end: fixture.end ?? times.at(-1) ?? 0,
+  }
+}
+
+/**
+ * Build a strategy from settings in the config file layout
+ *
+ * Settings left out keep the bot's defaults.
+ *
+ * @param {string} name
+ * @param {NodeJS.ProcessEnv} env - Environment variables, e.g. from
+ *   `configToEnv`
+ * @param {Record<string, string>} [fields] - Where each variable was set, for
+ *   error messages
+ * @returns {Strategy}
+ */
+export function parseStrategy(name, env, fields = {}) {
+  try {
+    return {
+      name,
+      bidSizesBps: parseBidSizes(env.BID_SIZES_BPS),
+      slippage: parseSlippage(env),
+      riskLimits: parseRiskLimits(env),
+      schedule: parseBotOptions(env).schedule,
+    }
+  } catch (error) {
+    throw new Error(
+      `Strategy ${name}: ${describeProblem(/** @type {Error} */ (error).message, fields)}`,
+    )
+  }
+}
+
+/**
+ * Read strategies to compare from a YAML or JSON file
+ *
+ * The file holds `strategies`, a list of settings in the config file layout,
+ * each with a `name`.
+ *
+ * @param {string} path
+ * @param {object} [options]
+ * @param {typeof defaultReadFile} [options.readFile]
+ * @returns {Promise<Strategy[]>}
+ */
+export async function readStrategies(
+  path,
+  { readFile = defaultReadFile } = {},
+) {
+  const source = basename(path)
+  const { strategies } = parseYaml(await readFile(path, 'utf8')) ?? {}
+  if (!Array.isArray(strategies) || strategies.length === 0) {
+    throw new Error(`${source} must list strategies`)
+  }
+
+  return strategies.map((settings, i) => {
+    const { name = `strategy ${i + 1}`, ...rest } = settings ?? {}
+    const { env, fields } = configToEnv(rest, `${source} (${name})`)
+    return parseStrategy(String(name), env, fields)
+  })
+}
+
+/**
+ * Latest recorded value at or before a time, or the first one
+ *
+ * @template {{ time: number }} T
+ * @param {T[]} items - In time order
+ * @param {number} time
+ * @returns {T | undefined}
+ */
+function latestAt(items, time) {
+  let latest = items[0]
+  for (const item of items) {
+    if (item.time > time) break
+    latest = item
+  }
+  return latest
+}
+
+/**
+ * Quote from the recorded quotes, as the Sushiswap API would have at the time
+ *
+ * Takes the latest quotes for the token and, of those, the one for the closest
+ * amount, scaled linearly to the amount asked for.
+ *
+ * @param {RecordedQuote[]} quotes - One token's quotes, in time order
+ * @param {number} time
+ * @param {bigint} amount
+ * @returns {QuoteResponse}
+ */
+function replayQuote(quotes, time, amount) {
+  const past = quotes.filter((quote) => quote.time <= time)
+  if (past.length === 0) {
+    return { status: 'NoWay', assumedAmountOut: '0', gasSpent: '0' }
+  }
+  const latest = past.filter((quote) => quote.time === past.at(-1)?.time)
+  /** @param {bigint} value */
+  const distance = (value) => (value > amount ? value - amount : amount - value)
+  const quote = latest.reduce((closest, quote) =>
+    distance(quote.amount) < distance(closest.amount) ? quote : closest,
+  )
+  if (quote.status !== 'Success' || quote.amount === 0n) {
+    return quote
+  }
+  return {
+    ...quote,
+    assumedAmountOut: (
+      (BigInt(quote.assumedAmountOut) * amount) /
+      quote.amount
+    ).toString(),
+  }
+}
+
+/**
+ * Replay recorded auctions through the bot's decision logic with one strategy
+ *
+ * The strategy checks the auctions on its own schedule, so it can miss bids
+ * other wallets made in between. Its own bids take the fees out of the recorded
+ * auction, and count against the next recorded bids for them; the recorded
+ * price path is kept as it was.
+ *
+ * @param {object} args
+ * @param {Fixture} args.fixture
+ * @param {Strategy} args.strategy
+ * @returns {Promise<BacktestReport>}
+ */
+export async function runBacktest({ fixture, strategy }) {
+  /** @type {BacktestReport} */
+  const report = {
+    strategy: strategy.name,
+    checks: 0,
+    decisions: {},
+    trades: [],
+    missed: [],
+    filPaid: 0n,
+    filReturned: 0n,
+    profit: 0n,
+  }
+  const spendTracker = createSpendTracker()
+  let balance = fixture.balance
+  /** @type {Map<string, TokenState>} */
+  const state = new Map(
+    fixture.tokens.map((token) => [
+      token.symbol,
+      {
+        token,
+        auction: null,
+        recordedFees: 0n,
+        taken: 0n,
+        quotes: fixture.quotes.filter((quote) => quote.token === token.symbol),
+      },
+    ]),
+  )
+
+  /**
+   * @param {TokenState} tokenState
+   * @param {number} time
+   * @param {AuctionInfo} auction
+   * @param {bigint} auctionPrice
+   * @param {bigint} availableFees
+   */
+  const evaluate = (tokenState, time, auction, auctionPrice, availableFees) => {
+    const { token, quotes } = tokenState
+    const gasPrice = /** @type {{ gasPrice: bigint }} */ (
+      latestAt(fixture.gasPrices, time)
+    ).gasPrice
+    return withLogContext(
+      { strategy: strategy.name, token: token.symbol },
+      () =>
+        evaluateAuction({
+          token,
+          auction,
+          auctionPrice,
+          availableFees,
+          bidGasCost: fixture.bidGas * gasPrice,
+          gasPrice,
+          balance,
+          swapEnabled: true,
+          bidSizesBps: strategy.bidSizesBps,
+          slippage: strategy.slippage,
+          riskLimits: strategy.riskLimits,
+          spentLast24h: spendTracker.spentLast24h(time * 1000),
+          getQuote: async ({ amount }) => replayQuote(quotes, time, amount),
+        }),
+    )
+  }
+
+  let eventIndex = 0
+  /**
+   * Apply everything recorded up to a time
+   *
+   * @param {number} until
+   */
+  const replayEvents = async (until) => {
+    while (
+      eventIndex < fixture.events.length &&
+      fixture.events[eventIndex].time <= until
+    ) {
+      const event = fixture.events[eventIndex++]
+      const tokenState = /** @type {TokenState} */ (state.get(event.token))
+      switch (event.type) {
+        case 'auction':
+          tokenState.auction = {
+            token: tokenState.token.address,
+            startPrice: event.startPrice,
+            startTime: event.startTime,
+          }
+          if (event.availableFees !== undefined) {
+            tokenState.recordedFees = event.availableFees
+          }
+          break
+        case 'fees':
+          tokenState.recordedFees += event.amount
+          break
+        case 'burn': {
+          // Fees we took first are not there for the other wallet to take
+          const claimed =
+            event.amount > tokenState.taken
+              ? event.amount - tokenState.taken
+              : 0n
+          tokenState.taken -= event.amount - claimed
+          tokenState.recordedFees -= event.amount
+          if (claimed > 0n && tokenState.auction) {
+            const evaluation = await evaluate(
+              tokenState,
+              event.time,
+              tokenState.auction,
+              event.price,
+              claimed,
+            )
+            if (evaluation.best && evaluation.decision === 'bid') {
+              report.missed.push({
+                time: event.time,
+                token: event.token,
+                amount: claimed,
+                auctionPrice: event.price,
+                profit: evaluation.best.profit,
+                bidder: event.bidder ?? null,
+              })
+            }
+          }
+          break
+        }
+      }
+      if (tokenState.taken > tokenState.recordedFees) {
+        tokenState.taken =
+          tokenState.recordedFees > 0n ? tokenState.recordedFees : 0n
+      }
+    }
+  }
+
+  let time = fixture.start
+  while (time <= fixture.end) {
+    await replayEvents(time)
+
+    /** @type {bigint[]} */
+    const breakEvenTimes = []
+    for (const tokenState of state.values()) {
+      const { token, auction } = tokenState
+      const availableFees = tokenState.recordedFees - tokenState.taken
+      if (!auction || availableFees <= 0n) continue
+
+      report.checks++
+      const auctionPrice = auctionPriceAt(auction, BigInt(time))
+      const evaluation = await evaluate(
+        tokenState,
+        time,
+        auction,
+        auctionPrice,
+        availableFees,
+      )
+      report.decisions[evaluation.decision] =
+        (report.decisions[evaluation.decision] ?? 0) + 1
+      if (evaluation.breakEvenTime !== null) {
+        breakEvenTimes.push(evaluation.breakEvenTime)
+      }
+      if (evaluation.decision !== 'bid' || !evaluation.best) continue
+
+      const { amount, totalCost, quote } = evaluation.best
+      const filReturned = BigInt(quote.assumedAmountOut)
+      const profit = filReturned - totalCost
+      report.trades.push({
+        time,
+        token: token.symbol,
+        amount,
+        auctionPrice,
+        totalCost,
+        filReturned,
+        profit,
+      })
+      report.filPaid += totalCost
+      report.filReturned += filReturned
+      report.profit += profit
+      balance += profit
+      spendTracker.record(totalCost, time * 1000)
+      tokenState.taken += amount
+    }
+
+    const delay = getNextCheckDelay({
+      breakEvenTimes,
+      now: time * 1000,
+      schedule: strategy.schedule,
+    })
+    time += Math.max(1, Math.ceil(delay / 1000))
+  }
+  // Bids by other wallets after the last check can still be missed trades
+  await replayEvents(fixture.end)
+
+  return report
+}
+
+/**
+ * @param {number} time
+ * @returns {string}
+ */
+const formatTime = (time) => new Date(time * 1000).toISOString()
+
+/**
+ * Describe backtest results, most profitable strategy first
+ *
+ * @param {BacktestReport[]} reports
+ * @param {Token[]} tokens
+ * @returns {string}
+ */
+export function formatReport(reports, tokens) {
+  /** @param {string} symbol */
+  const decimals = (symbol) =>
+    tokens.find((token) => token.symbol === symbol)?.decimals ?? 18
+  const ranked = [...reports].sort((a, b) =>
+    a.profit > b.profit ? -1 : a.profit < b.profit ? 1 : 0,
+  )
+
+  const lines = []
+  for (const report of ranked) {
+    lines.push(
+      `${report.strategy}: ${formatEther(report.profit)} FIL profit from ${report.trades.length} trades, ${report.missed.length} missed`,
+      `  FIL paid: ${formatEther(report.filPaid)} FIL, returned: ${formatEther(report.filReturned)} FIL`,
+      `  Checks: ${report.checks} (${Object.entries(report.decisions)
+        .map(([decision, count]) => `${decision}: ${count}`)
+        .join(', ')})`,
+    )
+    for (const trade of report.trades) {
+      lines.push(
+        `  ${formatTime(trade.time)} bought ${formatUnits(trade.amount, decimals(trade.token))} ${trade.token} for ${formatEther(trade.auctionPrice)} FIL: ${formatEther(trade.profit)} FIL profit`,
+      )
+    }
+    for (const missed of report.missed) {
+      lines.push(
+        `  ${formatTime(missed.time)} missed ${formatUnits(missed.amount, decimals(missed.token))} ${missed.token} at ${formatEther(missed.auctionPrice)} FIL${missed.bidder ? ` to ${missed.bidder}` : ''}: ${formatEther(missed.profit)} FIL profit`,
+      )
+    }
+    lines.push('')
+  }
+  return lines.join('\n')
+}
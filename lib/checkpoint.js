@@ -0,0 +1,241 @@
+import { readFile } from 'node:fs/promises'
+import { formatEther, TransactionReceiptNotFoundError } from 'viem'
+import { createJsonWriter, logReceipt } from './helpers.js'
+import { appendLedgerEntry, createTradeEntry } from './ledger.js'
+import { logger } from './logger.js'
+
+/**
+ * @import {
+ *   Address,
+ *   Hex,
+ *   PublicClient,
+ *   TransactionReceipt
+ * } from "viem"
+ * @import {Notifier} from "./notify.js"
+ * @import {SpendTracker} from "./risk.js"
+ * @import {TransactionManager} from "./transactions.js"
+ */
+
+/**
+ * A bid about to be sent, or sent but not yet recorded in the ledger
+ *
+ * @typedef {object} InFlightTrade
+ * @property {string} token - Token symbol
+ * @property {Address} tokenAddress
+ * @property {bigint} amount - Tokens bid for
+ * @property {bigint} auctionPrice
+ * @property {boolean} atomic - The bid and swap are one transaction through the
+ *   executor
+ * @property {Hex | null} bidHash - Null until the bid is sent
+ * @property {Hex | null} swapHash - Null until the swap is sent, and for atomic
+ *   trades
+ * @property {string} startedAt - ISO 8601
+ */
+
+const BIGINT_FIELDS = new Set(['amount', 'auctionPrice'])
+
+/**
+ * Read trades left in flight by a previous run
+ *
+ * @param {string} path
+ * @returns {Promise<InFlightTrade[]>} Empty when there is no checkpoint file
+ */
+export async function readCheckpoint(path) {
+  let contents
+  try {
+    contents = await readFile(path, 'utf8')
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === 'ENOENT') {
+      return []
+    }
+    throw error
+  }
+
+  return JSON.parse(contents, (key, value) =>
+    BIGINT_FIELDS.has(key) && typeof value === 'string' ? BigInt(value) : value,
+  )
+}
+
+/**
+ * Keep track of trades from before the bid is sent until they are recorded in
+ * the ledger, so a restart can record trades a shutdown or crash cut short
+ *
+ * A token has at most one trade in flight, as no bid is sent while earlier
+ * transactions are pending.
+ *
+ * @param {object} [args]
+ * @param {string | null} [args.path] - JSON file the trades are kept in, or
+ *   null to keep them in memory only
+ * @param {InFlightTrade[]} [args.trades] - Left in flight by a previous run
+ */
+export function createCheckpoint({ path = null, trades = [] } = {}) {
+  /** @type {Map<string, InFlightTrade>} */
+  const inFlight = new Map(
+    trades.map((trade) => [trade.tokenAddress.toLowerCase(), trade]),
+  )
+
+  const write = path ? createJsonWriter(path) : null
+  const persist = async () => {
+    await write?.([...inFlight.values()])
+  }
+
+  return {
+    /** @returns {InFlightTrade[]} */
+    pending() {
+      return [...inFlight.values()]
+    },
+
+    /**
+     * Record a trade before sending anything for it
+     *
+     * @param {Omit<InFlightTrade, 'bidHash' | 'swapHash' | 'startedAt'>} trade
+     */
+    async start(trade) {
+      inFlight.set(trade.tokenAddress.toLowerCase(), {
+        ...trade,
+        bidHash: null,
+        swapHash: null,
+        startedAt: new Date().toISOString(),
+      })
+      await persist()
+    },
+
+    /**
+     * Record a transaction sent for the trade
+     *
+     * @param {Address} tokenAddress
+     * @param {{ bidHash?: Hex; swapHash?: Hex }} hashes
+     */
+    async sent(tokenAddress, hashes) {
+      const trade = inFlight.get(tokenAddress.toLowerCase())
+      if (!trade) return
+      Object.assign(trade, hashes)
+      await persist()
+    },
+
+    /**
+     * Stop tracking the trade, once it is recorded or nothing was sent
+     *
+     * @param {Address} tokenAddress
+     */
+    async finish(tokenAddress) {
+      if (inFlight.delete(tokenAddress.toLowerCase())) {
+        await persist()
+      }
+    },
+  }
+}
+
+/** @typedef {ReturnType<typeof createCheckpoint>} Checkpoint */
+
+/**
+ * @param {PublicClient} publicClient
+ * @param {Hex[]} hashes - Every version of a transaction
+ * @returns {Promise<TransactionReceipt | null>}
+ */
+async function findReceipt(publicClient, hashes) {
+  for (const hash of hashes) {
+    try {
+      return await publicClient.getTransactionReceipt({ hash })
+    } catch (error) {
+      if (!(error instanceof TransactionReceiptNotFoundError)) throw error
+    }
+  }
+  return null
+}
+
+/**
+ * Record the trades a previous run left in flight, before doing anything new
+ *
+ * Their transactions are settled by the transaction manager first, which
+ * cancels any that are still pending, as their opportunity is stale. Trades
+ * whose bid was mined are then recorded in the ledger as usual, and tokens a
+ * missing swap left in the wallet are sold by stranded token liquidation.
+ *
+ * @param {object} args
+ * @param {Checkpoint} args.checkpoint
+ * @param {PublicClient} args.publicClient
+ * @param {Pick<TransactionManager, 'pending' | 'settlePending'> | null} [args.txManager]
+ *   - The bot's, or its wallet pool's
+ *
+ * @param {string} [args.ledgerPath]
+ * @param {SpendTracker} [args.spendTracker]
+ * @param {Notifier | null} [args.notifier]
+ */
+export async function reconcileCheckpoint({
+  checkpoint,
+  publicClient,
+  txManager = null,
+  ledgerPath,
+  spendTracker,
+  notifier = null,
+}) {
+  const trades = checkpoint.pending()
+  if (trades.length === 0) {
+    return
+  }
+
+  // Fee bumps replace a hash, so look up every version before settling, which
+  // stops tracking them
+  /** @param {Hex | null} hash */
+  const versions = (hash) =>
+    hash
+      ? (txManager?.pending().find((tx) => tx.hashes.includes(hash))
+          ?.hashes ?? [hash])
+      : []
+  const hashes = trades.map((trade) => ({
+    bid: versions(trade.bidHash),
+    swap: versions(trade.swapHash),
+  }))
+  await txManager?.settlePending()
+
+  for (const [index, trade] of trades.entries()) {
+    logger.info(
+      `Found unfinished ${trade.token} trade from ${trade.startedAt}: bid ${formatEther(trade.auctionPrice)} FIL`,
+      { token: trade.token, bidHash: trade.bidHash, swapHash: trade.swapHash },
+    )
+    const bidReceipt = await findReceipt(publicClient, hashes[index].bid)
+    if (!bidReceipt) {
+      logger.info(
+        trade.bidHash
+          ? `${trade.token} bid was not mined: ${trade.bidHash}`
+          : `${trade.token} bid was not sent`,
+      )
+      await checkpoint.finish(trade.tokenAddress)
+      continue
+    }
+    logReceipt('Bid result', bidReceipt)
+
+    const swapReceipt = trade.atomic
+      ? bidReceipt
+      : await findReceipt(publicClient, hashes[index].swap)
+    if (swapReceipt && swapReceipt !== bidReceipt) {
+      logReceipt('Swap result', swapReceipt)
+    }
+    if (bidReceipt.status === 'success' && swapReceipt?.status !== 'success') {
+      await notifier?.notify(
+        'tx-failed',
+        `${trade.token} swap of an unfinished trade did not go through, leaving the tokens in the wallet`,
+        { fields: { token: trade.token, bidHash: bidReceipt.transactionHash } },
+      )
+    }
+
+    const entry = createTradeEntry({
+      token: { symbol: trade.token, address: trade.tokenAddress },
+      amount: trade.amount,
+      auctionPrice: trade.auctionPrice,
+      bidReceipt,
+      swapReceipt,
+    })
+    spendTracker?.record(entry.filPaid)
+    if (ledgerPath) {
+      await appendLedgerEntry(ledgerPath, entry)
+    }
+    logger.info(`Realized profit: ${formatEther(entry.profit)} FIL`, {
+      profit: entry.profit,
+      bidHash: entry.bidHash,
+      swapHash: entry.swapHash,
+    })
+    await checkpoint.finish(trade.tokenAddress)
+  }
+}
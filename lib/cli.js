@@ -0,0 +1,494 @@
+import { parseArgs } from 'node:util'
+import { formatEther, formatUnits, parseEther, parseUnits } from 'viem'
+import {
+  getTokenAuction as defaultGetTokenAuction,
+  placeBid as defaultPlaceBid,
+  processTokenAuction as defaultProcessTokenAuction,
+  simulateBid,
+} from './auction.js'
+import { validateConfig } from './config.js'
+import { loadConfig, readConfigFile } from './config-file.js'
+import { logReceipt } from './helpers.js'
+import {
+  appendLedgerEntry,
+  createTradeEntry,
+  readLedger,
+  summarizeLedger,
+} from './ledger.js'
+import { liquidateStrandedTokens as defaultLiquidateStrandedTokens } from './liquidation.js'
+import { logger, withLogContext } from './logger.js'
+import {
+  getBalance as defaultGetBalance,
+  getTokenBalance as defaultGetTokenBalance,
+} from './client.js'
+
+/**
+ * @import {
+ *   Account,
+ *   Address,
+ *   PublicClient,
+ *   WalletClient
+ * } from "viem"
+ * @import {Token} from "./tokens.js"
+ * @import {Wallet} from "./wallets.js"
+ */
+
+/**
+ * @typedef {'status'
+ *   | 'bid'
+ *   | 'swap'
+ *   | 'approve'
+ *   | 'revoke'
+ *   | 'history'
+ *   | 'simulate'
+ *   | 'wallets'
+ *   | 'config'} CommandName
+ */
+
+/**
+ * @typedef {object} Command
+ * @property {CommandName} name
+ * @property {string | null} token - Symbol of the only token to act on
+ * @property {string | null} amount - Tokens to bid for, as a decimal
+ * @property {bigint | null} maxPrice - Highest auction price to bid at
+ * @property {bigint | null} at - Unix time to evaluate the auctions at
+ * @property {number | null} limit - Most recent trades to show
+ * @property {string | null} file - Config file to validate
+ */
+
+export const USAGE = `Usage: npm run cli -- <command> [options]
+
+Commands:
+  status                              Show each auction's price, quotes and profit
+  bid --amount <n> --max-price <FIL>  Bid once for <n> tokens, unless the price is above <FIL>
+  swap                                Sell the tokens held by the wallet
+  approve                             Approve the Sushiswap router for the tokens
+  revoke                              Revoke the Sushiswap router's allowance
+  history [--limit <n>]               Show past trades from the ledger
+  simulate --at <time>                Evaluate the auctions at a unix time or ISO date
+  wallets                             Show the FIL and token balances of each wallet
+  config validate [--file <path>]     Check the configuration, or a config file or
+                                      Kubernetes manifest, without connecting to anything
+
+Options:
+  --token <symbol>                    Only act on this token`
+
+/** @type {Record<CommandName, string[]>} */
+const COMMAND_OPTIONS = {
+  status: ['token'],
+  bid: ['token', 'amount', 'max-price'],
+  swap: ['token'],
+  approve: ['token'],
+  revoke: ['token'],
+  history: ['limit'],
+  simulate: ['token', 'at'],
+  wallets: ['token'],
+  config: ['file'],
+}
+
+/**
+ * @param {string} value
+ * @returns {bigint}
+ */
+function parseTime(value) {
+  if (/^\d+$/.test(value)) {
+    return BigInt(value)
+  }
+  const time = Date.parse(value)
+  if (Number.isNaN(time)) {
+    throw new Error(`--at must be a unix time or an ISO date, got ${value}`)
+  }
+  return BigInt(Math.floor(time / 1000))
+}
+
+/**
+ * Parse command-line arguments into a subcommand and its options
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Command}
+ */
+export function parseCommand(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      token: { type: 'string' },
+      amount: { type: 'string' },
+      'max-price': { type: 'string' },
+      at: { type: 'string' },
+      limit: { type: 'string' },
+      file: { type: 'string' },
+    },
+  })
+
+  const [name, ...extra] = positionals
+  if (!name) {
+    throw new Error('Missing command')
+  }
+  if (!Object.hasOwn(COMMAND_OPTIONS, name)) {
+    throw new Error(`Unknown command ${name}`)
+  }
+  if (name === 'config' && extra.shift() !== 'validate') {
+    throw new Error('config requires the validate subcommand')
+  }
+  if (extra.length > 0) {
+    throw new Error(`Unexpected argument ${extra[0]}`)
+  }
+  const command = /** @type {CommandName} */ (name)
+  for (const option of Object.keys(values)) {
+    if (!COMMAND_OPTIONS[command].includes(option)) {
+      throw new Error(`${command} does not take --${option}`)
+    }
+  }
+
+  const { token, amount, 'max-price': maxPrice, at, limit, file } = values
+  if (command === 'bid' && (amount === undefined || maxPrice === undefined)) {
+    throw new Error('bid requires --amount and --max-price')
+  }
+  if (amount !== undefined && !/^\d+(\.\d+)?$/.test(amount)) {
+    throw new Error(`--amount must be a positive decimal, got ${amount}`)
+  }
+  if (maxPrice !== undefined && !/^\d+(\.\d+)?$/.test(maxPrice)) {
+    throw new Error(`--max-price must be a FIL amount, got ${maxPrice}`)
+  }
+  if (command === 'simulate' && at === undefined) {
+    throw new Error('simulate requires --at')
+  }
+  if (limit !== undefined && !/^[1-9]\d*$/.test(limit)) {
+    throw new Error(`--limit must be a positive integer, got ${limit}`)
+  }
+
+  return {
+    name: command,
+    token: token ?? null,
+    amount: amount ?? null,
+    maxPrice: maxPrice === undefined ? null : parseEther(maxPrice),
+    at: at === undefined ? null : parseTime(at),
+    limit: limit === undefined ? null : Number(limit),
+    file: file ?? null,
+  }
+}
+
+/**
+ * Pick the tokens a command acts on
+ *
+ * @param {Token[]} tokens
+ * @param {string | null} symbol
+ * @returns {Token[]}
+ */
+export function selectTokens(tokens, symbol) {
+  if (symbol === null) {
+    return tokens
+  }
+  const token = tokens.find(
+    (token) => token.symbol.toLowerCase() === symbol.toLowerCase(),
+  )
+  if (!token) {
+    throw new Error(
+      `Unknown token ${symbol}, expected one of ${tokens.map((token) => token.symbol).join(', ')}`,
+    )
+  }
+  return [token]
+}
+
+/**
+ * Bid once on a token's auction, at the current price
+ *
+ * Unlike the bot, this does not check profitability or risk limits, and does
+ * not swap the tokens won. It refuses to bid above `maxPrice`.
+ *
+ * @param {object} args
+ * @param {PublicClient} args.publicClient
+ * @param {WalletClient} args.walletClient
+ * @param {Account} args.account
+ * @param {Address} args.walletAddress
+ * @param {Address | null} [args.recipient] - Receives the tokens instead of
+ *   `walletAddress`
+ * @param {Token} args.token
+ * @param {string} args.amount - Tokens to bid for, as a decimal
+ * @param {bigint} args.maxPrice
+ * @param {boolean} [args.dryRun] - Simulate the bid without sending it
+ * @param {string} [args.ledgerPath]
+ * @param {typeof defaultGetTokenAuction} [args.getTokenAuction]
+ * @param {typeof defaultPlaceBid} [args.placeBid]
+ * @returns {Promise<void>}
+ */
+export async function placeManualBid({
+  publicClient,
+  walletClient,
+  account,
+  walletAddress,
+  recipient = null,
+  token,
+  amount,
+  maxPrice,
+  dryRun = false,
+  ledgerPath,
+  getTokenAuction = defaultGetTokenAuction,
+  placeBid = defaultPlaceBid,
+}) {
+  const bidAmount = parseUnits(amount, token.decimals)
+  const auctionData = await getTokenAuction({
+    publicClient,
+    tokenAddress: token.address,
+  })
+  if (!auctionData) {
+    throw new Error(`No ${token.symbol} auction to bid on`)
+  }
+
+  const { auction, auctionPrice } = auctionData
+  if (bidAmount > auction.availableFees) {
+    throw new Error(
+      `Only ${formatUnits(auction.availableFees, token.decimals)} ${token.symbol} available, asked for ${amount}`,
+    )
+  }
+  if (auctionPrice > maxPrice) {
+    throw new Error(
+      `Auction price ${formatEther(auctionPrice)} FIL is above --max-price ${formatEther(maxPrice)} FIL`,
+    )
+  }
+
+  logger.info(
+    `Bidding ${formatEther(auctionPrice)} FIL for ${formatUnits(bidAmount, token.decimals)} ${token.symbol}...`,
+    { auctionPrice, amount: bidAmount },
+  )
+  const bid = {
+    publicClient,
+    account,
+    tokenAddress: token.address,
+    recipient: recipient ?? walletAddress,
+    amount: bidAmount,
+    price: auctionPrice,
+  }
+
+  if (dryRun) {
+    await simulateBid({ ...bid, chainId: walletClient?.chain?.id })
+    logger.info('Dry run: bid simulation succeeded, nothing sent')
+    return
+  }
+
+  const hash = await placeBid({ ...bid, walletClient })
+  logger.info(`Bid transaction: ${hash}`, { bidHash: hash })
+  const bidReceipt = await publicClient.waitForTransactionReceipt({ hash })
+  logReceipt('Bid result', bidReceipt)
+
+  if (ledgerPath) {
+    // The bot counts it towards its daily spend limit from its next start
+    await appendLedgerEntry(
+      ledgerPath,
+      createTradeEntry({
+        token,
+        amount: bidAmount,
+        auctionPrice,
+        bidReceipt,
+        swapReceipt: null,
+      }),
+    )
+  }
+}
+
+/**
+ * Evaluate each token's auction like the bot, for `status` and `simulate`
+ *
+ * Nothing is sent, recorded in the ledger or alerted. A token that fails is
+ * reported and the others are still checked.
+ *
+ * @param {Omit<
+ *   Parameters<typeof defaultProcessTokenAuction>[0],
+ *   'token'
+ * > & {
+ *   tokens: Token[]
+ *   processTokenAuction?: typeof defaultProcessTokenAuction
+ * }} args
+ * @returns {Promise<string[]>} Symbols of the tokens that could not be checked
+ */
+export async function checkAuctions({
+  tokens,
+  processTokenAuction = defaultProcessTokenAuction,
+  ...config
+}) {
+  /** @type {string[]} */
+  const failed = []
+  for (const token of tokens) {
+    await withLogContext({ token: token.symbol }, async () => {
+      logger.info(`Checking ${token.symbol} auction...`)
+      try {
+        await processTokenAuction({
+          ...config,
+          token,
+          dryRun: true,
+          ledgerPath: undefined,
+          notifier: null,
+        })
+      } catch (error) {
+        const err = /** @type {Error} */ (error)
+        failed.push(token.symbol)
+        logger.error(
+          `Error during ${token.symbol} auction check: ${err.message}`,
+          { error: err },
+        )
+      }
+    })
+    logger.blank()
+  }
+  return failed
+}
+
+/**
+ * Sell the tokens the wallet holds, for `swap`
+ *
+ * The outcome is printed rather than alerted.
+ *
+ * @param {Omit<
+ *   Parameters<typeof defaultLiquidateStrandedTokens>[0],
+ *   'token'
+ * > & {
+ *   tokens: Token[]
+ *   liquidateStrandedTokens?: typeof defaultLiquidateStrandedTokens
+ * }} args
+ */
+export async function sellTokens({
+  tokens,
+  liquidateStrandedTokens = defaultLiquidateStrandedTokens,
+  ...config
+}) {
+  for (const token of tokens) {
+    const sold = await liquidateStrandedTokens({
+      ...config,
+      token,
+      notifier: null,
+    })
+    if (!sold) {
+      console.log(`No ${token.symbol} sold.`)
+    }
+  }
+}
+
+/**
+ * Print realized trades and liquidations from the ledger
+ *
+ * @param {object} args
+ * @param {string} args.ledgerPath
+ * @param {number | null} [args.limit] - Only show the most recent trades and
+ *   liquidations
+ * @returns {Promise<void>}
+ */
+export async function showHistory({ ledgerPath, limit = null }) {
+  const summary = summarizeLedger(await readLedger(ledgerPath))
+  /**
+   * @template T
+   * @param {T[]} entries
+   * @returns {T[]}
+   */
+  const recent = (entries) => (limit === null ? entries : entries.slice(-limit))
+
+  console.log(`Ledger: ${ledgerPath}`)
+  console.log(`Evaluated auctions: ${summary.evaluations}`)
+  console.log(`Trades: ${summary.trades.length}`)
+  console.log(`Liquidations: ${summary.liquidations.length}`)
+  const contested = summary.auctionsWon + summary.rivalBids.length
+  console.log(
+    `Auctions won: ${summary.auctionsWon}, lost to rivals: ${summary.rivalBids.length}${contested > 0 ? ` (${((summary.rivalBids.length / contested) * 100).toFixed(1)}% lost)` : ''}`,
+  )
+  console.log()
+
+  for (const trade of recent(summary.trades)) {
+    console.log(`${trade.timestamp} ${trade.token}:`)
+    console.log(`  Bid: ${trade.bidHash} (${trade.bidStatus})`)
+    console.log(
+      `  Swap: ${trade.swapHash ?? 'none'}${trade.swapStatus ? ` (${trade.swapStatus})` : ''}`,
+    )
+    console.log(`  FIL paid: ${formatEther(trade.filPaid)} FIL`)
+    console.log(`  FIL returned: ${formatEther(trade.filReturned)} FIL`)
+    console.log(`  Profit: ${formatEther(trade.profit)} FIL`)
+    console.log()
+  }
+
+  for (const liquidation of recent(summary.liquidations)) {
+    console.log(`${liquidation.timestamp} ${liquidation.token} liquidation:`)
+    console.log(`  Swap: ${liquidation.swapHash} (${liquidation.swapStatus})`)
+    console.log(`  FIL paid: ${formatEther(liquidation.filPaid)} FIL`)
+    console.log(`  FIL returned: ${formatEther(liquidation.filReturned)} FIL`)
+    console.log()
+  }
+
+  console.log(`Total FIL paid: ${formatEther(summary.totalFilPaid)} FIL`)
+  console.log(
+    `Total FIL returned: ${formatEther(summary.totalFilReturned)} FIL`,
+  )
+  console.log(`Total realized profit: ${formatEther(summary.totalProfit)} FIL`)
+}
+
+/**
+ * Print the FIL and token balances of each wallet the bot bids from
+ *
+ * @param {object} args
+ * @param {PublicClient} args.publicClient
+ * @param {Wallet[]} args.wallets
+ * @param {Token[]} args.tokens
+ * @param {typeof defaultGetBalance} [args.getBalance]
+ * @param {typeof defaultGetTokenBalance} [args.getTokenBalance]
+ * @returns {Promise<void>}
+ */
+export async function showWallets({
+  publicClient,
+  wallets,
+  tokens,
+  getBalance = defaultGetBalance,
+  getTokenBalance = defaultGetTokenBalance,
+}) {
+  let total = 0n
+  for (const wallet of wallets) {
+    const balance = await getBalance(publicClient, wallet.address)
+    total += balance
+    console.log(`${wallet.address}:`)
+    console.log(`  FIL: ${formatEther(balance)}`)
+    for (const token of tokens) {
+      const tokenBalance = await getTokenBalance(
+        publicClient,
+        token.address,
+        wallet.address,
+      )
+      console.log(
+        `  ${token.symbol}: ${formatUnits(tokenBalance, token.decimals)}`,
+      )
+    }
+    console.log()
+  }
+  console.log(`Total: ${formatEther(total)} FIL`)
+}
+
+/**
+ * Print every problem with a config file, or with the configuration the bot
+ * would start with, without connecting to anything
+ *
+ * Secrets such as `PRIVATE_KEY` are not required, so a ConfigMap can be checked
+ * on its own before it is rolled out.
+ *
+ * @param {object} args
+ * @param {string | null} args.file - Only check this file; by default the
+ *   environment and `CONFIG_FILE`
+ * @param {NodeJS.ProcessEnv} args.env
+ * @param {typeof import('node:fs/promises').readFile} [args.readFile]
+ * @returns {Promise<boolean>} Whether the configuration is valid
+ */
+export async function checkConfig({ file, env, readFile }) {
+  let loaded
+  try {
+    loaded = file
+      ? await readConfigFile(file, { readFile })
+      : await loadConfig(env, { readFile })
+  } catch (error) {
+    console.error(`Error: ${/** @type {Error} */ (error).message}`)
+    return false
+  }
+
+  const problems = validateConfig(loaded.env, loaded.fields)
+  for (const problem of problems) {
+    console.error(`Error: ${problem}`)
+  }
+  if (problems.length === 0) {
+    console.log(`${file ?? 'Configuration'} is valid`)
+  }
+  return problems.length === 0
+}
@@ -1,17 +1,23 @@
 import {
   createPublicClient,
+  createTransport,
   createWalletClient,
   erc20Abi,
   extractChain,
+  fallback,
   http,
+  webSocket,
 } from 'viem'
-import { privateKeyToAccount } from 'viem/accounts'
 import { filecoinCalibration, filecoin } from 'viem/chains'
+import { logger } from './logger.js'
 /**
  * @import {
  *   Account,
  *   Address,
+ *   EIP1193RequestFn,
+ *   LocalAccount,
  *   PublicClient,
+ *   Transport,
  *   WalletClient
  * } from "viem"
  */
@@ -19,47 +25,335 @@ import { filecoinCalibration, filecoin } from 'viem/chains'
 /**
  * @typedef {Object} Clients
  * @property {PublicClient} publicClient
+ * @property {PublicClient} quorumClient - Client for the reads a bid is decided
+ *   on, which must agree across `RpcOptions.quorum` endpoints
  * @property {WalletClient} walletClient
  * @property {Account} account
  */
 
+/**
+ * @typedef {object} RpcOptions
+ * @property {string[]} urls - Endpoints to read from, most preferred first
+ * @property {number} quorum - Endpoints that must return the same auction and
+ *   balance reads
+ * @property {string | null} broadcastUrl - Endpoint to send signed transactions
+ *   to, instead of the read endpoints
+ */
+
+/** Reads that feed the bid decision: auction state and balances */
+const QUORUM_METHODS = new Set(['eth_call', 'eth_getBalance'])
+
+/** Milliseconds between endpoint health checks */
+const RANK_INTERVAL = 60000
+
+/**
+ * @param {string} name
+ * @param {string} url
+ */
+function assertHttpUrl(name, url) {
+  if (!/^https?:\/\//.test(url)) {
+    throw new Error(`${name} must be an http:// or https:// URL, got ${url}`)
+  }
+}
+
+/**
+ * Parse RPC endpoint options from environment variables
+ *
+ * `RPC_URLS` takes a comma separated list of endpoints; `RPC_URL` is still
+ * accepted for a single one.
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {RpcOptions}
+ */
+export function parseRpcOptions(env) {
+  const {
+    RPC_URL = 'https://api.calibration.node.glif.io/',
+    RPC_URLS,
+    RPC_QUORUM = '1',
+    RPC_BROADCAST_URL,
+  } = env
+  const urls = (RPC_URLS || RPC_URL)
+    .split(',')
+    .map((url) => url.trim())
+    .filter((url) => url !== '')
+  if (urls.length === 0) {
+    throw new Error('RPC_URLS must list at least one endpoint')
+  }
+  for (const url of urls) assertHttpUrl('RPC_URLS', url)
+  if (RPC_BROADCAST_URL) assertHttpUrl('RPC_BROADCAST_URL', RPC_BROADCAST_URL)
+
+  const quorum = Number(RPC_QUORUM)
+  if (!Number.isInteger(quorum) || quorum < 1 || quorum > urls.length) {
+    throw new Error(
+      `RPC_QUORUM must be between 1 and the number of RPC_URLS (${urls.length}), got ${RPC_QUORUM}`,
+    )
+  }
+
+  return { urls, quorum, broadcastUrl: RPC_BROADCAST_URL || null }
+}
+
+/**
+ * Transport that reads from the first healthy endpoint
+ *
+ * With more than one endpoint, requests move on to the next one when an
+ * endpoint fails. With `rank`, endpoints are also pinged in the background and
+ * reordered by latency and stability, so a slow or flaky endpoint drops back
+ * before it fails outright.
+ *
+ * @param {string[]} urls
+ * @param {object} [options]
+ * @param {boolean} [options.rank]
+ * @returns {Transport}
+ */
+export function readTransport(urls, { rank = false } = {}) {
+  if (urls.length === 1) {
+    return http(urls[0])
+  }
+  return fallback(
+    urls.map((url) => http(url)),
+    { rank: rank && { interval: RANK_INTERVAL } },
+  )
+}
+
+/**
+ * Transport that answers auction and balance reads only when `quorum` endpoints
+ * return the same result
+ *
+ * Endpoints a block apart can briefly disagree; the read then fails and the
+ * auction is checked again next iteration. Other requests go to `read`.
+ *
+ * @param {Transport[]} endpoints
+ * @param {number} quorum
+ * @param {Transport} read
+ * @returns {Transport}
+ */
+export function quorumTransport(endpoints, quorum, read) {
+  return (params) => {
+    const clients = endpoints.map((endpoint) => endpoint(params))
+    const reader = read(params)
+
+    /** @param {{ method: string; params?: unknown }} args */
+    const request = async ({ method, params }) => {
+      if (!QUORUM_METHODS.has(method)) {
+        return reader.request({ method, params })
+      }
+
+      const results = await Promise.allSettled(
+        clients.map((client) => client.request({ method, params })),
+      )
+      /** @type {Map<string, { value: unknown; count: number }>} */
+      const answers = new Map()
+      for (const result of results) {
+        if (result.status === 'rejected') continue
+        const key = JSON.stringify(result.value)
+        const answer = answers.get(key) ?? { value: result.value, count: 0 }
+        answer.count++
+        if (answer.count >= quorum) return answer.value
+        answers.set(key, answer)
+      }
+
+      const failed = results.filter(
+        (result) => result.status === 'rejected',
+      ).length
+      throw new Error(
+        `RPC quorum of ${quorum} not reached for ${method}: ${answers.size} different answers, ${failed} failed`,
+      )
+    }
+
+    return createTransport({
+      key: 'quorum',
+      name: 'Quorum',
+      type: 'quorum',
+      retryCount: 0,
+      request: /** @type {EIP1193RequestFn} */ (request),
+    })
+  }
+}
+
+/**
+ * Transport that sends signed transactions to `broadcast` and everything else
+ * to `read`
+ *
+ * @param {Transport} read
+ * @param {Transport} broadcast
+ * @returns {Transport}
+ */
+export function broadcastTransport(read, broadcast) {
+  return (params) => {
+    const reader = read(params)
+    const broadcaster = broadcast(params)
+
+    /** @param {{ method: string; params?: unknown }} args */
+    const request = ({ method, params }) =>
+      (method === 'eth_sendRawTransaction' ? broadcaster : reader).request({
+        method,
+        params,
+      })
+
+    return createTransport({
+      key: 'broadcast',
+      name: 'Broadcast',
+      type: 'broadcast',
+      retryCount: 0,
+      request: /** @type {EIP1193RequestFn} */ (request),
+    })
+  }
+}
+
 /**
  * @param {314 | 314159} chainId
- * @param {string} rpcUrl
- * @param {string} privateKey
- * @returns {Promise<Clients>}
+ * @param {RpcOptions} rpc
+ * @param {Account} account
+ * @returns {Clients}
  */
-export async function createClient(chainId, rpcUrl, privateKey) {
+function createClients(chainId, rpc, account) {
   const chain = extractChain({
     chains: [filecoin, filecoinCalibration],
     id: chainId,
   })
-  const account = privateKeyToAccount(/** @type {Address} */ (privateKey))
 
   const publicClient = createPublicClient({
     chain,
-    transport: http(rpcUrl),
+    transport: readTransport(rpc.urls, { rank: true }),
   })
 
+  const quorumClient =
+    rpc.quorum > 1
+      ? createPublicClient({
+          chain,
+          transport: quorumTransport(
+            rpc.urls.map((url) => http(url)),
+            rpc.quorum,
+            readTransport(rpc.urls),
+          ),
+        })
+      : publicClient
+
   const walletClient = createWalletClient({
     account,
     chain,
-    transport: http(rpcUrl),
+    transport: rpc.broadcastUrl
+      ? broadcastTransport(readTransport(rpc.urls), http(rpc.broadcastUrl))
+      : readTransport(rpc.urls),
   })
 
-  return { publicClient, walletClient, account }
+  return { publicClient, quorumClient, walletClient, account }
 }
 
 /**
+ * @param {314 | 314159} chainId
+ * @param {RpcOptions} rpc
+ * @param {LocalAccount} account - Signer, see `createSigner`
+ * @returns {Promise<Clients>}
+ */
+export async function createClient(chainId, rpc, account) {
+  return createClients(chainId, rpc, account)
+}
+
+/**
+ * Create clients for a watch-only address
+ *
+ * The wallet client carries a JSON-RPC account without a key, so it can be used
+ * for simulations (which only need `from`) but cannot sign.
+ *
+ * @param {314 | 314159} chainId
+ * @param {RpcOptions} rpc
+ * @param {string} address
+ * @returns {Promise<Clients>}
+ */
+export async function createWatchClient(chainId, rpc, address) {
+  /** @type {Account} */
+  const account = {
+    address: /** @type {Address} */ (address),
+    type: 'json-rpc',
+  }
+
+  return createClients(chainId, rpc, account)
+}
+
+/**
+ * Create a read-only client, e.g. for mainnet price reads while bidding on
+ * calibration
+ *
+ * @param {314 | 314159} chainId
  * @param {string} rpcUrl
- * @returns {Promise<314 | 314159>}
+ * @returns {PublicClient}
  */
-export async function getChainId(rpcUrl) {
-  const tempClient = createPublicClient({
+export function createReadClient(chainId, rpcUrl) {
+  const chain = extractChain({
+    chains: [filecoin, filecoinCalibration],
+    id: chainId,
+  })
+
+  return createPublicClient({
+    chain,
     transport: http(rpcUrl),
   })
+}
+
+/**
+ * Create a client that subscribes to contract events over WebSocket
+ *
+ * @param {314 | 314159} chainId
+ * @param {string} wsUrl
+ * @returns {PublicClient}
+ */
+export function createEventClient(chainId, wsUrl) {
+  const chain = extractChain({
+    chains: [filecoin, filecoinCalibration],
+    id: chainId,
+  })
+
+  return createPublicClient({
+    chain,
+    transport: webSocket(wsUrl),
+  })
+}
+
+/**
+ * Get the chain ID, checking that the endpoints are on the same chain
+ *
+ * Endpoints that do not answer are skipped with a warning, so the bot starts as
+ * long as one of them is up; failover takes care of them afterwards.
+ *
+ * @param {string[]} urls
+ * @param {object} [options]
+ * @param {(url: string) => Transport} [options.transport]
+ * @returns {Promise<314 | 314159>}
+ */
+export async function getChainId(urls, { transport = http } = {}) {
+  const results = await Promise.allSettled(
+    urls.map((url) =>
+      createPublicClient({ transport: transport(url) }).getChainId(),
+    ),
+  )
+
+  /** @type {{ url: string; chainId: number }[]} */
+  const answers = []
+  for (const [index, result] of results.entries()) {
+    if (result.status === 'fulfilled') {
+      answers.push({ url: urls[index], chainId: result.value })
+    } else {
+      logger.warn(
+        `RPC endpoint ${urls[index]} did not report its chain: ${result.reason?.message ?? result.reason}`,
+      )
+    }
+  }
+  if (answers.length === 0) {
+    throw new Error(
+      `None of the RPC endpoints reported its chain: ${urls.join(', ')}`,
+    )
+  }
+
+  const [first] = answers
+  const mismatch = answers.find(({ chainId }) => chainId !== first.chainId)
+  if (mismatch) {
+    throw new Error(
+      `RPC endpoints are on different chains: ${first.url} reports ${first.chainId}, ${mismatch.url} reports ${mismatch.chainId}`,
+    )
+  }
 
-  return /** @type {314 | 314159} */ (await tempClient.getChainId())
+  return /** @type {314 | 314159} */ (first.chainId)
 }
 
 /**
@@ -0,0 +1,422 @@
+import { readFile as defaultReadFile } from 'node:fs/promises'
+import { basename } from 'node:path'
+import { parseAllDocuments } from 'yaml'
+
+/**
+ * How a config file value is checked and turned into its environment variable
+ *
+ * - `string`, `integer`, `number`, `boolean` are copied as they are
+ * - `amount` is a FIL amount, given as a number or a decimal string
+ * - `list` is an array, joined with commas
+ * - `json` is an array or object, serialized as JSON
+ *
+ * @typedef {'string'
+ *   | 'integer'
+ *   | 'number'
+ *   | 'boolean'
+ *   | 'amount'
+ *   | 'list'
+ *   | 'json'} FieldType
+ */
+
+/** @typedef {{ env: string; type: FieldType }} Field */
+
+/** @typedef {{ [key: string]: Field | Schema }} Schema */
+
+/**
+ * Settings loaded from a file, as environment variables
+ *
+ * @typedef {object} LoadedConfig
+ * @property {Record<string, string>} env
+ * @property {Record<string, string>} fields - Where each variable was set, by
+ *   name, e.g. `schedule.delay in bot.yaml`
+ */
+
+/**
+ * Config file layout; each setting is named after the environment variable it
+ * stands for in the README
+ *
+ * @type {Schema}
+ */
+const SCHEMA = {
+  rpc: {
+    url: { env: 'RPC_URL', type: 'string' },
+    urls: { env: 'RPC_URLS', type: 'list' },
+    quorum: { env: 'RPC_QUORUM', type: 'integer' },
+    broadcastUrl: { env: 'RPC_BROADCAST_URL', type: 'string' },
+    wsUrl: { env: 'RPC_WS_URL', type: 'string' },
+  },
+  signer: {
+    type: { env: 'SIGNER', type: 'string' },
+    privateKey: { env: 'PRIVATE_KEY', type: 'string' },
+    keystorePath: { env: 'KEYSTORE_PATH', type: 'string' },
+    keystorePassword: { env: 'KEYSTORE_PASSWORD', type: 'string' },
+    keystorePasswordFile: { env: 'KEYSTORE_PASSWORD_FILE', type: 'string' },
+    remoteUrl: { env: 'REMOTE_SIGNER_URL', type: 'string' },
+    address: { env: 'SIGNER_ADDRESS', type: 'string' },
+  },
+  wallets: {
+    keystorePaths: { env: 'WALLET_KEYSTORE_PATHS', type: 'list' },
+    signerAddresses: { env: 'WALLET_SIGNER_ADDRESSES', type: 'list' },
+    recipient: { env: 'BID_RECIPIENT', type: 'string' },
+    treasury: { env: 'TREASURY_ADDRESS', type: 'string' },
+    sweepAbove: { env: 'SWEEP_ABOVE', type: 'amount' },
+  },
+  tokens: { env: 'TOKENS', type: 'json' },
+  discoverTokensLookback: { env: 'DISCOVER_TOKENS_LOOKBACK', type: 'integer' },
+  schedule: {
+    delay: { env: 'DELAY', type: 'integer' },
+    fastDelay: { env: 'FAST_DELAY', type: 'integer' },
+    maxDelay: { env: 'MAX_DELAY', type: 'integer' },
+    window: { env: 'SCHEDULE_WINDOW', type: 'integer' },
+    reevaluateAfter: { env: 'REEVALUATE_AFTER', type: 'integer' },
+  },
+  bidding: {
+    sizesBps: { env: 'BID_SIZES_BPS', type: 'list' },
+    executorAddress: { env: 'EXECUTOR_ADDRESS', type: 'string' },
+    dryRun: { env: 'DRY_RUN', type: 'boolean' },
+    watchAddress: { env: 'WATCH_ADDRESS', type: 'string' },
+  },
+  slippage: {
+    base: { env: 'SLIPPAGE', type: 'number' },
+    auto: { env: 'AUTO_SLIPPAGE', type: 'boolean' },
+    max: { env: 'MAX_AUTO_SLIPPAGE', type: 'number' },
+  },
+  risk: {
+    minProfit: { env: 'MIN_PROFIT', type: 'amount' },
+    minMarginBps: { env: 'MIN_MARGIN_BPS', type: 'integer' },
+    maxBidSpend: { env: 'MAX_BID_SPEND', type: 'amount' },
+    maxDailySpend: { env: 'MAX_DAILY_SPEND', type: 'amount' },
+    minReserve: { env: 'MIN_RESERVE', type: 'amount' },
+  },
+  liquidation: {
+    enabled: { env: 'LIQUIDATE_STRANDED', type: 'boolean' },
+    minPrice: { env: 'LIQUIDATION_MIN_PRICE', type: 'amount' },
+  },
+  oracle: {
+    sources: { env: 'ORACLE_SOURCES', type: 'list' },
+    toleranceBps: { env: 'ORACLE_TOLERANCE_BPS', type: 'integer' },
+    pools: { env: 'ORACLE_POOLS', type: 'json' },
+    rpcUrl: { env: 'ORACLE_RPC_URL', type: 'string' },
+    feed: {
+      url: { env: 'PRICE_FEED_URL', type: 'string' },
+      path: { env: 'PRICE_FEED_PATH', type: 'string' },
+      invert: { env: 'PRICE_FEED_INVERT', type: 'boolean' },
+    },
+  },
+  transactions: {
+    statePath: { env: 'TX_STATE_PATH', type: 'string' },
+    checkpointPath: { env: 'CHECKPOINT_PATH', type: 'string' },
+    receiptTimeout: { env: 'RECEIPT_TIMEOUT', type: 'integer' },
+    feeBumpPercent: { env: 'FEE_BUMP_PERCENT', type: 'integer' },
+    maxFeeBumps: { env: 'MAX_FEE_BUMPS', type: 'integer' },
+  },
+  rivals: {
+    watch: { env: 'WATCH_RIVALS', type: 'boolean' },
+    outbid: { env: 'OUTBID_RIVALS', type: 'boolean' },
+    outbidPercent: { env: 'OUTBID_PERCENT', type: 'integer' },
+  },
+  leader: {
+    lock: { env: 'LEADER_LOCK', type: 'string' },
+    id: { env: 'LEADER_ID', type: 'string' },
+    leaseDuration: { env: 'LEADER_LEASE_DURATION', type: 'integer' },
+    renewInterval: { env: 'LEADER_RENEW_INTERVAL', type: 'integer' },
+    path: { env: 'LEADER_LOCK_PATH', type: 'string' },
+    url: { env: 'LEADER_LOCK_URL', type: 'string' },
+    leaseName: { env: 'LEADER_LEASE_NAME', type: 'string' },
+    leaseNamespace: { env: 'LEADER_LEASE_NAMESPACE', type: 'string' },
+  },
+  notify: {
+    webhook: {
+      url: { env: 'NOTIFY_WEBHOOK_URL', type: 'string' },
+      events: { env: 'NOTIFY_WEBHOOK_EVENTS', type: 'list' },
+    },
+    slack: {
+      url: { env: 'NOTIFY_SLACK_URL', type: 'string' },
+      events: { env: 'NOTIFY_SLACK_EVENTS', type: 'list' },
+    },
+    email: {
+      smtpUrl: { env: 'NOTIFY_SMTP_URL', type: 'string' },
+      from: { env: 'NOTIFY_EMAIL_FROM', type: 'string' },
+      to: { env: 'NOTIFY_EMAIL_TO', type: 'list' },
+      events: { env: 'NOTIFY_EMAIL_EVENTS', type: 'list' },
+    },
+    rateLimit: { env: 'NOTIFY_RATE_LIMIT', type: 'integer' },
+    errorThreshold: { env: 'NOTIFY_ERROR_THRESHOLD', type: 'integer' },
+  },
+  sushiApiUrl: { env: 'SUSHI_API_URL', type: 'string' },
+  ledgerPath: { env: 'LEDGER_PATH', type: 'string' },
+  port: { env: 'PORT', type: 'integer' },
+  readyGrace: { env: 'READY_GRACE', type: 'integer' },
+  shutdownTimeout: { env: 'SHUTDOWN_TIMEOUT', type: 'integer' },
+  log: {
+    format: { env: 'LOG_FORMAT', type: 'string' },
+    level: { env: 'LOG_LEVEL', type: 'string' },
+  },
+}
+
+/**
+ * @param {Field | Schema} node
+ * @returns {node is Field}
+ */
+function isField(node) {
+  return typeof node.env === 'string'
+}
+
+/**
+ * @param {Schema} schema
+ * @returns {string[]}
+ */
+function listVariables(schema) {
+  return Object.values(schema).flatMap((node) =>
+    isField(node) ? [node.env] : listVariables(node),
+  )
+}
+
+/** Every environment variable a config file can set */
+export const CONFIG_VARIABLES = listVariables(SCHEMA)
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/** @param {unknown} value */
+function describe(value) {
+  return JSON.stringify(value) ?? String(value)
+}
+
+/**
+ * Check a config file value and format it as its environment variable would be
+ *
+ * @param {FieldType} type
+ * @param {unknown} value
+ * @returns {string | null} Null when the value has the wrong type
+ */
+function formatValue(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? value : null
+    case 'integer':
+      return Number.isInteger(value) ? String(value) : null
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value)
+        ? String(value)
+        : null
+    case 'boolean':
+      return typeof value === 'boolean' ? String(value) : null
+    case 'amount':
+      return typeof value === 'string' ||
+        (typeof value === 'number' && Number.isFinite(value))
+        ? String(value)
+        : null
+    case 'list':
+      return Array.isArray(value) &&
+        value.every((item) => ['string', 'number'].includes(typeof item))
+        ? value.join(',')
+        : null
+    case 'json':
+      return typeof value === 'object' && value !== null
+        ? JSON.stringify(value)
+        : null
+  }
+}
+
+/** @type {Record<FieldType, string>} */
+const EXPECTED = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'true or false',
+  amount: 'a FIL amount',
+  list: 'a list',
+  json: 'a list or mapping',
+}
+
+/**
+ * Turn a parsed config file into environment variables
+ *
+ * Every problem is collected, so they can all be fixed at once.
+ *
+ * @param {unknown} config
+ * @param {string} source - File name, for messages
+ * @returns {LoadedConfig}
+ */
+export function configToEnv(config, source) {
+  /** @type {Record<string, string>} */
+  const env = {}
+  /** @type {Record<string, string>} */
+  const fields = {}
+  /** @type {string[]} */
+  const problems = []
+
+  /**
+   * @param {Schema} schema
+   * @param {unknown} values
+   * @param {string} prefix
+   */
+  const visit = (schema, values, prefix) => {
+    if (!isObject(values)) {
+      problems.push(
+        `${prefix || 'The file'} must be a mapping, got ${describe(values)}`,
+      )
+      return
+    }
+    for (const [key, value] of Object.entries(values)) {
+      const path = prefix ? `${prefix}.${key}` : key
+      const node = Object.hasOwn(schema, key) ? schema[key] : null
+      if (!node) {
+        problems.push(`Unknown setting ${path}`)
+      } else if (value === null) {
+        // An empty setting is the same as leaving it out
+      } else if (!isField(node)) {
+        visit(node, value, path)
+      } else {
+        const formatted = formatValue(node.type, value)
+        if (formatted === null) {
+          problems.push(
+            `${path} must be ${EXPECTED[node.type]}, got ${describe(value)}`,
+          )
+        } else {
+          env[node.env] = formatted
+          fields[node.env] = `${path} in ${source}`
+        }
+      }
+    }
+  }
+  visit(SCHEMA, config, '')
+
+  if (problems.length > 0) {
+    throw new Error(`${source} is invalid:\n  ${problems.join('\n  ')}`)
+  }
+  return { env, fields }
+}
+
+/**
+ * Take environment variables from Kubernetes ConfigMap manifests
+ *
+ * @param {Record<string, unknown>[]} configMaps
+ * @param {string} source - File name, for messages
+ * @returns {LoadedConfig}
+ */
+function configMapsToEnv(configMaps, source) {
+  /** @type {Record<string, string>} */
+  const env = {}
+  /** @type {Record<string, string>} */
+  const fields = {}
+  /** @type {string[]} */
+  const problems = []
+
+  for (const configMap of configMaps) {
+    const name = isObject(configMap.metadata)
+      ? configMap.metadata.name
+      : undefined
+    const data = configMap.data ?? {}
+    if (!isObject(data)) {
+      problems.push(`ConfigMap ${name} data must be a mapping`)
+      continue
+    }
+    for (const [key, value] of Object.entries(data)) {
+      if (!CONFIG_VARIABLES.includes(key)) {
+        problems.push(`Unknown setting ${key} in ConfigMap ${name}`)
+      } else if (typeof value !== 'string') {
+        // Kubernetes rejects ConfigMaps with values other than strings
+        problems.push(
+          `${key} in ConfigMap ${name} must be quoted as a string, got ${describe(value)}`,
+        )
+      } else {
+        env[key] = value
+        fields[key] = `ConfigMap ${name} in ${source}`
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`${source} is invalid:\n  ${problems.join('\n  ')}`)
+  }
+  return { env, fields }
+}
+
+/**
+ * Read a YAML or JSON config file
+ *
+ * Besides the bot's own layout, the file may hold Kubernetes manifests, such as
+ * the output of `kubectl kustomize`; the data of every ConfigMap in it is read
+ * then.
+ *
+ * @param {string} path
+ * @param {object} [options]
+ * @param {typeof defaultReadFile} [options.readFile]
+ * @returns {Promise<LoadedConfig>}
+ */
+export async function readConfigFile(
+  path,
+  { readFile = defaultReadFile } = {},
+) {
+  const source = basename(path)
+  const documents = parseAllDocuments(await readFile(path, 'utf8'))
+  for (const document of documents) {
+    if (document.errors.length > 0) {
+      throw new Error(
+        `${source} is not valid YAML: ${document.errors[0].message}`,
+      )
+    }
+  }
+
+  const values = documents.map((document) => document.toJS())
+  const manifests = values.filter(
+    (value) => isObject(value) && typeof value.kind === 'string',
+  )
+  if (manifests.length > 0) {
+    return configMapsToEnv(
+      manifests.filter((manifest) => manifest.kind === 'ConfigMap'),
+      source,
+    )
+  }
+  if (values.length > 1) {
+    throw new Error(`${source} must hold a single document`)
+  }
+  // An empty file sets nothing
+  return configToEnv(values[0] ?? {}, source)
+}
+
+/**
+ * Combine the config file named by `CONFIG_FILE`, if any, with the environment
+ *
+ * Environment variables take precedence over the file.
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @param {object} [options]
+ * @param {typeof defaultReadFile} [options.readFile]
+ * @returns {Promise<{
+ *   env: NodeJS.ProcessEnv
+ *   fields: Record<string, string>
+ * }>}
+ */
+export async function loadConfig(env, { readFile } = {}) {
+  if (!env.CONFIG_FILE) {
+    return { env, fields: {} }
+  }
+  const file = await readConfigFile(env.CONFIG_FILE, { readFile })
+  const fields = Object.fromEntries(
+    Object.entries(file.fields).filter(([name]) => env[name] === undefined),
+  )
+  return { env: { ...file.env, ...env }, fields }
+}
+
+/**
+ * Point a validation error at the config file settings it is about
+ *
+ * @param {string} message - Names the environment variables involved
+ * @param {Record<string, string>} fields - From {@link loadConfig}
+ * @returns {string}
+ */
+export function describeProblem(message, fields) {
+  const sources = Object.entries(fields)
+    .filter(([name]) => new RegExp(`\\b${name}\\b`).test(message))
+    .map(([, source]) => source)
+  return sources.length > 0 ? `${message} (${sources.join(', ')})` : message
+}
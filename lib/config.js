@@ -1,6 +1,45 @@
-import { ChainId } from 'sushi'
-import { createClient, getChainId } from './client.js'
-import { erc20Abi, maxUint256 } from 'viem'
+import {
+  createClient,
+  createEventClient,
+  createReadClient,
+  createWatchClient,
+  getChainId,
+  parseRpcOptions,
+} from './client.js'
+import {
+  discoverTokens,
+  getTokenRegistry,
+  mergeTokens,
+  parseTokenDefinitions,
+} from './tokens.js'
+import { parseBidSizes } from './sizing.js'
+import { parseRiskLimits } from './risk.js'
+import { parseSlippage } from './slippage.js'
+import { parseLiquidation } from './liquidation.js'
+import {
+  createPoolReservesSource,
+  createPriceOracle,
+  createReferenceFeedSource,
+  createSushiQuoteSource,
+  parseOracleConfig,
+} from './oracle.js'
+import { parseTransactionOptions } from './transactions.js'
+import { parseRivalOptions } from './rivals.js'
+import { parseLeaderOptions } from './leader.js'
+import { parseWalletOptions } from './wallets.js'
+import { createSigner, describeSigner, parseSignerOptions } from './signer.js'
+import { logger, parseLogOptions } from './logger.js'
+import { describeProblem } from './config-file.js'
+import {
+  createNotifier,
+  describeSinks,
+  parseNotifierOptions,
+} from './notify.js'
+import { DEFAULT_SUSHI_API_URL, getQuote as defaultGetQuote } from './swap.js'
+import { getSwap as defaultGetSwap } from 'sushi/evm'
+import { erc20Abi, formatEther, isAddress, maxUint256 } from 'viem'
+
+export { getUsdfcAddress } from './tokens.js'
 
 /**
  * @import {
@@ -10,81 +49,498 @@ import { erc20Abi, maxUint256 } from 'viem'
  *   TransactionReceipt,
  *   WalletClient
  * } from "viem"
+ * @import {LeaderOptions} from "./leader.js"
+ * @import {LiquidationOptions} from "./liquidation.js"
+ * @import {Notifier} from "./notify.js"
+ * @import {
+ *   PriceOracle,
+ *   PriceSource
+ * } from "./oracle.js"
+ * @import {RiskLimits} from "./risk.js"
+ * @import {RivalOptions} from "./rivals.js"
+ * @import {ScheduleOptions} from "./scheduler.js"
+ * @import {SlippageOptions} from "./slippage.js"
+ * @import {Token} from "./tokens.js"
+ * @import {TransactionOptions} from "./transactions.js"
+ * @import {
+ *   Wallet,
+ *   WalletOptions
+ * } from "./wallets.js"
  */
 
 /**
- * @param {number} chainId
- * @returns {Address}
+ * @param {string} name
+ * @param {string | undefined} value
+ * @param {number} fallback
+ * @param {number} min
+ * @param {string} unit - What the number counts, for the error message
+ * @returns {number}
  */
-export function getUsdfcAddress(chainId) {
-  switch (chainId) {
-    case 314:
-      return '0x80B98d3aa09ffff255c3ba4A241111Ff1262F045' // mainnet
-    case 314159:
-      return '0xb3042734b608a1B16e9e86B374A3f3e389B4cDf0' // calibration
-    default:
-      throw new Error(`Unsupported chain ID: ${chainId}`)
+function parseCount(name, value, fallback, min, unit) {
+  if (value === undefined || value === '') {
+    return fallback
+  }
+  if (!/^\d+$/.test(value) || Number(value) < min) {
+    throw new Error(
+      `${name} must be a ${min > 0 ? 'positive' : 'non-negative'} number of ${unit}, got ${value}`,
+    )
   }
+  return Number(value)
+}
+
+/**
+ * Parse the settings `initializeConfig` reads itself, rather than through
+ * another module
+ *
+ * @param {NodeJS.ProcessEnv} env
+ */
+export function parseBotOptions(env) {
+  const {
+    DRY_RUN,
+    WATCH_ADDRESS,
+    EXECUTOR_ADDRESS,
+    RPC_WS_URL,
+    ORACLE_RPC_URL = 'https://api.node.glif.io/',
+    LEDGER_PATH = 'ledger.jsonl',
+    CHECKPOINT_PATH = 'checkpoint.json',
+    PORT = '8080',
+    SUSHI_API_URL = DEFAULT_SUSHI_API_URL,
+  } = env
+
+  if (WATCH_ADDRESS && !isAddress(WATCH_ADDRESS)) {
+    throw new Error(`WATCH_ADDRESS is not a valid address: ${WATCH_ADDRESS}`)
+  }
+  if (RPC_WS_URL && !/^wss?:\/\//.test(RPC_WS_URL)) {
+    throw new Error(
+      `RPC_WS_URL must be a ws:// or wss:// URL, got ${RPC_WS_URL}`,
+    )
+  }
+  if (EXECUTOR_ADDRESS && !isAddress(EXECUTOR_ADDRESS)) {
+    throw new Error(
+      `EXECUTOR_ADDRESS is not a valid address: ${EXECUTOR_ADDRESS}`,
+    )
+  }
+  if (!/^\d+$/.test(PORT) || Number(PORT) > 65535) {
+    throw new Error(`PORT must be a port number up to 65535, got ${PORT}`)
+  }
+  if (!/^https?:\/\//.test(SUSHI_API_URL)) {
+    throw new Error(
+      `SUSHI_API_URL must be an http:// or https:// URL, got ${SUSHI_API_URL}`,
+    )
+  }
+
+  /** @type {ScheduleOptions} */
+  const schedule = {
+    delay: parseCount('DELAY', env.DELAY, 600000, 1, 'milliseconds'),
+    fastDelay: parseCount(
+      'FAST_DELAY',
+      env.FAST_DELAY,
+      30000,
+      1,
+      'milliseconds',
+    ),
+    maxDelay: parseCount(
+      'MAX_DELAY',
+      env.MAX_DELAY,
+      3600000,
+      1,
+      'milliseconds',
+    ),
+    window: parseCount(
+      'SCHEDULE_WINDOW',
+      env.SCHEDULE_WINDOW,
+      300000,
+      0,
+      'milliseconds',
+    ),
+  }
+
+  return {
+    dryRun: DRY_RUN === 'true' || DRY_RUN === '1',
+    watchAddress: /** @type {Address | null} */ (WATCH_ADDRESS || null),
+    executorAddress: /** @type {Address | null} */ (EXECUTOR_ADDRESS || null),
+    wsUrl: RPC_WS_URL || null,
+    oracleRpcUrl: ORACLE_RPC_URL,
+    ledgerPath: LEDGER_PATH,
+    checkpointPath: CHECKPOINT_PATH || null,
+    sushiApiUrl: SUSHI_API_URL,
+    port: Number(PORT),
+    readyGrace: parseCount(
+      'READY_GRACE',
+      env.READY_GRACE,
+      300000,
+      0,
+      'milliseconds',
+    ),
+    reevaluateAfter: parseCount(
+      'REEVALUATE_AFTER',
+      env.REEVALUATE_AFTER,
+      3600000,
+      0,
+      'milliseconds',
+    ),
+    shutdownTimeout: parseCount(
+      'SHUTDOWN_TIMEOUT',
+      env.SHUTDOWN_TIMEOUT,
+      240000,
+      0,
+      'milliseconds',
+    ),
+    discoverTokensLookback: parseCount(
+      'DISCOVER_TOKENS_LOOKBACK',
+      env.DISCOVER_TOKENS_LOOKBACK,
+      0,
+      0,
+      'blocks',
+    ),
+    schedule,
+  }
+}
+
+/** @type {((env: NodeJS.ProcessEnv) => unknown)[]} */
+const PARSERS = [
+  parseBotOptions,
+  parseLogOptions,
+  parseSignerOptions,
+  parseWalletOptions,
+  parseRpcOptions,
+  (env) => parseTokenDefinitions(env.TOKENS),
+  (env) => parseBidSizes(env.BID_SIZES_BPS),
+  parseRiskLimits,
+  parseSlippage,
+  parseLiquidation,
+  parseOracleConfig,
+  parseTransactionOptions,
+  parseRivalOptions,
+  parseLeaderOptions,
+  parseNotifierOptions,
+]
+
+/**
+ * Check every setting without connecting to anything
+ *
+ * A missing signer is not reported, since secrets are often kept apart from the
+ * rest of the configuration.
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @param {Record<string, string>} [fields] - Config file settings, from
+ *   `loadConfig`, that errors are traced back to
+ * @returns {string[]} One message per invalid setting
+ */
+export function validateConfig(env, fields = {}) {
+  /** @type {string[]} */
+  const problems = []
+  for (const parse of PARSERS) {
+    try {
+      parse(env)
+    } catch (error) {
+      problems.push(
+        describeProblem(/** @type {Error} */ (error).message, fields),
+      )
+    }
+  }
+  return problems
 }
 
 /**
  * Initialize bot configuration and clients
  *
  * @param {NodeJS.ProcessEnv} [env] - Environment variables
+ * @param {object} [options]
+ * @param {Record<string, string>} [options.fields] - Config file settings, from
+ *   `loadConfig`, that errors are traced back to
  * @returns {Promise<{
  *   publicClient: PublicClient
+ *   quorumClient: PublicClient
  *   walletClient: WalletClient
  *   account: Account
  *   walletAddress: Address
- *   usdfcAddress: Address
- *   usdfcAddressMainnet: Address
+ *   wallets: Wallet[]
+ *   walletOptions: WalletOptions
+ *   tokens: Token[]
+ *   bidSizesBps: number[]
+ *   slippage: SlippageOptions
+ *   ledgerPath: string
+ *   checkpointPath: string | null
+ *   shutdownTimeout: number
+ *   port: number
+ *   readyGrace: number
+ *   dryRun: boolean
+ *   riskLimits: RiskLimits
+ *   executorAddress: Address | null
+ *   liquidation: LiquidationOptions
+ *   priceOracle: PriceOracle | null
+ *   notifier: Notifier | null
+ *   transactions: TransactionOptions
+ *   rivalOptions: RivalOptions
+ *   leader: LeaderOptions
+ *   eventClient: PublicClient | null
+ *   reevaluateAfter: number
  *   chainId: 314 | 314159
- *   delay: number
+ *   schedule: ScheduleOptions
+ *   getQuote: typeof defaultGetQuote
+ *   getSwap: typeof defaultGetSwap
  * }>}
  */
-export async function initializeConfig(env = {}) {
+export async function initializeConfig(env = {}, { fields = {} } = {}) {
+  const problems = validateConfig(env, fields)
+  if (problems.length > 0) {
+    throw new Error(problems.map((problem) => `Error: ${problem}`).join('\n'))
+  }
+
   const {
-    RPC_URL = 'https://api.calibration.node.glif.io/',
-    PRIVATE_KEY,
-    DELAY = 600000,
-  } = env
+    dryRun,
+    watchAddress,
+    executorAddress,
+    wsUrl,
+    oracleRpcUrl,
+    ledgerPath,
+    checkpointPath,
+    shutdownTimeout,
+    sushiApiUrl,
+    port,
+    readyGrace,
+    reevaluateAfter,
+    discoverTokensLookback,
+    schedule,
+  } = parseBotOptions(env)
+  const signer = parseSignerOptions(env)
+  const walletOptions = parseWalletOptions(env)
 
-  if (!PRIVATE_KEY) {
-    throw new Error('Error: PRIVATE_KEY environment variable is required')
+  if (!signer && !(dryRun && watchAddress)) {
+    throw new Error(
+      dryRun
+        ? 'Error: PRIVATE_KEY or WATCH_ADDRESS environment variable is required in dry run mode'
+        : 'Error: PRIVATE_KEY environment variable is required',
+    )
   }
 
-  const chainId = await getChainId(RPC_URL)
-  const usdfcAddress = getUsdfcAddress(chainId)
-  const usdfcAddressMainnet = getUsdfcAddress(ChainId.FILECOIN)
+  const bidSizesBps = parseBidSizes(env.BID_SIZES_BPS)
+  const riskLimits = parseRiskLimits(env)
+  const slippage = parseSlippage(env)
+  const liquidation = parseLiquidation(env)
+  const oracleConfig = parseOracleConfig(env)
+  const transactions = parseTransactionOptions(env)
+  const rivalOptions = parseRivalOptions(env)
+  const leader = parseLeaderOptions(env)
+  const notifierOptions = parseNotifierOptions(env)
+  const rpc = parseRpcOptions(env)
+  const chainId = await getChainId(
+    rpc.broadcastUrl ? [...rpc.urls, rpc.broadcastUrl] : rpc.urls,
+  )
+  let tokens = getTokenRegistry(chainId, parseTokenDefinitions(env.TOKENS))
   const isMainnet = chainId === 314
 
-  console.log('Initializing auction bot...')
-  console.log(`RPC URL: ${RPC_URL}`)
-  console.log(`Network: ${isMainnet ? 'mainnet' : 'calibration'}`)
-  console.log(`Monitoring token: USDFC at ${usdfcAddress}`)
-  console.log(`Delay between bids: ${Number(DELAY)}ms`)
-  console.log()
-
-  const { publicClient, walletClient, account } = await createClient(
-    chainId,
-    RPC_URL,
-    PRIVATE_KEY,
+  logger.info('Initializing auction bot...')
+  if (dryRun) {
+    logger.info('DRY RUN: no transactions will be sent')
+  }
+  logger.info(`RPC URLs: ${rpc.urls.join(', ')}`)
+  if (sushiApiUrl !== DEFAULT_SUSHI_API_URL) {
+    logger.info(`Sushiswap API: ${sushiApiUrl}`)
+  }
+  logger.info(
+    `RPC quorum: ${rpc.quorum > 1 ? `${rpc.quorum} of ${rpc.urls.length} endpoints for auction and balance reads` : 'disabled'}`,
+  )
+  if (rpc.broadcastUrl) {
+    logger.info(`Broadcast URL: ${rpc.broadcastUrl}`)
+  }
+  logger.info(
+    `Signer: ${signer ? describeSigner(signer) : `none, watching ${watchAddress}`}`,
   )
+  logger.info(
+    wsUrl
+      ? `Auction events: ${wsUrl}, re-evaluating unchanged auctions every ${reevaluateAfter}ms`
+      : 'Auction events: disabled, polling every iteration',
+  )
+  logger.info(`Network: ${isMainnet ? 'mainnet' : 'calibration'}`)
+  logger.info(`Delay between bids: ${schedule.delay}ms`)
+  logger.info(
+    `Predictive schedule: poll every ${schedule.fastDelay}ms within ${schedule.window}ms of break-even, sleep at most ${schedule.maxDelay}ms`,
+  )
+  logger.info(`Bid sizes: ${bidSizesBps.join(', ')} bps of available fees`)
+  logger.info(
+    slippage.auto
+      ? `Slippage: ${slippage.base * 100}% plus price impact, at most ${slippage.max * 100}%`
+      : `Slippage: ${slippage.base * 100}%`,
+  )
+  logger.info(
+    executorAddress
+      ? `Execution: atomic bid and swap via executor ${executorAddress}`
+      : 'Execution: separate bid and swap transactions',
+  )
+  logger.info(
+    liquidation.enabled
+      ? `Stranded token liquidation: enabled, min price ${formatEther(liquidation.minPrice)} FIL per token`
+      : 'Stranded token liquidation: disabled',
+  )
+  logger.info(
+    oracleConfig.sources.length > 0
+      ? `Price oracle: ${oracleConfig.sources.join(', ')} within ${oracleConfig.toleranceBps} bps`
+      : 'Price oracle: disabled',
+  )
+  logger.info(
+    rivalOptions.outbid
+      ? `Rival bids: watching, bidding ahead with ${rivalOptions.outbidPercent}% higher fees`
+      : `Rival bids: ${rivalOptions.watch ? 'watching' : 'not watching'}`,
+  )
+  logger.info(
+    leader.lock === 'none'
+      ? 'Leader election: disabled'
+      : `Leader election: ${leader.lock} lock as ${leader.id}, lease ${leader.leaseDuration}ms renewed every ${leader.renewInterval}ms`,
+  )
+  logger.info(`Ledger: ${ledgerPath || 'disabled'}`)
+  logger.info(
+    `Shutdown: finish in-flight work for up to ${shutdownTimeout}ms, checkpoint ${checkpointPath || 'in memory'}`,
+  )
+  logger.info(
+    notifierOptions.sinks.length > 0
+      ? `Notifications: ${describeSinks(notifierOptions.sinks)}, repeated at most every ${notifierOptions.rateLimit}ms`
+      : 'Notifications: disabled',
+  )
+  logger.info(
+    `Transactions: replace with ${transactions.bumpPercent}% higher fees every ${transactions.receiptTimeout}ms, cancel after ${transactions.maxBumps} replacements, pending state ${transactions.statePath || 'in memory'}`,
+  )
+  logger.info(
+    `Risk limits: min profit ${formatEther(riskLimits.minProfit)} FIL, min margin ${riskLimits.minMarginBps} bps, max per bid ${riskLimits.maxBidSpend === null ? 'unlimited' : `${formatEther(riskLimits.maxBidSpend)} FIL`}, max per 24h ${riskLimits.maxDailySpend === null ? 'unlimited' : `${formatEther(riskLimits.maxDailySpend)} FIL`}, reserve ${formatEther(riskLimits.minReserve)} FIL`,
+  )
+  logger.info(`Health and metrics port: ${port}`)
+  logger.blank()
+
+  const { publicClient, quorumClient, walletClient, account } = signer
+    ? await createClient(chainId, rpc, await createSigner(signer))
+    : await createWatchClient(
+        chainId,
+        rpc,
+        /** @type {Address} */ (watchAddress),
+      )
   const walletAddress = account.address
 
-  console.log(`Wallet address: ${walletAddress}`)
-  console.log()
-  console.log('Initialization complete.')
+  /** @type {Wallet[]} */
+  const wallets = [{ address: walletAddress, account, walletClient }]
+  for (const walletSigner of walletOptions.signers) {
+    const extra = await createClient(
+      chainId,
+      rpc,
+      await createSigner(walletSigner),
+    )
+    const address = extra.account.address
+    if (wallets.some((wallet) => wallet.address === address)) {
+      throw new Error(`Error: Wallet ${address} is configured twice`)
+    }
+    wallets.push({
+      address,
+      account: extra.account,
+      walletClient: extra.walletClient,
+    })
+  }
+
+  if (discoverTokensLookback > 0) {
+    const discovered = await discoverTokens({
+      publicClient,
+      lookback: BigInt(discoverTokensLookback),
+    })
+    tokens = mergeTokens(tokens, discovered)
+  }
+
+  // Every quote and swap route comes from SUSHI_API_URL
+  /** @type {typeof defaultGetQuote} */
+  const getQuote = (args) => defaultGetQuote({ baseUrl: sushiApiUrl, ...args })
+  /** @type {typeof defaultGetSwap} */
+  const getSwap = (params, options) =>
+    defaultGetSwap({ baseUrl: sushiApiUrl, ...params }, options)
+
+  const notifier =
+    notifierOptions.sinks.length > 0 ? createNotifier(notifierOptions) : null
+
+  /** @type {PriceOracle | null} */
+  let priceOracle = null
+  if (oracleConfig.sources.length > 0) {
+    // Quotes are always for mainnet tokens, so read pools from mainnet
+    const mainnetClient = isMainnet
+      ? publicClient
+      : createReadClient(314, oracleRpcUrl)
+    /** @type {Record<string, () => PriceSource>} */
+    const factories = {
+      sushi: () => createSushiQuoteSource({ getQuote }),
+      reserves: () =>
+        createPoolReservesSource({
+          publicClient: mainnetClient,
+          pools: oracleConfig.pools,
+        }),
+      feed: () =>
+        createReferenceFeedSource(
+          /** @type {NonNullable<typeof oracleConfig.feed>} */ (
+            oracleConfig.feed
+          ),
+        ),
+    }
+    priceOracle = createPriceOracle({
+      sources: oracleConfig.sources.map((name) => factories[name]()),
+      toleranceBps: oracleConfig.toleranceBps,
+      notifier,
+    })
+  }
+
+  for (const token of tokens) {
+    logger.info(`Monitoring token: ${token.symbol} at ${token.address}`, {
+      tokenAddress: token.address,
+    })
+  }
+  for (const wallet of wallets) {
+    logger.info(`Wallet address: ${wallet.address}`, {
+      walletAddress: wallet.address,
+    })
+  }
+  if (wallets.length > 1) {
+    logger.info(
+      `Bidding from ${wallets.length} wallets, each time the one with the most FIL and no pending transactions`,
+    )
+  }
+  if (walletOptions.recipient) {
+    logger.info(
+      `Bid recipient: ${walletOptions.recipient}, tokens bid for are not swapped`,
+    )
+  }
+  if (walletOptions.treasury) {
+    logger.info(
+      `Treasury: ${walletOptions.treasury}, receives FIL above ${formatEther(/** @type {bigint} */ (walletOptions.sweepAbove))} in each wallet`,
+    )
+  }
+  logger.blank()
+  logger.info('Initialization complete.')
 
   return {
     publicClient,
+    quorumClient,
     walletClient,
     account,
     walletAddress,
-    usdfcAddress,
-    usdfcAddressMainnet,
+    wallets,
+    walletOptions,
+    tokens,
+    bidSizesBps,
+    slippage,
+    ledgerPath,
+    checkpointPath,
+    shutdownTimeout,
+    port,
+    readyGrace,
+    dryRun,
+    riskLimits,
+    executorAddress,
+    liquidation,
+    priceOracle,
+    notifier,
+    transactions,
+    rivalOptions,
+    leader,
+    eventClient: wsUrl ? createEventClient(chainId, wsUrl) : null,
+    reevaluateAfter,
     chainId,
-    delay: Number(DELAY),
+    schedule,
+    getQuote,
+    getSwap,
   }
 }
 
@@ -95,8 +551,9 @@ export async function initializeConfig(env = {}) {
  * @param {PublicClient} args.publicClient
  * @param {WalletClient} args.walletClient
  * @param {Account} args.account
- * @param {Address} args.tokenAddress - USDFC token address
+ * @param {Address} args.tokenAddress - Token address
  * @param {Address} args.spenderAddress - Router address to approve
+ * @param {string} [args.tokenSymbol] - Token symbol used in log output
  * @returns {Promise<TransactionReceipt | null>}
  */
 export async function ensureApproval({
@@ -105,6 +562,7 @@ export async function ensureApproval({
   account,
   tokenAddress,
   spenderAddress,
+  tokenSymbol = 'USDFC',
 }) {
   const currentAllowance = await publicClient.readContract({
     address: tokenAddress,
@@ -114,11 +572,11 @@ export async function ensureApproval({
   })
 
   if (currentAllowance === maxUint256) {
-    console.log('USDFC already approved for Sushiswap router.')
+    logger.info(`${tokenSymbol} already approved for Sushiswap router.`)
     return null
   }
 
-  console.log('Approving USDFC for Sushiswap router...')
+  logger.info(`Approving ${tokenSymbol} for Sushiswap router...`)
 
   const { request } = await publicClient.simulateContract({
     account,
@@ -131,8 +589,61 @@ export async function ensureApproval({
   const hash = await walletClient.writeContract(request)
   const receipt = await publicClient.waitForTransactionReceipt({ hash })
 
-  console.log(
+  logger.info(
     `Approval successful! Transaction hash: ${receipt.transactionHash}`,
+    { txHash: receipt.transactionHash },
+  )
+  return receipt
+}
+
+/**
+ * Sets the ERC-20 spender allowance back to zero
+ *
+ * @param {object} args
+ * @param {PublicClient} args.publicClient
+ * @param {WalletClient} args.walletClient
+ * @param {Account} args.account
+ * @param {Address} args.tokenAddress - Token address
+ * @param {Address} args.spenderAddress - Router address to revoke
+ * @param {string} [args.tokenSymbol] - Token symbol used in log output
+ * @returns {Promise<TransactionReceipt | null>}
+ */
+export async function revokeApproval({
+  publicClient,
+  walletClient,
+  account,
+  tokenAddress,
+  spenderAddress,
+  tokenSymbol = 'USDFC',
+}) {
+  const currentAllowance = await publicClient.readContract({
+    address: tokenAddress,
+    abi: erc20Abi,
+    functionName: 'allowance',
+    args: [account.address, spenderAddress],
+  })
+
+  if (currentAllowance === 0n) {
+    logger.info(`${tokenSymbol} has no allowance for Sushiswap router.`)
+    return null
+  }
+
+  logger.info(`Revoking ${tokenSymbol} allowance for Sushiswap router...`)
+
+  const { request } = await publicClient.simulateContract({
+    account,
+    address: tokenAddress,
+    abi: erc20Abi,
+    functionName: 'approve',
+    args: [spenderAddress, 0n],
+  })
+
+  const hash = await walletClient.writeContract(request)
+  const receipt = await publicClient.waitForTransactionReceipt({ hash })
+
+  logger.info(
+    `Revocation successful! Transaction hash: ${receipt.transactionHash}`,
+    { txHash: receipt.transactionHash },
   )
   return receipt
 }
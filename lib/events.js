@@ -0,0 +1,234 @@
+import { parseAbiItem } from 'viem'
+import { payments } from '@filoz/synapse-core/abis'
+import { getActiveAuction as defaultGetActiveAuction } from './auction.js'
+import { logger } from './logger.js'
+
+/**
+ * @import {
+ *   Address,
+ *   PublicClient
+ * } from "viem"
+ * @import {Auction} from "./auction.js"
+ * @import {Token} from "./tokens.js"
+ */
+
+/**
+ * What the bot knows about one token's auction
+ *
+ * @typedef {object} AuctionView
+ * @property {boolean} dirty - An event may have changed the auction since it
+ *   was last read
+ * @property {Auction | null} current - Auction as last read
+ * @property {{
+ *   key: string
+ *   breakEvenTime: bigint | null
+ *   walletBound: boolean
+ *   at: number
+ * } | null} evaluated
+ *   Auction state, predicted break-even time, whether the decision hinged on the
+ *   wallet and time of the last full evaluation
+ */
+
+/**
+ * @typedef {object} AuctionWatcher
+ * @property {(tokenAddress: Address) => Promise<boolean>} shouldEvaluate
+ * @property {(
+ *   tokenAddress: Address,
+ *   breakEvenTime: bigint | null,
+ *   options?: { walletBound?: boolean },
+ * ) => void} recordEvaluation
+ * @property {(tokenAddress: Address) => bigint | null} breakEvenTime
+ * @property {() => void} stop
+ */
+
+const transferEvent = parseAbiItem(
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+)
+
+/** Payments events that move network fees into the auction */
+const FEE_EVENTS = new Set(['RailSettled', 'RailOneTimePaymentProcessed'])
+
+/**
+ * @param {Auction | null} auction
+ * @returns {string}
+ */
+const stateKey = (auction) =>
+  auction
+    ? `${auction.startPrice}:${auction.startTime}:${auction.availableFees}`
+    : 'none'
+
+/**
+ * Keep an in-memory view of each token's auction, updated from Payments
+ * contract events
+ *
+ * Fees accrue through rail settlements and one-time payments, which carry no
+ * token, so they mark every auction as changed. A bid transfers the token out
+ * of the Payments contract and resets its auction. Changed auctions are
+ * re-read, and only evaluated in full when their state differs from the last
+ * evaluation, the price has decayed to the predicted break-even time, or
+ * `reevaluateAfter` has passed (quotes drift without any event). An auction not
+ * bid on because of the wallet, e.g. its balance or pending transactions, is
+ * evaluated every time, as wallets change without Payments events.
+ *
+ * While the subscription is failing, every auction is evaluated as if there
+ * were no watcher.
+ *
+ * @param {object} args
+ * @param {PublicClient} args.publicClient - Client to subscribe with, usually
+ *   over WebSocket
+ * @param {PublicClient} args.readClient - Client to read auctions with
+ * @param {Address} args.paymentsAddress
+ * @param {Token[]} args.tokens
+ * @param {() => void} [args.onChange] - Called when an event may have changed
+ *   an auction
+ * @param {number} [args.reevaluateAfter] - Milliseconds after which an
+ *   unchanged auction is evaluated again
+ * @param {() => number} [args.now]
+ * @param {typeof defaultGetActiveAuction} [args.getActiveAuction]
+ * @returns {AuctionWatcher}
+ */
+export function createAuctionWatcher({
+  publicClient,
+  readClient,
+  paymentsAddress,
+  tokens,
+  onChange = () => {},
+  reevaluateAfter = 3600000,
+  now = Date.now,
+  getActiveAuction = defaultGetActiveAuction,
+}) {
+  /** @type {Map<string, AuctionView>} */
+  const views = new Map(
+    tokens.map((token) => [
+      token.address.toLowerCase(),
+      { dirty: true, current: null, evaluated: null },
+    ]),
+  )
+  let healthy = true
+
+  /** @param {Address} tokenAddress */
+  const getView = (tokenAddress) => {
+    const view = views.get(tokenAddress.toLowerCase())
+    if (!view) {
+      throw new Error(`Token ${tokenAddress} is not watched`)
+    }
+    return view
+  }
+
+  const markAllDirty = () => {
+    for (const view of views.values()) view.dirty = true
+  }
+
+  /** @param {Error} error */
+  const onError = (error) => {
+    logger.error(`Auction event subscription error: ${error.message}`, {
+      error,
+    })
+    healthy = false
+    markAllDirty()
+  }
+
+  const unwatchPayments = publicClient.watchContractEvent({
+    address: paymentsAddress,
+    abi: payments,
+    onLogs: (logs) => {
+      healthy = true
+      const accrued = logs.some(
+        (log) =>
+          log.eventName !== undefined &&
+          FEE_EVENTS.has(log.eventName) &&
+          /** @type {{ networkFee?: bigint }} */ (log.args).networkFee !== 0n,
+      )
+      if (accrued) {
+        markAllDirty()
+        onChange()
+      }
+    },
+    onError,
+  })
+  const unwatchTransfers = publicClient.watchEvent({
+    address: tokens.map((token) => token.address),
+    event: transferEvent,
+    args: { from: paymentsAddress },
+    onLogs: (logs) => {
+      healthy = true
+      for (const log of logs) {
+        const view = views.get(log.address.toLowerCase())
+        if (view) view.dirty = true
+      }
+      if (logs.length > 0) onChange()
+    },
+    onError,
+  })
+
+  return {
+    /**
+     * Whether the token's auction needs a full evaluation
+     *
+     * Re-reads the auction first if an event may have changed it.
+     *
+     * @param {Address} tokenAddress
+     * @returns {Promise<boolean>}
+     */
+    async shouldEvaluate(tokenAddress) {
+      if (!healthy) {
+        return true
+      }
+
+      const view = getView(tokenAddress)
+      if (view.dirty) {
+        view.current = await getActiveAuction(readClient, tokenAddress)
+        view.dirty = false
+      }
+
+      const { evaluated } = view
+      return (
+        evaluated === null ||
+        evaluated.walletBound ||
+        evaluated.key !== stateKey(view.current) ||
+        (evaluated.breakEvenTime !== null &&
+          BigInt(Math.floor(now() / 1000)) >= evaluated.breakEvenTime) ||
+        now() - evaluated.at >= reevaluateAfter
+      )
+    },
+
+    /**
+     * Remember the outcome of a full evaluation
+     *
+     * @param {Address} tokenAddress
+     * @param {bigint | null} breakEvenTime - When the auction is predicted to
+     *   become profitable, if it is not yet
+     * @param {object} [options]
+     * @param {boolean} [options.walletBound] - The decision depended on the
+     *   wallet, so the auction is evaluated again next time
+     */
+    recordEvaluation(
+      tokenAddress,
+      breakEvenTime,
+      { walletBound = false } = {},
+    ) {
+      const view = getView(tokenAddress)
+      view.evaluated = {
+        key: stateKey(view.current),
+        breakEvenTime,
+        walletBound,
+        at: now(),
+      }
+    },
+
+    /**
+     * Break-even time predicted by the last evaluation
+     *
+     * @param {Address} tokenAddress
+     * @returns {bigint | null}
+     */
+    breakEvenTime(tokenAddress) {
+      return getView(tokenAddress).evaluated?.breakEvenTime ?? null
+    },
+
+    stop() {
+      unwatchPayments()
+      unwatchTransfers()
+    },
+  }
+}
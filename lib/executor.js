@@ -0,0 +1,164 @@
+import { encodeFunctionData, parseAbi } from 'viem'
+import { logger } from './logger.js'
+
+/**
+ * @import {
+ *   Account,
+ *   Address,
+ *   PublicClient,
+ *   WalletClient
+ * } from "viem"
+ * @import {
+ *   Fees,
+ *   TransactionManager
+ * } from "./transactions.js"
+ */
+
+/** ABI of `contracts/AuctionExecutor.sol` */
+export const executorAbi = parseAbi([
+  'function bidAndSwap(address token, uint256 amount, address router, bytes swapData, uint256 minAmountOut) payable',
+  'function owner() view returns (address)',
+  'function sweep(address token)',
+  'error NotOwner()',
+  'error SwapFailed(bytes reason)',
+  'error Unprofitable(uint256 received, uint256 required)',
+  'error TransferFailed()',
+])
+
+/**
+ * Check that the executor is owned by the bidding wallet
+ *
+ * Only the owner may bid through the executor, and it receives the swap
+ * proceeds, so a mismatch would make every atomic bid revert.
+ *
+ * @param {object} args
+ * @param {PublicClient} args.publicClient
+ * @param {Address} args.executorAddress
+ * @param {Address} args.walletAddress
+ */
+export async function verifyExecutor({
+  publicClient,
+  executorAddress,
+  walletAddress,
+}) {
+  const owner = await publicClient.readContract({
+    address: executorAddress,
+    abi: executorAbi,
+    functionName: 'owner',
+  })
+
+  if (owner.toLowerCase() !== walletAddress.toLowerCase()) {
+    throw new Error(
+      `Executor ${executorAddress} is owned by ${owner}, not the bidding wallet ${walletAddress}`,
+    )
+  }
+}
+
+/**
+ * Simulate an atomic bid and swap through the executor
+ *
+ * @param {object} args
+ * @param {PublicClient} args.publicClient
+ * @param {Account} args.account
+ * @param {Address} args.executorAddress
+ * @param {Address} args.tokenAddress
+ * @param {bigint} args.amount
+ * @param {bigint} args.price - Auction price, sent as value
+ * @param {{ to: Address; data: `0x${string}` }} args.swapTx - Swap with the
+ *   executor as sender and recipient
+ * @param {bigint} args.minAmountOut - Least FIL the swap must return
+ */
+export async function simulateAtomicBid({
+  publicClient,
+  account,
+  executorAddress,
+  tokenAddress,
+  amount,
+  price,
+  swapTx,
+  minAmountOut,
+}) {
+  const { request } = await publicClient.simulateContract({
+    account,
+    address: executorAddress,
+    abi: executorAbi,
+    functionName: 'bidAndSwap',
+    args: [tokenAddress, amount, swapTx.to, swapTx.data, minAmountOut],
+    value: price,
+  })
+
+  return request
+}
+
+/**
+ * Submit the bid and swap as a single executor transaction
+ *
+ * @param {object} args
+ * @param {WalletClient} args.walletClient
+ * @param {PublicClient} args.publicClient
+ * @param {Account} args.account
+ * @param {Address} args.executorAddress
+ * @param {Address} args.tokenAddress
+ * @param {bigint} args.amount
+ * @param {bigint} args.price
+ * @param {{ to: Address; data: `0x${string}` }} args.swapTx
+ * @param {bigint} args.minAmountOut
+ * @param {TransactionManager | null} [args.txManager]
+ * @param {Fees} [args.fees] - Least fees to pay
+ * @returns {Promise<`0x${string}` | null>} Null when the simulation or
+ *   submission failed
+ */
+export async function submitAtomicBidAndSwap({
+  walletClient,
+  publicClient,
+  account,
+  executorAddress,
+  tokenAddress,
+  amount,
+  price,
+  swapTx,
+  minAmountOut,
+  txManager = null,
+  fees,
+}) {
+  logger.info(`Submitting bid and swap atomically via ${executorAddress}...`, {
+    executorAddress,
+  })
+
+  try {
+    const request = await simulateAtomicBid({
+      publicClient,
+      account,
+      executorAddress,
+      tokenAddress,
+      amount,
+      price,
+      swapTx,
+      minAmountOut,
+    })
+    const hash = txManager
+      ? await txManager.send({
+          label: 'bid-and-swap',
+          nonce: await txManager.nextNonce(),
+          to: executorAddress,
+          data: encodeFunctionData({
+            abi: executorAbi,
+            functionName: 'bidAndSwap',
+            args: request.args,
+          }),
+          value: price,
+          minFees: fees,
+        })
+      : await walletClient.writeContract(
+          /** @type {typeof request} */ ({ ...request, ...fees }),
+        )
+    logger.info(`Bid and swap transaction: ${hash}`, { bidHash: hash })
+    return hash
+  } catch (error) {
+    const err = /** @type {Error} */ (error)
+    logger.error(`Transaction submission failed: ${err.message}`, {
+      error: err,
+    })
+    return null
+  }
+}
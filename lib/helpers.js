@@ -1,3 +1,7 @@
+import { mkdir, rename, writeFile } from 'node:fs/promises'
+import { dirname } from 'node:path'
+import { logger } from './logger.js'
+
 /**
  * Log transaction receipt details
  *
@@ -5,12 +9,47 @@
  * @param {import('viem').TransactionReceipt} receipt
  */
 export function logReceipt(label, receipt) {
-  console.log()
-  console.log(`${label}:`)
-  console.log(`  Transaction hash: ${receipt.transactionHash}`)
-  console.log(`  Block number: ${receipt.blockNumber}`)
-  console.log(`  Gas used: ${receipt.gasUsed}`)
-  console.log(
-    `  Status: ${receipt.status === 'success' ? 'success' : 'failed'}`,
+  const status = receipt.status === 'success' ? 'success' : 'failed'
+  logger[status === 'success' ? 'info' : 'warn'](
+    `${label}: ${status} in block ${receipt.blockNumber}, gas used ${receipt.gasUsed} (${receipt.transactionHash})`,
+    {
+      txHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      status,
+    },
   )
 }
+
+/**
+ * Create a function that saves state to a JSON file, with bigints as strings
+ *
+ * Each save writes a temporary file and renames it, so a crash never leaves a
+ * truncated file. Saves run one at a time, as concurrent ones would share the
+ * temporary file.
+ *
+ * @param {string} path
+ * @returns {(value: unknown) => Promise<void>}
+ */
+export function createJsonWriter(path) {
+  /** @type {Promise<void>} */
+  let saving = Promise.resolve()
+
+  /** @param {unknown} value */
+  const save = async (value) => {
+    await mkdir(dirname(path), { recursive: true })
+    const json = JSON.stringify(
+      value,
+      (_, value) => (typeof value === 'bigint' ? value.toString() : value),
+      2,
+    )
+    await writeFile(`${path}.tmp`, json)
+    await rename(`${path}.tmp`, path)
+  }
+
+  return (value) => {
+    const saved = saving.then(() => save(value))
+    saving = saved.catch(() => {})
+    return saved
+  }
+}
@@ -0,0 +1,606 @@
+import { open, readFile, rm, stat } from 'node:fs/promises'
+import { createServer } from 'node:http'
+import { hostname } from 'node:os'
+import { setTimeout as defaultSleep } from 'node:timers/promises'
+import { createJsonWriter } from './helpers.js'
+import { logger } from './logger.js'
+
+/**
+ * @import {Server} from "node:http"
+ * @import {Metrics} from "./metrics.js"
+ */
+
+/**
+ * A lease on the right to bid, held by one instance at a time
+ *
+ * `acquire` takes the lease when it is free or expired, and renews it when the
+ * holder already has it. Each backend makes that check and the write a single
+ * step, so two instances can never both succeed.
+ *
+ * @typedef {object} LeaderLock
+ * @property {string} description - For the log
+ * @property {(holder: string, ttl: number) => Promise<boolean>} acquire - Take
+ *   or renew the lease for `ttl` milliseconds; false when someone else holds
+ *   it
+ * @property {(holder: string) => Promise<void>} release - Give up the lease, if
+ *   held, so a standby takes over without waiting for it to expire
+ */
+
+/**
+ * @typedef {object} LeaderOptions
+ * @property {'none' | 'file' | 'kubernetes' | 'http'} lock
+ * @property {string} id - Identifies this instance as the lease holder
+ * @property {number} leaseDuration - Milliseconds a lease lasts unless renewed
+ * @property {number} renewInterval - Milliseconds between renewals, and between
+ *   attempts of a standby to take over
+ * @property {string} path - Lock file of the `file` backend
+ * @property {string | null} url - Lock URL of the `http` backend
+ * @property {string} leaseName - Lease of the `kubernetes` backend
+ * @property {string | null} leaseNamespace - Namespace of the lease, or null
+ *   for the pod's own
+ */
+
+const LOCK_TYPES = ['none', 'file', 'kubernetes', 'http']
+
+/**
+ * Parse leader election options from environment variables
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {LeaderOptions}
+ */
+export function parseLeaderOptions(env) {
+  const {
+    LEADER_LOCK = 'none',
+    LEADER_ID = `${hostname()}-${process.pid}`,
+    LEADER_LEASE_DURATION = '30000',
+    LEADER_RENEW_INTERVAL = '10000',
+    LEADER_LOCK_PATH = 'leader-lock.json',
+    LEADER_LOCK_URL,
+    LEADER_LEASE_NAME = 'filecoin-pay-auction-bot',
+    LEADER_LEASE_NAMESPACE,
+  } = env
+
+  if (!LOCK_TYPES.includes(LEADER_LOCK)) {
+    throw new Error(
+      `LEADER_LOCK must be one of ${LOCK_TYPES.join(', ')}, got ${LEADER_LOCK}`,
+    )
+  }
+  for (const [name, value] of Object.entries({
+    LEADER_LEASE_DURATION,
+    LEADER_RENEW_INTERVAL,
+  })) {
+    if (!/^\d+$/.test(value) || Number(value) === 0) {
+      throw new Error(
+        `${name} must be a positive number of milliseconds, got ${value}`,
+      )
+    }
+  }
+  if (Number(LEADER_RENEW_INTERVAL) >= Number(LEADER_LEASE_DURATION)) {
+    throw new Error(
+      `LEADER_RENEW_INTERVAL must be shorter than LEADER_LEASE_DURATION, or the lease expires between renewals, got ${LEADER_RENEW_INTERVAL}`,
+    )
+  }
+  if (LEADER_LOCK === 'http' && !/^https?:\/\//.test(LEADER_LOCK_URL ?? '')) {
+    throw new Error(
+      `LEADER_LOCK=http requires LEADER_LOCK_URL to be an http:// or https:// URL, got ${LEADER_LOCK_URL}`,
+    )
+  }
+
+  return {
+    lock: /** @type {LeaderOptions['lock']} */ (LEADER_LOCK),
+    id: LEADER_ID,
+    leaseDuration: Number(LEADER_LEASE_DURATION),
+    renewInterval: Number(LEADER_RENEW_INTERVAL),
+    path: LEADER_LOCK_PATH,
+    url: LEADER_LOCK_URL || null,
+    leaseName: LEADER_LEASE_NAME,
+    leaseNamespace: LEADER_LEASE_NAMESPACE || null,
+  }
+}
+
+/**
+ * @typedef {object} Lease
+ * @property {string} holder
+ * @property {number} expiresAt - Milliseconds since epoch
+ */
+
+/**
+ * Lease kept in a file, for instances sharing a filesystem
+ *
+ * Reading and writing the lease is guarded by a `.lock` file created
+ * exclusively, which is removed when left behind by a crashed instance.
+ *
+ * @param {object} args
+ * @param {string} args.path
+ * @param {() => number} [args.now]
+ * @param {(ms: number) => Promise<unknown>} [args.sleep]
+ * @returns {LeaderLock}
+ */
+export function createFileLock({ path, now = Date.now, sleep = defaultSleep }) {
+  const write = createJsonWriter(path)
+  const mutexPath = `${path}.lock`
+
+  /** @returns {Promise<Lease | null>} */
+  const read = async () => {
+    try {
+      return JSON.parse(await readFile(path, 'utf8'))
+    } catch (error) {
+      if (/** @type {NodeJS.ErrnoException} */ (error).code === 'ENOENT') {
+        return null
+      }
+      throw error
+    }
+  }
+
+  /**
+   * @template T
+   * @param {() => Promise<T>} fn
+   * @returns {Promise<T>}
+   */
+  const exclusively = async (fn) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const handle = await open(mutexPath, 'wx')
+        try {
+          return await fn()
+        } finally {
+          await handle.close()
+          await rm(mutexPath, { force: true })
+        }
+      } catch (error) {
+        if (/** @type {NodeJS.ErrnoException} */ (error).code !== 'EEXIST') {
+          throw error
+        }
+        const { mtimeMs } = await stat(mutexPath).catch(() => ({
+          mtimeMs: now(),
+        }))
+        // Nothing holds the mutex for this long unless it crashed
+        if (now() - mtimeMs > 10000) {
+          await rm(mutexPath, { force: true })
+        } else if (attempt >= 50) {
+          throw new Error(`Timed out waiting for ${mutexPath}`)
+        } else {
+          await sleep(100)
+        }
+      }
+    }
+  }
+
+  return {
+    description: `file ${path}`,
+
+    acquire: (holder, ttl) =>
+      exclusively(async () => {
+        const lease = await read()
+        if (lease && lease.holder !== holder && lease.expiresAt > now()) {
+          return false
+        }
+        await write({ holder, expiresAt: now() + ttl })
+        return true
+      }),
+
+    release: (holder) =>
+      exclusively(async () => {
+        const lease = await read()
+        if (lease?.holder === holder) {
+          await rm(path, { force: true })
+        }
+      }),
+  }
+}
+
+/**
+ * @param {Response} res
+ * @param {string} action
+ */
+async function requestError(res, action) {
+  const body = await res.text().catch(() => '')
+  return new Error(`${action} failed with HTTP ${res.status}: ${body}`)
+}
+
+/**
+ * Lease held through a lock service, with the semantics of a Redis `SET key
+ * holder NX PX ttl` that the holder may renew
+ *
+ * - `PUT <url>` with `{ "holder": string, "ttl": number }` takes or renews the
+ *   lease and answers 200, or 409 while another holder has it
+ * - `DELETE <url>` with `{ "holder": string }` releases it
+ *
+ * `createLockServer` serves this API, as a stand-in for a real lock service.
+ *
+ * @param {object} args
+ * @param {string} args.url
+ * @param {typeof globalThis.fetch} [args.fetch]
+ * @returns {LeaderLock}
+ */
+export function createHttpLock({ url, fetch = globalThis.fetch }) {
+  /**
+   * @param {string} method
+   * @param {object} body
+   */
+  const request = (method, body) =>
+    fetch(url, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(5000),
+    })
+
+  return {
+    description: `lock service ${url}`,
+
+    async acquire(holder, ttl) {
+      const res = await request('PUT', { holder, ttl })
+      if (res.status === 409) return false
+      if (!res.ok) throw await requestError(res, 'Taking the lease')
+      return true
+    },
+
+    async release(holder) {
+      const res = await request('DELETE', { holder })
+      if (!res.ok && res.status !== 409) {
+        throw await requestError(res, 'Releasing the lease')
+      }
+    },
+  }
+}
+
+/**
+ * Serve the lock API of `createHttpLock` from memory, for local setups and
+ * tests. Any path is a separate lock.
+ *
+ * @param {object} [args]
+ * @param {() => number} [args.now]
+ * @returns {Server}
+ */
+export function createLockServer({ now = Date.now } = {}) {
+  /** @type {Map<string, Lease>} */
+  const leases = new Map()
+
+  return createServer(async (req, res) => {
+    const reply = (/** @type {number} */ status, /** @type {object} */ body) =>
+      res
+        .writeHead(status, { 'content-type': 'application/json' })
+        .end(JSON.stringify(body))
+
+    let body
+    try {
+      let text = ''
+      for await (const chunk of req) text += chunk
+      body = JSON.parse(text)
+    } catch {
+      return reply(400, { error: 'Expected a JSON body' })
+    }
+    if (typeof body?.holder !== 'string' || body.holder === '') {
+      return reply(400, { error: 'Expected a holder' })
+    }
+
+    const key = new URL(req.url ?? '/', 'http://localhost').pathname
+    const lease = leases.get(key)
+    const heldByOther =
+      lease && lease.holder !== body.holder && lease.expiresAt > now()
+
+    if (req.method === 'PUT') {
+      if (!Number.isInteger(body.ttl) || body.ttl <= 0) {
+        return reply(400, { error: 'Expected a positive integer ttl' })
+      }
+      if (heldByOther) return reply(409, lease)
+      const taken = { holder: body.holder, expiresAt: now() + body.ttl }
+      leases.set(key, taken)
+      return reply(200, taken)
+    }
+    if (req.method === 'DELETE') {
+      if (heldByOther) return reply(409, lease)
+      leases.delete(key)
+      return reply(200, {})
+    }
+    reply(405, { error: `Unsupported method ${req.method}` })
+  })
+}
+
+const SERVICE_ACCOUNT = '/var/run/secrets/kubernetes.io/serviceaccount'
+
+/**
+ * Kubernetes API timestamps have microsecond precision
+ *
+ * @param {number} time - Milliseconds since epoch
+ */
+const toMicroTime = (time) => new Date(time).toISOString().replace('Z', '000Z')
+
+/**
+ * Lease held as a Kubernetes `coordination.k8s.io/v1` Lease, compatible with
+ * the leader election of client-go
+ *
+ * Writes are conditional on the `resourceVersion` read, so a lease that changed
+ * in between is not overwritten. Inside a pod, the API server, token and
+ * namespace come from the service account. The API server's CA must be trusted
+ * through `NODE_EXTRA_CA_CERTS`.
+ *
+ * @param {object} args
+ * @param {string} args.name
+ * @param {string | null} [args.namespace] - Defaults to the pod's namespace
+ * @param {string} [args.apiUrl]
+ * @param {() => Promise<string | null>} [args.getToken] - Bearer token, read
+ *   again for every request as Kubernetes rotates it
+ * @param {typeof globalThis.fetch} [args.fetch]
+ * @param {() => number} [args.now]
+ * @returns {LeaderLock}
+ */
+export function createKubernetesLease({
+  name,
+  namespace = null,
+  apiUrl = `https://${process.env.KUBERNETES_SERVICE_HOST}:${process.env.KUBERNETES_SERVICE_PORT}`,
+  getToken = () => readFile(`${SERVICE_ACCOUNT}/token`, 'utf8'),
+  fetch = globalThis.fetch,
+  now = Date.now,
+}) {
+  /** @type {Promise<string> | null} */
+  let leasesUrl = null
+  const getLeasesUrl = () => {
+    leasesUrl ??= (
+      namespace
+        ? Promise.resolve(namespace)
+        : readFile(`${SERVICE_ACCOUNT}/namespace`, 'utf8')
+    ).then(
+      (ns) =>
+        `${apiUrl}/apis/coordination.k8s.io/v1/namespaces/${ns.trim()}/leases`,
+    )
+    return leasesUrl
+  }
+
+  /**
+   * @param {string} method
+   * @param {string} url
+   * @param {object} [body]
+   */
+  const request = async (method, url, body) => {
+    const token = await getToken()
+    return fetch(url, {
+      method,
+      headers: {
+        accept: 'application/json',
+        ...(token ? { authorization: `Bearer ${token.trim()}` } : {}),
+        ...(body ? { 'content-type': 'application/json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(5000),
+    })
+  }
+
+  /** @returns {Promise<any | null>} Null when there is no lease yet */
+  const get = async () => {
+    const res = await request('GET', `${await getLeasesUrl()}/${name}`)
+    if (res.status === 404) return null
+    if (!res.ok) throw await requestError(res, `Reading lease ${name}`)
+    return res.json()
+  }
+
+  /** @param {any} lease */
+  const put = async (lease) => {
+    const res = await request('PUT', `${await getLeasesUrl()}/${name}`, lease)
+    // Someone else updated the lease since we read it
+    if (res.status === 409) return false
+    if (!res.ok) throw await requestError(res, `Updating lease ${name}`)
+    return true
+  }
+
+  return {
+    description: `Kubernetes lease ${namespace ? `${namespace}/` : ''}${name}`,
+
+    async acquire(holder, ttl) {
+      const time = toMicroTime(now())
+      const leaseDurationSeconds = Math.ceil(ttl / 1000)
+      const lease = await get()
+      if (!lease) {
+        const res = await request('POST', await getLeasesUrl(), {
+          apiVersion: 'coordination.k8s.io/v1',
+          kind: 'Lease',
+          metadata: { name },
+          spec: {
+            holderIdentity: holder,
+            leaseDurationSeconds,
+            acquireTime: time,
+            renewTime: time,
+            leaseTransitions: 0,
+          },
+        })
+        if (res.status === 409) return false
+        if (!res.ok) throw await requestError(res, `Creating lease ${name}`)
+        return true
+      }
+
+      const spec = lease.spec ?? {}
+      const expiresAt =
+        Date.parse(spec.renewTime ?? 0) +
+        (spec.leaseDurationSeconds ?? 0) * 1000
+      const held = spec.holderIdentity === holder
+      if (spec.holderIdentity && !held && expiresAt > now()) {
+        return false
+      }
+      return put({
+        ...lease,
+        spec: {
+          ...spec,
+          holderIdentity: holder,
+          leaseDurationSeconds,
+          acquireTime: held ? spec.acquireTime : time,
+          renewTime: time,
+          leaseTransitions: (spec.leaseTransitions ?? 0) + (held ? 0 : 1),
+        },
+      })
+    },
+
+    async release(holder) {
+      const lease = await get()
+      if (lease?.spec?.holderIdentity !== holder) return
+      // As client-go does, leave an empty lease that expires right away
+      const time = toMicroTime(now())
+      await put({
+        ...lease,
+        spec: {
+          ...lease.spec,
+          holderIdentity: '',
+          leaseDurationSeconds: 1,
+          acquireTime: time,
+          renewTime: time,
+        },
+      })
+    },
+  }
+}
+
+/**
+ * Create the lock backend selected by `LEADER_LOCK`
+ *
+ * @param {LeaderOptions} options
+ * @returns {LeaderLock | null} Null without leader election
+ */
+export function createLeaderLock(options) {
+  switch (options.lock) {
+    case 'file':
+      return createFileLock({ path: options.path })
+    case 'http':
+      return createHttpLock({ url: /** @type {string} */ (options.url) })
+    case 'kubernetes':
+      return createKubernetesLease({
+        name: options.leaseName,
+        namespace: options.leaseNamespace,
+      })
+    default:
+      return null
+  }
+}
+
+/**
+ * Keep taking or renewing the lease, so only one instance bids at a time
+ *
+ * An instance counts as leader until its last successful renewal runs out,
+ * measured from before the request was sent. When a renewal is refused or the
+ * lock cannot be reached for that long, it stops being leader and `onLost` is
+ * called. A standby keeps trying and takes over once the lease expires.
+ *
+ * @param {object} args
+ * @param {LeaderLock} args.lock
+ * @param {string} args.id
+ * @param {number} args.leaseDuration
+ * @param {number} args.renewInterval
+ * @param {() => void} [args.onLost]
+ * @param {Metrics} [args.metrics]
+ * @param {() => number} [args.now]
+ * @param {typeof defaultSleep} [args.sleep]
+ */
+export function createLeaderElector({
+  lock,
+  id,
+  leaseDuration,
+  renewInterval,
+  onLost = () => {},
+  metrics,
+  now = Date.now,
+  sleep = defaultSleep,
+}) {
+  let leaderUntil = 0
+  let wasLeader = false
+  const stopped = new AbortController()
+  /** @type {Promise<void> | null} */
+  let running = null
+  /** @type {Set<() => void>} */
+  const waiters = new Set()
+
+  const isLeader = () => now() < leaderUntil
+
+  const attempt = async () => {
+    const startedAt = now()
+    try {
+      const acquired = await lock.acquire(id, leaseDuration)
+      leaderUntil = acquired ? startedAt + leaseDuration : 0
+    } catch (error) {
+      // The lease may still be ours, until it runs out
+      logger.warn(
+        `Leader lock error: ${/** @type {Error} */ (error).message}`,
+        {
+          error,
+        },
+      )
+    }
+  }
+
+  const update = () => {
+    const leader = isLeader()
+    metrics?.leader.set({}, leader ? 1 : 0)
+    if (leader && !wasLeader) {
+      logger.info(
+        `Became the active instance (${id}) through ${lock.description}`,
+      )
+      for (const resolve of waiters) resolve()
+    } else if (!leader && wasLeader) {
+      logger.warn(`Lost the leader lease (${id})`)
+      onLost()
+    }
+    wasLeader = leader
+  }
+
+  const run = async () => {
+    while (!stopped.signal.aborted) {
+      await attempt()
+      update()
+      try {
+        // Wake up when the lease would run out before the next renewal
+        const untilExpiry = leaderUntil - now()
+        await sleep(
+          isLeader() ? Math.min(renewInterval, untilExpiry) : renewInterval,
+          undefined,
+          { signal: stopped.signal },
+        )
+      } catch {
+        // Stopped
+      }
+    }
+  }
+
+  return {
+    id,
+    isLeader,
+
+    /**
+     * Start taking and renewing the lease in the background, and wait until
+     * this instance holds it
+     *
+     * @param {AbortSignal} [signal] - Stops waiting, e.g. on shutdown
+     * @returns {Promise<boolean>} False when `signal` was aborted first
+     */
+    async start(signal) {
+      running ??= run()
+      if (isLeader()) return true
+      /** @type {() => void} */
+      let onLeader = () => {}
+      /** @type {() => void} */
+      let onAbort = () => {}
+      const promise = new Promise((resolve) => {
+        onLeader = () => resolve(true)
+        onAbort = () => resolve(false)
+      })
+      waiters.add(onLeader)
+      signal?.addEventListener('abort', onAbort, { once: true })
+      try {
+        return signal?.aborted ? false : await promise
+      } finally {
+        waiters.delete(onLeader)
+        signal?.removeEventListener('abort', onAbort)
+      }
+    },
+
+    /** Stop renewing, and release the lease if held */
+    async stop() {
+      stopped.abort()
+      await running
+      if (isLeader()) {
+        leaderUntil = 0
+        await lock.release(id)
+        logger.info(`Released the leader lease (${id})`)
+      }
+    },
+  }
+}
+
+/** @typedef {ReturnType<typeof createLeaderElector>} LeaderElector */
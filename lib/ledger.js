@@ -0,0 +1,280 @@
+import { appendFile, mkdir, readFile } from 'node:fs/promises'
+import { dirname } from 'node:path'
+import { getSwapAmounts } from './swap.js'
+
+/** @import {TransactionReceipt} from "viem" */
+
+/**
+ * @typedef {object} EvaluationEntry
+ * @property {'evaluation'} type
+ * @property {string} timestamp - ISO 8601
+ * @property {string} token - Token symbol
+ * @property {string} tokenAddress
+ * @property {string} decision - Outcome of the evaluation, e.g. `bid` or
+ *   `not-profitable`
+ * @property {bigint} [auctionPrice]
+ * @property {bigint} [amount] - Token amount evaluated for the bid
+ * @property {bigint} [swapAmountOut] - Quoted FIL out of the swap
+ * @property {bigint} [totalCost] - Auction price plus estimated gas
+ * @property {string} [reason] - Risk limit or price source that blocked the
+ *   bid, or why it was not sent
+ */
+
+/**
+ * @typedef {object} TradeEntry
+ * @property {'trade'} type
+ * @property {string} timestamp - ISO 8601
+ * @property {string} token - Token symbol
+ * @property {string} tokenAddress
+ * @property {bigint} amount - Tokens received from the auction
+ * @property {bigint} auctionPrice - FIL paid to the auction
+ * @property {`0x${string}`} bidHash
+ * @property {string} bidStatus
+ * @property {bigint} bidGasUsed
+ * @property {bigint} bidGasFee - FIL spent on bid gas
+ * @property {`0x${string}` | null} swapHash
+ * @property {string | null} swapStatus
+ * @property {bigint} swapGasUsed
+ * @property {bigint} swapGasFee - FIL spent on swap gas
+ * @property {bigint} swapAmountIn - Tokens sold, including previously held ones
+ * @property {bigint} filReturned - FIL received from the swap
+ * @property {bigint} filPaid - Auction price (when the bid landed) plus all gas
+ * @property {bigint} profit - `filReturned - filPaid`
+ */
+
+/**
+ * @typedef {object} LiquidationEntry
+ * @property {'liquidation'} type
+ * @property {string} timestamp - ISO 8601
+ * @property {string} token - Token symbol
+ * @property {string} tokenAddress
+ * @property {`0x${string}`} swapHash
+ * @property {string} swapStatus
+ * @property {bigint} swapGasUsed
+ * @property {bigint} swapGasFee - FIL spent on swap gas
+ * @property {bigint} swapAmountIn - Stranded tokens sold
+ * @property {bigint} filReturned - FIL received from the swap
+ * @property {bigint} filPaid - Swap gas
+ * @property {bigint} profit - `filReturned - filPaid`
+ */
+
+/**
+ * An auction won by another bidder
+ *
+ * @typedef {object} RivalBidEntry
+ * @property {'rival-bid'} type
+ * @property {string} timestamp - ISO 8601
+ * @property {string} token - Token symbol
+ * @property {string} tokenAddress
+ * @property {`0x${string}`} hash - Rival's bid transaction
+ * @property {string} bidder
+ * @property {bigint} amount - Tokens the rival received
+ */
+
+/** @typedef {EvaluationEntry | TradeEntry | LiquidationEntry | RivalBidEntry} LedgerEntry */
+
+const BIGINT_FIELDS = new Set([
+  'auctionPrice',
+  'amount',
+  'swapAmountOut',
+  'totalCost',
+  'bidGasUsed',
+  'bidGasFee',
+  'swapGasUsed',
+  'swapGasFee',
+  'swapAmountIn',
+  'filReturned',
+  'filPaid',
+  'profit',
+])
+
+/**
+ * Append an entry to the JSONL ledger, creating the file if needed
+ *
+ * @param {string} path
+ * @param {LedgerEntry} entry
+ */
+export async function appendLedgerEntry(path, entry) {
+  await mkdir(dirname(path), { recursive: true })
+  const line = JSON.stringify(entry, (_, value) =>
+    typeof value === 'bigint' ? value.toString() : value,
+  )
+  await appendFile(path, `${line}\n`)
+}
+
+/**
+ * Read all ledger entries
+ *
+ * @param {string} path
+ * @returns {Promise<LedgerEntry[]>} Empty when the ledger does not exist yet
+ */
+export async function readLedger(path) {
+  let contents
+  try {
+    contents = await readFile(path, 'utf8')
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === 'ENOENT') {
+      return []
+    }
+    throw error
+  }
+
+  return contents
+    .split('\n')
+    .filter((line) => line.trim() !== '')
+    .map((line) =>
+      JSON.parse(line, (key, value) =>
+        BIGINT_FIELDS.has(key) && typeof value === 'string'
+          ? BigInt(value)
+          : value,
+      ),
+    )
+}
+
+/**
+ * @param {TransactionReceipt | null} receipt
+ * @returns {bigint}
+ */
+function getGasFee(receipt) {
+  if (!receipt) {
+    return 0n
+  }
+  return receipt.gasUsed * receipt.effectiveGasPrice
+}
+
+/**
+ * Build a trade entry from the bid and swap receipts
+ *
+ * @param {object} args
+ * @param {{ symbol: string; address: string }} args.token
+ * @param {bigint} args.amount - Token amount bid for
+ * @param {bigint} args.auctionPrice
+ * @param {TransactionReceipt} args.bidReceipt
+ * @param {TransactionReceipt | null} args.swapReceipt - The bid receipt itself
+ *   when the bid and swap ran atomically, in which case gas is counted once
+ * @returns {TradeEntry}
+ */
+export function createTradeEntry({
+  token,
+  amount,
+  auctionPrice,
+  bidReceipt,
+  swapReceipt,
+}) {
+  const bidSucceeded = bidReceipt.status === 'success'
+  const bidGasFee = getGasFee(bidReceipt)
+  const separateSwap = swapReceipt !== bidReceipt ? swapReceipt : null
+  const swapGasFee = getGasFee(separateSwap)
+  const swapAmounts = swapReceipt ? getSwapAmounts(swapReceipt) : null
+  const filReturned = swapAmounts?.amountOut ?? 0n
+  const filPaid = (bidSucceeded ? auctionPrice : 0n) + bidGasFee + swapGasFee
+
+  return {
+    type: 'trade',
+    timestamp: new Date().toISOString(),
+    token: token.symbol,
+    tokenAddress: token.address,
+    amount: bidSucceeded ? amount : 0n,
+    auctionPrice,
+    bidHash: bidReceipt.transactionHash,
+    bidStatus: bidReceipt.status,
+    bidGasUsed: bidReceipt.gasUsed,
+    bidGasFee,
+    swapHash: swapReceipt?.transactionHash ?? null,
+    swapStatus: swapReceipt?.status ?? null,
+    swapGasUsed: separateSwap?.gasUsed ?? 0n,
+    swapGasFee,
+    swapAmountIn: swapAmounts?.amountIn ?? 0n,
+    filReturned,
+    filPaid,
+    profit: filReturned - filPaid,
+  }
+}
+
+/**
+ * Build a liquidation entry from the receipt of a stranded token sale
+ *
+ * @param {object} args
+ * @param {{ symbol: string; address: string }} args.token
+ * @param {TransactionReceipt} args.swapReceipt
+ * @returns {LiquidationEntry}
+ */
+export function createLiquidationEntry({ token, swapReceipt }) {
+  const swapGasFee = getGasFee(swapReceipt)
+  const swapAmounts = getSwapAmounts(swapReceipt)
+  const filReturned = swapAmounts?.amountOut ?? 0n
+
+  return {
+    type: 'liquidation',
+    timestamp: new Date().toISOString(),
+    token: token.symbol,
+    tokenAddress: token.address,
+    swapHash: swapReceipt.transactionHash,
+    swapStatus: swapReceipt.status,
+    swapGasUsed: swapReceipt.gasUsed,
+    swapGasFee,
+    swapAmountIn: swapAmounts?.amountIn ?? 0n,
+    filReturned,
+    filPaid: swapGasFee,
+    profit: filReturned - swapGasFee,
+  }
+}
+
+/**
+ * Summarize realized profit across all trades in the ledger
+ *
+ * Tokens left over from a failed swap are sold by a later swap or a
+ * liquidation, so the total only settles once they are.
+ *
+ * @param {LedgerEntry[]} entries
+ * @returns {{
+ *   trades: TradeEntry[]
+ *   liquidations: LiquidationEntry[]
+ *   rivalBids: RivalBidEntry[]
+ *   auctionsWon: number
+ *   evaluations: number
+ *   totalFilPaid: bigint
+ *   totalFilReturned: bigint
+ *   totalProfit: bigint
+ * }}
+ */
+export function summarizeLedger(entries) {
+  /** @type {TradeEntry[]} */
+  const trades = []
+  /** @type {LiquidationEntry[]} */
+  const liquidations = []
+  /** @type {RivalBidEntry[]} */
+  const rivalBids = []
+  let evaluations = 0
+  let totalFilPaid = 0n
+  let totalFilReturned = 0n
+
+  for (const entry of entries) {
+    if (entry.type === 'evaluation') {
+      evaluations++
+      continue
+    }
+    if (entry.type === 'rival-bid') {
+      rivalBids.push(entry)
+      continue
+    }
+    if (entry.type === 'liquidation') {
+      liquidations.push(entry)
+    } else {
+      trades.push(entry)
+    }
+    totalFilPaid += entry.filPaid
+    totalFilReturned += entry.filReturned
+  }
+
+  return {
+    trades,
+    liquidations,
+    rivalBids,
+    auctionsWon: trades.filter((trade) => trade.bidStatus === 'success').length,
+    evaluations,
+    totalFilPaid,
+    totalFilReturned,
+    totalProfit: totalFilReturned - totalFilPaid,
+  }
+}
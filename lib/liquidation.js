@@ -0,0 +1,254 @@
+import { formatEther, formatUnits, parseEther } from 'viem'
+import { ChainId } from 'sushi'
+import { getSwap as defaultGetSwap, RouteStatus } from 'sushi/evm'
+import { getTokenBalance as defaultGetTokenBalance } from './client.js'
+import {
+  SUSHISWAP_NATIVE_PLACEHOLDER,
+  getQuote as defaultGetQuote,
+} from './swap.js'
+import { DEFAULT_SLIPPAGE, getAmountOutMin, getSlippage } from './slippage.js'
+import { appendLedgerEntry, createLiquidationEntry } from './ledger.js'
+import { logReceipt } from './helpers.js'
+import { logger } from './logger.js'
+
+/**
+ * @import {
+ *   Account,
+ *   Address,
+ *   PublicClient,
+ *   WalletClient
+ * } from "viem"
+ * @import {LiquidationEntry} from "./ledger.js"
+ * @import {Metrics} from "./metrics.js"
+ * @import {Notifier} from "./notify.js"
+ * @import {PriceOracle} from "./oracle.js"
+ * @import {SlippageOptions} from "./slippage.js"
+ * @import {Token} from "./tokens.js"
+ * @import {TransactionManager} from "./transactions.js"
+ */
+
+/**
+ * @typedef {object} LiquidationOptions
+ * @property {boolean} enabled - Sell stranded tokens every iteration
+ * @property {bigint} minPrice - Lowest worst-case price to sell at, in FIL per
+ *   whole token
+ */
+
+/**
+ * Parse liquidation options from environment variables
+ *
+ * Liquidation is opt-in, and then needs an explicit minimum price, so tokens
+ * the operator holds on purpose are never sold off at whatever covers gas.
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {LiquidationOptions}
+ */
+export function parseLiquidation(env) {
+  const { LIQUIDATE_STRANDED, LIQUIDATION_MIN_PRICE } = env
+  const enabled = LIQUIDATE_STRANDED === 'true' || LIQUIDATE_STRANDED === '1'
+  if (enabled && LIQUIDATION_MIN_PRICE === undefined) {
+    throw new Error(
+      'LIQUIDATE_STRANDED requires LIQUIDATION_MIN_PRICE, the lowest price in FIL per token to sell at',
+    )
+  }
+  const minPrice = LIQUIDATION_MIN_PRICE ?? '0'
+  if (!/^\d+(\.\d+)?$/.test(minPrice)) {
+    throw new Error(
+      `LIQUIDATION_MIN_PRICE must be a non-negative FIL amount, got ${minPrice}`,
+    )
+  }
+
+  return {
+    enabled,
+    minPrice: parseEther(minPrice),
+  }
+}
+
+/**
+ * Sell tokens left in the wallet, e.g. by a failed swap after a successful bid
+ *
+ * Runs on its own, independent of any auction, so stranded tokens do not wait
+ * for the next profitable auction to be sold. The sale only goes ahead when its
+ * worst-case output covers the swap gas and is worth at least
+ * `liquidation.minPrice` per token.
+ *
+ * @param {object} args
+ * @param {PublicClient} args.publicClient
+ * @param {WalletClient} args.walletClient
+ * @param {Account} args.account
+ * @param {Address} args.walletAddress
+ * @param {Token} args.token
+ * @param {LiquidationOptions} args.liquidation
+ * @param {SlippageOptions} [args.slippage]
+ * @param {boolean} [args.dryRun] - Quote and report the sale without sending it
+ * @param {string} [args.ledgerPath]
+ * @param {Metrics} [args.metrics]
+ * @param {PriceOracle | null} [args.priceOracle] - Sources the quote must agree
+ *   with before selling
+ * @param {TransactionManager | null} [args.txManager] - Sends the sale and sees
+ *   it through to a receipt
+ * @param {Notifier | null} [args.notifier] - Alerted when the sale reverts
+ * @param {typeof defaultGetTokenBalance} [args.getTokenBalance]
+ * @param {typeof defaultGetQuote} [args.getQuote]
+ * @param {typeof defaultGetSwap} [args.getSwap]
+ * @returns {Promise<LiquidationEntry | null>} Null when nothing was sold
+ */
+export async function liquidateStrandedTokens({
+  publicClient,
+  walletClient,
+  account,
+  walletAddress,
+  token,
+  liquidation,
+  slippage = { base: DEFAULT_SLIPPAGE, auto: false, max: DEFAULT_SLIPPAGE },
+  dryRun = false,
+  ledgerPath,
+  metrics,
+  priceOracle = null,
+  txManager = null,
+  notifier = null,
+  getTokenBalance = defaultGetTokenBalance,
+  getQuote = defaultGetQuote,
+  getSwap = defaultGetSwap,
+}) {
+  const balance = await getTokenBalance(
+    publicClient,
+    token.address,
+    walletAddress,
+  )
+  if (balance === 0n) {
+    return null
+  }
+
+  logger.info(
+    `Found ${formatUnits(balance, token.decimals)} stranded ${token.symbol}, quoting liquidation...`,
+    { tokenBalance: balance },
+  )
+
+  const quote = await getQuote({
+    tokenIn: token.quoteAddress,
+    tokenOut: SUSHISWAP_NATIVE_PLACEHOLDER,
+    amount: balance,
+    maxSlippage: slippage.base,
+  })
+  if (quote.status !== 'Success') {
+    logger.info(`Skipping liquidation: swap quote status is ${quote.status}`)
+    return null
+  }
+  // A malformed response must not be mistaken for a price
+  if (!/^\d+$/.test(quote.assumedAmountOut) || !/^\d+$/.test(quote.gasSpent)) {
+    logger.warn(
+      `Skipping liquidation: swap quote has an invalid amount out ${quote.assumedAmountOut} or gas ${quote.gasSpent}`,
+    )
+    return null
+  }
+
+  const gasPrice = await publicClient.getGasPrice()
+  const swapGasCost = BigInt(quote.gasSpent) * gasPrice
+  const maxSlippage = getSlippage(slippage, quote.priceImpact)
+  const amountOutMin = getAmountOutMin(
+    BigInt(quote.assumedAmountOut),
+    maxSlippage,
+  )
+  const price = (amountOutMin * 10n ** BigInt(token.decimals)) / balance
+
+  logger.info(
+    `Liquidation quote: minimum swap out amount ${formatEther(amountOutMin)} FIL (${formatEther(price)} FIL per ${token.symbol}), swap gas cost ${formatEther(swapGasCost)} FIL`,
+    { swapAmountOut: amountOutMin, price, swapGasCost },
+  )
+
+  if (amountOutMin <= swapGasCost) {
+    logger.info('Skipping liquidation: swap output does not cover gas.')
+    return null
+  }
+  if (price < liquidation.minPrice) {
+    logger.info(
+      `Skipping liquidation: price is below the minimum of ${formatEther(liquidation.minPrice)} FIL per ${token.symbol}`,
+    )
+    return null
+  }
+
+  if (priceOracle) {
+    const mismatch = await priceOracle.verify({
+      token,
+      amount: balance,
+      amountOut: BigInt(quote.assumedAmountOut),
+    })
+    if (mismatch) {
+      logger.info(`Skipping liquidation: ${mismatch.message}`)
+      metrics?.priceMismatches.inc({
+        token: token.symbol,
+        source: mismatch.source,
+      })
+      return null
+    }
+  }
+
+  const swapData = await getSwap({
+    chainId: ChainId.FILECOIN,
+    tokenIn: token.quoteAddress,
+    tokenOut: SUSHISWAP_NATIVE_PLACEHOLDER,
+    amount: balance,
+    sender: walletAddress,
+    maxSlippage,
+    simulate: false,
+  })
+  if (swapData.status !== RouteStatus.Success) {
+    logger.info(
+      `Skipping liquidation: swap data retrieval status is ${swapData.status}`,
+    )
+    return null
+  }
+
+  if (dryRun) {
+    logger.info(
+      `Dry run: would sell ${formatUnits(balance, token.decimals)} ${token.symbol} through router ${swapData.tx.to}`,
+    )
+    return null
+  }
+
+  if (txManager && txManager.pending().length > 0) {
+    logger.info('Skipping liquidation: earlier transactions still pending')
+    return null
+  }
+
+  const hash = txManager
+    ? await txManager.send({
+        label: 'liquidation',
+        nonce: await txManager.nextNonce(),
+        ...swapData.tx,
+      })
+    : // @ts-expect-error - chain is inferred from walletClient
+      await walletClient.sendTransaction({
+        account,
+        to: swapData.tx.to,
+        data: swapData.tx.data,
+        value: swapData.tx.value,
+      })
+  logger.info(`Liquidation transaction: ${hash}`, { swapHash: hash })
+
+  const swapReceipt = txManager
+    ? await txManager
+        .waitForReceipt(hash)
+        .then((result) => (result.cancelled ? null : result.receipt))
+    : await publicClient.waitForTransactionReceipt({ hash })
+  if (!swapReceipt) {
+    logger.warn('Liquidation was not mined.', { swapHash: hash })
+    return null
+  }
+  logReceipt('Liquidation result', swapReceipt)
+  metrics?.liquidations.inc({ token: token.symbol, status: swapReceipt.status })
+  if (swapReceipt.status !== 'success') {
+    await notifier?.notify(
+      'tx-failed',
+      `Liquidation of ${formatUnits(balance, token.decimals)} ${token.symbol} reverted: ${hash}`,
+      { fields: { token: token.symbol, swapHash: hash } },
+    )
+  }
+
+  const entry = createLiquidationEntry({ token, swapReceipt })
+  if (ledgerPath) {
+    await appendLedgerEntry(ledgerPath, entry)
+  }
+  return entry
+}
@@ -0,0 +1,150 @@
+import { AsyncLocalStorage } from 'node:async_hooks'
+
+/**
+ * @typedef {'debug' | 'info' | 'warn' | 'error'} LogLevel
+ *
+ * @typedef {'pretty' | 'json'} LogFormat
+ *
+ * @typedef {object} LogOptions
+ * @property {LogFormat} format - `pretty` prints only the message, `json` one
+ *   object per line with the level, context and fields
+ * @property {LogLevel} level - Least severe level to print
+ *
+ * @typedef {Record<string, unknown>} LogFields
+ */
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error']
+const LOG_FORMATS = ['pretty', 'json']
+
+/** @type {AsyncLocalStorage<LogFields>} */
+const context = new AsyncLocalStorage()
+
+/** @type {LogOptions} */
+let options = { format: 'pretty', level: 'info' }
+
+/**
+ * Parse logging options from environment variables
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {LogOptions}
+ */
+export function parseLogOptions(env) {
+  const { LOG_FORMAT = 'pretty', LOG_LEVEL = 'info' } = env
+  if (!LOG_FORMATS.includes(LOG_FORMAT)) {
+    throw new Error(
+      `LOG_FORMAT must be one of ${LOG_FORMATS.join(', ')}, got ${LOG_FORMAT}`,
+    )
+  }
+  if (!LOG_LEVELS.includes(LOG_LEVEL)) {
+    throw new Error(
+      `LOG_LEVEL must be one of ${LOG_LEVELS.join(', ')}, got ${LOG_LEVEL}`,
+    )
+  }
+  return {
+    format: /** @type {LogFormat} */ (LOG_FORMAT),
+    level: /** @type {LogLevel} */ (LOG_LEVEL),
+  }
+}
+
+/**
+ * Set the format and level of all logging
+ *
+ * @param {LogOptions} next
+ */
+export function configureLogger(next) {
+  options = next
+}
+
+/**
+ * Run `fn` with fields added to every line it logs, including from the
+ * functions it awaits
+ *
+ * @template T
+ * @param {LogFields} fields - E.g. the iteration ID or token
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn)
+}
+
+/**
+ * @param {string} _
+ * @param {unknown} value
+ */
+function replacer(_, value) {
+  if (typeof value === 'bigint') {
+    return value.toString()
+  }
+  // Nested causes go through the replacer too
+  if (value instanceof Error) {
+    return {
+      message: value.message,
+      stack: value.stack,
+      ...(value.cause !== undefined && { cause: value.cause }),
+    }
+  }
+  return value
+}
+
+/**
+ * @param {LogLevel} level
+ * @param {string} message
+ * @param {LogFields} fields
+ */
+function write(level, message, fields) {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(options.level)) {
+    return
+  }
+  const print =
+    level === 'warn' || level === 'error' ? console.error : console.log
+  if (options.format === 'pretty') {
+    print(message)
+    return
+  }
+  print(
+    JSON.stringify(
+      {
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...context.getStore(),
+        ...fields,
+      },
+      replacer,
+    ),
+  )
+}
+
+/**
+ * Logs a message with structured fields. Amounts are passed in wei and printed
+ * as strings, as in the ledger.
+ */
+export const logger = {
+  /**
+   * @param {string} message
+   * @param {LogFields} [fields]
+   */
+  debug: (message, fields = {}) => write('debug', message, fields),
+  /**
+   * @param {string} message
+   * @param {LogFields} [fields]
+   */
+  info: (message, fields = {}) => write('info', message, fields),
+  /**
+   * @param {string} message
+   * @param {LogFields} [fields]
+   */
+  warn: (message, fields = {}) => write('warn', message, fields),
+  /**
+   * @param {string} message
+   * @param {LogFields} [fields]
+   */
+  error: (message, fields = {}) => write('error', message, fields),
+  /** Separate sections of pretty output, without a line in JSON */
+  blank: () => {
+    if (options.format === 'pretty') {
+      console.log()
+    }
+  },
+}
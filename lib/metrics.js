@@ -0,0 +1,225 @@
+/**
+ * Minimal Prometheus metrics in the text exposition format
+ *
+ * @see https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+/** @typedef {Record<string, string>} Labels */
+
+/**
+ * @param {Labels} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels)
+  if (entries.length === 0) {
+    return ''
+  }
+  const pairs = entries.map(
+    ([key, value]) =>
+      `${key}="${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`,
+  )
+  return `{${pairs.join(',')}}`
+}
+
+/**
+ * @param {string} name
+ * @param {string} help
+ * @param {'counter' | 'gauge'} type
+ */
+function createSeries(name, help, type) {
+  /** @type {Map<string, { labels: Labels; value: number }>} */
+  const series = new Map()
+
+  /**
+   * @param {Labels} labels
+   * @returns {{ labels: Labels; value: number }}
+   */
+  const get = (labels) => {
+    const key = formatLabels(labels)
+    let entry = series.get(key)
+    if (!entry) {
+      entry = { labels, value: 0 }
+      series.set(key, entry)
+    }
+    return entry
+  }
+
+  /**
+   * @param {Labels} labels
+   * @returns {number}
+   */
+  const peek = (labels) => series.get(formatLabels(labels))?.value ?? 0
+
+  const render = () =>
+    [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} ${type}`,
+      ...[...series.values()].map(
+        ({ labels, value }) => `${name}${formatLabels(labels)} ${value}`,
+      ),
+    ].join('\n')
+
+  return { get, peek, render }
+}
+
+/**
+ * @param {string} name
+ * @param {string} help
+ */
+export function createCounter(name, help) {
+  const { get, peek, render } = createSeries(name, help, 'counter')
+  return {
+    /**
+     * @param {Labels} [labels]
+     * @param {number} [value]
+     */
+    inc(labels = {}, value = 1) {
+      get(labels).value += value
+    },
+    /** @param {Labels} [labels] */
+    value(labels = {}) {
+      return peek(labels)
+    },
+    render,
+  }
+}
+
+/**
+ * @param {string} name
+ * @param {string} help
+ */
+export function createGauge(name, help) {
+  const { get, peek, render } = createSeries(name, help, 'gauge')
+  return {
+    /**
+     * @param {Labels} labels
+     * @param {number} value
+     */
+    set(labels, value) {
+      get(labels).value = value
+    },
+    /** @param {Labels} [labels] */
+    value(labels = {}) {
+      return peek(labels)
+    },
+    render,
+  }
+}
+
+/**
+ * @param {string} name
+ * @param {string} help
+ * @param {number[]} buckets - Upper bounds, ascending
+ */
+export function createHistogram(name, help, buckets) {
+  const counts = buckets.map(() => 0)
+  let sum = 0
+  let count = 0
+
+  return {
+    /** @param {number} value */
+    observe(value) {
+      buckets.forEach((bound, i) => {
+        if (value <= bound) counts[i]++
+      })
+      sum += value
+      count++
+    },
+    render() {
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} histogram`,
+        ...buckets.map(
+          (bound, i) => `${name}_bucket{le="${bound}"} ${counts[i]}`,
+        ),
+        `${name}_bucket{le="+Inf"} ${count}`,
+        `${name}_sum ${sum}`,
+        `${name}_count ${count}`,
+      ].join('\n')
+    },
+  }
+}
+
+/** Metrics exported by the bot */
+export function createMetrics() {
+  return {
+    walletBalance: createGauge(
+      'auction_bot_wallet_balance_fil',
+      'FIL balance of each bidding wallet',
+    ),
+    tokenBalance: createGauge(
+      'auction_bot_token_balance',
+      'Token balance of each bidding wallet',
+    ),
+    auctionPrice: createGauge(
+      'auction_bot_auction_price_fil',
+      'Last observed auction price',
+    ),
+    quoteAmountOut: createGauge(
+      'auction_bot_quote_amount_out_fil',
+      'Last quoted FIL out of swapping the bid amount',
+    ),
+    profitableChecks: createCounter(
+      'auction_bot_profitable_checks_total',
+      'Auction checks that found a profitable bid',
+    ),
+    unprofitableChecks: createCounter(
+      'auction_bot_unprofitable_checks_total',
+      'Auction checks that found no profitable bid',
+    ),
+    bidsSubmitted: createCounter(
+      'auction_bot_bids_submitted_total',
+      'Bids submitted to the Payments contract',
+    ),
+    bidsFailed: createCounter(
+      'auction_bot_bids_failed_total',
+      'Bids that failed to submit or reverted',
+    ),
+    priceMismatches: createCounter(
+      'auction_bot_price_mismatches_total',
+      'Quotes rejected because a price source disagreed',
+    ),
+    liquidations: createCounter(
+      'auction_bot_liquidations_total',
+      'Swaps selling tokens stranded by earlier failed swaps',
+    ),
+    rivalBids: createCounter(
+      'auction_bot_rival_bids_total',
+      'Bids by other wallets seen pending or mined',
+    ),
+    auctionsLost: createCounter(
+      'auction_bot_auctions_lost_total',
+      'Auctions won by another bidder',
+    ),
+    iterationDuration: createHistogram(
+      'auction_bot_iteration_duration_seconds',
+      'Duration of a full auction check iteration',
+      [1, 5, 15, 30, 60, 120, 300],
+    ),
+    lastIteration: createGauge(
+      'auction_bot_last_iteration_timestamp_seconds',
+      'Unix time the last auction check iteration finished',
+    ),
+    leader: createGauge(
+      'auction_bot_leader',
+      '1 while this instance holds the leader lease and bids, 0 on standby',
+    ),
+  }
+}
+
+/** @typedef {ReturnType<typeof createMetrics>} Metrics */
+
+/**
+ * Render all metrics in the Prometheus text format
+ *
+ * @param {Metrics} metrics
+ * @returns {string}
+ */
+export function renderMetrics(metrics) {
+  return (
+    Object.values(metrics)
+      .map((metric) => metric.render())
+      .join('\n') + '\n'
+  )
+}
@@ -0,0 +1,343 @@
+import { logger } from './logger.js'
+import { sendMail as defaultSendMail } from './smtp.js'
+
+/**
+ * @typedef {'bid-placed'
+ *   | 'tx-failed'
+ *   | 'insufficient-balance'
+ *   | 'repeated-errors'
+ *   | 'quote-source-down'} NotifyEvent
+ */
+
+/**
+ * Where alerts are sent, and for which events
+ *
+ * @typedef {{ type: 'webhook'; url: string; events: NotifyEvent[] }
+ *   | { type: 'slack'; url: string; events: NotifyEvent[] }
+ *   | {
+ *       type: 'email'
+ *       url: string
+ *       from: string
+ *       to: string[]
+ *       events: NotifyEvent[]
+ *     }} Sink
+ */
+
+/**
+ * @typedef {object} NotifierOptions
+ * @property {Sink[]} sinks
+ * @property {number} rateLimit - Milliseconds before the same alert is sent
+ *   again
+ * @property {number} errorThreshold - Auction checks in a row that must fail
+ *   before `repeated-errors` is sent
+ */
+
+/** @type {Record<NotifyEvent, string>} */
+const EVENT_TITLES = {
+  'bid-placed': 'Bid placed',
+  'tx-failed': 'Bid or swap failed',
+  'insufficient-balance': 'Insufficient balance',
+  'repeated-errors': 'Repeated errors',
+  'quote-source-down': 'Quote source down',
+}
+const NOTIFY_EVENTS = /** @type {NotifyEvent[]} */ (Object.keys(EVENT_TITLES))
+
+/**
+ * @param {string} name
+ * @param {string | undefined} value
+ * @returns {NotifyEvent[]}
+ */
+function parseEvents(name, value) {
+  if (!value) {
+    return NOTIFY_EVENTS
+  }
+  const events = value.split(',').map((event) => event.trim())
+  for (const event of events) {
+    if (!NOTIFY_EVENTS.includes(/** @type {NotifyEvent} */ (event))) {
+      throw new Error(
+        `${name} must list events from ${NOTIFY_EVENTS.join(', ')}, got ${event}`,
+      )
+    }
+  }
+  return /** @type {NotifyEvent[]} */ (events)
+}
+
+/**
+ * @param {string} name
+ * @param {string} value
+ * @param {string[]} protocols
+ */
+function checkUrl(name, value, protocols) {
+  let protocol
+  try {
+    protocol = new URL(value).protocol
+  } catch {
+    protocol = null
+  }
+  if (!protocol || !protocols.includes(protocol)) {
+    throw new Error(
+      `${name} must be a ${protocols.map((protocol) => `${protocol}//`).join(' or ')} URL, got ${value}`,
+    )
+  }
+}
+
+/**
+ * Parse notification sinks and limits from environment variables
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {NotifierOptions}
+ */
+export function parseNotifierOptions(env) {
+  const {
+    NOTIFY_WEBHOOK_URL,
+    NOTIFY_WEBHOOK_EVENTS,
+    NOTIFY_SLACK_URL,
+    NOTIFY_SLACK_EVENTS,
+    NOTIFY_SMTP_URL,
+    NOTIFY_EMAIL_FROM,
+    NOTIFY_EMAIL_TO,
+    NOTIFY_EMAIL_EVENTS,
+    NOTIFY_RATE_LIMIT = '3600000',
+    NOTIFY_ERROR_THRESHOLD = '3',
+  } = env
+
+  /** @type {Sink[]} */
+  const sinks = []
+  if (NOTIFY_WEBHOOK_URL) {
+    checkUrl('NOTIFY_WEBHOOK_URL', NOTIFY_WEBHOOK_URL, ['http:', 'https:'])
+    sinks.push({
+      type: 'webhook',
+      url: NOTIFY_WEBHOOK_URL,
+      events: parseEvents('NOTIFY_WEBHOOK_EVENTS', NOTIFY_WEBHOOK_EVENTS),
+    })
+  }
+  if (NOTIFY_SLACK_URL) {
+    checkUrl('NOTIFY_SLACK_URL', NOTIFY_SLACK_URL, ['http:', 'https:'])
+    sinks.push({
+      type: 'slack',
+      url: NOTIFY_SLACK_URL,
+      events: parseEvents('NOTIFY_SLACK_EVENTS', NOTIFY_SLACK_EVENTS),
+    })
+  }
+  if (NOTIFY_SMTP_URL) {
+    checkUrl('NOTIFY_SMTP_URL', NOTIFY_SMTP_URL, ['smtp:', 'smtps:'])
+    if (!NOTIFY_EMAIL_FROM || !NOTIFY_EMAIL_TO) {
+      throw new Error(
+        'NOTIFY_SMTP_URL requires NOTIFY_EMAIL_FROM and NOTIFY_EMAIL_TO',
+      )
+    }
+    sinks.push({
+      type: 'email',
+      url: NOTIFY_SMTP_URL,
+      from: NOTIFY_EMAIL_FROM,
+      to: NOTIFY_EMAIL_TO.split(',').map((address) => address.trim()),
+      events: parseEvents('NOTIFY_EMAIL_EVENTS', NOTIFY_EMAIL_EVENTS),
+    })
+  }
+
+  const rateLimit = Number(NOTIFY_RATE_LIMIT)
+  if (!Number.isInteger(rateLimit) || rateLimit < 0) {
+    throw new Error(
+      `NOTIFY_RATE_LIMIT must be a non-negative number of milliseconds, got ${NOTIFY_RATE_LIMIT}`,
+    )
+  }
+  const errorThreshold = Number(NOTIFY_ERROR_THRESHOLD)
+  if (!Number.isInteger(errorThreshold) || errorThreshold < 1) {
+    throw new Error(
+      `NOTIFY_ERROR_THRESHOLD must be a positive integer, got ${NOTIFY_ERROR_THRESHOLD}`,
+    )
+  }
+
+  return { sinks, rateLimit, errorThreshold }
+}
+
+/**
+ * Describe the sinks, for the startup log
+ *
+ * @param {Sink[]} sinks
+ * @returns {string}
+ */
+export function describeSinks(sinks) {
+  if (sinks.length === 0) {
+    return 'disabled'
+  }
+  return sinks
+    .map(
+      (sink) =>
+        `${sink.type === 'email' ? `email to ${sink.to.join(', ')}` : sink.type} (${sink.events.length === NOTIFY_EVENTS.length ? 'all events' : sink.events.join(', ')})`,
+    )
+    .join(', ')
+}
+
+/**
+ * @param {Record<string, unknown>} fields
+ * @returns {Record<string, unknown>}
+ */
+function serializeFields(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [
+      key,
+      typeof value === 'bigint' ? value.toString() : value,
+    ]),
+  )
+}
+
+/**
+ * @param {string} url
+ * @param {object} body
+ * @param {typeof globalThis.fetch} fetch
+ */
+async function post(url, body, fetch) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(10000),
+  })
+  if (!res.ok) {
+    throw new Error(`${url} responded with ${res.status}`)
+  }
+}
+
+/**
+ * Send alerts to webhooks, Slack and email
+ *
+ * The same alert, by event and key, is sent at most once per `rateLimit`.
+ * Failing sinks are logged and never interrupt the bot.
+ *
+ * @param {object} args
+ * @param {Sink[]} args.sinks
+ * @param {number} [args.rateLimit]
+ * @param {number} [args.errorThreshold]
+ * @param {() => number} [args.now]
+ * @param {typeof globalThis.fetch} [args.fetch]
+ * @param {typeof defaultSendMail} [args.sendMail]
+ */
+export function createNotifier({
+  sinks,
+  rateLimit = 3600000,
+  errorThreshold = 3,
+  now = Date.now,
+  fetch = globalThis.fetch,
+  sendMail = defaultSendMail,
+}) {
+  // When each alert, by event and key, was last sent
+  /** @type {Map<string, number>} */
+  const sentAt = new Map()
+  let iterationErrors = 0
+  let failedIterations = 0
+  /** @type {Error | null} */
+  let lastError = null
+
+  /**
+   * @param {Sink} sink
+   * @param {NotifyEvent} event
+   * @param {string} message
+   * @param {Record<string, unknown>} fields
+   */
+  const deliver = async (sink, event, message, fields) => {
+    const title = EVENT_TITLES[event]
+    switch (sink.type) {
+      case 'webhook':
+        return post(
+          sink.url,
+          {
+            event,
+            message,
+            time: new Date(now()).toISOString(),
+            ...serializeFields(fields),
+          },
+          fetch,
+        )
+      case 'slack':
+        return post(sink.url, { text: `*${title}*\n${message}` }, fetch)
+      case 'email':
+        return sendMail({
+          url: sink.url,
+          mail: {
+            from: sink.from,
+            to: sink.to,
+            subject: `Auction bot: ${title}`,
+            text: [
+              message,
+              '',
+              ...Object.entries(serializeFields(fields)).map(
+                ([key, value]) => `${key}: ${value}`,
+              ),
+            ].join('\n'),
+          },
+        })
+    }
+  }
+
+  const notifier = {
+    /**
+     * Send an alert to every sink subscribed to the event
+     *
+     * @param {NotifyEvent} event
+     * @param {string} message
+     * @param {object} [options]
+     * @param {string} [options.key] - What makes two alerts the same, e.g. the
+     *   token; by default the message
+     * @param {Record<string, unknown>} [options.fields] - Details sent along,
+     *   such as the transaction hash
+     * @returns {Promise<void>}
+     */
+    async notify(event, message, { key = message, fields = {} } = {}) {
+      const targets = sinks.filter((sink) => sink.events.includes(event))
+      if (targets.length === 0) return
+
+      const id = `${event}:${key}`
+      const last = sentAt.get(id)
+      if (last !== undefined && now() - last < rateLimit) {
+        logger.debug(`Not sending ${event} alert again yet: ${message}`)
+        return
+      }
+      sentAt.set(id, now())
+
+      const results = await Promise.allSettled(
+        targets.map((sink) => deliver(sink, event, message, fields)),
+      )
+      results.forEach((result, i) => {
+        if (result.status === 'rejected') {
+          logger.warn(
+            `Sending ${event} alert to ${targets[i].type} failed: ${result.reason.message}`,
+            { error: result.reason },
+          )
+        }
+      })
+    },
+
+    /**
+     * Count an error in the current auction check
+     *
+     * @param {Error} error
+     */
+    recordError(error) {
+      iterationErrors++
+      lastError = error
+    },
+
+    /**
+     * Finish an auction check, alerting once `errorThreshold` checks in a row
+     * had errors
+     *
+     * @returns {Promise<void>}
+     */
+    async endIteration() {
+      failedIterations = iterationErrors > 0 ? failedIterations + 1 : 0
+      iterationErrors = 0
+      if (failedIterations >= errorThreshold) {
+        await notifier.notify(
+          'repeated-errors',
+          `${failedIterations} auction checks in a row had errors, the last: ${lastError?.message}`,
+          { key: 'auction-checks' },
+        )
+      }
+    },
+  }
+
+  return notifier
+}
+
+/** @typedef {ReturnType<typeof createNotifier>} Notifier */
@@ -0,0 +1,380 @@
+import { formatEther, isAddress, parseAbi, parseEther } from 'viem'
+import {
+  SUSHISWAP_NATIVE_PLACEHOLDER,
+  getQuote as defaultGetQuote,
+} from './swap.js'
+import { logger } from './logger.js'
+
+/**
+ * @import {
+ *   Address,
+ *   PublicClient
+ * } from "viem"
+ * @import {Notifier} from "./notify.js"
+ * @import {Token} from "./tokens.js"
+ */
+
+/**
+ * A source of FIL prices for tokens
+ *
+ * @typedef {object} PriceSource
+ * @property {string} name
+ * @property {(args: {
+ *   token: Token
+ *   amount: bigint
+ * }) => Promise<bigint | null>} getAmountOut
+ *   FIL expected for selling `amount` of `token`, or null when the source has no
+ *   price for the token
+ */
+
+/**
+ * @typedef {object} PoolDefinition
+ * @property {Address} address - Mainnet pool pairing the token with WFIL
+ * @property {'v2' | 'v3'} [type] - Constant product pair (`getReserves`) or
+ *   concentrated liquidity pool (`slot0`), defaults to `v2`
+ * @property {number} [feeBps] - Swap fee of a `v2` pair, defaults to 30
+ */
+
+const v2PairAbi = parseAbi([
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+])
+
+const v3PoolAbi = parseAbi([
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function fee() view returns (uint24)',
+])
+
+const Q192 = 2n ** 192n
+
+/**
+ * Quote through the Sushiswap HTTP API
+ *
+ * @param {object} [args]
+ * @param {typeof defaultGetQuote} [args.getQuote]
+ * @returns {PriceSource}
+ */
+export function createSushiQuoteSource({ getQuote = defaultGetQuote } = {}) {
+  return {
+    name: 'sushi',
+    async getAmountOut({ token, amount }) {
+      const quote = await getQuote({
+        tokenIn: token.quoteAddress,
+        tokenOut: SUSHISWAP_NATIVE_PLACEHOLDER,
+        amount,
+      })
+      return quote.status === 'Success' ? BigInt(quote.assumedAmountOut) : null
+    },
+  }
+}
+
+/**
+ * Read pool state on Filecoin mainnet
+ *
+ * `v2` pairs are quoted along the constant product curve, so the price includes
+ * the impact of `amount`. `v3` pools are quoted at their spot price.
+ *
+ * @param {object} args
+ * @param {PublicClient} args.publicClient - Filecoin mainnet client
+ * @param {Record<string, PoolDefinition>} args.pools - Pools keyed by token
+ *   symbol
+ * @returns {PriceSource}
+ */
+export function createPoolReservesSource({ publicClient, pools }) {
+  return {
+    name: 'reserves',
+    async getAmountOut({ token, amount }) {
+      const pool = pools[token.symbol]
+      if (!pool) {
+        return null
+      }
+
+      const abi = pool.type === 'v3' ? v3PoolAbi : v2PairAbi
+      const [token0, token1] = await Promise.all([
+        publicClient.readContract({
+          address: pool.address,
+          abi,
+          functionName: 'token0',
+        }),
+        publicClient.readContract({
+          address: pool.address,
+          abi,
+          functionName: 'token1',
+        }),
+      ])
+      const tokenAddress = token.quoteAddress.toLowerCase()
+      const zeroForOne = token0.toLowerCase() === tokenAddress
+      if (!zeroForOne && token1.toLowerCase() !== tokenAddress) {
+        throw new Error(
+          `Pool ${pool.address} does not contain ${token.symbol} (${token.quoteAddress})`,
+        )
+      }
+
+      if (pool.type === 'v3') {
+        const [[sqrtPriceX96], fee] = await Promise.all([
+          publicClient.readContract({
+            address: pool.address,
+            abi: v3PoolAbi,
+            functionName: 'slot0',
+          }),
+          publicClient.readContract({
+            address: pool.address,
+            abi: v3PoolAbi,
+            functionName: 'fee',
+          }),
+        ])
+        const priceX192 = sqrtPriceX96 * sqrtPriceX96
+        const spotOut = zeroForOne
+          ? (amount * priceX192) / Q192
+          : (amount * Q192) / priceX192
+        return (spotOut * (1_000_000n - BigInt(fee))) / 1_000_000n
+      }
+
+      const [reserve0, reserve1] = await publicClient.readContract({
+        address: pool.address,
+        abi: v2PairAbi,
+        functionName: 'getReserves',
+      })
+      const [reserveIn, reserveOut] = zeroForOne
+        ? [reserve0, reserve1]
+        : [reserve1, reserve0]
+      const amountInWithFee = amount * (10_000n - BigInt(pool.feeBps ?? 30))
+      return (
+        (amountInWithFee * reserveOut) / (reserveIn * 10_000n + amountInWithFee)
+      )
+    },
+  }
+}
+
+/**
+ * Price tokens from an HTTP JSON feed
+ *
+ * `{symbol}` in the URL and path is replaced with the token symbol, e.g.
+ * `https://prices.example.com/{symbol}` with path `data.{symbol}.fil`.
+ *
+ * @param {object} args
+ * @param {string} args.url
+ * @param {string} args.path - Dot separated path to the price in the response
+ * @param {boolean} [args.invert] - The feed quotes tokens per FIL rather than
+ *   FIL per token
+ * @param {number} [args.timeout] - Milliseconds to wait for the feed
+ * @param {typeof fetch} [args.fetch]
+ * @returns {PriceSource}
+ */
+export function createReferenceFeedSource({
+  url,
+  path,
+  invert = false,
+  timeout = 5000,
+  fetch = globalThis.fetch,
+}) {
+  return {
+    name: 'feed',
+    async getAmountOut({ token, amount }) {
+      const response = await fetch(url.replaceAll('{symbol}', token.symbol), {
+        signal: AbortSignal.timeout(timeout),
+      })
+      if (!response.ok) {
+        throw new Error(`Price feed responded with ${response.status}`)
+      }
+
+      /** @type {any} */
+      let value = await response.json()
+      for (const key of path.replaceAll('{symbol}', token.symbol).split('.')) {
+        value = value?.[key]
+      }
+      const price = Number(value)
+      if (value === undefined || !Number.isFinite(price) || price <= 0) {
+        return null
+      }
+
+      const filPerToken = parseEther((invert ? 1 / price : price).toFixed(18))
+      return (amount * filPerToken) / 10n ** BigInt(token.decimals)
+    },
+  }
+}
+
+/**
+ * Cross-check swap quotes against independent price sources
+ *
+ * @param {object} args
+ * @param {PriceSource[]} args.sources
+ * @param {number} args.toleranceBps - Largest deviation from the swap quote any
+ *   source may report, in basis points
+ * @param {Notifier | null} [args.notifier] - Alerted when a source fails
+ */
+export function createPriceOracle({ sources, toleranceBps, notifier = null }) {
+  return {
+    sources: sources.map((source) => source.name),
+
+    /**
+     * Check a quoted swap output against every source
+     *
+     * Sources that fail or have no price for the token are skipped, but at
+     * least one must confirm the quote.
+     *
+     * @param {object} args
+     * @param {Token} args.token
+     * @param {bigint} args.amount - Token amount being sold
+     * @param {bigint} args.amountOut - Quoted FIL out
+     * @returns {Promise<{ source: string; message: string } | null>} The source
+     *   that rejects the quote, or null when the quote checks out
+     */
+    async verify({ token, amount, amountOut }) {
+      let confirmed = 0
+
+      for (const source of sources) {
+        let reference
+        try {
+          reference = await source.getAmountOut({ token, amount })
+        } catch (error) {
+          const err = /** @type {Error} */ (error)
+          logger.warn(`Price source ${source.name} failed: ${err.message}`, {
+            source: source.name,
+            error: err,
+          })
+          await notifier?.notify(
+            'quote-source-down',
+            `Price source ${source.name} failed: ${err.message}`,
+            { key: source.name },
+          )
+          continue
+        }
+        if (reference === null) {
+          continue
+        }
+
+        logger.info(
+          `Price source ${source.name}: ${formatEther(reference)} FIL`,
+          {
+            source: source.name,
+            reference,
+          },
+        )
+        const difference =
+          reference > amountOut ? reference - amountOut : amountOut - reference
+        if (difference * 10000n > BigInt(toleranceBps) * amountOut) {
+          const deviationBps =
+            amountOut > 0n ? (difference * 10000n) / amountOut : 'infinite'
+          return {
+            source: source.name,
+            message: `${source.name} prices the swap at ${formatEther(reference)} FIL, ${deviationBps} bps from the quoted ${formatEther(amountOut)} FIL (tolerance ${toleranceBps} bps)`,
+          }
+        }
+        confirmed++
+      }
+
+      if (confirmed === 0) {
+        return {
+          source: 'none',
+          message: `No price source could confirm the quoted ${formatEther(amountOut)} FIL`,
+        }
+      }
+      return null
+    },
+  }
+}
+
+/** @typedef {ReturnType<typeof createPriceOracle>} PriceOracle */
+
+/**
+ * Parse the oracle configuration from environment variables
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {{
+ *   sources: string[]
+ *   toleranceBps: number
+ *   pools: Record<string, PoolDefinition>
+ *   feed: { url: string; path: string; invert: boolean } | null
+ * }}
+ */
+export function parseOracleConfig(env) {
+  const {
+    ORACLE_SOURCES = '',
+    ORACLE_TOLERANCE_BPS = '200',
+    ORACLE_POOLS,
+    PRICE_FEED_URL,
+    PRICE_FEED_PATH,
+    PRICE_FEED_INVERT,
+  } = env
+
+  const sources = ORACLE_SOURCES.split(',')
+    .map((source) => source.trim())
+    .filter((source) => source !== '')
+  for (const source of sources) {
+    if (!['sushi', 'reserves', 'feed'].includes(source)) {
+      throw new Error(
+        `ORACLE_SOURCES must list sushi, reserves or feed, got ${source}`,
+      )
+    }
+  }
+
+  if (!/^\d+$/.test(ORACLE_TOLERANCE_BPS)) {
+    throw new Error(
+      `ORACLE_TOLERANCE_BPS must be a non-negative integer, got ${ORACLE_TOLERANCE_BPS}`,
+    )
+  }
+
+  /** @type {Record<string, PoolDefinition>} */
+  let pools = {}
+  if (ORACLE_POOLS) {
+    try {
+      pools = JSON.parse(ORACLE_POOLS)
+    } catch {
+      throw new Error('ORACLE_POOLS must be valid JSON')
+    }
+    if (typeof pools !== 'object' || pools === null || Array.isArray(pools)) {
+      throw new Error(
+        'ORACLE_POOLS must be a JSON object keyed by token symbol',
+      )
+    }
+    for (const [symbol, pool] of Object.entries(pools)) {
+      if (typeof pool?.address !== 'string' || !isAddress(pool.address)) {
+        throw new Error(
+          `ORACLE_POOLS pool for ${symbol} is not a valid address: ${pool?.address}`,
+        )
+      }
+      if (pool.type !== undefined && !['v2', 'v3'].includes(pool.type)) {
+        throw new Error(
+          `ORACLE_POOLS pool type for ${symbol} must be v2 or v3, got ${pool.type}`,
+        )
+      }
+      if (
+        pool.feeBps !== undefined &&
+        (!Number.isInteger(pool.feeBps) ||
+          pool.feeBps < 0 ||
+          pool.feeBps >= 10_000)
+      ) {
+        throw new Error(
+          `ORACLE_POOLS fee for ${symbol} must be an integer number of basis points below 10000, got ${pool.feeBps}`,
+        )
+      }
+    }
+  }
+  if (sources.includes('reserves') && Object.keys(pools).length === 0) {
+    throw new Error('ORACLE_POOLS is required for the reserves price source')
+  }
+
+  if (sources.includes('feed') && !(PRICE_FEED_URL && PRICE_FEED_PATH)) {
+    throw new Error(
+      'PRICE_FEED_URL and PRICE_FEED_PATH are required for the feed price source',
+    )
+  }
+
+  return {
+    sources,
+    toleranceBps: Number(ORACLE_TOLERANCE_BPS),
+    pools,
+    feed:
+      PRICE_FEED_URL && PRICE_FEED_PATH
+        ? {
+            url: PRICE_FEED_URL,
+            path: PRICE_FEED_PATH,
+            invert: PRICE_FEED_INVERT === 'true' || PRICE_FEED_INVERT === '1',
+          }
+        : null,
+  }
+}
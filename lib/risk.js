@@ -0,0 +1,154 @@
+import { formatEther, parseEther } from 'viem'
+
+/** @import {LedgerEntry} from "./ledger.js" */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * @typedef {object} RiskLimits
+ * @property {bigint} minProfit - Minimum net profit per bid, in FIL
+ * @property {bigint} minMarginBps - Minimum profit relative to total cost, in
+ *   basis points
+ * @property {bigint | null} maxBidSpend - Maximum FIL spent on a single bid,
+ *   including gas
+ * @property {bigint | null} maxDailySpend - Maximum FIL spent on bids in any
+ *   rolling 24 hours
+ * @property {bigint} minReserve - FIL to always keep in the wallet
+ */
+
+/**
+ * @param {string} name
+ * @param {string | undefined} value
+ * @returns {bigint | null}
+ */
+function parseFil(name, value) {
+  if (value === undefined || value === '') {
+    return null
+  }
+  if (!/^\d+(\.\d+)?$/.test(value)) {
+    throw new Error(`${name} must be a non-negative FIL amount, got ${value}`)
+  }
+  return parseEther(value)
+}
+
+/**
+ * Parse risk limits from environment variables
+ *
+ * FIL amounts are decimal strings, e.g. `MIN_PROFIT=0.5`.
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {RiskLimits}
+ */
+export function parseRiskLimits(env) {
+  const { MIN_MARGIN_BPS = '0' } = env
+  if (!/^\d+$/.test(MIN_MARGIN_BPS)) {
+    throw new Error(
+      `MIN_MARGIN_BPS must be a non-negative integer, got ${MIN_MARGIN_BPS}`,
+    )
+  }
+
+  return {
+    minProfit: parseFil('MIN_PROFIT', env.MIN_PROFIT) ?? 0n,
+    minMarginBps: BigInt(MIN_MARGIN_BPS),
+    maxBidSpend: parseFil('MAX_BID_SPEND', env.MAX_BID_SPEND),
+    maxDailySpend: parseFil('MAX_DAILY_SPEND', env.MAX_DAILY_SPEND),
+    minReserve: parseFil('MIN_RESERVE', env.MIN_RESERVE) ?? 0n,
+  }
+}
+
+/**
+ * Check a profitable bid against the risk limits
+ *
+ * @param {object} args
+ * @param {RiskLimits} args.limits
+ * @param {bigint} args.profit - Expected net profit
+ * @param {bigint} args.totalCost - Auction price plus gas
+ * @param {bigint} args.balance - Wallet FIL balance
+ * @param {bigint} args.spentLast24h - FIL spent on bids in the last 24 hours
+ * @returns {{ limit: string; message: string } | null} The limit that blocks
+ *   the bid, or null when every limit passes
+ */
+export function checkRiskLimits({
+  limits,
+  profit,
+  totalCost,
+  balance,
+  spentLast24h,
+}) {
+  if (profit < limits.minProfit) {
+    return {
+      limit: 'MIN_PROFIT',
+      message: `Profit ${formatEther(profit)} FIL is below the minimum of ${formatEther(limits.minProfit)} FIL`,
+    }
+  }
+
+  if (profit * 10000n < limits.minMarginBps * totalCost) {
+    const marginBps = totalCost > 0n ? (profit * 10000n) / totalCost : 0n
+    return {
+      limit: 'MIN_MARGIN_BPS',
+      message: `Margin ${marginBps} bps is below the minimum of ${limits.minMarginBps} bps`,
+    }
+  }
+
+  if (limits.maxBidSpend !== null && totalCost > limits.maxBidSpend) {
+    return {
+      limit: 'MAX_BID_SPEND',
+      message: `Cost ${formatEther(totalCost)} FIL exceeds the per-bid maximum of ${formatEther(limits.maxBidSpend)} FIL`,
+    }
+  }
+
+  if (
+    limits.maxDailySpend !== null &&
+    spentLast24h + totalCost > limits.maxDailySpend
+  ) {
+    return {
+      limit: 'MAX_DAILY_SPEND',
+      message: `Spending ${formatEther(totalCost)} FIL on top of ${formatEther(spentLast24h)} FIL in the last 24h exceeds the maximum of ${formatEther(limits.maxDailySpend)} FIL`,
+    }
+  }
+
+  if (balance - totalCost < limits.minReserve) {
+    return {
+      limit: 'MIN_RESERVE',
+      message: `Bid would leave ${formatEther(balance - totalCost)} FIL, below the reserve of ${formatEther(limits.minReserve)} FIL`,
+    }
+  }
+
+  return null
+}
+
+/**
+ * Track FIL spent on bids over a rolling 24 hour window
+ *
+ * @param {LedgerEntry[]} [entries] - Ledger entries to seed the window with, so
+ *   the limit holds across restarts
+ */
+export function createSpendTracker(entries = []) {
+  /** @type {{ time: number; amount: bigint }[]} */
+  let spends = []
+  for (const entry of entries) {
+    if (entry.type === 'trade') {
+      spends.push({ time: Date.parse(entry.timestamp), amount: entry.filPaid })
+    }
+  }
+
+  return {
+    /**
+     * @param {bigint} amount
+     * @param {number} [time] - Milliseconds since epoch
+     */
+    record(amount, time = Date.now()) {
+      spends.push({ time, amount })
+    },
+    /**
+     * @param {number} [now] - Milliseconds since epoch
+     * @returns {bigint}
+     */
+    spentLast24h(now = Date.now()) {
+      spends = spends.filter((spend) => spend.time > now - DAY_MS)
+      return spends.reduce((total, spend) => total + spend.amount, 0n)
+    },
+  }
+}
+
+/** @typedef {ReturnType<typeof createSpendTracker>} SpendTracker */
@@ -0,0 +1,326 @@
+import {
+  decodeFunctionData,
+  formatUnits,
+  parseAbiItem,
+  toEventSelector,
+  toFunctionSelector,
+} from 'viem'
+import { payments } from '@filoz/synapse-core/abis'
+import { appendLedgerEntry } from './ledger.js'
+import { logger } from './logger.js'
+
+/**
+ * @import {
+ *   Address,
+ *   Hash,
+ *   PublicClient,
+ *   Transaction
+ * } from "viem"
+ * @import {RivalBidEntry} from "./ledger.js"
+ * @import {Metrics} from "./metrics.js"
+ * @import {Token} from "./tokens.js"
+ */
+
+/**
+ * A `burnForFees` call by another bidder
+ *
+ * @typedef {object} RivalBid
+ * @property {'pending' | 'mined'} stage
+ * @property {Token} token
+ * @property {Hash} hash
+ * @property {Address} bidder - Sender of the transaction
+ * @property {bigint} amount - Tokens bid for
+ * @property {bigint | null} maxFeePerGas - Fee cap of a pending bid
+ * @property {bigint | null} maxPriorityFeePerGas - Gas premium of a pending bid
+ */
+
+/**
+ * @typedef {object} RivalOptions
+ * @property {boolean} watch - Watch for bids by other wallets
+ * @property {boolean} outbid - Bid ahead of pending rival bids with a higher
+ *   gas premium, while the bid stays within the risk limits
+ * @property {number} outbidPercent - How much higher than the rival's fees to
+ *   bid, in percent
+ */
+
+const burnForFeesSelector = toFunctionSelector(
+  'burnForFees(address,address,uint256)',
+)
+const transferEvent = parseAbiItem(
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+)
+const withdrawRecordedTopic = toEventSelector(
+  'WithdrawRecorded(address,address,address,uint256)',
+)
+
+/**
+ * Parse rival bid options from environment variables
+ *
+ * Watching is opt-in: it polls a pending transaction filter and fetches every
+ * pending transaction, which adds many RPC calls and needs filter support.
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {RivalOptions}
+ */
+export function parseRivalOptions(env) {
+  const { WATCH_RIVALS, OUTBID_RIVALS, OUTBID_PERCENT = '10' } = env
+  if (!/^\d+$/.test(OUTBID_PERCENT) || Number(OUTBID_PERCENT) === 0) {
+    throw new Error(
+      `OUTBID_PERCENT must be a positive integer, got ${OUTBID_PERCENT}`,
+    )
+  }
+
+  const watch = WATCH_RIVALS === 'true' || WATCH_RIVALS === '1'
+  const outbid = OUTBID_RIVALS === 'true' || OUTBID_RIVALS === '1'
+  if (outbid && !watch) {
+    throw new Error('OUTBID_RIVALS requires WATCH_RIVALS')
+  }
+
+  return { watch, outbid, outbidPercent: Number(OUTBID_PERCENT) }
+}
+
+/**
+ * Decode a pending transaction as a `burnForFees` call for one of our tokens
+ *
+ * Only direct calls to the Payments contract can be recognized before they are
+ * mined. Bids through other contracts are only seen once they land.
+ *
+ * @param {object} args
+ * @param {Transaction} args.transaction
+ * @param {Address} args.paymentsAddress
+ * @param {Token[]} args.tokens
+ * @returns {RivalBid | null}
+ */
+export function decodeRivalBid({ transaction, paymentsAddress, tokens }) {
+  if (
+    transaction.to?.toLowerCase() !== paymentsAddress.toLowerCase() ||
+    !transaction.input.startsWith(burnForFeesSelector)
+  ) {
+    return null
+  }
+
+  const { args } = decodeFunctionData({
+    abi: payments,
+    data: transaction.input,
+  })
+  const [tokenAddress, , amount] = /** @type {[Address, Address, bigint]} */ (
+    args
+  )
+  const token = tokens.find(
+    (token) => token.address.toLowerCase() === tokenAddress.toLowerCase(),
+  )
+  if (!token) {
+    return null
+  }
+
+  return {
+    stage: 'pending',
+    token,
+    hash: transaction.hash,
+    bidder: transaction.from,
+    amount,
+    maxFeePerGas: transaction.maxFeePerGas ?? transaction.gasPrice ?? null,
+    maxPriorityFeePerGas:
+      transaction.maxPriorityFeePerGas ?? transaction.gasPrice ?? null,
+  }
+}
+
+/**
+ * Fees that rank a transaction ahead of a pending rival bid
+ *
+ * @param {RivalBid} rival
+ * @param {number} percent
+ * @returns {{ maxFeePerGas: bigint; maxPriorityFeePerGas: bigint } | null}
+ *   Null when the rival's fees are unknown
+ */
+export function getOutbidFees(rival, percent) {
+  if (rival.maxFeePerGas === null || rival.maxPriorityFeePerGas === null) {
+    return null
+  }
+  /** @param {bigint} fee */
+  const raise = (fee) => (fee * BigInt(100 + percent)) / 100n + 1n
+  return {
+    maxFeePerGas: raise(rival.maxFeePerGas),
+    maxPriorityFeePerGas: raise(rival.maxPriorityFeePerGas),
+  }
+}
+
+/**
+ * Watch for other wallets bidding on our tokens' auctions
+ *
+ * Pending `burnForFees` calls are picked up from the mempool. Bids that landed
+ * are recognized by the Payments contract transferring tokens out without
+ * recording a withdrawal, which also catches bids sent through contracts. Every
+ * rival bid is reported to `onRival`; landed ones are auctions we lost and are
+ * counted in the metrics and the ledger.
+ *
+ * @param {object} args
+ * @param {PublicClient} args.publicClient
+ * @param {Address} args.paymentsAddress
+ * @param {Token[]} args.tokens
+ * @param {Address[]} args.ownAddresses - Wallet and executor, whose bids are
+ *   ours
+ * @param {(rival: RivalBid) => void} [args.onRival]
+ * @param {Metrics} [args.metrics]
+ * @param {string} [args.ledgerPath]
+ * @param {number} [args.maxPendingAge] - Milliseconds after which a pending
+ *   rival bid that never landed is forgotten
+ * @param {() => number} [args.now]
+ */
+export function createRivalWatcher({
+  publicClient,
+  paymentsAddress,
+  tokens,
+  ownAddresses,
+  onRival = () => {},
+  metrics,
+  ledgerPath,
+  maxPendingAge = 300000,
+  now = Date.now,
+}) {
+  const own = new Set(ownAddresses.map((address) => address.toLowerCase()))
+  /** @type {Map<string, { rival: RivalBid; seenAt: number }>} */
+  const pendingByToken = new Map()
+  /** @type {Set<Hash>} */
+  const seen = new Set()
+
+  /** @param {RivalBid} rival */
+  const report = async (rival) => {
+    const labels = { token: rival.token.symbol, stage: rival.stage }
+    metrics?.rivalBids.inc(labels)
+    logger.info(
+      `Rival bid ${rival.stage} for ${formatUnits(rival.amount, rival.token.decimals)} ${rival.token.symbol} from ${rival.bidder}: ${rival.hash}`,
+      {
+        token: rival.token.symbol,
+        stage: rival.stage,
+        amount: rival.amount,
+        rivalBidder: rival.bidder,
+        rivalHash: rival.hash,
+      },
+    )
+
+    if (rival.stage === 'mined') {
+      metrics?.auctionsLost.inc({ token: rival.token.symbol })
+      if (ledgerPath) {
+        /** @type {RivalBidEntry} */
+        const entry = {
+          type: 'rival-bid',
+          timestamp: new Date(now()).toISOString(),
+          token: rival.token.symbol,
+          tokenAddress: rival.token.address,
+          hash: rival.hash,
+          bidder: rival.bidder,
+          amount: rival.amount,
+        }
+        await appendLedgerEntry(ledgerPath, entry)
+      }
+    }
+    onRival(rival)
+  }
+
+  /** @param {Hash[]} hashes */
+  const handlePending = async (hashes) => {
+    for (const hash of hashes) {
+      if (seen.has(hash)) continue
+      const transaction = await publicClient
+        .getTransaction({ hash })
+        .catch(() => null)
+      if (!transaction || own.has(transaction.from.toLowerCase())) continue
+
+      const rival = decodeRivalBid({ transaction, paymentsAddress, tokens })
+      if (!rival) continue
+      seen.add(hash)
+      pendingByToken.set(rival.token.address.toLowerCase(), {
+        rival,
+        seenAt: now(),
+      })
+      await report(rival)
+    }
+  }
+
+  /**
+   * @param {{
+   *   address: Address
+   *   transactionHash: Hash | null
+   *   args: { to?: Address; value?: bigint }
+   * }[]} logs
+   */
+  const handleTransfers = async (logs) => {
+    for (const log of logs) {
+      const hash = log.transactionHash
+      const token = tokens.find(
+        (token) => token.address.toLowerCase() === log.address.toLowerCase(),
+      )
+      if (!hash || !token) continue
+      pendingByToken.delete(token.address.toLowerCase())
+
+      const receipt = await publicClient.getTransactionReceipt({ hash })
+      const isWithdrawal = receipt.logs.some(
+        (entry) =>
+          entry.address.toLowerCase() === paymentsAddress.toLowerCase() &&
+          entry.topics[0] === withdrawRecordedTopic,
+      )
+      if (
+        isWithdrawal ||
+        own.has(receipt.from.toLowerCase()) ||
+        own.has((log.args.to ?? '').toLowerCase())
+      ) {
+        continue
+      }
+
+      seen.delete(hash)
+      await report({
+        stage: 'mined',
+        token,
+        hash,
+        bidder: receipt.from,
+        amount: log.args.value ?? 0n,
+        maxFeePerGas: null,
+        maxPriorityFeePerGas: null,
+      })
+    }
+  }
+
+  /** @param {Error} error */
+  const onError = (error) => {
+    logger.error(`Rival watcher error: ${error.message}`, { error })
+  }
+
+  const unwatchPending = publicClient.watchPendingTransactions({
+    onTransactions: (hashes) => handlePending(hashes).catch(onError),
+    onError,
+  })
+  const unwatchTransfers = publicClient.watchEvent({
+    address: tokens.map((token) => token.address),
+    event: transferEvent,
+    args: { from: paymentsAddress },
+    onLogs: (logs) => handleTransfers(logs).catch(onError),
+    onError,
+  })
+
+  return {
+    /**
+     * Latest rival bid for a token that has not landed yet
+     *
+     * @param {Address} tokenAddress
+     * @returns {RivalBid | null}
+     */
+    pendingBid(tokenAddress) {
+      const key = tokenAddress.toLowerCase()
+      const pending = pendingByToken.get(key)
+      if (!pending) return null
+      if (now() - pending.seenAt > maxPendingAge) {
+        pendingByToken.delete(key)
+        return null
+      }
+      return pending.rival
+    },
+
+    stop() {
+      unwatchPending()
+      unwatchTransfers()
+    },
+  }
+}
+
+/** @typedef {ReturnType<typeof createRivalWatcher>} RivalWatcher */
@@ -0,0 +1,83 @@
+import { HALVING_SECONDS, auctionPriceAt } from '@filoz/synapse-core/auction'
+
+/** @import {AuctionInfo} from "@filoz/synapse-core/auction" */
+
+/** The auction price reaches zero after this many halvings */
+const MAX_HALVINGS = 192n
+
+/**
+ * Find the earliest timestamp at which the auction price drops to or below a
+ * target price
+ *
+ * Binary searches `auctionPriceAt`, so the result matches the on-chain decay
+ * curve exactly.
+ *
+ * @param {AuctionInfo} auction
+ * @param {bigint} targetPrice - Highest auction price we are willing to pay
+ * @returns {bigint | null} Unix timestamp in seconds, or null when the price
+ *   never gets low enough
+ */
+export function findBreakEvenTime(auction, targetPrice) {
+  if (targetPrice < 0n) {
+    return null
+  }
+
+  let low = auction.startTime
+  let high = auction.startTime + HALVING_SECONDS * MAX_HALVINGS
+  if (auctionPriceAt(auction, high) > targetPrice) {
+    return null
+  }
+
+  while (low < high) {
+    const mid = (low + high) / 2n
+    if (auctionPriceAt(auction, mid) <= targetPrice) {
+      high = mid
+    } else {
+      low = mid + 1n
+    }
+  }
+
+  return low
+}
+
+/**
+ * @typedef {object} ScheduleOptions
+ * @property {number} delay - Milliseconds to wait when there is nothing to
+ *   predict (no auctions or no usable quotes)
+ * @property {number} fastDelay - Milliseconds between checks close to a
+ *   break-even time
+ * @property {number} maxDelay - Longest the bot will sleep, since quotes drift
+ * @property {number} window - Milliseconds either side of a break-even time in
+ *   which the bot polls every `fastDelay`
+ */
+
+/**
+ * Work out how long to sleep before the next auction check
+ *
+ * Sleeps until shortly before the earliest break-even time, then polls every
+ * `fastDelay` until the window around it has passed.
+ *
+ * @param {object} args
+ * @param {bigint[]} args.breakEvenTimes - Unix timestamps in seconds
+ * @param {number} args.now - Current time in milliseconds
+ * @param {ScheduleOptions} args.schedule
+ * @returns {number} Milliseconds to wait
+ */
+export function getNextCheckDelay({ breakEvenTimes, now, schedule }) {
+  const { delay, fastDelay, maxDelay, window } = schedule
+
+  const upcoming = breakEvenTimes
+    .map((time) => Number(time) * 1000 - now)
+    .filter((until) => until > -window)
+
+  if (upcoming.length === 0) {
+    return delay
+  }
+
+  const until = Math.min(...upcoming)
+  if (until <= window) {
+    return fastDelay
+  }
+
+  return Math.max(fastDelay, Math.min(until - window, maxDelay))
+}
@@ -0,0 +1,60 @@
+import { createServer } from 'node:http'
+import { renderMetrics } from './metrics.js'
+
+/**
+ * @import {Server} from "node:http"
+ * @import {Metrics} from "./metrics.js"
+ */
+
+/**
+ * Start the HTTP server for Kubernetes probes and Prometheus scraping
+ *
+ * - `GET /healthz` - 200 while the process is running
+ * - `GET /readyz` - 200 when `isReady()` returns true, 503 otherwise
+ * - `GET /metrics` - Prometheus text format
+ *
+ * @param {object} args
+ * @param {number} args.port
+ * @param {Metrics} args.metrics
+ * @param {() => boolean} args.isReady
+ * @returns {Promise<Server>}
+ */
+export async function startServer({ port, metrics, isReady }) {
+  const server = createServer((req, res) => {
+    const { pathname } = new URL(req.url ?? '/', 'http://localhost')
+
+    if (req.method !== 'GET') {
+      res.writeHead(405).end()
+      return
+    }
+
+    switch (pathname) {
+      case '/healthz':
+        res.writeHead(200, { 'content-type': 'text/plain' }).end('ok\n')
+        return
+      case '/readyz': {
+        const ready = isReady()
+        res
+          .writeHead(ready ? 200 : 503, { 'content-type': 'text/plain' })
+          .end(ready ? 'ready\n' : 'not ready\n')
+        return
+      }
+      case '/metrics':
+        res
+          .writeHead(200, {
+            'content-type': 'text/plain; version=0.0.4; charset=utf-8',
+          })
+          .end(renderMetrics(metrics))
+        return
+      default:
+        res.writeHead(404).end()
+    }
+  })
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, () => resolve(undefined))
+  })
+
+  return server
+}
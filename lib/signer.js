@@ -0,0 +1,373 @@
+import { createDecipheriv, pbkdf2, scrypt } from 'node:crypto'
+import { readFile } from 'node:fs/promises'
+import {
+  concat,
+  formatTransactionRequest,
+  getAddress,
+  hashMessage,
+  hashTypedData,
+  http,
+  isAddress,
+  keccak256,
+  numberToHex,
+  parseSignature,
+  serializeTransaction,
+  serializeTypedData,
+  stringToHex,
+  toHex,
+} from 'viem'
+import { privateKeyToAccount, toAccount } from 'viem/accounts'
+
+/**
+ * @import {
+ *   Address,
+ *   Hex,
+ *   LocalAccount,
+ *   TransactionRequest,
+ *   Transport
+ * } from "viem"
+ */
+
+/**
+ * Where the bot's key lives
+ *
+ * @typedef {{ type: 'private-key'; privateKey: Hex }
+ *   | {
+ *       type: 'keystore'
+ *       path: string
+ *       password: string | null
+ *       passwordFile: string | null
+ *     }
+ *   | { type: 'remote'; url: string; address: Address | null }} SignerOptions
+ */
+
+/**
+ * Signing backend that keeps the key to itself, e.g. a KMS or HSM
+ *
+ * It only ever sees 32 byte digests. Implementations for a particular service
+ * resolve the address from its public key and convert its signatures (often DER
+ * encoded) to `r || s || v`.
+ *
+ * @typedef {object} DigestSigner
+ * @property {Address} address
+ * @property {(digest: Hex) => Promise<Hex>} sign - Sign a digest, returning a
+ *   65 byte signature
+ */
+
+/**
+ * Encrypted JSON keystore (Web3 Secret Storage v3), as written by geth, Clef,
+ * Foundry's `cast wallet` and most wallets
+ *
+ * @typedef {object} Keystore
+ * @property {string} [address]
+ * @property {KeystoreCrypto} [crypto]
+ * @property {KeystoreCrypto} [Crypto]
+ */
+
+/**
+ * @typedef {object} KeystoreCrypto
+ * @property {string} cipher
+ * @property {{ iv: string }} cipherparams
+ * @property {string} ciphertext
+ * @property {string} kdf
+ * @property {Record<string, any>} kdfparams
+ * @property {string} mac
+ */
+
+const SIGNER_TYPES = ['private-key', 'keystore', 'remote']
+
+/**
+ * Parse signer options from environment variables
+ *
+ * Without `SIGNER`, a `PRIVATE_KEY` is used as before.
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {SignerOptions | null} Null when no signer is configured
+ */
+export function parseSignerOptions(env) {
+  const {
+    PRIVATE_KEY,
+    SIGNER = PRIVATE_KEY ? 'private-key' : undefined,
+    KEYSTORE_PATH,
+    KEYSTORE_PASSWORD,
+    KEYSTORE_PASSWORD_FILE,
+    REMOTE_SIGNER_URL,
+    SIGNER_ADDRESS,
+  } = env
+  if (SIGNER === undefined) {
+    return null
+  }
+
+  switch (SIGNER) {
+    case 'private-key':
+      if (!PRIVATE_KEY) {
+        throw new Error('SIGNER=private-key requires PRIVATE_KEY')
+      }
+      // The key itself is never echoed back
+      if (!/^0x[0-9a-fA-F]{64}$/.test(PRIVATE_KEY)) {
+        throw new Error('PRIVATE_KEY must be 0x followed by 64 hex characters')
+      }
+      return {
+        type: 'private-key',
+        privateKey: /** @type {Hex} */ (PRIVATE_KEY),
+      }
+    case 'keystore':
+      if (!KEYSTORE_PATH) {
+        throw new Error('SIGNER=keystore requires KEYSTORE_PATH')
+      }
+      if (!KEYSTORE_PASSWORD_FILE && KEYSTORE_PASSWORD === undefined) {
+        throw new Error(
+          'SIGNER=keystore requires KEYSTORE_PASSWORD_FILE or KEYSTORE_PASSWORD',
+        )
+      }
+      return {
+        type: 'keystore',
+        path: KEYSTORE_PATH,
+        password: KEYSTORE_PASSWORD ?? null,
+        passwordFile: KEYSTORE_PASSWORD_FILE || null,
+      }
+    case 'remote':
+      if (!REMOTE_SIGNER_URL) {
+        throw new Error('SIGNER=remote requires REMOTE_SIGNER_URL')
+      }
+      if (SIGNER_ADDRESS && !isAddress(SIGNER_ADDRESS)) {
+        throw new Error(
+          `SIGNER_ADDRESS is not a valid address: ${SIGNER_ADDRESS}`,
+        )
+      }
+      return {
+        type: 'remote',
+        url: REMOTE_SIGNER_URL,
+        address: /** @type {Address | null} */ (SIGNER_ADDRESS || null),
+      }
+    default:
+      throw new Error(
+        `SIGNER must be one of ${SIGNER_TYPES.join(', ')}, got ${SIGNER}`,
+      )
+  }
+}
+
+/**
+ * Describe where the key lives, for the startup log
+ *
+ * @param {SignerOptions} options
+ * @returns {string}
+ */
+export function describeSigner(options) {
+  switch (options.type) {
+    case 'private-key':
+      return 'private key'
+    case 'keystore':
+      return `keystore ${options.path}`
+    case 'remote':
+      return `remote signer ${options.url}`
+  }
+}
+
+/**
+ * @param {string} password
+ * @param {Buffer} salt
+ * @param {Record<string, any>} params
+ * @returns {Promise<Buffer>}
+ */
+function deriveScryptKey(password, salt, { n, r, p, dklen }) {
+  return new Promise((resolve, reject) =>
+    scrypt(
+      password,
+      salt,
+      dklen,
+      // Geth's standard parameters need 256 MiB
+      { N: n, r, p, maxmem: 256 * n * r },
+      (error, key) => (error ? reject(error) : resolve(key)),
+    ),
+  )
+}
+
+/**
+ * @param {string} password
+ * @param {Buffer} salt
+ * @param {Record<string, any>} params
+ * @returns {Promise<Buffer>}
+ */
+function derivePbkdf2Key(password, salt, { c, dklen, prf }) {
+  if (prf !== 'hmac-sha256') {
+    throw new Error(`Unsupported keystore PRF ${prf}`)
+  }
+  return new Promise((resolve, reject) =>
+    pbkdf2(password, salt, c, dklen, 'sha256', (error, key) =>
+      error ? reject(error) : resolve(key),
+    ),
+  )
+}
+
+/**
+ * Decrypt the private key in an encrypted JSON keystore
+ *
+ * @param {Keystore} keystore
+ * @param {string} password
+ * @returns {Promise<Hex>}
+ */
+export async function decryptKeystore(keystore, password) {
+  const crypto = keystore.crypto ?? keystore.Crypto
+  if (!crypto) {
+    throw new Error('Keystore has no crypto section')
+  }
+  if (crypto.cipher !== 'aes-128-ctr') {
+    throw new Error(`Unsupported keystore cipher ${crypto.cipher}`)
+  }
+
+  const salt = Buffer.from(crypto.kdfparams.salt, 'hex')
+  let derivedKey
+  if (crypto.kdf === 'scrypt') {
+    derivedKey = await deriveScryptKey(password, salt, crypto.kdfparams)
+  } else if (crypto.kdf === 'pbkdf2') {
+    derivedKey = await derivePbkdf2Key(password, salt, crypto.kdfparams)
+  } else {
+    throw new Error(`Unsupported keystore KDF ${crypto.kdf}`)
+  }
+
+  const ciphertext = Buffer.from(crypto.ciphertext, 'hex')
+  const mac = keccak256(concat([derivedKey.subarray(16, 32), ciphertext]))
+  if (mac.slice(2) !== crypto.mac.toLowerCase()) {
+    throw new Error('Wrong keystore password')
+  }
+
+  const decipher = createDecipheriv(
+    'aes-128-ctr',
+    derivedKey.subarray(0, 16),
+    Buffer.from(crypto.cipherparams.iv, 'hex'),
+  )
+  const privateKey = toHex(
+    Buffer.concat([decipher.update(ciphertext), decipher.final()]),
+  )
+
+  const { address } = privateKeyToAccount(privateKey)
+  if (
+    keystore.address &&
+    getAddress(`0x${keystore.address.replace(/^0x/, '')}`) !== address
+  ) {
+    throw new Error(
+      `Keystore decrypted to ${address}, expected ${keystore.address}`,
+    )
+  }
+  return privateKey
+}
+
+/**
+ * Account that signs through a digest signer
+ *
+ * @param {DigestSigner} signer
+ * @returns {LocalAccount}
+ */
+export function fromDigestSigner(signer) {
+  /** @param {Hex} digest */
+  const sign = async (digest) => parseSignature(await signer.sign(digest))
+
+  return toAccount({
+    address: signer.address,
+    async signMessage({ message }) {
+      return signer.sign(hashMessage(message))
+    },
+    async signTypedData(typedData) {
+      return signer.sign(hashTypedData(typedData))
+    },
+    async signTransaction(
+      transaction,
+      { serializer = serializeTransaction } = {},
+    ) {
+      const signature = await sign(keccak256(await serializer(transaction)))
+      return serializer(transaction, signature)
+    },
+  })
+}
+
+/**
+ * Account held by a remote signer, such as Web3Signer, speaking the `eth_`
+ * signing methods over JSON-RPC
+ *
+ * @param {object} args
+ * @param {Transport} args.transport
+ * @param {Address | null} [args.address] - Account to sign with, by default the
+ *   signer's first
+ * @returns {Promise<LocalAccount>}
+ */
+export async function createRemoteSigner({ transport, address = null }) {
+  const { request } = transport({ retryCount: 0 })
+
+  /** @type {Address[]} */
+  const accounts = await request({ method: 'eth_accounts' })
+  const signerAddress = address ?? accounts[0]
+  if (
+    !signerAddress ||
+    !accounts.some(
+      (account) => account.toLowerCase() === signerAddress.toLowerCase(),
+    )
+  ) {
+    throw new Error(
+      address
+        ? `Remote signer does not hold ${address}`
+        : 'Remote signer has no accounts',
+    )
+  }
+  const from = getAddress(signerAddress)
+
+  return toAccount({
+    address: from,
+    async signMessage({ message }) {
+      const data =
+        typeof message === 'string'
+          ? stringToHex(message)
+          : typeof message.raw === 'string'
+            ? message.raw
+            : toHex(message.raw)
+      return request({ method: 'eth_sign', params: [from, data] })
+    },
+    async signTypedData(typedData) {
+      return request({
+        method: 'eth_signTypedData',
+        params: [from, serializeTypedData(typedData)],
+      })
+    },
+    async signTransaction(transaction) {
+      return request({
+        method: 'eth_signTransaction',
+        params: [
+          {
+            ...formatTransactionRequest(
+              /** @type {TransactionRequest} */ ({ ...transaction, from }),
+            ),
+            chainId:
+              transaction.chainId === undefined
+                ? undefined
+                : numberToHex(transaction.chainId),
+          },
+        ],
+      })
+    },
+  })
+}
+
+/**
+ * Create the account transactions are signed with
+ *
+ * @param {SignerOptions} options
+ * @returns {Promise<LocalAccount>}
+ */
+export async function createSigner(options) {
+  switch (options.type) {
+    case 'private-key':
+      return privateKeyToAccount(options.privateKey)
+    case 'keystore': {
+      const keystore = JSON.parse(await readFile(options.path, 'utf8'))
+      const password = options.passwordFile
+        ? (await readFile(options.passwordFile, 'utf8')).replace(/\r?\n$/, '')
+        : /** @type {string} */ (options.password)
+      return privateKeyToAccount(await decryptKeystore(keystore, password))
+    }
+    case 'remote':
+      return createRemoteSigner({
+        transport: http(options.url),
+        address: options.address,
+      })
+  }
+}
@@ -0,0 +1,156 @@
+import {
+  SUSHISWAP_NATIVE_PLACEHOLDER,
+  getQuote as defaultGetQuote,
+} from './swap.js'
+import { DEFAULT_SLIPPAGE, getAmountOutMin, getSlippage } from './slippage.js'
+
+/**
+ * @import {Address} from "viem"
+ * @import {SlippageOptions} from "./slippage.js"
+ * @import {QuoteResponse} from "./swap.js"
+ */
+
+/** Candidate bid sizes, in basis points of the available fees */
+export const DEFAULT_BID_SIZES_BPS = [10000, 7500, 5000, 2500, 1000]
+
+/**
+ * @typedef {object} BidEvaluation
+ * @property {bigint} amount - Token amount to bid for
+ * @property {QuoteResponse} quote
+ * @property {number} slippage - Slippage tolerance for the swap
+ * @property {bigint} swapAmountOut - Worst-case FIL out of the swap, the quoted
+ *   amount less the slippage tolerance
+ * @property {bigint} totalGasCost - Bid and swap gas cost in FIL
+ * @property {bigint} totalCost - Auction price plus gas
+ * @property {bigint} profit - `swapAmountOut - totalCost`, may be negative
+ */
+
+/**
+ * Parse a comma separated list of bid sizes in basis points
+ *
+ * @param {string | undefined} value
+ * @returns {number[]}
+ */
+export function parseBidSizes(value) {
+  if (!value) {
+    return DEFAULT_BID_SIZES_BPS
+  }
+
+  const sizes = value.split(',').map((size) => Number(size.trim()))
+  for (const size of sizes) {
+    if (!Number.isInteger(size) || size <= 0 || size > 10000) {
+      throw new Error(
+        `BID_SIZES_BPS must be integers between 1 and 10000, got ${value}`,
+      )
+    }
+  }
+
+  return sizes
+}
+
+/**
+ * Get distinct, non-zero candidate bid amounts, largest first
+ *
+ * @param {bigint} availableFees
+ * @param {number[]} sizesBps
+ * @returns {bigint[]}
+ */
+export function getBidCandidates(availableFees, sizesBps) {
+  const amounts = new Set(
+    sizesBps.map((bps) => (availableFees * BigInt(bps)) / 10000n),
+  )
+  amounts.delete(0n)
+  return [...amounts].sort((a, b) => (a > b ? -1 : a < b ? 1 : 0))
+}
+
+/**
+ * Quote each candidate bid amount and pick the one with the highest net profit
+ *
+ * The auction price is paid once per bid regardless of the amount requested, so
+ * smaller bids only win when slippage on a shallow pool eats more than the
+ * extra tokens are worth. Profit is computed from the minimum swap output the
+ * slippage tolerance allows, so a bid stays profitable however the swap lands.
+ *
+ * @param {object} args
+ * @param {Address} args.quoteAddress - Mainnet token address to quote
+ * @param {bigint} args.availableFees
+ * @param {bigint} args.auctionPrice
+ * @param {bigint} args.bidGasCost
+ * @param {bigint} args.gasPrice
+ * @param {boolean} args.swapEnabled
+ * @param {number[]} [args.sizesBps]
+ * @param {SlippageOptions} [args.slippage]
+ * @param {typeof defaultGetQuote} [args.getQuote]
+ * @returns {Promise<{
+ *   best: BidEvaluation | null
+ *   evaluations: BidEvaluation[]
+ *   failedStatus: string | null
+ * }>}
+ */
+export async function sizeBid({
+  quoteAddress,
+  availableFees,
+  auctionPrice,
+  bidGasCost,
+  gasPrice,
+  swapEnabled,
+  sizesBps = DEFAULT_BID_SIZES_BPS,
+  slippage = { base: DEFAULT_SLIPPAGE, auto: false, max: DEFAULT_SLIPPAGE },
+  getQuote = defaultGetQuote,
+}) {
+  /** @type {BidEvaluation[]} */
+  const evaluations = []
+  /** @type {string | null} */
+  let failedStatus = null
+
+  for (const amount of getBidCandidates(availableFees, sizesBps)) {
+    const quote = await getQuote({
+      tokenIn: quoteAddress,
+      tokenOut: SUSHISWAP_NATIVE_PLACEHOLDER,
+      amount,
+      maxSlippage: slippage.base,
+    })
+
+    if (quote.status !== 'Success') {
+      failedStatus ??= quote.status
+      continue
+    }
+
+    // A malformed response must not be mistaken for a price
+    if (
+      !/^\d+$/.test(quote.assumedAmountOut) ||
+      !/^\d+$/.test(quote.gasSpent)
+    ) {
+      failedStatus ??= 'Invalid'
+      continue
+    }
+
+    const swapGasCost = swapEnabled ? BigInt(quote.gasSpent) * gasPrice : 0n
+    const swapSlippage = getSlippage(slippage, quote.priceImpact)
+    const swapAmountOut = getAmountOutMin(
+      BigInt(quote.assumedAmountOut),
+      swapSlippage,
+    )
+    const totalGasCost = bidGasCost + swapGasCost
+    const totalCost = auctionPrice + totalGasCost
+
+    evaluations.push({
+      amount,
+      quote,
+      slippage: swapSlippage,
+      swapAmountOut,
+      totalGasCost,
+      totalCost,
+      profit: swapAmountOut - totalCost,
+    })
+  }
+
+  let best = null
+  for (const evaluation of evaluations) {
+    if (!best || evaluation.profit > best.profit) {
+      best = evaluation
+    }
+  }
+
+  return { best, evaluations, failedStatus }
+}
@@ -0,0 +1,93 @@
+/** Slippage tolerance used when none is configured (0.5%) */
+export const DEFAULT_SLIPPAGE = 0.005
+
+/** Upper bound for automatic slippage when none is configured (3%) */
+export const DEFAULT_MAX_AUTO_SLIPPAGE = 0.03
+
+/** Precision used to apply fractional slippage to bigint amounts */
+const SLIPPAGE_SCALE = 1_000_000n
+
+/**
+ * @typedef {object} SlippageOptions
+ * @property {number} base - Slippage tolerance as a fraction, e.g. `0.005` for
+ *   0.5%
+ * @property {boolean} auto - Widen the tolerance by the quoted price impact, so
+ *   trades that are large relative to pool depth are not reverted by small pool
+ *   movements
+ * @property {number} max - Highest tolerance automatic slippage may pick
+ */
+
+/**
+ * @param {string} name
+ * @param {string | undefined} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function parseFraction(name, value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback
+  }
+  const fraction = Number(value)
+  if (!/^\d+(\.\d+)?$/.test(value) || fraction >= 1) {
+    throw new Error(
+      `${name} must be a fraction between 0 and 1 (e.g. 0.005 for 0.5%), got ${value}`,
+    )
+  }
+  return fraction
+}
+
+/**
+ * Parse slippage options from environment variables
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {SlippageOptions}
+ */
+export function parseSlippage(env) {
+  const base = parseFraction('SLIPPAGE', env.SLIPPAGE, DEFAULT_SLIPPAGE)
+  const max = parseFraction(
+    'MAX_AUTO_SLIPPAGE',
+    env.MAX_AUTO_SLIPPAGE,
+    Math.max(base, DEFAULT_MAX_AUTO_SLIPPAGE),
+  )
+  if (max < base) {
+    throw new Error(
+      `MAX_AUTO_SLIPPAGE (${max}) must not be below SLIPPAGE (${base})`,
+    )
+  }
+
+  return {
+    base,
+    auto: env.AUTO_SLIPPAGE === 'true' || env.AUTO_SLIPPAGE === '1',
+    max,
+  }
+}
+
+/**
+ * Pick the slippage tolerance for a swap
+ *
+ * Price impact grows with trade size relative to pool depth, and so does the
+ * price move a competing trade causes before ours lands. In auto mode the
+ * quoted impact is added on top of the base tolerance, capped at `max`.
+ *
+ * @param {SlippageOptions} options
+ * @param {number} [priceImpact] - Quoted price impact as a fraction
+ * @returns {number}
+ */
+export function getSlippage(options, priceImpact = 0) {
+  if (!options.auto) {
+    return options.base
+  }
+  return Math.min(options.base + Math.abs(priceImpact), options.max)
+}
+
+/**
+ * Lowest amount a swap may return before the router reverts it
+ *
+ * @param {bigint} amountOut - Quoted output amount
+ * @param {number} slippage - Tolerance as a fraction
+ * @returns {bigint}
+ */
+export function getAmountOutMin(amountOut, slippage) {
+  const scaled = BigInt(Math.round(slippage * Number(SLIPPAGE_SCALE)))
+  return (amountOut * (SLIPPAGE_SCALE - scaled)) / SLIPPAGE_SCALE
+}
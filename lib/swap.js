@@ -1,16 +1,30 @@
 import { ChainId } from 'sushi'
-import { getSwap } from 'sushi/evm'
-/** @import {Address} from "viem" */
+import { getSwap as defaultGetSwap } from 'sushi/evm'
+import { parseAbiItem, parseEventLogs } from 'viem'
+import { DEFAULT_SLIPPAGE } from './slippage.js'
+/**
+ * @import {
+ *   Address,
+ *   TransactionReceipt
+ * } from "viem"
+ */
 
 export const SUSHISWAP_NATIVE_PLACEHOLDER = /** @type {Address} */ (
   '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE'
 )
 
+export const DEFAULT_SUSHI_API_URL = 'https://api.sushi.com'
+
+const routeEvent = parseAbiItem(
+  'event Route(address indexed from, address to, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOutMin, uint256 amountOut)',
+)
+
 /**
  * @typedef {object} QuoteResponse
  * @property {'Success' | 'Partial' | 'NoWay'} status
  * @property {string} assumedAmountOut
  * @property {string} gasSpent
+ * @property {number} [priceImpact] - Price impact of the trade as a fraction
  */
 
 /**
@@ -23,18 +37,27 @@ export const SUSHISWAP_NATIVE_PLACEHOLDER = /** @type {Address} */ (
  * @param {Address} args.tokenIn - Input token address
  * @param {Address} args.tokenOut - Output token address
  * @param {bigint} args.amount - Amount to swap
+ * @param {number} [args.maxSlippage] - Slippage tolerance as a fraction
+ * @param {string} [args.baseUrl] - Sushiswap API to ask instead of the public
+ *   one
  * @returns {Promise<QuoteResponse>}
  */
-export async function getQuote({ tokenIn, tokenOut, amount }) {
+export async function getQuote({
+  tokenIn,
+  tokenOut,
+  amount,
+  maxSlippage = DEFAULT_SLIPPAGE,
+  baseUrl = DEFAULT_SUSHI_API_URL,
+}) {
   if (amount === 0n) {
     throw new Error('Cannot get quote for zero amount')
   }
 
-  const url = new URL(`https://api.sushi.com/quote/v7/${ChainId.FILECOIN}`)
+  const url = new URL(`quote/v7/${ChainId.FILECOIN}`, baseUrl)
   url.searchParams.set('tokenIn', tokenIn)
   url.searchParams.set('tokenOut', tokenOut)
   url.searchParams.set('amount', amount.toString())
-  url.searchParams.set('maxSlippage', '0.005')
+  url.searchParams.set('maxSlippage', maxSlippage.toString())
 
   const response = await fetch(url)
   return /** @type {Promise<QuoteResponse>} */ (response.json())
@@ -47,9 +70,17 @@ export async function getQuote({ tokenIn, tokenOut, amount }) {
  * @param {number} args.chainId - Chain ID (only Filecoin mainnet 314 supported)
  * @param {Address} args.tokenIn - Input token address (USDFC)
  * @param {Address} args.sender - Sender address
+ * @param {number} [args.maxSlippage] - Slippage tolerance as a fraction
+ * @param {typeof defaultGetSwap} [args.getSwap]
  * @returns {Promise<Address | null>}
  */
-export async function discoverSushiswapRouter({ chainId, tokenIn, sender }) {
+export async function discoverSushiswapRouter({
+  chainId,
+  tokenIn,
+  sender,
+  maxSlippage = DEFAULT_SLIPPAGE,
+  getSwap = defaultGetSwap,
+}) {
   if (chainId !== ChainId.FILECOIN) {
     return null
   }
@@ -60,9 +91,29 @@ export async function discoverSushiswapRouter({ chainId, tokenIn, sender }) {
     tokenOut: SUSHISWAP_NATIVE_PLACEHOLDER,
     amount: 1000000000000000000n, // 1 USDFC (18 decimals)
     sender,
-    maxSlippage: 0.005,
+    maxSlippage,
     simulate: false,
   })
 
   return swap.status === 'NoWay' ? null : swap.tx.to
 }
+
+/**
+ * Read the swapped amounts from the `Route` event emitted by the Sushiswap
+ * route processor
+ *
+ * @param {TransactionReceipt} receipt - Swap transaction receipt
+ * @returns {{ amountIn: bigint; amountOut: bigint } | null} Null when the
+ *   receipt has no `Route` event (e.g. the swap reverted)
+ */
+export function getSwapAmounts(receipt) {
+  const [log] = parseEventLogs({
+    abi: [routeEvent],
+    logs: receipt.logs ?? [],
+  })
+  if (!log) {
+    return null
+  }
+
+  return { amountIn: log.args.amountIn, amountOut: log.args.amountOut }
+}
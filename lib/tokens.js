@@ -0,0 +1,266 @@
+import { erc20Abi, isAddress, parseAbiItem, zeroAddress } from 'viem'
+import { getChain } from '@filoz/synapse-core/chains'
+import { logger } from './logger.js'
+
+/**
+ * @import {
+ *   Address,
+ *   PublicClient
+ * } from "viem"
+ */
+
+/**
+ * @typedef {object} Token
+ * @property {string} symbol
+ * @property {Address} address - Token address on the chain the bot runs on
+ * @property {Address} quoteAddress - Token address on Filecoin mainnet, used
+ *   for Sushiswap quotes and swaps
+ * @property {number} decimals
+ */
+
+/**
+ * @typedef {object} TokenDefinition
+ * @property {string} symbol
+ * @property {Record<string, string>} addresses - Token addresses keyed by chain
+ *   ID
+ * @property {string} [quoteAddress] - Mainnet address used for quotes (defaults
+ *   to `addresses["314"]`)
+ * @property {number} [decimals] - Token decimals (defaults to 18)
+ */
+
+const railCreatedEvent = parseAbiItem(
+  'event RailCreated(uint256 indexed railId, address indexed payer, address indexed payee, address token, address operator, address validator, address serviceFeeRecipient, uint256 commissionRateBps)',
+)
+
+/**
+ * @param {number} chainId
+ * @returns {Address}
+ */
+export function getUsdfcAddress(chainId) {
+  switch (chainId) {
+    case 314:
+      return '0x80B98d3aa09ffff255c3ba4A241111Ff1262F045' // mainnet
+    case 314159:
+      return '0xb3042734b608a1B16e9e86B374A3f3e389B4cDf0' // calibration
+    default:
+      throw new Error(`Unsupported chain ID: ${chainId}`)
+  }
+}
+
+/**
+ * Tokens monitored out of the box
+ *
+ * @returns {TokenDefinition[]}
+ */
+function getDefaultTokenDefinitions() {
+  return [
+    {
+      symbol: 'USDFC',
+      addresses: {
+        314: getUsdfcAddress(314),
+        314159: getUsdfcAddress(314159),
+      },
+      decimals: 18,
+    },
+  ]
+}
+
+/**
+ * Parse the `TOKENS` environment variable
+ *
+ * Expects a JSON array of token definitions, e.g.
+ * `[{"symbol":"FOO","addresses":{"314":"0x...","314159":"0x..."}}]`
+ *
+ * @param {string | undefined} value
+ * @returns {TokenDefinition[]}
+ */
+export function parseTokenDefinitions(value) {
+  if (!value) {
+    return []
+  }
+
+  let definitions
+  try {
+    definitions = JSON.parse(value)
+  } catch {
+    throw new Error('TOKENS must be a JSON array of token definitions')
+  }
+
+  if (!Array.isArray(definitions)) {
+    throw new Error('TOKENS must be a JSON array of token definitions')
+  }
+
+  for (const definition of definitions) {
+    if (typeof definition?.symbol !== 'string' || !definition.symbol) {
+      throw new Error('Each token definition requires a symbol')
+    }
+    if (
+      typeof definition.addresses !== 'object' ||
+      definition.addresses === null
+    ) {
+      throw new Error(
+        `Token ${definition.symbol} requires an addresses map keyed by chain ID`,
+      )
+    }
+    for (const [chainId, address] of Object.entries(definition.addresses)) {
+      if (!/^\d+$/.test(chainId)) {
+        throw new Error(
+          `Token ${definition.symbol} addresses must be keyed by chain ID, got ${chainId}`,
+        )
+      }
+      if (typeof address !== 'string' || !isAddress(address)) {
+        throw new Error(
+          `Token ${definition.symbol} address on chain ${chainId} is not a valid address: ${address}`,
+        )
+      }
+    }
+    if (
+      definition.quoteAddress !== undefined &&
+      (typeof definition.quoteAddress !== 'string' ||
+        !isAddress(definition.quoteAddress))
+    ) {
+      throw new Error(
+        `Token ${definition.symbol} quoteAddress is not a valid address: ${definition.quoteAddress}`,
+      )
+    }
+    if (
+      definition.decimals !== undefined &&
+      (!Number.isInteger(definition.decimals) ||
+        definition.decimals < 0 ||
+        definition.decimals > 255)
+    ) {
+      throw new Error(
+        `Token ${definition.symbol} decimals must be an integer from 0 to 255, got ${definition.decimals}`,
+      )
+    }
+  }
+
+  return definitions
+}
+
+/**
+ * Build the token registry for a chain
+ *
+ * Configured definitions are merged with the built-in ones; a configured token
+ * with the same symbol as a built-in one replaces it. Tokens without an address
+ * on the given chain or without a mainnet quote address are skipped.
+ *
+ * @param {number} chainId
+ * @param {TokenDefinition[]} [definitions] - Additional token definitions
+ * @returns {Token[]}
+ */
+export function getTokenRegistry(chainId, definitions = []) {
+  /** @type {Map<string, TokenDefinition>} */
+  const bySymbol = new Map()
+  for (const definition of [...getDefaultTokenDefinitions(), ...definitions]) {
+    bySymbol.set(definition.symbol, definition)
+  }
+
+  /** @type {Token[]} */
+  const tokens = []
+  for (const definition of bySymbol.values()) {
+    const address = definition.addresses[String(chainId)]
+    const quoteAddress = definition.quoteAddress ?? definition.addresses['314']
+    if (!address || !quoteAddress) {
+      continue
+    }
+
+    tokens.push({
+      symbol: definition.symbol,
+      address: /** @type {Address} */ (address),
+      quoteAddress: /** @type {Address} */ (quoteAddress),
+      decimals: definition.decimals ?? 18,
+    })
+  }
+
+  return tokens
+}
+
+/**
+ * Discover tokens used by Filecoin Pay rails
+ *
+ * Scans `RailCreated` events emitted by the Payments contract. Only works on
+ * mainnet, where the rail token is also the token Sushiswap quotes. Native FIL
+ * rails and tokens whose symbol or decimals cannot be read are skipped.
+ *
+ * @param {object} args
+ * @param {PublicClient} args.publicClient
+ * @param {bigint} args.lookback - Number of blocks to scan back from the latest
+ *   block
+ * @param {bigint} [args.chunkSize] - Maximum block range per `eth_getLogs` call
+ * @returns {Promise<Token[]>}
+ */
+export async function discoverTokens({
+  publicClient,
+  lookback,
+  chunkSize = 2000n,
+}) {
+  const chain = getChain(publicClient.chain?.id)
+  if (chain.id !== 314) {
+    return []
+  }
+
+  const latest = await publicClient.getBlockNumber()
+  const start = latest > lookback ? latest - lookback : 0n
+
+  /** @type {Set<Address>} */
+  const addresses = new Set()
+  for (let fromBlock = start; fromBlock <= latest; fromBlock += chunkSize) {
+    const toBlock =
+      fromBlock + chunkSize - 1n < latest ? fromBlock + chunkSize - 1n : latest
+    const logs = await publicClient.getLogs({
+      address: chain.contracts.payments.address,
+      event: railCreatedEvent,
+      fromBlock,
+      toBlock,
+    })
+    for (const log of logs) {
+      if (log.args.token && log.args.token !== zeroAddress) {
+        addresses.add(log.args.token)
+      }
+    }
+  }
+
+  /** @type {Token[]} */
+  const tokens = []
+  for (const address of addresses) {
+    try {
+      const [symbol, decimals] = await Promise.all([
+        publicClient.readContract({
+          address,
+          abi: erc20Abi,
+          functionName: 'symbol',
+        }),
+        publicClient.readContract({
+          address,
+          abi: erc20Abi,
+          functionName: 'decimals',
+        }),
+      ])
+      tokens.push({ symbol, address, quoteAddress: address, decimals })
+    } catch (error) {
+      const err = /** @type {Error} */ (error)
+      logger.warn(
+        `Skipping discovered token ${address}: cannot read its symbol and decimals: ${err.message}`,
+        { error: err },
+      )
+    }
+  }
+
+  return tokens
+}
+
+/**
+ * Merge discovered tokens into a registry, keeping existing entries
+ *
+ * @param {Token[]} registry
+ * @param {Token[]} discovered
+ * @returns {Token[]}
+ */
+export function mergeTokens(registry, discovered) {
+  const known = new Set(registry.map((t) => t.address.toLowerCase()))
+  return [
+    ...registry,
+    ...discovered.filter((t) => !known.has(t.address.toLowerCase())),
+  ]
+}
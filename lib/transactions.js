@@ -0,0 +1,533 @@
+import { readFile } from 'node:fs/promises'
+import { setTimeout as defaultSleep } from 'node:timers/promises'
+import { TransactionReceiptNotFoundError } from 'viem'
+import { createJsonWriter } from './helpers.js'
+import { logger } from './logger.js'
+
+/**
+ * @import {
+ *   Account,
+ *   Address,
+ *   Hex,
+ *   PublicClient,
+ *   TransactionReceipt,
+ *   WalletClient
+ * } from "viem"
+ */
+
+/**
+ * @typedef {object} PendingTransaction
+ * @property {number} nonce
+ * @property {string} label - What the transaction does, e.g. `bid` or `swap`
+ * @property {Address} to
+ * @property {Hex} data
+ * @property {bigint} value
+ * @property {Hex[]} hashes - Every version sent, oldest first
+ * @property {Hex[]} cancelHashes - Replacements that cancel the transaction
+ * @property {bigint} maxFeePerGas - Fee cap of the latest version
+ * @property {bigint} maxPriorityFeePerGas - Gas premium of the latest version
+ * @property {number} bumps - Times the fees were raised
+ * @property {string} sentAt - ISO 8601
+ * @property {number} [dependsOn] - Nonce of a transaction this one only makes
+ *   sense after, e.g. the bid a swap sells the tokens of. It is cancelled along
+ *   with that transaction.
+ */
+
+/**
+ * @typedef {object} TransactionOptions
+ * @property {string | null} statePath - JSON file pending transactions are kept
+ *   in across restarts, or null to keep them in memory only
+ * @property {number} receiptTimeout - Milliseconds to wait for a receipt before
+ *   raising fees
+ * @property {number} bumpPercent - Fee increase per replacement, in percent.
+ *   Filecoin only accepts replacements that raise the gas premium by at least
+ *   25%.
+ * @property {number} maxBumps - Replacements before a transaction is cancelled
+ */
+
+/**
+ * Outcome of waiting for a transaction
+ *
+ * @typedef {object} TransactionResult
+ * @property {TransactionReceipt | null} receipt - Receipt of whichever version
+ *   was mined, or null when none was (yet)
+ * @property {boolean} cancelled - The nonce was used by a cancellation or by a
+ *   transaction the manager did not send
+ */
+
+/** Smallest replacement fee increase Filecoin accepts, in percent */
+const MIN_BUMP_PERCENT = 25
+
+/**
+ * Parse transaction options from environment variables
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {TransactionOptions}
+ */
+export function parseTransactionOptions(env) {
+  const {
+    TX_STATE_PATH = 'pending-transactions.json',
+    RECEIPT_TIMEOUT = '180000',
+    FEE_BUMP_PERCENT = '30',
+    MAX_FEE_BUMPS = '3',
+  } = env
+
+  for (const [name, value] of Object.entries({
+    RECEIPT_TIMEOUT,
+    FEE_BUMP_PERCENT,
+    MAX_FEE_BUMPS,
+  })) {
+    if (!/^\d+$/.test(value)) {
+      throw new Error(`${name} must be a non-negative integer, got ${value}`)
+    }
+  }
+  if (Number(FEE_BUMP_PERCENT) < MIN_BUMP_PERCENT) {
+    throw new Error(
+      `FEE_BUMP_PERCENT must be at least ${MIN_BUMP_PERCENT}, or replacements are rejected, got ${FEE_BUMP_PERCENT}`,
+    )
+  }
+
+  return {
+    statePath: TX_STATE_PATH || null,
+    receiptTimeout: Number(RECEIPT_TIMEOUT),
+    bumpPercent: Number(FEE_BUMP_PERCENT),
+    maxBumps: Number(MAX_FEE_BUMPS),
+  }
+}
+
+/** @typedef {{ maxFeePerGas: bigint; maxPriorityFeePerGas: bigint }} Fees */
+
+const BIGINT_FIELDS = new Set(['value', 'maxFeePerGas', 'maxPriorityFeePerGas'])
+
+/**
+ * Read pending transactions saved by a previous run
+ *
+ * @param {string} path
+ * @returns {Promise<PendingTransaction[]>} Empty when there is no state file
+ */
+export async function readPendingTransactions(path) {
+  let contents
+  try {
+    contents = await readFile(path, 'utf8')
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === 'ENOENT') {
+      return []
+    }
+    throw error
+  }
+
+  return JSON.parse(contents, (key, value) =>
+    BIGINT_FIELDS.has(key) && typeof value === 'string' ? BigInt(value) : value,
+  )
+}
+
+/**
+ * @param {bigint} a
+ * @param {bigint} b
+ */
+const max = (a, b) => (a > b ? a : b)
+
+/**
+ * Send transactions and see them through to a receipt
+ *
+ * Nonces are assigned locally and tracked until mined, so a transaction stuck
+ * in the mempool is never overwritten by accident. Transactions that are not
+ * mined within `receiptTimeout` are re-sent with higher fees, and cancelled
+ * with a zero-value transfer to self after `maxBumps` attempts or once they no
+ * longer pay. Transactions that depend on a cancelled one are cancelled too.
+ *
+ * @param {object} args
+ * @param {PublicClient} args.publicClient
+ * @param {WalletClient} args.walletClient
+ * @param {Account} args.account
+ * @param {PendingTransaction[]} [args.pending] - Transactions left pending by a
+ *   previous run
+ * @param {string | null} [args.statePath]
+ * @param {number} [args.receiptTimeout]
+ * @param {number} [args.pollInterval] - Milliseconds between receipt checks
+ * @param {number} [args.bumpPercent]
+ * @param {number} [args.maxBumps]
+ * @param {(ms: number) => Promise<unknown>} [args.sleep]
+ * @param {() => number} [args.now]
+ */
+export function createTransactionManager({
+  publicClient,
+  walletClient,
+  account,
+  pending = [],
+  statePath = null,
+  receiptTimeout = 180000,
+  pollInterval = 5000,
+  bumpPercent = 30,
+  maxBumps = 3,
+  sleep = defaultSleep,
+  now = Date.now,
+}) {
+  /** @type {Map<number, PendingTransaction>} */
+  const transactions = new Map(pending.map((tx) => [tx.nonce, tx]))
+
+  const write = statePath ? createJsonWriter(statePath) : null
+  const persist = async () => {
+    await write?.([...transactions.values()])
+  }
+
+  /**
+   * Current fee estimate, raised by `bumpPercent` over a previous version
+   *
+   * @param {PendingTransaction} [previous]
+   * @param {Fees} [minFees]
+   */
+  const getFees = async (previous, minFees) => {
+    const { maxFeePerGas, maxPriorityFeePerGas } =
+      await publicClient.estimateFeesPerGas()
+    if (!previous) {
+      return {
+        maxFeePerGas: max(maxFeePerGas, minFees?.maxFeePerGas ?? 0n),
+        maxPriorityFeePerGas: max(
+          maxPriorityFeePerGas,
+          minFees?.maxPriorityFeePerGas ?? 0n,
+        ),
+      }
+    }
+
+    /** @param {bigint} fee */
+    const bump = (fee) => (fee * BigInt(100 + bumpPercent)) / 100n
+    return {
+      maxFeePerGas: max(bump(previous.maxFeePerGas), maxFeePerGas),
+      maxPriorityFeePerGas: max(
+        bump(previous.maxPriorityFeePerGas),
+        maxPriorityFeePerGas,
+      ),
+    }
+  }
+
+  /**
+   * @param {object} args
+   * @param {number} args.nonce
+   * @param {Address} args.to
+   * @param {Hex} args.data
+   * @param {bigint} args.value
+   * @param {Fees} args.fees
+   * @returns {Promise<Hex>}
+   */
+  const broadcast = ({ nonce, to, data, value, fees }) =>
+    walletClient.sendTransaction({
+      account,
+      chain: walletClient.chain,
+      to,
+      data,
+      value,
+      nonce,
+      ...fees,
+    })
+
+  /**
+   * @param {PendingTransaction} tx
+   * @returns {Promise<TransactionResult | null>}
+   */
+  const findReceipt = async (tx) => {
+    for (const hash of [...tx.hashes, ...tx.cancelHashes]) {
+      try {
+        const receipt = await publicClient.getTransactionReceipt({ hash })
+        return { receipt, cancelled: tx.cancelHashes.includes(hash) }
+      } catch (error) {
+        if (!(error instanceof TransactionReceiptNotFoundError)) throw error
+      }
+    }
+    return null
+  }
+
+  /**
+   * Poll until a version of the transaction is mined or the timeout passes
+   *
+   * @param {PendingTransaction} tx
+   * @param {number} timeout
+   * @returns {Promise<TransactionResult | null>} Null on timeout
+   */
+  const poll = async (tx, timeout) => {
+    const deadline = now() + timeout
+    while (true) {
+      let result = await findReceipt(tx)
+      if (!result) {
+        const minedNonce = await publicClient.getTransactionCount({
+          address: account.address,
+          blockTag: 'latest',
+        })
+        if (minedNonce > tx.nonce) {
+          // Mined just now, or replaced by a transaction we did not send
+          result = (await findReceipt(tx)) ?? { receipt: null, cancelled: true }
+        }
+      }
+
+      if (result) {
+        transactions.delete(tx.nonce)
+        await persist()
+        if (result.cancelled) {
+          await cancelDependents(tx.nonce)
+        }
+        return result
+      }
+      if (now() >= deadline) {
+        return null
+      }
+      await sleep(pollInterval)
+    }
+  }
+
+  /**
+   * Cancel the transactions that depend on a cancelled nonce, before it frees
+   * them to be mined
+   *
+   * @param {number} nonce
+   */
+  const cancelDependents = async (nonce) => {
+    for (const tx of manager.pending()) {
+      if (tx.dependsOn === nonce && tx.cancelHashes.length === 0) {
+        await manager.cancel(tx.nonce)
+      }
+    }
+  }
+
+  /**
+   * Whether a transaction still pays at the fees its next bump would raise it
+   * to
+   *
+   * @param {PendingTransaction} tx
+   * @param {((fees: Fees) => Promise<boolean>) | undefined} shouldBump
+   * @returns {Promise<boolean>}
+   */
+  const worthBumping = async (tx, shouldBump) => {
+    if (!shouldBump || tx.cancelHashes.length > 0) {
+      return true
+    }
+    try {
+      return await shouldBump(await getFees(tx))
+    } catch (error) {
+      const err = /** @type {Error} */ (error)
+      logger.warn(
+        `Could not re-check ${tx.label} (nonce ${tx.nonce}) before raising its fees: ${err.message}`,
+        { nonce: tx.nonce, error: err },
+      )
+      return false
+    }
+  }
+
+  /**
+   * @param {number} nonce
+   * @returns {PendingTransaction}
+   */
+  const get = (nonce) => {
+    const tx = transactions.get(nonce)
+    if (!tx) {
+      throw new Error(`No pending transaction with nonce ${nonce}`)
+    }
+    return tx
+  }
+
+  const manager = {
+    /** @returns {PendingTransaction[]} Oldest first */
+    pending() {
+      return [...transactions.values()].sort((a, b) => a.nonce - b.nonce)
+    },
+
+    /**
+     * Next free nonce, after every transaction still pending
+     *
+     * @returns {Promise<number>}
+     */
+    async nextNonce() {
+      const count = await publicClient.getTransactionCount({
+        address: account.address,
+        blockTag: 'pending',
+      })
+      let next = count
+      for (const nonce of transactions.keys()) {
+        if (nonce >= next) next = nonce + 1
+      }
+      return next
+    },
+
+    /**
+     * @param {object} args
+     * @param {string} args.label
+     * @param {Address} args.to
+     * @param {Hex} [args.data]
+     * @param {bigint} [args.value]
+     * @param {number} args.nonce
+     * @param {Fees} [args.minFees] - Pay at least these fees, e.g. to get ahead
+     *   of another transaction
+     * @param {number} [args.dependsOn] - Nonce of a transaction to cancel this
+     *   one along with
+     * @returns {Promise<Hex>}
+     */
+    async send({
+      label,
+      to,
+      data = '0x',
+      value = 0n,
+      nonce,
+      minFees,
+      dependsOn,
+    }) {
+      const fees = await getFees(undefined, minFees)
+      const hash = await broadcast({ nonce, to, data, value, fees })
+      transactions.set(nonce, {
+        nonce,
+        label,
+        to,
+        data,
+        value,
+        hashes: [hash],
+        cancelHashes: [],
+        ...fees,
+        bumps: 0,
+        sentAt: new Date(now()).toISOString(),
+        ...(dependsOn !== undefined && { dependsOn }),
+      })
+      await persist()
+      return hash
+    },
+
+    /**
+     * Re-send a pending transaction, or its cancellation, with higher fees
+     *
+     * @param {number} nonce
+     * @returns {Promise<Hex>}
+     */
+    async bump(nonce) {
+      const tx = get(nonce)
+      const fees = await getFees(tx)
+      const cancelling = tx.cancelHashes.length > 0
+      const hash = await broadcast({
+        nonce,
+        ...(cancelling
+          ? { to: account.address, data: '0x', value: 0n }
+          : { to: tx.to, data: tx.data, value: tx.value }),
+        fees,
+      })
+      ;(cancelling ? tx.cancelHashes : tx.hashes).push(hash)
+      Object.assign(tx, fees, { bumps: tx.bumps + 1 })
+      await persist()
+      logger.info(
+        `Raised fees of ${tx.label} (nonce ${nonce}) to ${fees.maxFeePerGas} max fee, ${fees.maxPriorityFeePerGas} premium: ${hash}`,
+        { nonce, txHash: hash, ...fees },
+      )
+      return hash
+    },
+
+    /**
+     * Replace a pending transaction with a zero-value transfer to self, and
+     * cancel the transactions that depend on it
+     *
+     * @param {number} nonce
+     * @returns {Promise<Hex>}
+     */
+    async cancel(nonce) {
+      const tx = get(nonce)
+      const fees = await getFees(tx)
+      const hash = await broadcast({
+        nonce,
+        to: account.address,
+        data: '0x',
+        value: 0n,
+        fees,
+      })
+      tx.cancelHashes.push(hash)
+      Object.assign(tx, fees)
+      await persist()
+      logger.warn(`Cancelling ${tx.label} (nonce ${nonce}): ${hash}`, {
+        nonce,
+        txHash: hash,
+      })
+      await cancelDependents(nonce)
+      return hash
+    },
+
+    /**
+     * Wait for a transaction sent through the manager, raising fees each time
+     * the receipt timeout passes and cancelling it after `maxBumps`
+     *
+     * @param {Hex} hash - Hash of any version of the transaction
+     * @param {object} [options]
+     * @param {(fees: Fees) => Promise<boolean>} [options.shouldBump] - Asked
+     *   before each fee increase whether the transaction still pays at the
+     *   raised fees. It is cancelled instead when it does not, or when this
+     *   fails.
+     * @returns {Promise<TransactionResult>} A null receipt that is not
+     *   cancelled means even the cancellation is stuck; the transaction stays
+     *   tracked
+     */
+    async waitForReceipt(hash, { shouldBump } = {}) {
+      const tx = [...transactions.values()].find((tx) =>
+        tx.hashes.includes(hash),
+      )
+      if (!tx) {
+        throw new Error(`Unknown transaction ${hash}`)
+      }
+
+      for (let attempt = 0; ; attempt++) {
+        const result = await poll(tx, receiptTimeout)
+        if (result) {
+          return result
+        }
+
+        logger.warn(
+          `${tx.label} (nonce ${tx.nonce}) not mined after ${receiptTimeout / 1000}s`,
+          { nonce: tx.nonce, txHash: tx.hashes.at(-1) },
+        )
+        if (attempt < maxBumps && !(await worthBumping(tx, shouldBump))) {
+          logger.warn(
+            `${tx.label} (nonce ${tx.nonce}) no longer pays at higher fees`,
+            { nonce: tx.nonce },
+          )
+          await manager.cancel(tx.nonce)
+        } else if (attempt < maxBumps) {
+          await manager.bump(tx.nonce)
+        } else if (tx.cancelHashes.length === 0) {
+          await manager.cancel(tx.nonce)
+        } else {
+          logger.warn(
+            `${tx.label} (nonce ${tx.nonce}) is still pending, retrying next iteration`,
+            { nonce: tx.nonce },
+          )
+          return { receipt: null, cancelled: false }
+        }
+      }
+    },
+
+    /**
+     * Resolve transactions left pending by an earlier iteration or run
+     *
+     * Their opportunity is stale, so any that are not mined yet are cancelled.
+     *
+     * @returns {Promise<number>} Transactions still pending afterwards
+     */
+    async settlePending() {
+      for (const tx of manager.pending()) {
+        logger.info(
+          `Found pending ${tx.label} transaction (nonce ${tx.nonce}) from ${tx.sentAt}`,
+          { nonce: tx.nonce, txHash: tx.hashes.at(-1) },
+        )
+        const result = await poll(tx, 0)
+        if (result) {
+          logger.info(
+            result.cancelled || !result.receipt
+              ? `Nonce ${tx.nonce} was used by another transaction`
+              : `${tx.label} (nonce ${tx.nonce}) was mined: ${result.receipt.status}`,
+          )
+          continue
+        }
+
+        if (tx.cancelHashes.length === 0) {
+          await manager.cancel(tx.nonce)
+        }
+        await manager.waitForReceipt(tx.hashes[0])
+      }
+      return transactions.size
+    },
+  }
+
+  return manager
+}
+
+/** @typedef {ReturnType<typeof createTransactionManager>} TransactionManager */
@@ -0,0 +1,331 @@
+import { basename, dirname, extname, join } from 'node:path'
+import { formatEther, isAddress, parseEther } from 'viem'
+import { getBalance as defaultGetBalance } from './client.js'
+import { logReceipt } from './helpers.js'
+import { logger } from './logger.js'
+
+/**
+ * @import {
+ *   Account,
+ *   Address,
+ *   PublicClient,
+ *   WalletClient
+ * } from "viem"
+ * @import {Metrics} from "./metrics.js"
+ * @import {SignerOptions} from "./signer.js"
+ * @import {
+ *   PendingTransaction,
+ *   TransactionManager
+ * } from "./transactions.js"
+ */
+
+/**
+ * @typedef {object} WalletOptions
+ * @property {SignerOptions[]} signers - More wallets to bid from, beside the
+ *   signer's
+ * @property {Address | null} recipient - Receives the tokens bid for, instead
+ *   of the bidding wallet. They are then not swapped.
+ * @property {Address | null} treasury - Receives FIL above `sweepAbove`
+ * @property {bigint | null} sweepAbove - FIL each wallet keeps for bidding
+ */
+
+/**
+ * A wallet the bot can bid from
+ *
+ * @typedef {object} Wallet
+ * @property {Address} address
+ * @property {Account} account
+ * @property {WalletClient} walletClient
+ */
+
+/**
+ * @typedef {Wallet & { txManager: TransactionManager | null }} PoolWallet Null
+ *   transaction manager in dry runs
+ */
+
+/** @param {string} value */
+const parseList = (value) =>
+  value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+
+/**
+ * Parse wallet pool, bid recipient and treasury options from environment
+ * variables
+ *
+ * Pool wallets come from the same signer backends as the bot's own: keystores
+ * decrypted with the `KEYSTORE_PASSWORD_FILE` or `KEYSTORE_PASSWORD`, and
+ * accounts held by the signer at `REMOTE_SIGNER_URL`.
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {WalletOptions}
+ */
+export function parseWalletOptions(env) {
+  const {
+    WALLET_KEYSTORE_PATHS = '',
+    WALLET_SIGNER_ADDRESSES = '',
+    KEYSTORE_PASSWORD,
+    KEYSTORE_PASSWORD_FILE,
+    REMOTE_SIGNER_URL,
+    BID_RECIPIENT,
+    TREASURY_ADDRESS,
+    SWEEP_ABOVE,
+    EXECUTOR_ADDRESS,
+  } = env
+
+  /** @type {SignerOptions[]} */
+  const signers = []
+  const keystorePaths = parseList(WALLET_KEYSTORE_PATHS)
+  if (
+    keystorePaths.length > 0 &&
+    !KEYSTORE_PASSWORD_FILE &&
+    KEYSTORE_PASSWORD === undefined
+  ) {
+    throw new Error(
+      'WALLET_KEYSTORE_PATHS requires KEYSTORE_PASSWORD_FILE or KEYSTORE_PASSWORD',
+    )
+  }
+  for (const path of keystorePaths) {
+    signers.push({
+      type: 'keystore',
+      path,
+      password: KEYSTORE_PASSWORD ?? null,
+      passwordFile: KEYSTORE_PASSWORD_FILE || null,
+    })
+  }
+  const signerAddresses = parseList(WALLET_SIGNER_ADDRESSES)
+  if (signerAddresses.length > 0 && !REMOTE_SIGNER_URL) {
+    throw new Error('WALLET_SIGNER_ADDRESSES requires REMOTE_SIGNER_URL')
+  }
+  for (const address of signerAddresses) {
+    if (!isAddress(address)) {
+      throw new Error(
+        `WALLET_SIGNER_ADDRESSES entry is not a valid address: ${address}`,
+      )
+    }
+    signers.push({
+      type: 'remote',
+      url: /** @type {string} */ (REMOTE_SIGNER_URL),
+      address,
+    })
+  }
+  if (BID_RECIPIENT && !isAddress(BID_RECIPIENT)) {
+    throw new Error(`BID_RECIPIENT is not a valid address: ${BID_RECIPIENT}`)
+  }
+  if (TREASURY_ADDRESS && !isAddress(TREASURY_ADDRESS)) {
+    throw new Error(
+      `TREASURY_ADDRESS is not a valid address: ${TREASURY_ADDRESS}`,
+    )
+  }
+  if (TREASURY_ADDRESS && !SWEEP_ABOVE) {
+    throw new Error(
+      'TREASURY_ADDRESS requires SWEEP_ABOVE, the FIL each wallet keeps for bidding',
+    )
+  }
+  if (SWEEP_ABOVE && !TREASURY_ADDRESS) {
+    throw new Error('SWEEP_ABOVE requires TREASURY_ADDRESS')
+  }
+  if (
+    SWEEP_ABOVE &&
+    (!/^\d+(\.\d+)?$/.test(SWEEP_ABOVE) || parseEther(SWEEP_ABOVE) === 0n)
+  ) {
+    throw new Error(
+      `SWEEP_ABOVE must be a positive FIL amount, got ${SWEEP_ABOVE}`,
+    )
+  }
+  // The executor only takes bids from its owner, and swaps what it bid for
+  if (EXECUTOR_ADDRESS && signers.length > 0) {
+    throw new Error(
+      'WALLET_KEYSTORE_PATHS and WALLET_SIGNER_ADDRESSES cannot be combined with EXECUTOR_ADDRESS, as only the executor owner may bid through it',
+    )
+  }
+  if (EXECUTOR_ADDRESS && BID_RECIPIENT) {
+    throw new Error(
+      'BID_RECIPIENT cannot be combined with EXECUTOR_ADDRESS, as the executor sells the tokens it bids for',
+    )
+  }
+
+  return {
+    signers,
+    recipient: /** @type {Address | null} */ (BID_RECIPIENT || null),
+    treasury: /** @type {Address | null} */ (TREASURY_ADDRESS || null),
+    sweepAbove: SWEEP_ABOVE ? parseEther(SWEEP_ABOVE) : null,
+  }
+}
+
+/**
+ * File a wallet's pending transactions are kept in
+ *
+ * The first wallet keeps `TX_STATE_PATH` itself, so a bot that gains wallets
+ * still finds what it left pending before.
+ *
+ * @param {string} path - `TX_STATE_PATH`
+ * @param {Address} address
+ * @param {number} index - Position of the wallet in the pool
+ * @returns {string}
+ */
+export function walletStatePath(path, address, index) {
+  if (index === 0) {
+    return path
+  }
+  const extension = extname(path)
+  return join(
+    dirname(path),
+    `${basename(path, extension)}-${address.toLowerCase()}${extension}`,
+  )
+}
+
+/**
+ * Wallets to bid from, each with its own nonces
+ *
+ * Each bid goes out from the wallet with the most FIL among those without
+ * pending transactions, so one wallet waiting for a receipt does not hold up
+ * bids on other auctions.
+ *
+ * @param {object} args
+ * @param {PoolWallet[]} args.wallets
+ * @param {PublicClient} args.publicClient - Client for the balance reads
+ * @param {Metrics} [args.metrics]
+ * @param {typeof defaultGetBalance} [args.getBalance]
+ */
+export function createWalletPool({
+  wallets,
+  publicClient,
+  metrics,
+  getBalance = defaultGetBalance,
+}) {
+  /** @param {PoolWallet} wallet */
+  const pendingCount = (wallet) => wallet.txManager?.pending().length ?? 0
+
+  return {
+    wallets,
+
+    /**
+     * Choose the wallet to bid from
+     *
+     * @returns {Promise<PoolWallet>} One with pending transactions only when
+     *   every wallet has some
+     */
+    async pick() {
+      if (wallets.length === 1) {
+        return wallets[0]
+      }
+
+      const candidates = []
+      for (const wallet of wallets) {
+        const balance = await getBalance(publicClient, wallet.address)
+        metrics?.walletBalance.set(
+          { wallet: wallet.address },
+          Number(formatEther(balance)),
+        )
+        candidates.push({ wallet, balance, pending: pendingCount(wallet) })
+      }
+      candidates.sort(
+        (a, b) =>
+          a.pending - b.pending ||
+          (a.balance === b.balance ? 0 : a.balance > b.balance ? -1 : 1),
+      )
+      const [{ wallet, balance }] = candidates
+      const free = candidates.filter(({ pending }) => pending === 0).length
+      logger.info(
+        `Bidding from ${wallet.address} with ${formatEther(balance)} FIL, ${free} of ${wallets.length} wallets without pending transactions`,
+        { walletAddress: wallet.address, balance },
+      )
+      return wallet
+    },
+
+    /** @returns {PendingTransaction[]} Of every wallet */
+    pending() {
+      return wallets.flatMap((wallet) => wallet.txManager?.pending() ?? [])
+    },
+
+    /**
+     * Resolve what every wallet left pending, see
+     * `TransactionManager.settlePending`
+     *
+     * @returns {Promise<number>} Transactions still pending afterwards
+     */
+    async settlePending() {
+      let pending = 0
+      for (const wallet of wallets) {
+        pending += (await wallet.txManager?.settlePending()) ?? 0
+      }
+      return pending
+    },
+  }
+}
+
+/** @typedef {ReturnType<typeof createWalletPool>} WalletPool */
+
+/**
+ * Send the FIL each wallet holds above `sweepAbove` to the treasury
+ *
+ * Wallets with pending transactions wait for the next iteration, and amounts
+ * that would not cover the transfer's gas are left where they are.
+ *
+ * @param {object} args
+ * @param {WalletPool} args.walletPool
+ * @param {Address} args.treasury
+ * @param {bigint} args.sweepAbove
+ * @param {PublicClient} args.publicClient
+ * @param {typeof defaultGetBalance} [args.getBalance]
+ * @returns {Promise<bigint>} FIL swept
+ */
+export async function sweepProceeds({
+  walletPool,
+  treasury,
+  sweepAbove,
+  publicClient,
+  getBalance = defaultGetBalance,
+}) {
+  let swept = 0n
+  for (const wallet of walletPool.wallets) {
+    if ((wallet.txManager?.pending().length ?? 0) > 0) {
+      continue
+    }
+    const balance = await getBalance(publicClient, wallet.address)
+    if (balance <= sweepAbove) {
+      continue
+    }
+
+    const amount = balance - sweepAbove
+    const [gas, gasPrice] = await Promise.all([
+      publicClient.estimateGas({
+        account: wallet.account,
+        to: treasury,
+        value: amount,
+      }),
+      publicClient.getGasPrice(),
+    ])
+    if (amount <= gas * gasPrice) {
+      continue
+    }
+    if (!wallet.txManager) {
+      logger.info(
+        `Dry run: would sweep ${formatEther(amount)} FIL from ${wallet.address} to ${treasury}`,
+        { walletAddress: wallet.address, amount },
+      )
+      continue
+    }
+
+    const hash = await wallet.txManager.send({
+      label: 'sweep',
+      to: treasury,
+      value: amount,
+      nonce: await wallet.txManager.nextNonce(),
+    })
+    logger.info(
+      `Sweeping ${formatEther(amount)} FIL from ${wallet.address} to ${treasury}: ${hash}`,
+      { walletAddress: wallet.address, amount, txHash: hash },
+    )
+    const { receipt } = await wallet.txManager.waitForReceipt(hash)
+    if (receipt) {
+      logReceipt('Sweep result', receipt)
+    }
+    if (receipt?.status === 'success') {
+      swept += amount
+    }
+  }
+  return swept
+}
@@ -1,5 +1,8 @@
 import { describe, it, mock, beforeEach } from 'node:test'
 import assert from 'node:assert/strict'
+import { mkdtemp } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
 import { encodeAbiParameters } from 'viem'
 import { auctionPriceAt } from '@filoz/synapse-core/auction'
 import { getChain } from '@filoz/synapse-core/chains'
@@ -10,6 +13,10 @@ import {
   placeBid,
   processAuctions,
 } from '../lib/auction.js'
+import { createCheckpoint } from '../lib/checkpoint.js'
+import { readLedger } from '../lib/ledger.js'
+import { createMetrics } from '../lib/metrics.js'
+import { configureLogger, withLogContext } from '../lib/logger.js'
 
 // Function selectors for SDK calls
 const AUCTION_INFO_SELECTOR = '0x0448e51a' // auctionInfo(address)
@@ -212,12 +219,42 @@ describe('auction', () => {
         auctionPrice: expectedPrice,
       })
     })
+
+    it('prices the auction at a given time instead of the latest block', async () => {
+      const auction = { startPrice: 1000n, startTime: 1700000000n, funds: 1n }
+      const getBlock = mock.fn(async () => ({ timestamp: 1700000100n }))
+      const mockPublicClient = createMockPublicClient(auction, { getBlock })
+
+      const result = await getTokenAuction({
+        publicClient: mockPublicClient,
+        tokenAddress,
+        at: 1700086400n,
+      })
+
+      assert.equal(
+        result?.auctionPrice,
+        auctionPriceAt(
+          {
+            token: tokenAddress,
+            startPrice: 1000n,
+            startTime: 1700000000n,
+            availableFees: 1n,
+          },
+          1700086400n,
+        ),
+      )
+      assert.equal(getBlock.mock.calls.length, 0)
+    })
   })
 
   describe('processAuctions', () => {
     const walletAddress = '0x1111111111111111111111111111111111111111'
-    const usdfcAddress = '0x3333333333333333333333333333333333333333'
-    const usdfcAddressMainnet = '0x4444444444444444444444444444444444444444'
+    const token = {
+      symbol: 'USDFC',
+      address: '0x3333333333333333333333333333333333333333',
+      quoteAddress: '0x4444444444444444444444444444444444444444',
+      decimals: 18,
+    }
     const sushiswapRouterAddress = '0x5555555555555555555555555555555555555555'
 
     let mockGetBalance
@@ -230,7 +267,7 @@ describe('auction', () => {
       mockGetTokenBalance = mock.fn(async () => 0n)
       mockGetQuote = mock.fn(async () => ({
         status: 'Success',
-        assumedAmountOut: '2',
+        assumedAmountOut: '1000',
         gasSpent: '1',
       }))
       mockGetSwap = mock.fn(async () => ({
@@ -281,8 +318,7 @@ describe('auction', () => {
         walletClient: createMockWalletClient(),
         account: createMockAccount(),
         walletAddress,
-        usdfcAddress,
-        usdfcAddressMainnet,
+        tokens: [token],
         sushiswapRouterAddress,
         getBalance: mockGetBalance,
         getTokenBalance: mockGetTokenBalance,
@@ -306,8 +342,7 @@ describe('auction', () => {
         walletClient: createMockWalletClient(),
         account: createMockAccount(),
         walletAddress,
-        usdfcAddress,
-        usdfcAddressMainnet,
+        tokens: [token],
         sushiswapRouterAddress,
         getBalance: mockGetBalance,
         getTokenBalance: mockGetTokenBalance,
@@ -335,8 +370,7 @@ describe('auction', () => {
         walletClient: createMockWalletClient(),
         account: createMockAccount(),
         walletAddress,
-        usdfcAddress,
-        usdfcAddressMainnet,
+        tokens: [token],
         sushiswapRouterAddress,
         getBalance: mockGetBalance,
         getTokenBalance: mockGetTokenBalance,
@@ -369,8 +403,7 @@ describe('auction', () => {
         walletClient: createMockWalletClient(),
         account: createMockAccount(),
         walletAddress,
-        usdfcAddress,
-        usdfcAddressMainnet,
+        tokens: [token],
         sushiswapRouterAddress,
         getBalance: mockGetBalance,
         getTokenBalance: mockGetTokenBalance,
@@ -384,6 +417,115 @@ describe('auction', () => {
       assert.equal(mockGetSwap.mock.calls.length, 0)
     })
 
+    it('logs the decision with the iteration and token as JSON', async (t) => {
+      mockGetQuote = mock.fn(async () => ({
+        status: 'Success',
+        assumedAmountOut: '1',
+        gasSpent: '1',
+      }))
+      const log = t.mock.method(console, 'log', () => {})
+      configureLogger({ format: 'json', level: 'info' })
+      t.after(() => configureLogger({ format: 'pretty', level: 'info' }))
+
+      await withLogContext({ iteration: 'abc' }, () =>
+        processAuctions({
+          publicClient: createProcessAuctionsMockClient({
+            startPrice: 100n,
+            startTime: 1700000000n,
+            funds: 1n,
+          }),
+          walletClient: createMockWalletClient(),
+          account: createMockAccount(),
+          walletAddress,
+          tokens: [token],
+          sushiswapRouterAddress,
+          getBalance: mockGetBalance,
+          getTokenBalance: mockGetTokenBalance,
+          getQuote: mockGetQuote,
+          getSwap: mockGetSwap,
+        }),
+      )
+
+      const lines = log.mock.calls.map((call) => JSON.parse(call.arguments[0]))
+      assert.ok(lines.every((line) => line.iteration === 'abc'))
+      assert.ok(lines.every((line) => line.token === 'USDFC'))
+      const decision = lines.find((line) => line.decision)
+      assert.equal(decision.decision, 'not-profitable')
+      assert.equal(decision.auctionPrice, '99')
+      assert.equal(decision.swapAmountOut, '0')
+    })
+
+    it('returns the break-even time of unprofitable auctions', async () => {
+      mockGetQuote = mock.fn(async () => ({
+        status: 'Success',
+        assumedAmountOut: '1000000000000000000',
+        gasSpent: '0',
+      }))
+
+      const auction = {
+        startPrice: 4000000000000000000n,
+        startTime: 1700000000n,
+        funds: 1n,
+      }
+      const mockPublicClient = createProcessAuctionsMockClient(auction, {
+        estimateContractGas: mock.fn(async () => 0n),
+      })
+
+      const breakEvenTimes = await processAuctions({
+        publicClient: mockPublicClient,
+        walletClient: createMockWalletClient(),
+        account: createMockAccount(),
+        walletAddress,
+        tokens: [token],
+        sushiswapRouterAddress,
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      assert.equal(breakEvenTimes.length, 1)
+      // Price has to halve twice to reach the quoted output
+      const [breakEvenTime] = breakEvenTimes
+      assert.ok(auctionPriceAt(auction, breakEvenTime) <= 995000000000000000n)
+      assert.ok(
+        auctionPriceAt(auction, breakEvenTime - 1n) > 995000000000000000n,
+      )
+    })
+
+    it('skips auctions the watcher saw no changes to', async () => {
+      const mockPublicClient = createProcessAuctionsMockClient({
+        startPrice: 1n,
+        startTime: 1700000000n,
+        funds: 1n,
+      })
+      const auctionWatcher = {
+        shouldEvaluate: mock.fn(async () => false),
+        recordEvaluation: mock.fn(),
+        breakEvenTime: mock.fn(() => 1700000060n),
+        stop: mock.fn(),
+      }
+
+      const breakEvenTimes = await processAuctions({
+        publicClient: mockPublicClient,
+        walletClient: createMockWalletClient(),
+        account: createMockAccount(),
+        walletAddress,
+        tokens: [token],
+        sushiswapRouterAddress,
+        auctionWatcher,
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      assert.equal(mockGetQuote.mock.calls.length, 0)
+      assert.equal(auctionWatcher.recordEvaluation.mock.calls.length, 0)
+      // The earlier prediction still drives the schedule
+      assert.deepStrictEqual(breakEvenTimes, [1700000060n])
+    })
+
     it('returns early when insufficient balance', async () => {
       mockGetBalance = mock.fn(async () => 1n) // Not enough
 
@@ -398,8 +540,7 @@ describe('auction', () => {
         walletClient: createMockWalletClient(),
         account: createMockAccount(),
         walletAddress,
-        usdfcAddress,
-        usdfcAddressMainnet,
+        tokens: [token],
         sushiswapRouterAddress,
         getBalance: mockGetBalance,
         getTokenBalance: mockGetTokenBalance,
@@ -413,6 +554,39 @@ describe('auction', () => {
       assert.equal(mockGetSwap.mock.calls.length, 0)
     })
 
+    it('has the watcher evaluate again after a decision bound to the wallet', async () => {
+      mockGetBalance = mock.fn(async () => 1n) // Not enough
+      const auctionWatcher = {
+        shouldEvaluate: mock.fn(async () => true),
+        recordEvaluation: mock.fn(),
+        breakEvenTime: mock.fn(() => null),
+        stop: mock.fn(),
+      }
+
+      await processAuctions({
+        publicClient: createProcessAuctionsMockClient({
+          startPrice: 100n,
+          startTime: 1700000000n,
+          funds: 1n,
+        }),
+        walletClient: createMockWalletClient(),
+        account: createMockAccount(),
+        walletAddress,
+        tokens: [token],
+        sushiswapRouterAddress,
+        auctionWatcher,
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      assert.deepStrictEqual(
+        auctionWatcher.recordEvaluation.mock.calls[0].arguments,
+        [token.address, null, { walletBound: true }],
+      )
+    })
+
     it('returns early when transaction submission fails', async () => {
       const mockPublicClient = createProcessAuctionsMockClient({
         startPrice: 1n,
@@ -430,8 +604,7 @@ describe('auction', () => {
         walletClient: createMockWalletClient(),
         account: createMockAccount(),
         walletAddress,
-        usdfcAddress,
-        usdfcAddressMainnet,
+        tokens: [token],
         sushiswapRouterAddress,
         getBalance: mockGetBalance,
         getTokenBalance: mockGetTokenBalance,
@@ -462,8 +635,7 @@ describe('auction', () => {
         walletClient: mockWalletClient,
         account: createMockAccount(),
         walletAddress,
-        usdfcAddress,
-        usdfcAddressMainnet,
+        tokens: [token],
         sushiswapRouterAddress,
         getBalance: mockGetBalance,
         getTokenBalance: mockGetTokenBalance,
@@ -482,6 +654,795 @@ describe('auction', () => {
       ) // bid + swap
     })
 
+    it('bids from the wallet the pool picks', async () => {
+      const mockPublicClient = createProcessAuctionsMockClient({
+        startPrice: 1n,
+        startTime: 1700000000n,
+        funds: 1n,
+      })
+      const pooled = {
+        address: '0x2222222222222222222222222222222222222222',
+        account: { address: '0x2222222222222222222222222222222222222222' },
+        walletClient: createMockWalletClient(),
+        txManager: null,
+      }
+      const walletPool = {
+        wallets: [pooled],
+        pick: mock.fn(async () => pooled),
+      }
+      const mockWalletClient = createMockWalletClient()
+
+      await processAuctions({
+        publicClient: mockPublicClient,
+        walletClient: mockWalletClient,
+        account: createMockAccount(),
+        walletAddress,
+        walletPool,
+        tokens: [token],
+        sushiswapRouterAddress,
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      assert.equal(walletPool.pick.mock.calls.length, 1)
+      assert.equal(mockWalletClient.writeContract.mock.calls.length, 0)
+      assert.equal(pooled.walletClient.writeContract.mock.calls.length, 1)
+      const [bid] = mockPublicClient.simulateContract.mock.calls[0].arguments
+      assert.equal(bid.account, pooled.account)
+      assert.equal(bid.args[1], pooled.address)
+    })
+
+    it('sends the tokens to the recipient without swapping them', async () => {
+      const recipient = '0x6666666666666666666666666666666666666666'
+      const mockPublicClient = createProcessAuctionsMockClient({
+        startPrice: 1n,
+        startTime: 1700000000n,
+        funds: 1n,
+      })
+      const mockWalletClient = createMockWalletClient()
+
+      await processAuctions({
+        publicClient: mockPublicClient,
+        walletClient: mockWalletClient,
+        account: createMockAccount(),
+        walletAddress,
+        recipient,
+        tokens: [token],
+        sushiswapRouterAddress,
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      const [bid] = mockPublicClient.simulateContract.mock.calls[0].arguments
+      assert.equal(bid.args[1], recipient)
+      assert.equal(mockWalletClient.writeContract.mock.calls.length, 1)
+      assert.equal(mockGetSwap.mock.calls.length, 0)
+      assert.equal(mockWalletClient.sendTransaction.mock.calls.length, 0)
+    })
+
+    it('still waits for the bid when the swap cannot be sent', async () => {
+      const mockPublicClient = createProcessAuctionsMockClient({
+        startPrice: 1n,
+        startTime: 1700000000n,
+        funds: 1n,
+      })
+      const mockWalletClient = createMockWalletClient()
+      mockWalletClient.sendTransaction = mock.fn(async () => {
+        throw new Error('execution reverted: MinimalOutputBalanceViolation')
+      })
+
+      await processAuctions({
+        publicClient: mockPublicClient,
+        walletClient: mockWalletClient,
+        account: createMockAccount(),
+        walletAddress,
+        tokens: [token],
+        sushiswapRouterAddress,
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      assert.equal(mockWalletClient.writeContract.mock.calls.length, 1)
+      assert.equal(
+        mockPublicClient.waitForTransactionReceipt.mock.calls.length,
+        1,
+      ) // bid only
+    })
+
+    it('updates metrics for profitable checks and submitted bids', async () => {
+      const metrics = createMetrics()
+      const mockPublicClient = createProcessAuctionsMockClient({
+        startPrice: 1n,
+        startTime: 1700000000n,
+        funds: 1n,
+      })
+
+      await processAuctions({
+        publicClient: mockPublicClient,
+        walletClient: createMockWalletClient(),
+        account: createMockAccount(),
+        walletAddress,
+        tokens: [token],
+        sushiswapRouterAddress,
+        metrics,
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      const labels = { token: 'USDFC' }
+      assert.equal(
+        metrics.walletBalance.value({ wallet: walletAddress }),
+        1e-17,
+      )
+      assert.equal(metrics.quoteAmountOut.value(labels), 995e-18)
+      assert.equal(metrics.profitableChecks.value(labels), 1)
+      assert.equal(metrics.unprofitableChecks.value(labels), 0)
+      assert.equal(metrics.bidsSubmitted.value(labels), 1)
+      assert.equal(metrics.bidsFailed.value(labels), 0)
+    })
+
+    it('simulates the bid without sending transactions in dry run mode', async () => {
+      const mockPublicClient = createProcessAuctionsMockClient({
+        startPrice: 1n,
+        startTime: 1700000000n,
+        funds: 1n,
+      })
+      const mockWalletClient = createMockWalletClient()
+
+      await processAuctions({
+        publicClient: mockPublicClient,
+        walletClient: mockWalletClient,
+        account: { address: walletAddress, type: 'json-rpc' },
+        walletAddress,
+        tokens: [token],
+        sushiswapRouterAddress,
+        dryRun: true,
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      assert.equal(mockGetSwap.mock.calls.length, 1)
+      assert.equal(mockPublicClient.simulateContract.mock.calls.length, 1)
+      assert.equal(
+        mockPublicClient.simulateContract.mock.calls[0].arguments[0]
+          .functionName,
+        'burnForFees',
+      )
+      assert.equal(mockPublicClient.getTransactionCount.mock.calls.length, 0)
+      assert.equal(mockWalletClient.writeContract.mock.calls.length, 0)
+      assert.equal(mockWalletClient.sendTransaction.mock.calls.length, 0)
+    })
+
+    it('does not bid when a risk limit blocks a profitable auction', async () => {
+      const mockPublicClient = createProcessAuctionsMockClient({
+        startPrice: 1n,
+        startTime: 1700000000n,
+        funds: 1n,
+      })
+      const mockWalletClient = createMockWalletClient()
+
+      await processAuctions({
+        publicClient: mockPublicClient,
+        walletClient: mockWalletClient,
+        account: createMockAccount(),
+        walletAddress,
+        tokens: [token],
+        sushiswapRouterAddress,
+        riskLimits: {
+          minProfit: 1000n,
+          minMarginBps: 0n,
+          maxBidSpend: null,
+          maxDailySpend: null,
+          minReserve: 0n,
+        },
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      assert.equal(mockGetSwap.mock.calls.length, 0)
+      assert.equal(mockWalletClient.writeContract.mock.calls.length, 0)
+    })
+
+    it('records the evaluation and trade in the ledger', async () => {
+      const ledgerPath = join(
+        await mkdtemp(join(tmpdir(), 'ledger-')),
+        'ledger.jsonl',
+      )
+      const mockPublicClient = createProcessAuctionsMockClient(
+        {
+          startPrice: 1n,
+          startTime: 1700000000n,
+          funds: 1n,
+        },
+        {
+          waitForTransactionReceipt: mock.fn(async ({ hash }) => ({
+            transactionHash: hash,
+            status: 'success',
+            gasUsed: 1n,
+            effectiveGasPrice: 1n,
+            logs: [],
+          })),
+        },
+      )
+
+      await processAuctions({
+        publicClient: mockPublicClient,
+        walletClient: createMockWalletClient(),
+        account: createMockAccount(),
+        walletAddress,
+        tokens: [token],
+        sushiswapRouterAddress,
+        ledgerPath,
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      const [evaluation, trade] = await readLedger(ledgerPath)
+      assert.equal(evaluation.type, 'evaluation')
+      assert.equal(evaluation.decision, 'bid')
+      assert.equal(evaluation.amount, 1n)
+      assert.equal(trade.type, 'trade')
+      assert.equal(trade.bidHash, '0xbidhash')
+      assert.equal(trade.swapHash, '0xswaphash')
+      // Auction price plus one unit of gas for each transaction
+      assert.equal(trade.filPaid, trade.auctionPrice + 2n)
+    })
+
+    it('keeps the trade in the checkpoint until it is recorded', async () => {
+      const checkpoint = createCheckpoint()
+      /** @type {object[][]} */
+      const inFlight = []
+      const mockPublicClient = createProcessAuctionsMockClient(
+        {
+          startPrice: 1n,
+          startTime: 1700000000n,
+          funds: 1n,
+        },
+        {
+          waitForTransactionReceipt: mock.fn(async ({ hash }) => {
+            inFlight.push(checkpoint.pending())
+            return {
+              transactionHash: hash,
+              status: 'success',
+              gasUsed: 1n,
+              effectiveGasPrice: 1n,
+              logs: [],
+            }
+          }),
+        },
+      )
+
+      await processAuctions({
+        publicClient: mockPublicClient,
+        walletClient: createMockWalletClient(),
+        account: createMockAccount(),
+        walletAddress,
+        tokens: [token],
+        sushiswapRouterAddress,
+        checkpoint,
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      const [trade] = inFlight[0]
+      assert.equal(trade.tokenAddress, token.address)
+      assert.equal(trade.amount, 1n)
+      assert.equal(trade.atomic, false)
+      assert.equal(trade.bidHash, '0xbidhash')
+      assert.equal(trade.swapHash, '0xswaphash')
+      assert.deepStrictEqual(checkpoint.pending(), [])
+    })
+
+    it('checks no more tokens once aborted', async () => {
+      const shutdown = new AbortController()
+      shutdown.abort('Received SIGTERM')
+
+      await processAuctions({
+        publicClient: createProcessAuctionsMockClient({
+          startPrice: 1n,
+          startTime: 1700000000n,
+          funds: 1n,
+        }),
+        walletClient: createMockWalletClient(),
+        account: createMockAccount(),
+        walletAddress,
+        tokens: [token],
+        sushiswapRouterAddress,
+        signal: shutdown.signal,
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      assert.equal(mockGetBalance.mock.calls.length, 0)
+    })
+
+    it('does not bid once the lease runs out during the evaluation', async () => {
+      let leading = true
+      const elector = { id: 'bot-1', isLeader: () => leading }
+      const getQuote = mock.fn(async (args) => {
+        // A standby takes over while the quotes are fetched
+        leading = false
+        return mockGetQuote(args)
+      })
+      const ledgerPath = join(
+        await mkdtemp(join(tmpdir(), 'ledger-')),
+        'ledger.jsonl',
+      )
+      const mockPublicClient = createProcessAuctionsMockClient({
+        startPrice: 1n,
+        startTime: 1700000000n,
+        funds: 1n,
+      })
+      const mockWalletClient = createMockWalletClient()
+
+      await processAuctions({
+        publicClient: mockPublicClient,
+        walletClient: mockWalletClient,
+        account: createMockAccount(),
+        walletAddress,
+        tokens: [token],
+        sushiswapRouterAddress,
+        ledgerPath,
+        elector,
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote,
+        getSwap: mockGetSwap,
+      })
+
+      assert.equal(getQuote.mock.calls.length, 1)
+      assert.equal(mockPublicClient.simulateContract.mock.calls.length, 0)
+      assert.equal(mockWalletClient.writeContract.mock.calls.length, 0)
+      assert.equal(mockWalletClient.sendTransaction.mock.calls.length, 0)
+      const [evaluation] = await readLedger(ledgerPath)
+      assert.equal(evaluation.decision, 'aborted')
+      assert.equal(evaluation.reason, 'Lost the leader lease')
+    })
+
+    it('bids and swaps atomically through the executor', async () => {
+      const executorAddress = '0x8888888888888888888888888888888888888888'
+      // Tokens held from an earlier failed swap stay in the wallet
+      mockGetTokenBalance = mock.fn(async () => 7n)
+      const mockPublicClient = createProcessAuctionsMockClient({
+        startPrice: 1n,
+        startTime: 1700000000n,
+        funds: 1n,
+      })
+      const mockWalletClient = createMockWalletClient()
+
+      await processAuctions({
+        publicClient: mockPublicClient,
+        walletClient: mockWalletClient,
+        account: createMockAccount(),
+        walletAddress,
+        tokens: [token],
+        sushiswapRouterAddress,
+        executorAddress,
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      const swapArgs = mockGetSwap.mock.calls[0].arguments[0]
+      assert.equal(swapArgs.sender, executorAddress)
+      assert.equal(swapArgs.recipient, executorAddress)
+      assert.equal(swapArgs.amount, 1n)
+
+      assert.equal(mockWalletClient.sendTransaction.mock.calls.length, 0)
+      assert.equal(mockWalletClient.writeContract.mock.calls.length, 1)
+      const request =
+        mockPublicClient.simulateContract.mock.calls[0].arguments[0]
+      assert.equal(request.address, executorAddress)
+      assert.equal(request.functionName, 'bidAndSwap')
+      const [tokenAddress, amount, router, swapData, minAmountOut] =
+        request.args
+      assert.equal(tokenAddress, token.address)
+      assert.equal(amount, 1n)
+      assert.equal(router, sushiswapRouterAddress)
+      assert.equal(swapData, '0xabcdef')
+      // Auction price plus bid and swap gas
+      assert.equal(minAmountOut, request.value + 2n)
+    })
+
+    it('liquidates stranded tokens without an active auction', async () => {
+      mockGetTokenBalance = mock.fn(async () => 7n)
+      const mockPublicClient = createProcessAuctionsMockClient({
+        startPrice: 1n,
+        startTime: 0n, // No active auction
+        funds: 0n,
+      })
+      const mockWalletClient = createMockWalletClient()
+
+      await processAuctions({
+        publicClient: mockPublicClient,
+        walletClient: mockWalletClient,
+        account: createMockAccount(),
+        walletAddress,
+        tokens: [token],
+        sushiswapRouterAddress,
+        liquidation: { enabled: true, minPrice: 0n },
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      assert.equal(mockGetSwap.mock.calls.length, 1)
+      assert.equal(mockGetSwap.mock.calls[0].arguments[0].amount, 7n)
+      assert.equal(mockWalletClient.sendTransaction.mock.calls.length, 1)
+      assert.equal(mockWalletClient.writeContract.mock.calls.length, 0)
+    })
+
+    it('does not bid when a price source rejects the quote', async () => {
+      const mockPublicClient = createProcessAuctionsMockClient({
+        startPrice: 1n,
+        startTime: 1700000000n,
+        funds: 1n,
+      })
+      const mockWalletClient = createMockWalletClient()
+      const verify = mock.fn(async () => ({
+        source: 'feed',
+        message: 'feed disagrees',
+      }))
+
+      await processAuctions({
+        publicClient: mockPublicClient,
+        walletClient: mockWalletClient,
+        account: createMockAccount(),
+        walletAddress,
+        tokens: [token],
+        sushiswapRouterAddress,
+        priceOracle: { sources: ['feed'], verify },
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      assert.deepStrictEqual(verify.mock.calls[0].arguments, [
+        { token, amount: 1n, amountOut: 1000n },
+      ])
+      assert.equal(mockGetSwap.mock.calls.length, 0)
+      assert.equal(mockWalletClient.writeContract.mock.calls.length, 0)
+    })
+
+    it('sends bid and swap through the transaction manager', async () => {
+      const mockPublicClient = createProcessAuctionsMockClient(
+        {
+          startPrice: 1n,
+          startTime: 1700000000n,
+          funds: 1n,
+        },
+        {
+          simulateContract: mock.fn(async (params) => ({ request: params })),
+        },
+      )
+      const mockWalletClient = createMockWalletClient()
+      const txManager = {
+        pending: mock.fn(() => []),
+        nextNonce: mock.fn(async () => 9),
+        send: mock.fn(async ({ label }) => `0x${label}hash`),
+        waitForReceipt: mock.fn(async (hash) => ({
+          receipt: {
+            transactionHash: hash,
+            status: 'success',
+            gasUsed: 1n,
+            effectiveGasPrice: 1n,
+            logs: [],
+          },
+          cancelled: false,
+        })),
+      }
+
+      await processAuctions({
+        publicClient: mockPublicClient,
+        walletClient: mockWalletClient,
+        account: createMockAccount(),
+        walletAddress,
+        tokens: [token],
+        sushiswapRouterAddress,
+        txManager,
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      assert.equal(mockWalletClient.writeContract.mock.calls.length, 0)
+      assert.equal(mockWalletClient.sendTransaction.mock.calls.length, 0)
+      const [bid, swap] = txManager.send.mock.calls.map(
+        (call) => call.arguments[0],
+      )
+      assert.equal(bid.label, 'bid')
+      assert.equal(bid.nonce, 9)
+      assert.equal(bid.to, getChain(314159).contracts.payments.address)
+      assert.equal(
+        bid.value,
+        auctionPriceAt({ startPrice: 1n, startTime: 1700000000n }, 1700000100n),
+      )
+      assert.deepStrictEqual(swap, {
+        label: 'swap',
+        nonce: 10,
+        minFees: undefined,
+        dependsOn: 9,
+        to: sushiswapRouterAddress,
+        data: '0xabcdef',
+        value: 0n,
+      })
+      assert.deepStrictEqual(
+        txManager.waitForReceipt.mock.calls.map((call) => call.arguments[0]),
+        ['0xbidhash', '0xswaphash'],
+      )
+    })
+
+    it('re-checks the auction and profit before raising the bid fees', async () => {
+      const auction = { startPrice: 1n, startTime: 1700000000n, funds: 1n }
+      const mockPublicClient = createProcessAuctionsMockClient(auction, {
+        simulateContract: mock.fn(async (params) => ({ request: params })),
+      })
+      /** @type {boolean[]} */
+      const checks = []
+      const txManager = {
+        pending: mock.fn(() => []),
+        nextNonce: mock.fn(async () => 9),
+        send: mock.fn(async ({ label }) => `0x${label}hash`),
+        waitForReceipt: mock.fn(async (hash, { shouldBump } = {}) => {
+          if (shouldBump) {
+            const fees = (maxFeePerGas) => ({
+              maxFeePerGas,
+              maxPriorityFeePerGas: 1n,
+            })
+            checks.push(await shouldBump(fees(2n)))
+            // The gas would cost more than the swap returns
+            checks.push(await shouldBump(fees(1000n)))
+            // Another bidder took the auction
+            auction.funds = 0n
+            checks.push(await shouldBump(fees(2n)))
+          }
+          return { receipt: null, cancelled: true }
+        }),
+      }
+
+      await processAuctions({
+        publicClient: mockPublicClient,
+        walletClient: createMockWalletClient(),
+        account: createMockAccount(),
+        walletAddress,
+        tokens: [token],
+        sushiswapRouterAddress,
+        txManager,
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      assert.deepStrictEqual(checks, [true, false, false])
+      const [bidWait, swapWait] = txManager.waitForReceipt.mock.calls
+      assert.equal(bidWait.arguments[0], '0xbidhash')
+      assert.equal(swapWait.arguments[0], '0xswaphash')
+      assert.equal(swapWait.arguments[1].shouldBump, undefined)
+    })
+
+    it('bids ahead of a pending rival bid with higher fees', async () => {
+      const mockPublicClient = createProcessAuctionsMockClient(
+        {
+          startPrice: 1n,
+          startTime: 1700000000n,
+          funds: 1n,
+        },
+        {
+          simulateContract: mock.fn(async (params) => ({ request: params })),
+        },
+      )
+      const txManager = {
+        pending: mock.fn(() => []),
+        nextNonce: mock.fn(async () => 9),
+        send: mock.fn(async ({ label }) => `0x${label}hash`),
+        waitForReceipt: mock.fn(async () => ({
+          receipt: null,
+          cancelled: true,
+        })),
+      }
+      const rival = {
+        stage: 'pending',
+        token,
+        hash: `0x${'a'.repeat(64)}`,
+        bidder: '0x9999999999999999999999999999999999999999',
+        amount: 1n,
+        maxFeePerGas: 200n,
+        maxPriorityFeePerGas: 20n,
+      }
+      const ledgerPath = join(
+        await mkdtemp(join(tmpdir(), 'ledger-')),
+        'ledger.jsonl',
+      )
+
+      await processAuctions({
+        publicClient: mockPublicClient,
+        walletClient: createMockWalletClient(),
+        account: createMockAccount(),
+        walletAddress,
+        tokens: [token],
+        sushiswapRouterAddress,
+        ledgerPath,
+        txManager,
+        rivals: { pendingBid: mock.fn(() => rival) },
+        outbidPercent: 10,
+        getBalance: mock.fn(async () => 10000n),
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      const minFees = { maxFeePerGas: 221n, maxPriorityFeePerGas: 23n }
+      const [bid, swap] = txManager.send.mock.calls.map(
+        (call) => call.arguments[0],
+      )
+      assert.deepStrictEqual(bid.minFees, minFees)
+      assert.deepStrictEqual(swap.minFees, minFees)
+      // Both transactions priced at the raised fee cap
+      const [evaluation] = await readLedger(ledgerPath)
+      assert.equal(
+        evaluation.totalCost,
+        auctionPriceAt(
+          { startPrice: 1n, startTime: 1700000000n },
+          1700000100n,
+        ) + 442n,
+      )
+    })
+
+    it('does not bid while earlier transactions are pending', async () => {
+      const ledgerPath = join(
+        await mkdtemp(join(tmpdir(), 'ledger-')),
+        'ledger.jsonl',
+      )
+      const mockPublicClient = createProcessAuctionsMockClient({
+        startPrice: 1n,
+        startTime: 1700000000n,
+        funds: 1n,
+      })
+      const txManager = {
+        pending: mock.fn(() => [{ nonce: 4, label: 'swap' }]),
+        nextNonce: mock.fn(async () => 5),
+        send: mock.fn(async () => '0xhash'),
+        waitForReceipt: mock.fn(),
+      }
+
+      await processAuctions({
+        publicClient: mockPublicClient,
+        walletClient: createMockWalletClient(),
+        account: createMockAccount(),
+        walletAddress,
+        tokens: [token],
+        sushiswapRouterAddress,
+        ledgerPath,
+        txManager,
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      assert.equal(txManager.send.mock.calls.length, 0)
+      const [evaluation] = await readLedger(ledgerPath)
+      assert.equal(evaluation.decision, 'pending-transactions')
+    })
+
+    it('evaluates every registered token independently', async () => {
+      const otherToken = {
+        symbol: 'FOO',
+        address: '0x6666666666666666666666666666666666666666',
+        quoteAddress: '0x7777777777777777777777777777777777777777',
+        decimals: 6,
+      }
+      mockGetQuote = mock.fn(async ({ tokenIn }) => {
+        if (tokenIn === token.quoteAddress) {
+          throw new Error('quote API unavailable')
+        }
+        return { status: 'Success', assumedAmountOut: '1000', gasSpent: '1' }
+      })
+
+      const mockPublicClient = createProcessAuctionsMockClient({
+        startPrice: 1n,
+        startTime: 1700000000n,
+        funds: 1n,
+      })
+      const mockWalletClient = createMockWalletClient()
+
+      await processAuctions({
+        publicClient: mockPublicClient,
+        walletClient: mockWalletClient,
+        account: createMockAccount(),
+        walletAddress,
+        tokens: [token, otherToken],
+        sushiswapRouterAddress,
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      assert.deepStrictEqual(
+        mockGetQuote.mock.calls.map((call) => call.arguments[0].tokenIn),
+        [token.quoteAddress, otherToken.quoteAddress],
+      )
+      assert.equal(mockGetSwap.mock.calls.length, 1)
+      assert.equal(
+        mockGetSwap.mock.calls[0].arguments[0].tokenIn,
+        otherToken.quoteAddress,
+      )
+      assert.equal(mockWalletClient.writeContract.mock.calls.length, 1)
+    })
+
+    it('bids for the most profitable amount instead of all fees', async () => {
+      const funds = 100n
+      mockGetBalance = mock.fn(async () => 1000n)
+      mockGetQuote = mock.fn(async ({ amount }) => ({
+        status: 'Success',
+        assumedAmountOut: amount === funds ? '60' : '55',
+        // Larger amounts need a multi-hop route on the shallow pool
+        gasSpent: amount === funds ? '20' : '1',
+      }))
+
+      let capturedSimulateRequest
+      const mockPublicClient = createProcessAuctionsMockClient(
+        {
+          startPrice: 30n,
+          startTime: 1700000100n,
+          funds,
+        },
+        {
+          estimateContractGas: mock.fn(async () => 10n),
+          simulateContract: mock.fn(async (params) => {
+            capturedSimulateRequest = params
+            return { request: params }
+          }),
+        },
+      )
+
+      await processAuctions({
+        publicClient: mockPublicClient,
+        walletClient: createMockWalletClient(),
+        account: createMockAccount(),
+        walletAddress,
+        tokens: [token],
+        sushiswapRouterAddress,
+        bidSizesBps: [10000, 5000],
+        getBalance: mockGetBalance,
+        getTokenBalance: mockGetTokenBalance,
+        getQuote: mockGetQuote,
+        getSwap: mockGetSwap,
+      })
+
+      assert.equal(mockGetQuote.mock.calls.length, 2)
+      assert.deepStrictEqual(capturedSimulateRequest.args, [
+        token.address,
+        walletAddress,
+        50n,
+      ])
+      assert.equal(mockGetSwap.mock.calls[0].arguments[0].amount, 50n)
+    })
+
     it('submits bid and swap with sequential nonces for frontrunning protection', async () => {
       const baseNonce = 42
       const funds = 1n
@@ -524,7 +1485,7 @@ describe('auction', () => {
 
       const mockGetQuoteWithGasSpent = mock.fn(async () => ({
         status: 'Success',
-        assumedAmountOut: '2',
+        assumedAmountOut: '1000',
         gasSpent: '1',
       }))
 
@@ -538,8 +1499,7 @@ describe('auction', () => {
         walletClient: mockWalletClient,
         account,
         walletAddress,
-        usdfcAddress,
-        usdfcAddressMainnet,
+        tokens: [token],
         sushiswapRouterAddress,
         getBalance: mockGetBalance,
         getTokenBalance: mockGetTokenBalance,
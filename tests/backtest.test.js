@@ -0,0 +1,229 @@
+import { describe, it, mock, before } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseEther } from 'viem'
+import {
+  formatReport,
+  parseStrategy,
+  readFixture,
+  readStrategies,
+  runBacktest,
+} from '../lib/backtest.js'
+import { configureLogger } from '../lib/logger.js'
+
+const TOKEN_ADDRESS = '0x1111111111111111111111111111111111111111'
+
+/** @param {string} content */
+function createReadFile(content) {
+  return /** @type {any} */ (mock.fn(async () => content))
+}
+
+/** @param {object} [overrides] */
+function createFixture(overrides = {}) {
+  return JSON.stringify({
+    tokens: [{ symbol: 'FOO', address: TOKEN_ADDRESS }],
+    events: [
+      {
+        time: 1000,
+        token: 'FOO',
+        type: 'auction',
+        startPrice: parseEther('5').toString(),
+        startTime: '1000',
+        availableFees: parseEther('100').toString(),
+      },
+    ],
+    // 100 FOO sells for 10 FIL
+    quotes: [
+      {
+        time: 900,
+        token: 'FOO',
+        amount: parseEther('100').toString(),
+        status: 'Success',
+        assumedAmountOut: parseEther('10').toString(),
+        gasSpent: '0',
+      },
+    ],
+    gasPrices: [{ time: 0, gasPrice: '1000000000' }],
+    bidGas: '1000000',
+    balance: parseEther('100').toString(),
+    ...overrides,
+  })
+}
+
+describe('backtest', () => {
+  before(() => {
+    configureLogger({ format: 'json', level: 'error' })
+  })
+
+  describe('readFixture', () => {
+    it('reads amounts as bigints and fills in defaults', async () => {
+      const fixture = await readFixture('fixture.json', {
+        readFile: createReadFile(createFixture()),
+      })
+      assert.deepEqual(fixture.tokens, [
+        {
+          symbol: 'FOO',
+          address: TOKEN_ADDRESS,
+          quoteAddress: TOKEN_ADDRESS,
+          decimals: 18,
+        },
+      ])
+      assert.equal(fixture.events[0].time, 1000)
+      assert.equal(fixture.quotes[0].amount, parseEther('100'))
+      assert.equal(fixture.bidGas, 1000000n)
+      assert.equal(fixture.balance, parseEther('100'))
+      assert.equal(fixture.start, 900)
+      assert.equal(fixture.end, 1000)
+    })
+
+    it('rejects events for unknown tokens', async () => {
+      await assert.rejects(
+        () =>
+          readFixture('/data/fixture.json', {
+            readFile: createReadFile(
+              createFixture({
+                events: [{ time: 1000, token: 'BAR', type: 'fees' }],
+              }),
+            ),
+          }),
+        { message: 'fixture.json: unknown token BAR' },
+      )
+    })
+  })
+
+  describe('runBacktest', () => {
+    it('buys when the recorded quote covers the auction price', async () => {
+      const fixture = await readFixture('fixture.json', {
+        readFile: createReadFile(createFixture({ start: 1000, end: 4600 })),
+      })
+      const report = await runBacktest({
+        fixture,
+        strategy: parseStrategy('default', {}),
+      })
+
+      assert.deepEqual(report.trades, [
+        {
+          time: 1000,
+          token: 'FOO',
+          amount: parseEther('100'),
+          auctionPrice: parseEther('5'),
+          totalCost: parseEther('5.001'),
+          filReturned: parseEther('10'),
+          profit: parseEther('4.999'),
+        },
+      ])
+      // Nothing is left to bid on once the fees are taken
+      assert.equal(report.checks, 1)
+      assert.deepEqual(report.decisions, { bid: 1 })
+      assert.equal(report.profit, parseEther('4.999'))
+    })
+
+    it('reports bids by other wallets the strategy would have made', async () => {
+      const fixture = await readFixture('fixture.json', {
+        readFile: createReadFile(
+          createFixture({
+            events: [
+              {
+                time: 1000,
+                token: 'FOO',
+                type: 'auction',
+                startPrice: parseEther('20').toString(),
+                startTime: '1000',
+                availableFees: parseEther('100').toString(),
+              },
+              {
+                time: 1300,
+                token: 'FOO',
+                type: 'burn',
+                amount: parseEther('100').toString(),
+                price: parseEther('8').toString(),
+                bidder: '0xrival',
+              },
+            ],
+            start: 1000,
+            end: 1300,
+          }),
+        ),
+      })
+      const report = await runBacktest({
+        fixture,
+        strategy: parseStrategy('default', {}),
+      })
+
+      assert.deepEqual(report.decisions, { 'not-profitable': 1 })
+      assert.deepEqual(report.trades, [])
+      assert.deepEqual(report.missed, [
+        {
+          time: 1300,
+          token: 'FOO',
+          amount: parseEther('100'),
+          auctionPrice: parseEther('8'),
+          // 0.5% slippage off the 10 FIL quote, less the price and gas
+          profit: parseEther('1.949'),
+          bidder: '0xrival',
+        },
+      ])
+    })
+  })
+
+  describe('readStrategies', () => {
+    it('compares strategies from the config file layout', async () => {
+      const strategies = await readStrategies('strategies.yaml', {
+        readFile: createReadFile(
+          [
+            'strategies:',
+            '  - name: cautious',
+            '    risk:',
+            '      minProfit: 5',
+            '  - name: eager',
+            '    bidding:',
+            '      sizesBps: [10000, 5000]',
+          ].join('\n'),
+        ),
+      })
+      assert.deepEqual(
+        strategies.map((strategy) => strategy.name),
+        ['cautious', 'eager'],
+      )
+      assert.deepEqual(strategies[1].bidSizesBps, [10000, 5000])
+
+      const fixture = await readFixture('fixture.json', {
+        readFile: createReadFile(createFixture({ start: 1000, end: 1000 })),
+      })
+      const reports = []
+      for (const strategy of strategies) {
+        reports.push(await runBacktest({ fixture, strategy }))
+      }
+      assert.deepEqual(reports[0].decisions, { 'risk-limit': 1 })
+
+      assert.equal(
+        formatReport(reports, fixture.tokens),
+        [
+          'eager: 4.999 FIL profit from 1 trades, 0 missed',
+          '  FIL paid: 5.001 FIL, returned: 10 FIL',
+          '  Checks: 1 (bid: 1)',
+          '  1970-01-01T00:16:40.000Z bought 100 FOO for 5 FIL: 4.999 FIL profit',
+          '',
+          'cautious: 0 FIL profit from 0 trades, 0 missed',
+          '  FIL paid: 0 FIL, returned: 0 FIL',
+          '  Checks: 1 (risk-limit: 1)',
+          '',
+        ].join('\n'),
+      )
+    })
+
+    it('names the strategy an invalid setting belongs to', async () => {
+      await assert.rejects(
+        () =>
+          readStrategies('strategies.yaml', {
+            readFile: createReadFile(
+              'strategies:\n  - name: fast\n    schedule:\n      delay: 0\n',
+            ),
+          }),
+        {
+          message:
+            'Strategy fast: DELAY must be a positive number of milliseconds, got 0 (schedule.delay in strategies.yaml (fast))',
+        },
+      )
+    })
+  })
+})
@@ -0,0 +1,177 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { TransactionReceiptNotFoundError } from 'viem'
+import {
+  createCheckpoint,
+  readCheckpoint,
+  reconcileCheckpoint,
+} from '../lib/checkpoint.js'
+import { readLedger } from '../lib/ledger.js'
+import { createSpendTracker } from '../lib/risk.js'
+
+const tokenAddress = '0x3333333333333333333333333333333333333333'
+
+/** @param {Record<string, object>} receipts - Mined transactions by hash */
+function createMockPublicClient(receipts) {
+  return {
+    getTransactionReceipt: mock.fn(async ({ hash }) => {
+      if (!receipts[hash]) throw new TransactionReceiptNotFoundError({ hash })
+      return receipts[hash]
+    }),
+  }
+}
+
+/** @param {string} hash */
+function createReceipt(hash) {
+  return {
+    transactionHash: hash,
+    status: 'success',
+    blockNumber: 1n,
+    gasUsed: 1n,
+    effectiveGasPrice: 1n,
+    logs: [],
+  }
+}
+
+/** @param {object} [fields] */
+function createTrade(fields) {
+  return {
+    token: 'USDFC',
+    tokenAddress,
+    amount: 100n,
+    auctionPrice: 5n,
+    atomic: false,
+    bidHash: null,
+    swapHash: null,
+    startedAt: '2026-01-01T00:00:00.000Z',
+    ...fields,
+  }
+}
+
+describe('checkpoint', () => {
+  describe('createCheckpoint', () => {
+    it('keeps trades in the checkpoint file until finished', async () => {
+      const path = join(await mkdtemp(join(tmpdir(), 'checkpoint-')), 'c.json')
+      const checkpoint = createCheckpoint({ path })
+
+      await checkpoint.start({
+        token: 'USDFC',
+        tokenAddress,
+        amount: 100n,
+        auctionPrice: 5n,
+        atomic: false,
+      })
+      await checkpoint.sent(tokenAddress.toUpperCase(), { bidHash: '0xbid' })
+
+      const [saved] = await readCheckpoint(path)
+      assert.equal(saved.amount, 100n)
+      assert.equal(saved.auctionPrice, 5n)
+      assert.equal(saved.bidHash, '0xbid')
+      assert.equal(saved.swapHash, null)
+
+      await checkpoint.finish(tokenAddress)
+      assert.deepStrictEqual(await readCheckpoint(path), [])
+    })
+
+    it('returns nothing when there is no checkpoint file', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'checkpoint-'))
+      assert.deepStrictEqual(await readCheckpoint(join(dir, 'c.json')), [])
+    })
+  })
+
+  describe('reconcileCheckpoint', () => {
+    it('records a trade whose bid was mined', async () => {
+      const ledgerPath = join(
+        await mkdtemp(join(tmpdir(), 'ledger-')),
+        'ledger.jsonl',
+      )
+      const checkpoint = createCheckpoint({
+        trades: [createTrade({ bidHash: '0xbid', swapHash: '0xswap' })],
+      })
+      const spendTracker = createSpendTracker()
+
+      await reconcileCheckpoint({
+        checkpoint,
+        publicClient: createMockPublicClient({
+          '0xbid': createReceipt('0xbid'),
+          '0xswap': createReceipt('0xswap'),
+        }),
+        ledgerPath,
+        spendTracker,
+      })
+
+      const [trade] = await readLedger(ledgerPath)
+      assert.equal(trade.type, 'trade')
+      assert.equal(trade.tokenAddress, tokenAddress)
+      assert.equal(trade.amount, 100n)
+      assert.equal(trade.bidHash, '0xbid')
+      assert.equal(trade.swapHash, '0xswap')
+      // Auction price plus one unit of gas for each transaction
+      assert.equal(trade.filPaid, 7n)
+      assert.equal(spendTracker.spentLast24h(), 7n)
+      assert.deepStrictEqual(checkpoint.pending(), [])
+    })
+
+    it('settles pending transactions and finds replaced versions', async () => {
+      const ledgerPath = join(
+        await mkdtemp(join(tmpdir(), 'ledger-')),
+        'ledger.jsonl',
+      )
+      const checkpoint = createCheckpoint({
+        trades: [createTrade({ bidHash: '0xbid', swapHash: '0xswap' })],
+      })
+      const txManager = {
+        pending: mock.fn(() => [
+          { nonce: 1, hashes: ['0xbid', '0xbid2'] },
+          { nonce: 2, hashes: ['0xswap'] },
+        ]),
+        settlePending: mock.fn(async () => 0),
+      }
+      const notifier = { notify: mock.fn(async () => {}) }
+
+      await reconcileCheckpoint({
+        checkpoint,
+        // The swap was cancelled along with the other stale transactions
+        publicClient: createMockPublicClient({
+          '0xbid2': createReceipt('0xbid2'),
+        }),
+        txManager,
+        ledgerPath,
+        notifier,
+      })
+
+      assert.equal(txManager.settlePending.mock.calls.length, 1)
+      const [trade] = await readLedger(ledgerPath)
+      assert.equal(trade.bidHash, '0xbid2')
+      assert.equal(trade.swapHash, null)
+      assert.equal(notifier.notify.mock.calls[0].arguments[0], 'tx-failed')
+    })
+
+    it('drops trades whose bid was not mined', async () => {
+      const ledgerPath = join(
+        await mkdtemp(join(tmpdir(), 'ledger-')),
+        'ledger.jsonl',
+      )
+      const checkpoint = createCheckpoint({
+        trades: [
+          createTrade({ bidHash: '0xbid' }),
+          createTrade({
+            tokenAddress: '0x6666666666666666666666666666666666666666',
+          }),
+        ],
+      })
+
+      await reconcileCheckpoint({
+        checkpoint,
+        publicClient: createMockPublicClient({}),
+        ledgerPath,
+      })
+
+      assert.deepStrictEqual(await readLedger(ledgerPath), [])
+      assert.deepStrictEqual(checkpoint.pending(), [])
+    })
+  })
+})
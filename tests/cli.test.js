@@ -0,0 +1,317 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { parseEther } from 'viem'
+import {
+  checkAuctions,
+  checkConfig,
+  parseCommand,
+  placeManualBid,
+  selectTokens,
+  sellTokens,
+  showWallets,
+} from '../lib/cli.js'
+import { readLedger } from '../lib/ledger.js'
+import { createNotifier } from '../lib/notify.js'
+
+const token = {
+  symbol: 'USDFC',
+  address: '0x3333333333333333333333333333333333333333',
+  quoteAddress: '0x4444444444444444444444444444444444444444',
+  decimals: 18,
+}
+const walletAddress = '0x1111111111111111111111111111111111111111'
+
+/** A notifier the bot would alert through, with every event subscribed */
+function createWebhookNotifier() {
+  const fetch = mock.fn(async () => ({ ok: true, status: 200 }))
+  const notifier = createNotifier({
+    sinks: [
+      {
+        type: 'webhook',
+        url: 'https://hooks.example.com/bot',
+        events: ['tx-failed', 'insufficient-balance', 'quote-source-down'],
+      },
+    ],
+    fetch: /** @type {any} */ (fetch),
+  })
+  return { notifier, fetch }
+}
+
+/** @param {object} [overrides] */
+function createBidArgs(overrides = {}) {
+  const publicClient = {
+    simulateContract: mock.fn(async (params) => ({ request: params })),
+    waitForTransactionReceipt: mock.fn(async () => ({
+      transactionHash: '0xbid',
+      status: 'success',
+      gasUsed: 100000n,
+      effectiveGasPrice: 100n,
+    })),
+  }
+  return {
+    publicClient: /** @type {any} */ (publicClient),
+    walletClient: /** @type {any} */ ({ chain: { id: 314159 } }),
+    account: /** @type {any} */ ({ address: walletAddress }),
+    walletAddress,
+    token,
+    amount: '2',
+    maxPrice: parseEther('1'),
+    getTokenAuction: mock.fn(async () => ({
+      auction: {
+        startPrice: parseEther('2'),
+        startTime: 1700000000n,
+        availableFees: parseEther('5'),
+      },
+      auctionPrice: parseEther('0.5'),
+    })),
+    placeBid: mock.fn(async () => '0xbid'),
+    ...overrides,
+  }
+}
+
+describe('cli', () => {
+  describe('parseCommand', () => {
+    it('parses a command and its options', () => {
+      assert.deepStrictEqual(
+        parseCommand([
+          'bid',
+          '--token',
+          'USDFC',
+          '--amount',
+          '2.5',
+          '--max-price',
+          '0.1',
+        ]),
+        {
+          name: 'bid',
+          token: 'USDFC',
+          amount: '2.5',
+          maxPrice: parseEther('0.1'),
+          at: null,
+          limit: null,
+          file: null,
+        },
+      )
+      assert.equal(
+        parseCommand(['simulate', '--at', '2023-11-14T22:13:20Z']).at,
+        1700000000n,
+      )
+      assert.equal(
+        parseCommand(['simulate', '--at', '1700000000']).at,
+        1700000000n,
+      )
+      assert.equal(
+        parseCommand(['config', 'validate', '--file', 'configmap.yaml']).file,
+        'configmap.yaml',
+      )
+    })
+
+    it('throws for unknown commands and misplaced options', () => {
+      assert.throws(() => parseCommand([]), { message: 'Missing command' })
+      assert.throws(() => parseCommand(['sell']), {
+        message: 'Unknown command sell',
+      })
+      assert.throws(() => parseCommand(['status', '--limit', '3']), {
+        message: 'status does not take --limit',
+      })
+      assert.throws(() => parseCommand(['bid', '--amount', '1']), {
+        message: 'bid requires --amount and --max-price',
+      })
+      assert.throws(() => parseCommand(['simulate', '--at', 'tomorrow']), {
+        message: '--at must be a unix time or an ISO date, got tomorrow',
+      })
+      assert.throws(() => parseCommand(['config']), {
+        message: 'config requires the validate subcommand',
+      })
+    })
+  })
+
+  describe('selectTokens', () => {
+    it('selects a token by symbol, ignoring case', () => {
+      assert.deepStrictEqual(selectTokens([token], null), [token])
+      assert.deepStrictEqual(selectTokens([token], 'usdfc'), [token])
+      assert.throws(() => selectTokens([token], 'DAI'), {
+        message: 'Unknown token DAI, expected one of USDFC',
+      })
+    })
+  })
+
+  describe('placeManualBid', () => {
+    it('bids at the auction price and records the trade', async (t) => {
+      t.mock.method(console, 'log', () => {})
+      const ledgerPath = join(await mkdtemp(join(tmpdir(), 'cli-')), 'ledger')
+      const args = createBidArgs({ ledgerPath })
+
+      await placeManualBid(args)
+
+      assert.equal(args.placeBid.mock.calls.length, 1)
+      const [bid] = args.placeBid.mock.calls[0].arguments
+      assert.equal(bid.amount, parseEther('2'))
+      assert.equal(bid.price, parseEther('0.5'))
+      assert.equal(bid.recipient, walletAddress)
+      const [entry] = await readLedger(ledgerPath)
+      assert.equal(entry.type, 'trade')
+      assert.equal(entry.bidHash, '0xbid')
+    })
+
+    it('sends the tokens to the configured recipient', async () => {
+      const recipient = '0x6666666666666666666666666666666666666666'
+      const args = createBidArgs({ recipient })
+
+      await placeManualBid(args)
+
+      const [bid] = args.placeBid.mock.calls[0].arguments
+      assert.equal(bid.recipient, recipient)
+    })
+
+    it('refuses to bid above the maximum price', async () => {
+      const args = createBidArgs({ maxPrice: parseEther('0.4') })
+
+      await assert.rejects(placeManualBid(args), {
+        message: 'Auction price 0.5 FIL is above --max-price 0.4 FIL',
+      })
+      assert.equal(args.placeBid.mock.calls.length, 0)
+    })
+
+    it('only simulates the bid in dry run mode', async (t) => {
+      t.mock.method(console, 'log', () => {})
+      const args = createBidArgs({ dryRun: true })
+
+      await placeManualBid(args)
+
+      assert.equal(args.publicClient.simulateContract.mock.calls.length, 1)
+      assert.equal(args.placeBid.mock.calls.length, 0)
+    })
+  })
+
+  describe('checkAuctions', () => {
+    it('evaluates in dry run mode without alerting', async () => {
+      const { notifier, fetch } = createWebhookNotifier()
+      const processTokenAuction = mock.fn(async (args) => {
+        await args.notifier?.notify(
+          'insufficient-balance',
+          'Wallet cannot cover the bid',
+        )
+        await args.notifier?.notify('quote-source-down', 'Sushiswap failed')
+      })
+
+      await checkAuctions({
+        tokens: [token],
+        notifier,
+        ledgerPath: 'ledger.jsonl',
+        processTokenAuction,
+      })
+
+      const [args] = processTokenAuction.mock.calls[0].arguments
+      assert.equal(args.dryRun, true)
+      assert.equal(args.ledgerPath, undefined)
+      assert.equal(fetch.mock.calls.length, 0)
+    })
+
+    it('checks the remaining tokens after one fails', async () => {
+      const foo = { ...token, symbol: 'FOO' }
+      const processTokenAuction = mock.fn(async ({ token }) => {
+        if (token.symbol === 'USDFC') {
+          throw new Error('Quote failed')
+        }
+      })
+
+      const failed = await checkAuctions({
+        tokens: [token, foo],
+        processTokenAuction,
+      })
+
+      assert.deepStrictEqual(failed, ['USDFC'])
+      assert.deepStrictEqual(
+        processTokenAuction.mock.calls.map((call) => call.arguments[0].token),
+        [token, foo],
+      )
+    })
+  })
+
+  describe('sellTokens', () => {
+    it('sells each token without alerting', async (t) => {
+      t.mock.method(console, 'log', () => {})
+      const { notifier, fetch } = createWebhookNotifier()
+      const liquidateStrandedTokens = mock.fn(async (args) => {
+        await args.notifier?.notify('tx-failed', 'Liquidation reverted')
+        return null
+      })
+
+      await sellTokens({ tokens: [token], notifier, liquidateStrandedTokens })
+
+      assert.equal(liquidateStrandedTokens.mock.calls.length, 1)
+      assert.equal(fetch.mock.calls.length, 0)
+    })
+  })
+
+  describe('showWallets', () => {
+    it('prints the balances of every wallet and their total', async (t) => {
+      const log = t.mock.method(console, 'log', () => {})
+      const second = '0x2222222222222222222222222222222222222222'
+
+      await showWallets({
+        publicClient: /** @type {any} */ ({}),
+        wallets: [{ address: walletAddress }, { address: second }],
+        tokens: [token],
+        getBalance: mock.fn(async (_client, address) =>
+          address === second ? parseEther('2') : parseEther('1.5'),
+        ),
+        getTokenBalance: mock.fn(async () => parseEther('3')),
+      })
+
+      const output = log.mock.calls.map((call) => call.arguments.join(' '))
+      assert.ok(output.includes(`${second}:`))
+      assert.ok(output.includes('  FIL: 2'))
+      assert.ok(output.includes('  USDFC: 3'))
+      assert.equal(output.at(-1), 'Total: 3.5 FIL')
+    })
+  })
+
+  describe('checkConfig', () => {
+    it('accepts a valid ConfigMap without secrets', async (t) => {
+      const log = t.mock.method(console, 'log', () => {})
+      const readFile = /** @type {any} */ (
+        mock.fn(
+          async () =>
+            "kind: ConfigMap\nmetadata:\n  name: auction-bot-env\ndata:\n  DELAY: '600000'\n",
+        )
+      )
+
+      const valid = await checkConfig({
+        file: 'configmap.yaml',
+        env: { DELAY: 'ignored' },
+        readFile,
+      })
+
+      assert.equal(valid, true)
+      assert.deepEqual(log.mock.calls[0].arguments, ['configmap.yaml is valid'])
+    })
+
+    it('prints every problem with the configuration', async (t) => {
+      const error = t.mock.method(console, 'error', () => {})
+      const readFile = /** @type {any} */ (
+        mock.fn(async () => 'schedule:\n  delay: 0\nslippage:\n  base: 2\n')
+      )
+
+      const valid = await checkConfig({
+        file: null,
+        env: { CONFIG_FILE: 'bot.yaml', LOG_FORMAT: 'xml' },
+        readFile,
+      })
+
+      assert.equal(valid, false)
+      assert.deepEqual(
+        error.mock.calls.map((call) => call.arguments[0]),
+        [
+          'Error: DELAY must be a positive number of milliseconds, got 0 (schedule.delay in bot.yaml)',
+          'Error: LOG_FORMAT must be one of pretty, json, got xml',
+          'Error: SLIPPAGE must be a fraction between 0 and 1 (e.g. 0.005 for 0.5%), got 2 (slippage.base in bot.yaml)',
+        ],
+      )
+    })
+  })
+})
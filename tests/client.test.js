@@ -1,7 +1,26 @@
 import { describe, it, mock } from 'node:test'
 import assert from 'node:assert/strict'
-import { erc20Abi } from 'viem'
-import { getBalance, getTokenBalance } from '../lib/client.js'
+import { createPublicClient, custom, erc20Abi } from 'viem'
+import {
+  broadcastTransport,
+  getBalance,
+  getChainId,
+  getTokenBalance,
+  parseRpcOptions,
+  quorumTransport,
+} from '../lib/client.js'
+
+const walletAddress = '0x1111111111111111111111111111111111111111'
+
+/**
+ * Transport answering every request with `respond`
+ *
+ * @param {(method: string) => unknown} respond
+ */
+function createEndpoint(respond) {
+  const request = mock.fn(async ({ method }) => respond(method))
+  return { transport: custom({ request }, { retryCount: 0 }), request }
+}
 
 describe('client', () => {
   describe('getBalance', () => {
@@ -53,4 +72,170 @@ describe('client', () => {
       ])
     })
   })
+
+  describe('parseRpcOptions', () => {
+    it('falls back to RPC_URL for a single endpoint', () => {
+      assert.deepStrictEqual(
+        parseRpcOptions({ RPC_URL: 'https://api.node.glif.io/' }),
+        { urls: ['https://api.node.glif.io/'], quorum: 1, broadcastUrl: null },
+      )
+    })
+
+    it('parses several endpoints, quorum and broadcast endpoint', () => {
+      assert.deepStrictEqual(
+        parseRpcOptions({
+          RPC_URLS: 'https://a.example/rpc, https://b.example/rpc',
+          RPC_QUORUM: '2',
+          RPC_BROADCAST_URL: 'https://c.example/rpc',
+        }),
+        {
+          urls: ['https://a.example/rpc', 'https://b.example/rpc'],
+          quorum: 2,
+          broadcastUrl: 'https://c.example/rpc',
+        },
+      )
+    })
+
+    it('throws when the quorum exceeds the endpoints', () => {
+      assert.throws(
+        () =>
+          parseRpcOptions({
+            RPC_URLS: 'https://a.example/rpc',
+            RPC_QUORUM: '2',
+          }),
+        {
+          message:
+            'RPC_QUORUM must be between 1 and the number of RPC_URLS (1), got 2',
+        },
+      )
+    })
+
+    it('throws for a non-HTTP endpoint', () => {
+      assert.throws(() => parseRpcOptions({ RPC_URLS: 'wss://a.example' }), {
+        message:
+          'RPC_URLS must be an http:// or https:// URL, got wss://a.example',
+      })
+    })
+  })
+
+  describe('getChainId', () => {
+    /** @param {Record<string, number | null>} chains - Null for a dead URL */
+    const transport = (chains) => (url) =>
+      createEndpoint((method) => {
+        assert.equal(method, 'eth_chainId')
+        if (chains[url] === null) throw new Error('connection refused')
+        return `0x${chains[url].toString(16)}`
+      }).transport
+
+    it('skips an endpoint that does not answer', async () => {
+      const chainId = await getChainId(['http://dead', 'http://live'], {
+        transport: transport({ 'http://dead': null, 'http://live': 314 }),
+      })
+
+      assert.equal(chainId, 314)
+    })
+
+    it('throws when no endpoint answers', async () => {
+      await assert.rejects(
+        getChainId(['http://a', 'http://b'], {
+          transport: transport({ 'http://a': null, 'http://b': null }),
+        }),
+        {
+          message:
+            'None of the RPC endpoints reported its chain: http://a, http://b',
+        },
+      )
+    })
+
+    it('throws when the endpoints that answer disagree', async () => {
+      await assert.rejects(
+        getChainId(['http://dead', 'http://a', 'http://b'], {
+          transport: transport({
+            'http://dead': null,
+            'http://a': 314,
+            'http://b': 314159,
+          }),
+        }),
+        {
+          message:
+            'RPC endpoints are on different chains: http://a reports 314, http://b reports 314159',
+        },
+      )
+    })
+  })
+
+  describe('quorumTransport', () => {
+    it('returns a balance enough endpoints agree on', async () => {
+      const endpoints = [
+        createEndpoint(() => '0x5'),
+        createEndpoint(() => '0x6'),
+        createEndpoint(() => '0x5'),
+      ]
+      const read = createEndpoint(() => '0x0')
+      const client = createPublicClient({
+        transport: quorumTransport(
+          endpoints.map((endpoint) => endpoint.transport),
+          2,
+          read.transport,
+        ),
+      })
+
+      assert.equal(await client.getBalance({ address: walletAddress }), 5n)
+      assert.equal(read.request.mock.calls.length, 0)
+    })
+
+    it('throws when endpoints disagree', async () => {
+      const endpoints = [
+        createEndpoint(() => '0x5'),
+        createEndpoint(() => '0x6'),
+        createEndpoint(() => {
+          throw new Error('down')
+        }),
+      ]
+      const client = createPublicClient({
+        transport: quorumTransport(
+          endpoints.map((endpoint) => endpoint.transport),
+          2,
+          createEndpoint(() => '0x0').transport,
+        ),
+      })
+
+      await assert.rejects(client.getBalance({ address: walletAddress }), {
+        message: /RPC quorum of 2 not reached for eth_getBalance/,
+      })
+    })
+
+    it('sends other requests to the read transport', async () => {
+      const endpoint = createEndpoint(() => '0x5')
+      const read = createEndpoint(() => '0x10')
+      const client = createPublicClient({
+        transport: quorumTransport([endpoint.transport], 1, read.transport),
+      })
+
+      assert.equal(await client.getBlockNumber(), 16n)
+      assert.equal(endpoint.request.mock.calls.length, 0)
+    })
+  })
+
+  describe('broadcastTransport', () => {
+    it('only sends raw transactions to the broadcast endpoint', async () => {
+      const read = createEndpoint(() => '0x1')
+      const broadcast = createEndpoint(() => `0x${'a'.repeat(64)}`)
+      const client = createPublicClient({
+        transport: broadcastTransport(read.transport, broadcast.transport),
+      })
+
+      await client.getBlockNumber()
+      await client.sendRawTransaction({ serializedTransaction: '0x02' })
+
+      assert.deepStrictEqual(
+        read.request.mock.calls.map((call) => call.arguments[0].method),
+        ['eth_blockNumber'],
+      )
+      assert.deepStrictEqual(
+        broadcast.request.mock.calls.map((call) => call.arguments[0].method),
+        ['eth_sendRawTransaction'],
+      )
+    })
+  })
 })
@@ -0,0 +1,171 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  configToEnv,
+  describeProblem,
+  loadConfig,
+  readConfigFile,
+} from '../lib/config-file.js'
+
+/** @param {string} content */
+function createReadFile(content) {
+  return /** @type {any} */ (mock.fn(async () => content))
+}
+
+describe('config-file', () => {
+  describe('configToEnv', () => {
+    it('maps settings to environment variables', () => {
+      const { env, fields } = configToEnv(
+        {
+          rpc: { urls: ['https://a.example', 'https://b.example'], quorum: 2 },
+          schedule: { delay: 600000 },
+          bidding: { sizesBps: [10000, 5000], dryRun: true },
+          risk: { minProfit: 0.5 },
+          tokens: [{ symbol: 'FOO', addresses: { 314: '0xfoo' } }],
+          notify: { email: { to: ['a@example.com', 'b@example.com'] } },
+          slippage: null,
+        },
+        'bot.yaml',
+      )
+      assert.deepEqual(env, {
+        RPC_URLS: 'https://a.example,https://b.example',
+        RPC_QUORUM: '2',
+        DELAY: '600000',
+        BID_SIZES_BPS: '10000,5000',
+        DRY_RUN: 'true',
+        MIN_PROFIT: '0.5',
+        TOKENS: '[{"symbol":"FOO","addresses":{"314":"0xfoo"}}]',
+        NOTIFY_EMAIL_TO: 'a@example.com,b@example.com',
+      })
+      assert.equal(fields.DELAY, 'schedule.delay in bot.yaml')
+    })
+
+    it('reports every unknown setting and wrong type', () => {
+      assert.throws(
+        () =>
+          configToEnv(
+            {
+              schedule: { delay: '10m', dealy: 1000 },
+              rpc: 'https://rpc.example',
+              signer: { type: 'private-key', privateKey: 1234 },
+            },
+            'bot.yaml',
+          ),
+        {
+          message: [
+            'bot.yaml is invalid:',
+            '  schedule.delay must be an integer, got "10m"',
+            '  Unknown setting schedule.dealy',
+            '  rpc must be a mapping, got "https://rpc.example"',
+            '  signer.privateKey must be a string, got 1234',
+          ].join('\n'),
+        },
+      )
+    })
+  })
+
+  describe('readConfigFile', () => {
+    it('reads YAML and JSON files', async () => {
+      const yaml = await readConfigFile('/etc/bot/bot.yaml', {
+        readFile: createReadFile('schedule:\n  delay: 300000\n'),
+      })
+      assert.deepEqual(yaml.env, { DELAY: '300000' })
+
+      const json = await readConfigFile('bot.json', {
+        readFile: createReadFile('{"rpc": {"url": "https://rpc.example"}}'),
+      })
+      assert.deepEqual(json.env, { RPC_URL: 'https://rpc.example' })
+
+      const empty = await readConfigFile('bot.yaml', {
+        readFile: createReadFile(''),
+      })
+      assert.deepEqual(empty, { env: {}, fields: {} })
+    })
+
+    it('reads the data of Kubernetes ConfigMaps', async () => {
+      const manifests = [
+        'apiVersion: v1',
+        'kind: Namespace',
+        'metadata:',
+        '  name: filecoin-pay-auction-bot',
+        '---',
+        'apiVersion: v1',
+        'kind: ConfigMap',
+        'metadata:',
+        '  name: auction-bot-env',
+        'data:',
+        "  DELAY: '600000'",
+        '  PORT: 8080',
+        "  DELAYY: '1'",
+      ].join('\n')
+      await assert.rejects(
+        () =>
+          readConfigFile('mainnet.yaml', {
+            readFile: createReadFile(manifests),
+          }),
+        {
+          message: [
+            'mainnet.yaml is invalid:',
+            '  PORT in ConfigMap auction-bot-env must be quoted as a string, got 8080',
+            '  Unknown setting DELAYY in ConfigMap auction-bot-env',
+          ].join('\n'),
+        },
+      )
+
+      const { env, fields } = await readConfigFile('mainnet.yaml', {
+        readFile: createReadFile(manifests.split('\n').slice(0, -2).join('\n')),
+      })
+      assert.deepEqual(env, { DELAY: '600000' })
+      assert.equal(fields.DELAY, 'ConfigMap auction-bot-env in mainnet.yaml')
+    })
+
+    it('throws for invalid YAML', async () => {
+      await assert.rejects(
+        () =>
+          readConfigFile('bot.yaml', {
+            readFile: createReadFile('schedule: [delay'),
+          }),
+        { message: /^bot\.yaml is not valid YAML: / },
+      )
+    })
+  })
+
+  describe('loadConfig', () => {
+    it('returns the environment as is without CONFIG_FILE', async () => {
+      const env = { DELAY: '1000' }
+      assert.deepEqual(await loadConfig(env), { env, fields: {} })
+    })
+
+    it('lets environment variables override the file', async () => {
+      const readFile = createReadFile(
+        'schedule:\n  delay: 300000\n  fastDelay: 10000\n',
+      )
+      const { env, fields } = await loadConfig(
+        { CONFIG_FILE: 'bot.yaml', DELAY: '1000' },
+        { readFile },
+      )
+      assert.deepEqual(readFile.mock.calls[0].arguments, ['bot.yaml', 'utf8'])
+      assert.equal(env.DELAY, '1000')
+      assert.equal(env.FAST_DELAY, '10000')
+      assert.deepEqual(fields, { FAST_DELAY: 'schedule.fastDelay in bot.yaml' })
+    })
+  })
+
+  describe('describeProblem', () => {
+    it('names the settings a message is about', () => {
+      const fields = {
+        SIGNER: 'signer.type in bot.yaml',
+        KEYSTORE_PATH: 'signer.keystorePath in bot.yaml',
+        DELAY: 'schedule.delay in bot.yaml',
+      }
+      assert.equal(
+        describeProblem('SIGNER=keystore requires KEYSTORE_PATH', fields),
+        'SIGNER=keystore requires KEYSTORE_PATH (signer.type in bot.yaml, signer.keystorePath in bot.yaml)',
+      )
+      assert.equal(
+        describeProblem('MAX_DELAY must be a positive number', fields),
+        'MAX_DELAY must be a positive number',
+      )
+    })
+  })
+})
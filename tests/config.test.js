@@ -5,6 +5,9 @@ import {
   getUsdfcAddress,
   initializeConfig,
   ensureApproval,
+  parseBotOptions,
+  revokeApproval,
+  validateConfig,
 } from '../lib/config.js'
 
 describe('config', () => {
@@ -32,6 +35,134 @@ describe('config', () => {
         message: 'Error: PRIVATE_KEY environment variable is required',
       })
     })
+
+    it('requires PRIVATE_KEY or WATCH_ADDRESS in dry run mode', async () => {
+      await assert.rejects(() => initializeConfig({ DRY_RUN: 'true' }), {
+        message:
+          'Error: PRIVATE_KEY or WATCH_ADDRESS environment variable is required in dry run mode',
+      })
+    })
+
+    it('throws error for an invalid WATCH_ADDRESS', async () => {
+      await assert.rejects(
+        () => initializeConfig({ DRY_RUN: 'true', WATCH_ADDRESS: '0x1234' }),
+        { message: 'Error: WATCH_ADDRESS is not a valid address: 0x1234' },
+      )
+    })
+
+    it('throws error for an invalid EXECUTOR_ADDRESS', async () => {
+      await assert.rejects(
+        () =>
+          initializeConfig({
+            PRIVATE_KEY: '0x' + '11'.repeat(32),
+            EXECUTOR_ADDRESS: 'executor',
+          }),
+        { message: 'Error: EXECUTOR_ADDRESS is not a valid address: executor' },
+      )
+    })
+
+    it('reports every invalid setting at once', async () => {
+      await assert.rejects(
+        () =>
+          initializeConfig({
+            PRIVATE_KEY: '0x' + '11'.repeat(32),
+            DELAY: 'NaN',
+            RPC_QUORUM: '2',
+          }),
+        {
+          message:
+            'Error: DELAY must be a positive number of milliseconds, got NaN\n' +
+            'Error: RPC_QUORUM must be between 1 and the number of RPC_URLS (1), got 2',
+        },
+      )
+    })
+
+    it('throws error for a non-WebSocket RPC_WS_URL', async () => {
+      await assert.rejects(
+        () =>
+          initializeConfig({
+            PRIVATE_KEY: '0x' + '11'.repeat(32),
+            RPC_WS_URL: 'https://api.calibration.node.glif.io/rpc/v1',
+          }),
+        {
+          message:
+            'Error: RPC_WS_URL must be a ws:// or wss:// URL, got https://api.calibration.node.glif.io/rpc/v1',
+        },
+      )
+    })
+  })
+
+  describe('parseBotOptions', () => {
+    it('uses the defaults', () => {
+      const options = parseBotOptions({})
+      assert.equal(options.port, 8080)
+      assert.equal(options.sushiApiUrl, 'https://api.sushi.com')
+      assert.equal(options.checkpointPath, 'checkpoint.json')
+      assert.equal(options.shutdownTimeout, 240000)
+      assert.equal(
+        parseBotOptions({ CHECKPOINT_PATH: '' }).checkpointPath,
+        null,
+      )
+      assert.deepEqual(options.schedule, {
+        delay: 600000,
+        fastDelay: 30000,
+        maxDelay: 3600000,
+        window: 300000,
+      })
+    })
+
+    it('throws for delays that are not whole milliseconds', () => {
+      assert.throws(() => parseBotOptions({ DELAY: '10m' }), {
+        message: 'DELAY must be a positive number of milliseconds, got 10m',
+      })
+      assert.throws(() => parseBotOptions({ FAST_DELAY: '0' }), {
+        message: 'FAST_DELAY must be a positive number of milliseconds, got 0',
+      })
+      assert.throws(() => parseBotOptions({ PORT: '80800' }), {
+        message: 'PORT must be a port number up to 65535, got 80800',
+      })
+    })
+
+    it('throws for a Sushiswap API that is not an HTTP URL', () => {
+      assert.throws(
+        () => parseBotOptions({ SUSHI_API_URL: 'localhost:3000' }),
+        {
+          message:
+            'SUSHI_API_URL must be an http:// or https:// URL, got localhost:3000',
+        },
+      )
+    })
+  })
+
+  describe('validateConfig', () => {
+    it('reports every invalid setting', () => {
+      assert.deepEqual(
+        validateConfig({
+          DELAY: 'soon',
+          PRIVATE_KEY: '0x1234',
+          SLIPPAGE: '0.01',
+          LOG_LEVEL: 'verbose',
+        }),
+        [
+          'DELAY must be a positive number of milliseconds, got soon',
+          'LOG_LEVEL must be one of debug, info, warn, error, got verbose',
+          'PRIVATE_KEY must be 0x followed by 64 hex characters',
+        ],
+      )
+    })
+
+    it('does not require a signer', () => {
+      assert.deepEqual(validateConfig({ RPC_URL: 'https://rpc.example' }), [])
+    })
+
+    it('names the config file setting behind a problem', () => {
+      assert.deepEqual(
+        validateConfig({ DELAY: '0' }, { DELAY: 'schedule.delay in bot.yaml' }),
+        [
+          'DELAY must be a positive number of milliseconds, got 0 (schedule.delay in bot.yaml)',
+        ],
+      )
+    })
   })
 
   describe('ensureApproval', () => {
@@ -128,4 +259,53 @@ describe('config', () => {
       ])
     })
   })
+
+  describe('revokeApproval', () => {
+    it('sets a remaining allowance to zero', async () => {
+      const spenderAddress = '0xspender00000000000000000000000000000000'
+      const simulateContract = mock.fn(async (params) => ({ request: params }))
+      const mockPublicClient = {
+        readContract: mock.fn(async () => maxUint256),
+        simulateContract,
+        waitForTransactionReceipt: mock.fn(async () => ({
+          transactionHash: '0xrevoke1234',
+          status: 'success',
+        })),
+      }
+      const writeContract = mock.fn(async () => '0xrevoke1234')
+
+      await revokeApproval({
+        publicClient: /** @type {any} */ (mockPublicClient),
+        walletClient: /** @type {any} */ ({ writeContract }),
+        account: /** @type {any} */ ({
+          address: '0x1111111111111111111111111111111111111111',
+        }),
+        tokenAddress: '0xtoken0000000000000000000000000000000000',
+        spenderAddress,
+      })
+
+      assert.deepStrictEqual(simulateContract.mock.calls[0].arguments[0].args, [
+        spenderAddress,
+        0n,
+      ])
+      assert.equal(writeContract.mock.calls.length, 1)
+    })
+
+    it('returns null when nothing is approved', async () => {
+      const writeContract = mock.fn()
+
+      const result = await revokeApproval({
+        publicClient: /** @type {any} */ ({ readContract: async () => 0n }),
+        walletClient: /** @type {any} */ ({ writeContract }),
+        account: /** @type {any} */ ({
+          address: '0x1111111111111111111111111111111111111111',
+        }),
+        tokenAddress: '0xtoken0000000000000000000000000000000000',
+        spenderAddress: '0xspender00000000000000000000000000000000',
+      })
+
+      assert.equal(result, null)
+      assert.equal(writeContract.mock.calls.length, 0)
+    })
+  })
 })
@@ -0,0 +1,158 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { createAuctionWatcher } from '../lib/events.js'
+
+const paymentsAddress = '0x2222222222222222222222222222222222222222'
+const token = {
+  symbol: 'USDFC',
+  address: '0x3333333333333333333333333333333333333333',
+  quoteAddress: '0x4444444444444444444444444444444444444444',
+  decimals: 18,
+}
+const auction = {
+  startPrice: 100n,
+  startTime: 1700000000n,
+  availableFees: 5n,
+}
+
+/** Public client that hands the watcher's callbacks to the test */
+function createWatchingClient() {
+  const watchers = {}
+  const publicClient = {
+    watchContractEvent: mock.fn((options) => {
+      watchers.payments = options
+      return mock.fn()
+    }),
+    watchEvent: mock.fn((options) => {
+      watchers.transfers = options
+      return mock.fn()
+    }),
+  }
+  return { publicClient, watchers }
+}
+
+/** @param {object} [overrides] */
+function createWatcher(overrides = {}) {
+  const { publicClient, watchers } = createWatchingClient()
+  const getActiveAuction = mock.fn(async () => auction)
+  const onChange = mock.fn()
+  const watcher = createAuctionWatcher({
+    publicClient,
+    readClient: publicClient,
+    paymentsAddress,
+    tokens: [token],
+    onChange,
+    getActiveAuction,
+    now: () => 1700000000000,
+    ...overrides,
+  })
+  return { watcher, watchers, getActiveAuction, onChange }
+}
+
+describe('events', () => {
+  describe('createAuctionWatcher', () => {
+    it('evaluates each auction once until something changes', async () => {
+      const { watcher, getActiveAuction } = createWatcher()
+
+      assert.equal(await watcher.shouldEvaluate(token.address), true)
+      watcher.recordEvaluation(token.address, null)
+
+      assert.equal(await watcher.shouldEvaluate(token.address), false)
+      // Unchanged auctions are not read again
+      assert.equal(getActiveAuction.mock.calls.length, 1)
+    })
+
+    it('re-reads all auctions when fees accrue', async () => {
+      const { watcher, watchers, getActiveAuction, onChange } = createWatcher()
+      await watcher.shouldEvaluate(token.address)
+      watcher.recordEvaluation(token.address, null)
+
+      watchers.payments.onLogs([
+        { eventName: 'RailSettled', args: { networkFee: 0n } },
+      ])
+      assert.equal(onChange.mock.calls.length, 0)
+
+      getActiveAuction.mock.mockImplementation(async () => ({
+        ...auction,
+        availableFees: 6n,
+      }))
+      watchers.payments.onLogs([
+        { eventName: 'RailSettled', args: { networkFee: 1n } },
+      ])
+
+      assert.equal(onChange.mock.calls.length, 1)
+      assert.equal(await watcher.shouldEvaluate(token.address), true)
+      assert.equal(getActiveAuction.mock.calls.length, 2)
+    })
+
+    it('re-reads an auction when a bid transfers its tokens', async () => {
+      const { watcher, watchers, getActiveAuction, onChange } = createWatcher()
+      await watcher.shouldEvaluate(token.address)
+      watcher.recordEvaluation(token.address, null)
+
+      getActiveAuction.mock.mockImplementation(async () => null)
+      watchers.transfers.onLogs([{ address: token.address }])
+
+      assert.deepStrictEqual(watchers.transfers.args, {
+        from: paymentsAddress,
+      })
+      assert.equal(onChange.mock.calls.length, 1)
+      assert.equal(await watcher.shouldEvaluate(token.address), true)
+    })
+
+    it('evaluates again at the predicted break-even time', async () => {
+      let time = 1700000000000
+      const { watcher } = createWatcher({ now: () => time })
+      await watcher.shouldEvaluate(token.address)
+      watcher.recordEvaluation(token.address, 1700000060n)
+
+      assert.equal(await watcher.shouldEvaluate(token.address), false)
+      assert.equal(watcher.breakEvenTime(token.address), 1700000060n)
+
+      time = 1700000060000
+      assert.equal(await watcher.shouldEvaluate(token.address), true)
+    })
+
+    it('evaluates again after a decision bound to the wallet', async () => {
+      const { watcher, getActiveAuction } = createWatcher()
+      await watcher.shouldEvaluate(token.address)
+      watcher.recordEvaluation(token.address, null, { walletBound: true })
+
+      assert.equal(await watcher.shouldEvaluate(token.address), true)
+      // The auction itself is not read again
+      assert.equal(getActiveAuction.mock.calls.length, 1)
+
+      watcher.recordEvaluation(token.address, null)
+      assert.equal(await watcher.shouldEvaluate(token.address), false)
+    })
+
+    it('evaluates unchanged auctions again after reevaluateAfter', async () => {
+      let time = 0
+      const { watcher } = createWatcher({
+        now: () => time,
+        reevaluateAfter: 1000,
+      })
+      await watcher.shouldEvaluate(token.address)
+      watcher.recordEvaluation(token.address, null)
+
+      time = 999
+      assert.equal(await watcher.shouldEvaluate(token.address), false)
+      time = 1000
+      assert.equal(await watcher.shouldEvaluate(token.address), true)
+    })
+
+    it('falls back to polling while the subscription fails', async (t) => {
+      t.mock.method(console, 'error', () => {})
+      const { watcher, watchers } = createWatcher()
+      await watcher.shouldEvaluate(token.address)
+      watcher.recordEvaluation(token.address, null)
+
+      watchers.payments.onError(new Error('socket closed'))
+      assert.equal(await watcher.shouldEvaluate(token.address), true)
+
+      // Logs arriving again mean the subscription recovered
+      watchers.payments.onLogs([])
+      assert.equal(await watcher.shouldEvaluate(token.address), false)
+    })
+  })
+})
@@ -0,0 +1,171 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { encodeFunctionData } from 'viem'
+import {
+  executorAbi,
+  simulateAtomicBid,
+  submitAtomicBidAndSwap,
+  verifyExecutor,
+} from '../lib/executor.js'
+
+const ownerAddress = '0x1111111111111111111111111111111111111111'
+const executorAddress = '0x2222222222222222222222222222222222222222'
+const tokenAddress = '0x3333333333333333333333333333333333333333'
+const routerAddress = '0x5555555555555555555555555555555555555555'
+const swapTx = { to: routerAddress, data: '0xabcdef', value: 0n }
+
+/**
+ * Clients for a chain with the executor deployed, whose simulations succeed
+ * unless `revert` is given
+ *
+ * The contract itself runs in the end-to-end tests, see `e2e/executor.test.js`.
+ *
+ * @param {object} [args]
+ * @param {string} [args.revert] - Reason the simulation reverts with
+ */
+function createClients({ revert } = {}) {
+  const publicClient = {
+    simulateContract: mock.fn(async (request) => {
+      if (revert) throw new Error(`execution reverted: ${revert}`)
+      return { request }
+    }),
+    readContract: mock.fn(async () => ownerAddress),
+  }
+  const walletClient = {
+    writeContract: mock.fn(async () => '0xbidhash'),
+  }
+  return { publicClient, walletClient }
+}
+
+describe('executor', () => {
+  describe('verifyExecutor', () => {
+    it('accepts an executor owned by the bidding wallet', async () => {
+      const { publicClient } = createClients()
+
+      await verifyExecutor({
+        publicClient,
+        executorAddress,
+        walletAddress: ownerAddress,
+      })
+
+      assert.deepStrictEqual(
+        publicClient.readContract.mock.calls[0].arguments,
+        [{ address: executorAddress, abi: executorAbi, functionName: 'owner' }],
+      )
+    })
+
+    it('throws for an executor owned by another wallet', async () => {
+      const { publicClient } = createClients()
+      const walletAddress = '0x9999999999999999999999999999999999999999'
+
+      await assert.rejects(
+        verifyExecutor({ publicClient, executorAddress, walletAddress }),
+        {
+          message: `Executor ${executorAddress} is owned by ${ownerAddress}, not the bidding wallet ${walletAddress}`,
+        },
+      )
+    })
+  })
+
+  describe('simulateAtomicBid', () => {
+    it('calls bidAndSwap with the auction price as value', async () => {
+      const { publicClient } = createClients()
+      const account = { address: ownerAddress }
+
+      const request = await simulateAtomicBid({
+        publicClient,
+        account,
+        executorAddress,
+        tokenAddress,
+        amount: 100n,
+        price: 150n,
+        swapTx,
+        minAmountOut: 160n,
+      })
+
+      assert.deepStrictEqual(request, {
+        account,
+        address: executorAddress,
+        abi: executorAbi,
+        functionName: 'bidAndSwap',
+        args: [tokenAddress, 100n, routerAddress, '0xabcdef', 160n],
+        value: 150n,
+      })
+    })
+  })
+
+  describe('submitAtomicBidAndSwap', () => {
+    const bidArgs = {
+      account: { address: ownerAddress },
+      executorAddress,
+      tokenAddress,
+      amount: 100n,
+      price: 150n,
+      swapTx,
+      minAmountOut: 160n,
+    }
+
+    it('sends the simulated bid and swap', async () => {
+      const { publicClient, walletClient } = createClients()
+
+      const hash = await submitAtomicBidAndSwap({
+        ...bidArgs,
+        publicClient,
+        walletClient,
+        fees: { maxFeePerGas: 10n, maxPriorityFeePerGas: 2n },
+      })
+
+      assert.equal(hash, '0xbidhash')
+      const [request] = walletClient.writeContract.mock.calls[0].arguments
+      assert.equal(request.functionName, 'bidAndSwap')
+      assert.equal(request.value, 150n)
+      assert.equal(request.maxFeePerGas, 10n)
+    })
+
+    it('sends through the transaction manager', async () => {
+      const { publicClient, walletClient } = createClients()
+      const txManager = {
+        nextNonce: mock.fn(async () => 7),
+        send: mock.fn(async () => '0xmanagedhash'),
+      }
+
+      const hash = await submitAtomicBidAndSwap({
+        ...bidArgs,
+        publicClient,
+        walletClient,
+        txManager,
+      })
+
+      assert.equal(hash, '0xmanagedhash')
+      assert.equal(walletClient.writeContract.mock.calls.length, 0)
+      const [tx] = txManager.send.mock.calls[0].arguments
+      assert.equal(tx.label, 'bid-and-swap')
+      assert.equal(tx.nonce, 7)
+      assert.equal(tx.to, executorAddress)
+      assert.equal(tx.value, 150n)
+      assert.equal(
+        tx.data,
+        encodeFunctionData({
+          abi: executorAbi,
+          functionName: 'bidAndSwap',
+          args: [tokenAddress, 100n, routerAddress, '0xabcdef', 160n],
+        }),
+      )
+    })
+
+    it('submits nothing when the simulation reverts', async () => {
+      const { publicClient, walletClient } = createClients({
+        revert: 'Unprofitable(100, 160)',
+      })
+
+      const hash = await submitAtomicBidAndSwap({
+        ...bidArgs,
+        publicClient,
+        walletClient,
+      })
+
+      assert.equal(hash, null)
+      assert.equal(walletClient.writeContract.mock.calls.length, 0)
+    })
+  })
+})
@@ -0,0 +1,400 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { once } from 'node:events'
+import { mkdtemp, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import {
+  createFileLock,
+  createHttpLock,
+  createKubernetesLease,
+  createLeaderElector,
+  createLockServer,
+  parseLeaderOptions,
+} from '../lib/leader.js'
+import { createMetrics } from '../lib/metrics.js'
+
+/** A clock the test moves forward by hand */
+function createClock() {
+  const clock = { time: 1_000_000, now: () => clock.time }
+  return clock
+}
+
+/**
+ * A sleep that only returns when the test calls `tick`, so each instance renews
+ * when told to
+ */
+function createManualSleep() {
+  /** @type {(() => void) | null} */
+  let wake = null
+  return {
+    sleep: mock.fn(
+      (
+        /** @type {number} */ _ms,
+        /** @type {unknown} */ _value,
+        /** @type {{ signal: AbortSignal }} */ { signal },
+      ) =>
+        new Promise((resolve, reject) => {
+          wake = () => resolve(undefined)
+          signal.addEventListener('abort', () => reject(signal.reason), {
+            once: true,
+          })
+        }),
+    ),
+    /** Wake the sleeping instance up, and let it take or renew the lease */
+    async tick() {
+      const resume = wake
+      wake = null
+      resume?.()
+      await new Promise((resolve) => setImmediate(resolve))
+    },
+  }
+}
+
+/** @param {() => number} now */
+function createMemoryLock(now) {
+  /** @type {{ holder: string; expiresAt: number } | null} */
+  let lease = null
+  return {
+    description: 'memory',
+    acquire: mock.fn(async (/** @type {string} */ holder, ttl) => {
+      if (lease && lease.holder !== holder && lease.expiresAt > now()) {
+        return false
+      }
+      lease = { holder, expiresAt: now() + ttl }
+      return true
+    }),
+    release: mock.fn(async (/** @type {string} */ holder) => {
+      if (lease?.holder === holder) lease = null
+    }),
+  }
+}
+
+/**
+ * Serve the Lease API of a Kubernetes API server from memory
+ *
+ * @returns {typeof globalThis.fetch}
+ */
+function createLeaseApi() {
+  /** @type {Map<string, any>} */
+  const leases = new Map()
+  let version = 0
+  const json = (/** @type {number} */ status, /** @type {any} */ body) =>
+    new Response(JSON.stringify(body), { status })
+
+  return /** @type {any} */ (
+    async (/** @type {string} */ url, /** @type {RequestInit} */ init) => {
+      const path = new URL(url).pathname
+      const body = init.body ? JSON.parse(String(init.body)) : null
+      if (init.method === 'POST') {
+        const key = `${path}/${body.metadata.name}`
+        if (leases.has(key)) return json(409, { reason: 'AlreadyExists' })
+        body.metadata.resourceVersion = String(++version)
+        leases.set(key, body)
+        return json(201, body)
+      }
+      const lease = leases.get(path)
+      if (!lease) return json(404, { reason: 'NotFound' })
+      if (init.method === 'PUT') {
+        if (body.metadata.resourceVersion !== lease.metadata.resourceVersion) {
+          return json(409, { reason: 'Conflict' })
+        }
+        body.metadata.resourceVersion = String(++version)
+        leases.set(path, body)
+        return json(200, body)
+      }
+      return json(200, lease)
+    }
+  )
+}
+
+describe('leader', () => {
+  describe('parseLeaderOptions', () => {
+    it('runs without leader election by default', () => {
+      const options = parseLeaderOptions({})
+      assert.equal(options.lock, 'none')
+      assert.equal(options.leaseDuration, 30000)
+      assert.equal(options.renewInterval, 10000)
+      assert.equal(options.leaseName, 'filecoin-pay-auction-bot')
+      assert.equal(options.leaseNamespace, null)
+    })
+
+    it('throws for an unknown lock', () => {
+      assert.throws(() => parseLeaderOptions({ LEADER_LOCK: 'zookeeper' }), {
+        message:
+          'LEADER_LOCK must be one of none, file, kubernetes, http, got zookeeper',
+      })
+    })
+
+    it('throws when the lease would expire between renewals', () => {
+      assert.throws(
+        () =>
+          parseLeaderOptions({
+            LEADER_LEASE_DURATION: '10000',
+            LEADER_RENEW_INTERVAL: '10000',
+          }),
+        /LEADER_RENEW_INTERVAL must be shorter than LEADER_LEASE_DURATION/,
+      )
+    })
+
+    it('requires a URL for the http lock', () => {
+      assert.throws(
+        () => parseLeaderOptions({ LEADER_LOCK: 'http' }),
+        /LEADER_LOCK=http requires LEADER_LOCK_URL/,
+      )
+    })
+  })
+
+  describe('createFileLock', () => {
+    it('lets one holder at a time take the lease until it expires', async () => {
+      const clock = createClock()
+      const path = join(await mkdtemp(join(tmpdir(), 'leader-')), 'lock.json')
+      const lock = createFileLock({ path, now: clock.now })
+
+      assert.equal(await lock.acquire('a', 30000), true)
+      assert.equal(await lock.acquire('b', 30000), false)
+      assert.equal(await lock.acquire('a', 30000), true)
+
+      clock.time += 30001
+      assert.equal(await lock.acquire('b', 30000), true)
+      assert.equal(await lock.acquire('a', 30000), false)
+
+      await lock.release('b')
+      assert.equal(await lock.acquire('a', 30000), true)
+    })
+
+    it('removes a mutex left behind by a crash', async () => {
+      const clock = createClock()
+      const path = join(await mkdtemp(join(tmpdir(), 'leader-')), 'lock.json')
+      await writeFile(`${path}.lock`, '')
+      clock.time = Date.now() + 60000
+      const lock = createFileLock({ path, now: clock.now })
+
+      assert.equal(await lock.acquire('a', 30000), true)
+    })
+  })
+
+  describe('createHttpLock', () => {
+    it('takes, renews and releases the lease through the lock server', async () => {
+      const clock = createClock()
+      const server = createLockServer({ now: clock.now })
+      server.listen(0, '127.0.0.1')
+      await once(server, 'listening')
+      const { port } = /** @type {import('node:net').AddressInfo} */ (
+        server.address()
+      )
+      const url = `http://127.0.0.1:${port}/locks/bot`
+      const lock = createHttpLock({ url })
+
+      try {
+        assert.equal(await lock.acquire('a', 30000), true)
+        assert.equal(await lock.acquire('b', 30000), false)
+        clock.time += 20000
+        assert.equal(await lock.acquire('a', 30000), true)
+        clock.time += 20000
+        assert.equal(await lock.acquire('b', 30000), false)
+
+        await lock.release('a')
+        assert.equal(await lock.acquire('b', 30000), true)
+      } finally {
+        server.close()
+      }
+    })
+
+    it('throws when the lock service fails', async () => {
+      const fetch = mock.fn(async () => new Response('down', { status: 503 }))
+      const lock = createHttpLock({ url: 'http://lock/bot', fetch })
+
+      await assert.rejects(lock.acquire('a', 30000), {
+        message: 'Taking the lease failed with HTTP 503: down',
+      })
+    })
+  })
+
+  describe('createKubernetesLease', () => {
+    it('creates, renews and takes over an expired lease', async () => {
+      const clock = createClock()
+      const fetch = createLeaseApi()
+      const createLease = () =>
+        createKubernetesLease({
+          name: 'bot',
+          namespace: 'auctions',
+          apiUrl: 'https://kubernetes',
+          getToken: async () => 'token',
+          fetch,
+          now: clock.now,
+        })
+      const a = createLease()
+      const b = createLease()
+
+      assert.equal(await a.acquire('a', 30000), true)
+      assert.equal(await b.acquire('b', 30000), false)
+      clock.time += 20000
+      assert.equal(await a.acquire('a', 30000), true)
+      clock.time += 20000
+      assert.equal(await b.acquire('b', 30000), false)
+
+      clock.time += 30000
+      assert.equal(await b.acquire('b', 30000), true)
+      assert.equal(await a.acquire('a', 30000), false)
+
+      const res = await fetch(
+        'https://kubernetes/apis/coordination.k8s.io/v1/namespaces/auctions/leases/bot',
+        { method: 'GET' },
+      )
+      const { spec } = await res.json()
+      assert.equal(spec.holderIdentity, 'b')
+      assert.equal(spec.leaseDurationSeconds, 30)
+      assert.equal(spec.leaseTransitions, 1)
+      assert.match(spec.renewTime, /\.\d{6}Z$/)
+    })
+
+    it('frees the lease for another holder when released', async () => {
+      const clock = createClock()
+      const fetch = createLeaseApi()
+      const lease = createKubernetesLease({
+        name: 'bot',
+        namespace: 'auctions',
+        apiUrl: 'https://kubernetes',
+        getToken: async () => null,
+        fetch,
+        now: clock.now,
+      })
+
+      assert.equal(await lease.acquire('a', 30000), true)
+      await lease.release('a')
+      clock.time += 1001
+      assert.equal(await lease.acquire('b', 30000), true)
+    })
+  })
+
+  describe('createLeaderElector', () => {
+    it('lets a standby take over once the leader stops renewing', async () => {
+      const clock = createClock()
+      const lock = createMemoryLock(clock.now)
+      const options = {
+        lock,
+        leaseDuration: 30000,
+        renewInterval: 10000,
+        now: clock.now,
+      }
+      const a = createManualSleep()
+      const b = createManualSleep()
+      const metrics = createMetrics()
+      const leader = createLeaderElector({
+        ...options,
+        id: 'a',
+        sleep: a.sleep,
+      })
+      const standby = createLeaderElector({
+        ...options,
+        id: 'b',
+        sleep: b.sleep,
+        metrics,
+      })
+
+      assert.equal(await leader.start(), true)
+      let tookOver = false
+      const waiting = standby.start().then((acquired) => (tookOver = acquired))
+      await b.tick()
+      assert.equal(standby.isLeader(), false)
+      assert.equal(metrics.leader.value(), 0)
+
+      // The leader hangs, so only the standby keeps trying
+      clock.time += 20000
+      await b.tick()
+      assert.equal(tookOver, false)
+      clock.time += 10000
+      await b.tick()
+      await waiting
+
+      assert.equal(tookOver, true)
+      assert.equal(standby.isLeader(), true)
+      assert.equal(leader.isLeader(), false)
+      assert.equal(metrics.leader.value(), 1)
+
+      await leader.stop()
+      await standby.stop()
+      assert.equal(lock.release.mock.calls.length, 1)
+      assert.equal(lock.release.mock.calls[0].arguments[0], 'b')
+    })
+
+    it('reports a lease lost to another instance', async () => {
+      const clock = createClock()
+      const lock = createMemoryLock(clock.now)
+      const { sleep, tick } = createManualSleep()
+      const onLost = mock.fn()
+      const leader = createLeaderElector({
+        lock,
+        id: 'a',
+        leaseDuration: 30000,
+        renewInterval: 10000,
+        onLost,
+        now: clock.now,
+        sleep,
+      })
+
+      await leader.start()
+      lock.acquire.mock.mockImplementation(async () => false)
+      clock.time += 10000
+      await tick()
+
+      assert.equal(leader.isLeader(), false)
+      assert.equal(onLost.mock.calls.length, 1)
+      await leader.stop()
+      assert.equal(lock.release.mock.calls.length, 0)
+    })
+
+    it('keeps the lease through lock errors until it expires', async () => {
+      const clock = createClock()
+      const lock = createMemoryLock(clock.now)
+      const { sleep, tick } = createManualSleep()
+      const onLost = mock.fn()
+      const leader = createLeaderElector({
+        lock,
+        id: 'a',
+        leaseDuration: 30000,
+        renewInterval: 10000,
+        onLost,
+        now: clock.now,
+        sleep,
+      })
+
+      await leader.start()
+      lock.acquire.mock.mockImplementation(async () => {
+        throw new Error('connection refused')
+      })
+      clock.time += 10000
+      await tick()
+      assert.equal(leader.isLeader(), true)
+
+      clock.time += 20000
+      await tick()
+      assert.equal(leader.isLeader(), false)
+      assert.equal(onLost.mock.calls.length, 1)
+      await leader.stop()
+    })
+
+    it('stops waiting when aborted', async () => {
+      const clock = createClock()
+      const lock = createMemoryLock(clock.now)
+      await lock.acquire('other', 30000)
+      const { sleep } = createManualSleep()
+      const standby = createLeaderElector({
+        lock,
+        id: 'a',
+        leaseDuration: 30000,
+        renewInterval: 10000,
+        now: clock.now,
+        sleep,
+      })
+
+      const shutdown = new AbortController()
+      const waiting = standby.start(shutdown.signal)
+      shutdown.abort()
+
+      assert.equal(await waiting, false)
+      await standby.stop()
+    })
+  })
+})
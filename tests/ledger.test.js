@@ -0,0 +1,193 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { encodeAbiParameters, encodeEventTopics, parseAbiItem } from 'viem'
+import {
+  appendLedgerEntry,
+  createLiquidationEntry,
+  createTradeEntry,
+  readLedger,
+  summarizeLedger,
+} from '../lib/ledger.js'
+
+const routeEvent = parseAbiItem(
+  'event Route(address indexed from, address to, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOutMin, uint256 amountOut)',
+)
+
+function createRouteLog(amountIn, amountOut) {
+  return {
+    address: '0x5555555555555555555555555555555555555555',
+    topics: encodeEventTopics({
+      abi: [routeEvent],
+      eventName: 'Route',
+      args: {
+        from: '0x1111111111111111111111111111111111111111',
+        tokenIn: '0x4444444444444444444444444444444444444444',
+        tokenOut: '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE',
+      },
+    }),
+    data: encodeAbiParameters(
+      [
+        { type: 'address' },
+        { type: 'uint256' },
+        { type: 'uint256' },
+        { type: 'uint256' },
+      ],
+      [
+        '0x1111111111111111111111111111111111111111',
+        amountIn,
+        amountOut,
+        amountOut,
+      ],
+    ),
+  }
+}
+
+const token = {
+  symbol: 'USDFC',
+  address: '0x3333333333333333333333333333333333333333',
+}
+
+describe('ledger', () => {
+  describe('appendLedgerEntry / readLedger', () => {
+    it('round-trips entries including bigint fields', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'ledger-'))
+      const path = join(dir, 'nested', 'ledger.jsonl')
+      const entry = {
+        type: 'evaluation',
+        timestamp: '2025-01-01T00:00:00.000Z',
+        token: 'USDFC',
+        tokenAddress: token.address,
+        decision: 'not-profitable',
+        auctionPrice: 12345678901234567890n,
+      }
+
+      await appendLedgerEntry(path, entry)
+      await appendLedgerEntry(path, { ...entry, decision: 'bid' })
+
+      const entries = await readLedger(path)
+      assert.deepStrictEqual(entries, [entry, { ...entry, decision: 'bid' }])
+    })
+
+    it('returns an empty list when the ledger does not exist', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'ledger-'))
+      assert.deepStrictEqual(await readLedger(join(dir, 'missing.jsonl')), [])
+    })
+  })
+
+  describe('createTradeEntry', () => {
+    it('computes realized profit from receipts and the Route event', () => {
+      const trade = createTradeEntry({
+        token,
+        amount: 100n,
+        auctionPrice: 50n,
+        bidReceipt: {
+          transactionHash: '0xbid',
+          status: 'success',
+          gasUsed: 10n,
+          effectiveGasPrice: 1n,
+          logs: [],
+        },
+        swapReceipt: {
+          transactionHash: '0xswap',
+          status: 'success',
+          gasUsed: 5n,
+          effectiveGasPrice: 2n,
+          logs: [createRouteLog(100n, 80n)],
+        },
+      })
+
+      assert.equal(trade.bidGasFee, 10n)
+      assert.equal(trade.swapGasFee, 10n)
+      assert.equal(trade.swapAmountIn, 100n)
+      assert.equal(trade.filReturned, 80n)
+      assert.equal(trade.filPaid, 70n)
+      assert.equal(trade.profit, 10n)
+    })
+
+    it('only counts gas when the bid reverted', () => {
+      const trade = createTradeEntry({
+        token,
+        amount: 100n,
+        auctionPrice: 50n,
+        bidReceipt: {
+          transactionHash: '0xbid',
+          status: 'reverted',
+          gasUsed: 10n,
+          effectiveGasPrice: 1n,
+          logs: [],
+        },
+        swapReceipt: null,
+      })
+
+      assert.equal(trade.amount, 0n)
+      assert.equal(trade.filPaid, 10n)
+      assert.equal(trade.profit, -10n)
+      assert.equal(trade.swapHash, null)
+    })
+  })
+
+  describe('createLiquidationEntry', () => {
+    it('counts swap gas as the cost of the sale', () => {
+      const entry = createLiquidationEntry({
+        token,
+        swapReceipt: {
+          transactionHash: '0xswap',
+          status: 'success',
+          gasUsed: 5n,
+          effectiveGasPrice: 2n,
+          logs: [createRouteLog(100n, 90n)],
+        },
+      })
+
+      assert.equal(entry.type, 'liquidation')
+      assert.equal(entry.swapAmountIn, 100n)
+      assert.equal(entry.filReturned, 90n)
+      assert.equal(entry.filPaid, 10n)
+      assert.equal(entry.profit, 80n)
+    })
+  })
+
+  describe('summarizeLedger', () => {
+    it('totals realized profit across trades', () => {
+      const summary = summarizeLedger([
+        { type: 'evaluation', decision: 'not-profitable' },
+        { type: 'trade', filPaid: 70n, filReturned: 80n, profit: 10n },
+        { type: 'trade', filPaid: 30n, filReturned: 0n, profit: -30n },
+        { type: 'liquidation', filPaid: 1n, filReturned: 40n, profit: 39n },
+      ])
+
+      assert.equal(summary.evaluations, 1)
+      assert.equal(summary.trades.length, 2)
+      assert.equal(summary.liquidations.length, 1)
+      assert.equal(summary.totalFilPaid, 101n)
+      assert.equal(summary.totalFilReturned, 120n)
+      assert.equal(summary.totalProfit, 19n)
+    })
+
+    it('counts auctions won and lost to rivals', () => {
+      const summary = summarizeLedger([
+        {
+          type: 'trade',
+          bidStatus: 'success',
+          filPaid: 70n,
+          filReturned: 80n,
+        },
+        {
+          type: 'trade',
+          bidStatus: 'reverted',
+          filPaid: 1n,
+          filReturned: 0n,
+        },
+        { type: 'rival-bid', token: 'USDFC', amount: 5n },
+      ])
+
+      assert.equal(summary.auctionsWon, 1)
+      assert.equal(summary.rivalBids.length, 1)
+      // Rival bids cost us nothing
+      assert.equal(summary.totalFilPaid, 71n)
+    })
+  })
+})
@@ -0,0 +1,185 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import {
+  liquidateStrandedTokens,
+  parseLiquidation,
+} from '../lib/liquidation.js'
+import { readLedger } from '../lib/ledger.js'
+import { createMetrics } from '../lib/metrics.js'
+
+const walletAddress = '0x1111111111111111111111111111111111111111'
+const routerAddress = '0x5555555555555555555555555555555555555555'
+const token = {
+  symbol: 'USDFC',
+  address: '0x3333333333333333333333333333333333333333',
+  quoteAddress: '0x4444444444444444444444444444444444444444',
+  decimals: 18,
+}
+
+function createArgs({ balance, amountOut, gasSpent = '1', minPrice = 0n }) {
+  return {
+    publicClient: {
+      getGasPrice: mock.fn(async () => 1n),
+      waitForTransactionReceipt: mock.fn(async ({ hash }) => ({
+        transactionHash: hash,
+        status: 'success',
+        gasUsed: 1n,
+        effectiveGasPrice: 1n,
+        logs: [],
+      })),
+    },
+    walletClient: {
+      sendTransaction: mock.fn(async () => '0xliquidation'),
+    },
+    account: { address: walletAddress },
+    walletAddress,
+    token,
+    liquidation: { enabled: true, minPrice },
+    slippage: { base: 0, auto: false, max: 0 },
+    getTokenBalance: mock.fn(async () => balance),
+    getQuote: mock.fn(async () => ({
+      status: 'Success',
+      assumedAmountOut: amountOut,
+      gasSpent,
+    })),
+    getSwap: mock.fn(async () => ({
+      status: 'Success',
+      tx: { to: routerAddress, data: '0xabcdef', value: 0n },
+    })),
+  }
+}
+
+describe('liquidation', () => {
+  describe('parseLiquidation', () => {
+    it('is disabled by default', () => {
+      assert.deepStrictEqual(parseLiquidation({}), {
+        enabled: false,
+        minPrice: 0n,
+      })
+    })
+
+    it('parses the minimum price in FIL per token', () => {
+      assert.deepStrictEqual(
+        parseLiquidation({
+          LIQUIDATE_STRANDED: 'true',
+          LIQUIDATION_MIN_PRICE: '0.25',
+        }),
+        { enabled: true, minPrice: 250000000000000000n },
+      )
+    })
+
+    it('requires an explicit minimum price when enabled', () => {
+      assert.throws(() => parseLiquidation({ LIQUIDATE_STRANDED: 'true' }), {
+        message:
+          'LIQUIDATE_STRANDED requires LIQUIDATION_MIN_PRICE, the lowest price in FIL per token to sell at',
+      })
+    })
+
+    it('throws for an invalid minimum price', () => {
+      assert.throws(() => parseLiquidation({ LIQUIDATION_MIN_PRICE: '-1' }), {
+        message:
+          'LIQUIDATION_MIN_PRICE must be a non-negative FIL amount, got -1',
+      })
+    })
+  })
+
+  describe('liquidateStrandedTokens', () => {
+    it('does nothing without stranded tokens', async () => {
+      const args = createArgs({ balance: 0n, amountOut: '100' })
+
+      const result = await liquidateStrandedTokens(args)
+
+      assert.equal(result, null)
+      assert.equal(args.getQuote.mock.calls.length, 0)
+    })
+
+    it('sells the whole balance and records it in the ledger', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'liquidation-'))
+      const ledgerPath = join(dir, 'ledger.jsonl')
+      const metrics = createMetrics()
+      const args = createArgs({
+        balance: 2000000000000000000n,
+        amountOut: '1000000000000000000',
+        minPrice: 500000000000000000n,
+      })
+
+      const result = await liquidateStrandedTokens({
+        ...args,
+        ledgerPath,
+        metrics,
+      })
+
+      assert.ok(result)
+      assert.equal(result.swapHash, '0xliquidation')
+      assert.equal(
+        args.getSwap.mock.calls[0].arguments[0].amount,
+        2000000000000000000n,
+      )
+      assert.equal(
+        args.getSwap.mock.calls[0].arguments[0].sender,
+        walletAddress,
+      )
+      assert.equal(args.walletClient.sendTransaction.mock.calls.length, 1)
+      assert.equal(
+        metrics.liquidations.value({ token: 'USDFC', status: 'success' }),
+        1,
+      )
+
+      const [entry] = await readLedger(ledgerPath)
+      assert.equal(entry.type, 'liquidation')
+      assert.equal(entry.filPaid, 1n)
+    })
+
+    it('skips the sale below the minimum price', async () => {
+      const args = createArgs({
+        balance: 2000000000000000000n,
+        amountOut: '1000000000000000000',
+        minPrice: 600000000000000000n,
+      })
+
+      const result = await liquidateStrandedTokens(args)
+
+      assert.equal(result, null)
+      assert.equal(args.getSwap.mock.calls.length, 0)
+      assert.equal(args.walletClient.sendTransaction.mock.calls.length, 0)
+    })
+
+    it('skips the sale when the output does not cover gas', async () => {
+      const args = createArgs({ balance: 10n, amountOut: '5', gasSpent: '5' })
+
+      const result = await liquidateStrandedTokens(args)
+
+      assert.equal(result, null)
+      assert.equal(args.getSwap.mock.calls.length, 0)
+    })
+
+    it('skips the token when the quote amounts are malformed', async () => {
+      for (const quote of [
+        { amountOut: undefined },
+        { amountOut: '1.5' },
+        { amountOut: '100', gasSpent: null },
+        { amountOut: '100', gasSpent: '1e3' },
+      ]) {
+        const args = createArgs({ balance: 10n, ...quote })
+
+        const result = await liquidateStrandedTokens(args)
+
+        assert.equal(result, null)
+        assert.equal(args.getSwap.mock.calls.length, 0)
+      }
+    })
+
+    it('only reports the sale in dry run mode', async () => {
+      const args = createArgs({ balance: 10n, amountOut: '100' })
+
+      const result = await liquidateStrandedTokens({ ...args, dryRun: true })
+
+      assert.equal(result, null)
+      assert.equal(args.getSwap.mock.calls.length, 1)
+      assert.equal(args.walletClient.sendTransaction.mock.calls.length, 0)
+    })
+  })
+})
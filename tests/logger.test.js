@@ -0,0 +1,102 @@
+import { afterEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  configureLogger,
+  logger,
+  parseLogOptions,
+  withLogContext,
+} from '../lib/logger.js'
+
+describe('logger', () => {
+  afterEach(() => configureLogger({ format: 'pretty', level: 'info' }))
+
+  describe('parseLogOptions', () => {
+    it('defaults to pretty output at info level', () => {
+      assert.deepStrictEqual(parseLogOptions({}), {
+        format: 'pretty',
+        level: 'info',
+      })
+    })
+
+    it('throws for an unknown format or level', () => {
+      assert.throws(() => parseLogOptions({ LOG_FORMAT: 'xml' }), {
+        message: 'LOG_FORMAT must be one of pretty, json, got xml',
+      })
+      assert.throws(() => parseLogOptions({ LOG_LEVEL: 'trace' }), {
+        message: 'LOG_LEVEL must be one of debug, info, warn, error, got trace',
+      })
+    })
+  })
+
+  describe('logger', () => {
+    it('prints only the message in pretty mode', (t) => {
+      const log = t.mock.method(console, 'log', () => {})
+
+      logger.info('Bid transaction: 0xbid', { bidHash: '0xbid' })
+      logger.blank()
+
+      assert.deepStrictEqual(
+        log.mock.calls.map((call) => call.arguments),
+        [['Bid transaction: 0xbid'], []],
+      )
+    })
+
+    it('prints JSON lines with the context and fields', async (t) => {
+      const log = t.mock.method(console, 'log', () => {})
+      const error = t.mock.method(console, 'error', () => {})
+      configureLogger({ format: 'json', level: 'info' })
+
+      await withLogContext({ iteration: 'abc' }, async () => {
+        await withLogContext({ token: 'USDFC' }, async () => {
+          logger.info('Wallet balance', { balance: 10n ** 18n })
+          logger.warn('Swap failed', { error: new Error('reverted') })
+        })
+      })
+      logger.blank()
+
+      assert.equal(log.mock.calls.length, 1)
+      const line = JSON.parse(log.mock.calls[0].arguments[0])
+      assert.equal(typeof line.time, 'string')
+      assert.deepStrictEqual(
+        { ...line, time: undefined },
+        {
+          time: undefined,
+          level: 'info',
+          msg: 'Wallet balance',
+          iteration: 'abc',
+          token: 'USDFC',
+          balance: '1000000000000000000',
+        },
+      )
+      const warning = JSON.parse(error.mock.calls[0].arguments[0])
+      assert.equal(warning.level, 'warn')
+      assert.equal(warning.error.message, 'reverted')
+    })
+
+    it('prints the stack and cause of errors', (t) => {
+      const error = t.mock.method(console, 'error', () => {})
+      configureLogger({ format: 'json', level: 'info' })
+      const cause = new Error('connection refused')
+
+      logger.error('Auction check failed', {
+        error: new Error('RPC request failed', { cause }),
+      })
+
+      const line = JSON.parse(error.mock.calls[0].arguments[0])
+      assert.equal(line.error.message, 'RPC request failed')
+      assert.match(line.error.stack, /^Error: RPC request failed\n\s+at /)
+      assert.equal(line.error.cause.message, 'connection refused')
+      assert.equal(line.error.cause.stack, cause.stack)
+    })
+
+    it('skips lines below the configured level', (t) => {
+      const log = t.mock.method(console, 'log', () => {})
+      configureLogger({ format: 'pretty', level: 'warn' })
+
+      logger.debug('debug')
+      logger.info('info')
+
+      assert.equal(log.mock.calls.length, 0)
+    })
+  })
+})
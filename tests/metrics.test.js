@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  createCounter,
+  createGauge,
+  createHistogram,
+  createMetrics,
+  renderMetrics,
+} from '../lib/metrics.js'
+
+describe('metrics', () => {
+  describe('createCounter', () => {
+    it('renders one series per label set', () => {
+      const counter = createCounter('bids_total', 'Bids placed')
+      counter.inc({ token: 'USDFC' })
+      counter.inc({ token: 'USDFC' })
+      counter.inc({ token: 'FOO' }, 3)
+
+      assert.equal(counter.value({ token: 'USDFC' }), 2)
+      assert.equal(
+        counter.render(),
+        [
+          '# HELP bids_total Bids placed',
+          '# TYPE bids_total counter',
+          'bids_total{token="USDFC"} 2',
+          'bids_total{token="FOO"} 3',
+        ].join('\n'),
+      )
+    })
+  })
+
+  describe('createGauge', () => {
+    it('overwrites the value and escapes labels', () => {
+      const gauge = createGauge('price', 'Price')
+      gauge.set({ token: 'A"B' }, 1)
+      gauge.set({ token: 'A"B' }, 0.5)
+
+      assert.match(gauge.render(), /^price\{token="A\\"B"\} 0\.5$/m)
+    })
+  })
+
+  describe('createHistogram', () => {
+    it('renders cumulative buckets, sum and count', () => {
+      const histogram = createHistogram('duration_seconds', 'Duration', [1, 5])
+      histogram.observe(0.5)
+      histogram.observe(3)
+      histogram.observe(10)
+
+      assert.equal(
+        histogram.render(),
+        [
+          '# HELP duration_seconds Duration',
+          '# TYPE duration_seconds histogram',
+          'duration_seconds_bucket{le="1"} 1',
+          'duration_seconds_bucket{le="5"} 2',
+          'duration_seconds_bucket{le="+Inf"} 3',
+          'duration_seconds_sum 13.5',
+          'duration_seconds_count 3',
+        ].join('\n'),
+      )
+    })
+  })
+
+  describe('renderMetrics', () => {
+    it('renders every bot metric', () => {
+      const output = renderMetrics(createMetrics())
+
+      for (const name of [
+        'auction_bot_wallet_balance_fil',
+        'auction_bot_token_balance',
+        'auction_bot_auction_price_fil',
+        'auction_bot_quote_amount_out_fil',
+        'auction_bot_profitable_checks_total',
+        'auction_bot_unprofitable_checks_total',
+        'auction_bot_bids_submitted_total',
+        'auction_bot_bids_failed_total',
+        'auction_bot_iteration_duration_seconds',
+      ]) {
+        assert.match(output, new RegExp(`^# TYPE ${name} `, 'm'))
+      }
+    })
+  })
+})
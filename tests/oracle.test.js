@@ -0,0 +1,337 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  createPoolReservesSource,
+  createPriceOracle,
+  createReferenceFeedSource,
+  createSushiQuoteSource,
+  parseOracleConfig,
+} from '../lib/oracle.js'
+
+const wfilAddress = '0x60E1773636CF5E4A227d9AC24F20fEca034ee25A'
+const token = {
+  symbol: 'USDFC',
+  address: '0x3333333333333333333333333333333333333333',
+  quoteAddress: '0x4444444444444444444444444444444444444444',
+  decimals: 18,
+}
+const poolAddress = '0x5555555555555555555555555555555555555555'
+
+function createPoolClient(results) {
+  return {
+    readContract: mock.fn(async ({ functionName }) => results[functionName]),
+  }
+}
+
+function createSource(name, amountOut) {
+  return { name, getAmountOut: mock.fn(async () => amountOut) }
+}
+
+describe('oracle', () => {
+  describe('createSushiQuoteSource', () => {
+    it('returns the quoted output', async () => {
+      const getQuote = mock.fn(async () => ({
+        status: 'Success',
+        assumedAmountOut: '42',
+        gasSpent: '1',
+      }))
+      const source = createSushiQuoteSource({ getQuote })
+
+      assert.equal(await source.getAmountOut({ token, amount: 10n }), 42n)
+      assert.equal(
+        getQuote.mock.calls[0].arguments[0].tokenIn,
+        token.quoteAddress,
+      )
+    })
+
+    it('returns null without a route', async () => {
+      const source = createSushiQuoteSource({
+        getQuote: async () => ({ status: 'NoWay' }),
+      })
+
+      assert.equal(await source.getAmountOut({ token, amount: 10n }), null)
+    })
+  })
+
+  describe('createPoolReservesSource', () => {
+    it('quotes v2 pairs along the constant product curve', async () => {
+      const source = createPoolReservesSource({
+        publicClient: createPoolClient({
+          token0: wfilAddress,
+          token1: token.quoteAddress,
+          getReserves: [2000n, 1000n, 0],
+        }),
+        pools: { USDFC: { address: poolAddress, feeBps: 0 } },
+      })
+
+      // 100 in against 1000 reserve, 2000 out reserve
+      assert.equal(await source.getAmountOut({ token, amount: 100n }), 181n)
+    })
+
+    it('quotes v3 pools at the spot price less the fee', async () => {
+      const source = createPoolReservesSource({
+        publicClient: createPoolClient({
+          token0: token.quoteAddress,
+          token1: wfilAddress,
+          // Price of 4 FIL per token
+          slot0: [2n * 2n ** 96n, 0, 0, 0, 0, 0, true],
+          fee: 3000,
+        }),
+        pools: { USDFC: { address: poolAddress, type: 'v3' } },
+      })
+
+      assert.equal(await source.getAmountOut({ token, amount: 1000n }), 3988n)
+    })
+
+    it('returns null for tokens without a pool', async () => {
+      const source = createPoolReservesSource({
+        publicClient: createPoolClient({}),
+        pools: {},
+      })
+
+      assert.equal(await source.getAmountOut({ token, amount: 100n }), null)
+    })
+
+    it('throws when the pool does not contain the token', async () => {
+      const source = createPoolReservesSource({
+        publicClient: createPoolClient({
+          token0: wfilAddress,
+          token1: '0x6666666666666666666666666666666666666666',
+        }),
+        pools: { USDFC: { address: poolAddress } },
+      })
+
+      await assert.rejects(source.getAmountOut({ token, amount: 100n }), {
+        message: `Pool ${poolAddress} does not contain USDFC (${token.quoteAddress})`,
+      })
+    })
+  })
+
+  describe('createReferenceFeedSource', () => {
+    it('reads the price at the configured path', async () => {
+      const fetch = mock.fn(async () => ({
+        ok: true,
+        json: async () => ({ prices: { USDFC: { fil: 0.25 } } }),
+      }))
+      const source = createReferenceFeedSource({
+        url: 'https://prices.example.com/{symbol}',
+        path: 'prices.{symbol}.fil',
+        fetch,
+      })
+
+      assert.equal(
+        await source.getAmountOut({ token, amount: 2000000000000000000n }),
+        500000000000000000n,
+      )
+      assert.equal(
+        fetch.mock.calls[0].arguments[0],
+        'https://prices.example.com/USDFC',
+      )
+      assert.ok(fetch.mock.calls[0].arguments[1].signal instanceof AbortSignal)
+    })
+
+    it('gives up on a feed that does not respond', async () => {
+      const source = createReferenceFeedSource({
+        url: 'https://prices.example.com',
+        path: 'price',
+        timeout: 10,
+        // Never responds, but keeps the test process alive until aborted
+        fetch: (_url, { signal }) =>
+          new Promise((resolve, reject) => {
+            const hang = setTimeout(resolve, 60000)
+            signal.addEventListener('abort', () => {
+              clearTimeout(hang)
+              reject(signal.reason)
+            })
+          }),
+      })
+
+      await assert.rejects(source.getAmountOut({ token, amount: 1n }), {
+        name: 'TimeoutError',
+      })
+    })
+
+    it('inverts feeds quoted in tokens per FIL', async () => {
+      const source = createReferenceFeedSource({
+        url: 'https://prices.example.com',
+        path: 'filecoin.usd',
+        invert: true,
+        fetch: async () => ({
+          ok: true,
+          json: async () => ({ filecoin: { usd: 4 } }),
+        }),
+      })
+
+      assert.equal(
+        await source.getAmountOut({ token, amount: 1000000000000000000n }),
+        250000000000000000n,
+      )
+    })
+
+    it('returns null when the feed has no price', async () => {
+      const source = createReferenceFeedSource({
+        url: 'https://prices.example.com',
+        path: 'missing.price',
+        fetch: async () => ({ ok: true, json: async () => ({}) }),
+      })
+
+      assert.equal(await source.getAmountOut({ token, amount: 1n }), null)
+    })
+
+    it('throws when the feed responds with an error', async () => {
+      const source = createReferenceFeedSource({
+        url: 'https://prices.example.com',
+        path: 'price',
+        fetch: async () => ({ ok: false, status: 503 }),
+      })
+
+      await assert.rejects(source.getAmountOut({ token, amount: 1n }), {
+        message: 'Price feed responded with 503',
+      })
+    })
+  })
+
+  describe('createPriceOracle', () => {
+    it('accepts quotes every source agrees with', async () => {
+      const oracle = createPriceOracle({
+        sources: [createSource('reserves', 1010n), createSource('feed', 990n)],
+        toleranceBps: 200,
+      })
+
+      assert.equal(
+        await oracle.verify({ token, amount: 1n, amountOut: 1000n }),
+        null,
+      )
+    })
+
+    it('rejects quotes a source disagrees with', async () => {
+      const oracle = createPriceOracle({
+        sources: [createSource('reserves', 1010n), createSource('feed', 500n)],
+        toleranceBps: 200,
+      })
+
+      const mismatch = await oracle.verify({
+        token,
+        amount: 1n,
+        amountOut: 1000n,
+      })
+
+      assert.equal(mismatch?.source, 'feed')
+      assert.match(mismatch?.message ?? '', /5000 bps from the quoted/)
+    })
+
+    it('skips failing sources', async () => {
+      const failing = {
+        name: 'feed',
+        getAmountOut: async () => {
+          throw new Error('timeout')
+        },
+      }
+      const oracle = createPriceOracle({
+        sources: [failing, createSource('reserves', 1000n)],
+        toleranceBps: 0,
+      })
+
+      assert.equal(
+        await oracle.verify({ token, amount: 1n, amountOut: 1000n }),
+        null,
+      )
+    })
+
+    it('rejects quotes no source can confirm', async () => {
+      const oracle = createPriceOracle({
+        sources: [createSource('reserves', null)],
+        toleranceBps: 200,
+      })
+
+      const mismatch = await oracle.verify({
+        token,
+        amount: 1n,
+        amountOut: 1000n,
+      })
+
+      assert.equal(mismatch?.source, 'none')
+    })
+  })
+
+  describe('parseOracleConfig', () => {
+    it('is disabled by default', () => {
+      assert.deepStrictEqual(parseOracleConfig({}), {
+        sources: [],
+        toleranceBps: 200,
+        pools: {},
+        feed: null,
+      })
+    })
+
+    it('parses sources, pools and the feed', () => {
+      const config = parseOracleConfig({
+        ORACLE_SOURCES: 'reserves, feed',
+        ORACLE_TOLERANCE_BPS: '100',
+        ORACLE_POOLS: `{"USDFC":{"address":"${poolAddress}"}}`,
+        PRICE_FEED_URL: 'https://prices.example.com',
+        PRICE_FEED_PATH: 'price',
+        PRICE_FEED_INVERT: 'true',
+      })
+
+      assert.deepStrictEqual(config.sources, ['reserves', 'feed'])
+      assert.equal(config.toleranceBps, 100)
+      assert.deepStrictEqual(config.pools, { USDFC: { address: poolAddress } })
+      assert.deepStrictEqual(config.feed, {
+        url: 'https://prices.example.com',
+        path: 'price',
+        invert: true,
+      })
+    })
+
+    it('throws for unknown sources', () => {
+      assert.throws(() => parseOracleConfig({ ORACLE_SOURCES: 'chainlink' }), {
+        message:
+          'ORACLE_SOURCES must list sushi, reserves or feed, got chainlink',
+      })
+    })
+
+    it('requires pools for the reserves source', () => {
+      assert.throws(() => parseOracleConfig({ ORACLE_SOURCES: 'reserves' }), {
+        message: 'ORACLE_POOLS is required for the reserves price source',
+      })
+    })
+
+    it('throws for pools that are not an object', () => {
+      assert.throws(() => parseOracleConfig({ ORACLE_POOLS: '[]' }), {
+        message: 'ORACLE_POOLS must be a JSON object keyed by token symbol',
+      })
+    })
+
+    it('throws for invalid pool addresses', () => {
+      assert.throws(
+        () =>
+          parseOracleConfig({ ORACLE_POOLS: '{"USDFC":{"address":"0x1"}}' }),
+        { message: 'ORACLE_POOLS pool for USDFC is not a valid address: 0x1' },
+      )
+      assert.throws(() => parseOracleConfig({ ORACLE_POOLS: '{"USDFC":{}}' }), {
+        message:
+          'ORACLE_POOLS pool for USDFC is not a valid address: undefined',
+      })
+    })
+
+    it('throws for unknown pool types and invalid fees', () => {
+      assert.throws(
+        () =>
+          parseOracleConfig({
+            ORACLE_POOLS: `{"USDFC":{"address":"${poolAddress}","type":"v4"}}`,
+          }),
+        {
+          message: 'ORACLE_POOLS pool type for USDFC must be v2 or v3, got v4',
+        },
+      )
+      assert.throws(
+        () =>
+          parseOracleConfig({
+            ORACLE_POOLS: `{"USDFC":{"address":"${poolAddress}","feeBps":"30"}}`,
+          }),
+        { message: /^ORACLE_POOLS fee for USDFC must be an integer/ },
+      )
+    })
+  })
+})
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseEther } from 'viem'
+import {
+  checkRiskLimits,
+  createSpendTracker,
+  parseRiskLimits,
+} from '../lib/risk.js'
+
+const noLimits = {
+  minProfit: 0n,
+  minMarginBps: 0n,
+  maxBidSpend: null,
+  maxDailySpend: null,
+  minReserve: 0n,
+}
+
+describe('risk', () => {
+  describe('parseRiskLimits', () => {
+    it('defaults to no limits', () => {
+      assert.deepStrictEqual(parseRiskLimits({}), noLimits)
+    })
+
+    it('parses FIL amounts and basis points', () => {
+      assert.deepStrictEqual(
+        parseRiskLimits({
+          MIN_PROFIT: '0.5',
+          MIN_MARGIN_BPS: '200',
+          MAX_BID_SPEND: '100',
+          MAX_DAILY_SPEND: '250',
+          MIN_RESERVE: '10',
+        }),
+        {
+          minProfit: parseEther('0.5'),
+          minMarginBps: 200n,
+          maxBidSpend: parseEther('100'),
+          maxDailySpend: parseEther('250'),
+          minReserve: parseEther('10'),
+        },
+      )
+    })
+
+    it('names the variable in errors', () => {
+      assert.throws(() => parseRiskLimits({ MAX_BID_SPEND: 'lots' }), {
+        message: 'MAX_BID_SPEND must be a non-negative FIL amount, got lots',
+      })
+      assert.throws(() => parseRiskLimits({ MIN_MARGIN_BPS: '1.5' }), {
+        message: 'MIN_MARGIN_BPS must be a non-negative integer, got 1.5',
+      })
+    })
+  })
+
+  describe('checkRiskLimits', () => {
+    const bid = {
+      profit: 10n,
+      totalCost: 100n,
+      balance: 1000n,
+      spentLast24h: 0n,
+    }
+
+    it('passes when no limit is set', () => {
+      assert.equal(checkRiskLimits({ limits: noLimits, ...bid }), null)
+    })
+
+    it('reports which limit blocked the bid', () => {
+      const cases = [
+        [{ minProfit: 11n }, 'MIN_PROFIT'],
+        [{ minMarginBps: 1001n }, 'MIN_MARGIN_BPS'],
+        [{ maxBidSpend: 99n }, 'MAX_BID_SPEND'],
+        [{ maxDailySpend: 99n }, 'MAX_DAILY_SPEND'],
+        [{ minReserve: 901n }, 'MIN_RESERVE'],
+      ]
+
+      for (const [limits, expected] of cases) {
+        const blocked = checkRiskLimits({
+          limits: { ...noLimits, ...limits },
+          ...bid,
+        })
+        assert.equal(blocked?.limit, expected)
+      }
+    })
+
+    it('counts earlier spend against the daily limit', () => {
+      const blocked = checkRiskLimits({
+        limits: { ...noLimits, maxDailySpend: 150n },
+        ...bid,
+        spentLast24h: 60n,
+      })
+      assert.equal(blocked?.limit, 'MAX_DAILY_SPEND')
+    })
+  })
+
+  describe('createSpendTracker', () => {
+    it('sums spend within the last 24 hours, seeded from the ledger', () => {
+      const now = Date.parse('2025-01-02T12:00:00.000Z')
+      const tracker = createSpendTracker([
+        { type: 'trade', timestamp: '2025-01-01T00:00:00.000Z', filPaid: 5n },
+        { type: 'trade', timestamp: '2025-01-02T00:00:00.000Z', filPaid: 7n },
+        { type: 'evaluation', timestamp: '2025-01-02T00:00:00.000Z' },
+      ])
+      tracker.record(3n, now - 1000)
+
+      assert.equal(tracker.spentLast24h(now), 10n)
+    })
+  })
+})
@@ -0,0 +1,306 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { encodeFunctionData, toEventSelector } from 'viem'
+import { payments } from '@filoz/synapse-core/abis'
+import {
+  createRivalWatcher,
+  decodeRivalBid,
+  getOutbidFees,
+  parseRivalOptions,
+} from '../lib/rivals.js'
+import { readLedger } from '../lib/ledger.js'
+import { createMetrics } from '../lib/metrics.js'
+
+const walletAddress = '0x1111111111111111111111111111111111111111'
+const paymentsAddress = '0x2222222222222222222222222222222222222222'
+const rivalAddress = '0x9999999999999999999999999999999999999999'
+const token = {
+  symbol: 'USDFC',
+  address: '0x3333333333333333333333333333333333333333',
+  quoteAddress: '0x4444444444444444444444444444444444444444',
+  decimals: 18,
+}
+const rivalHash = `0x${'a'.repeat(64)}`
+
+/**
+ * @param {object} [overrides]
+ * @returns {object}
+ */
+function createBidTransaction(overrides = {}) {
+  return {
+    hash: rivalHash,
+    from: rivalAddress,
+    to: paymentsAddress,
+    input: encodeFunctionData({
+      abi: payments,
+      functionName: 'burnForFees',
+      args: [token.address, rivalAddress, 5n],
+    }),
+    value: 100n,
+    maxFeePerGas: 200n,
+    maxPriorityFeePerGas: 20n,
+    ...overrides,
+  }
+}
+
+/**
+ * Public client that hands the watcher's callbacks to the test
+ *
+ * @param {object} [methods]
+ */
+function createWatchingClient(methods = {}) {
+  const watchers = {}
+  const publicClient = {
+    watchPendingTransactions: mock.fn((options) => {
+      watchers.pending = options
+      return mock.fn()
+    }),
+    watchEvent: mock.fn((options) => {
+      watchers.event = options
+      return mock.fn()
+    }),
+    ...methods,
+  }
+  return { publicClient, watchers }
+}
+
+describe('rivals', () => {
+  describe('parseRivalOptions', () => {
+    it('does not watch by default', () => {
+      assert.deepStrictEqual(parseRivalOptions({}), {
+        watch: false,
+        outbid: false,
+        outbidPercent: 10,
+      })
+    })
+
+    it('throws when outbidding without watching', () => {
+      assert.throws(() => parseRivalOptions({ OUTBID_RIVALS: 'true' }), {
+        message: 'OUTBID_RIVALS requires WATCH_RIVALS',
+      })
+    })
+
+    it('throws for an invalid OUTBID_PERCENT', () => {
+      assert.throws(() => parseRivalOptions({ OUTBID_PERCENT: '0' }), {
+        message: 'OUTBID_PERCENT must be a positive integer, got 0',
+      })
+    })
+  })
+
+  describe('decodeRivalBid', () => {
+    it('decodes a burnForFees call for a monitored token', () => {
+      const rival = decodeRivalBid({
+        transaction: createBidTransaction(),
+        paymentsAddress,
+        tokens: [token],
+      })
+
+      assert.deepStrictEqual(rival, {
+        stage: 'pending',
+        token,
+        hash: rivalHash,
+        bidder: rivalAddress,
+        amount: 5n,
+        maxFeePerGas: 200n,
+        maxPriorityFeePerGas: 20n,
+      })
+    })
+
+    it('ignores other calls and tokens', () => {
+      const otherToken = { ...token, address: rivalAddress }
+
+      assert.equal(
+        decodeRivalBid({
+          transaction: createBidTransaction({ to: rivalAddress }),
+          paymentsAddress,
+          tokens: [token],
+        }),
+        null,
+      )
+      assert.equal(
+        decodeRivalBid({
+          transaction: createBidTransaction(),
+          paymentsAddress,
+          tokens: [otherToken],
+        }),
+        null,
+      )
+    })
+  })
+
+  describe('getOutbidFees', () => {
+    it('raises both fees above the rival', () => {
+      const rival = decodeRivalBid({
+        transaction: createBidTransaction(),
+        paymentsAddress,
+        tokens: [token],
+      })
+
+      assert.deepStrictEqual(getOutbidFees(rival, 10), {
+        maxFeePerGas: 221n,
+        maxPriorityFeePerGas: 23n,
+      })
+    })
+  })
+
+  describe('createRivalWatcher', () => {
+    it('reports pending rival bids and remembers them per token', async () => {
+      const { publicClient, watchers } = createWatchingClient({
+        getTransaction: mock.fn(async () => createBidTransaction()),
+      })
+      const metrics = createMetrics()
+      const onRival = mock.fn()
+      const rivals = createRivalWatcher({
+        publicClient,
+        paymentsAddress,
+        tokens: [token],
+        ownAddresses: [walletAddress],
+        onRival,
+        metrics,
+      })
+
+      await watchers.pending.onTransactions([rivalHash])
+      // The same transaction seen again is not reported twice
+      await watchers.pending.onTransactions([rivalHash])
+
+      assert.equal(onRival.mock.calls.length, 1)
+      assert.equal(rivals.pendingBid(token.address).hash, rivalHash)
+      assert.equal(
+        metrics.rivalBids.value({ token: 'USDFC', stage: 'pending' }),
+        1,
+      )
+    })
+
+    it('ignores our own pending bids', async () => {
+      const { publicClient, watchers } = createWatchingClient({
+        getTransaction: mock.fn(async () =>
+          createBidTransaction({ from: walletAddress }),
+        ),
+      })
+      const onRival = mock.fn()
+      const rivals = createRivalWatcher({
+        publicClient,
+        paymentsAddress,
+        tokens: [token],
+        ownAddresses: [walletAddress],
+        onRival,
+      })
+
+      await watchers.pending.onTransactions([rivalHash])
+
+      assert.equal(onRival.mock.calls.length, 0)
+      assert.equal(rivals.pendingBid(token.address), null)
+    })
+
+    it('forgets pending bids that never land', async () => {
+      let time = 0
+      const { publicClient, watchers } = createWatchingClient({
+        getTransaction: mock.fn(async () => createBidTransaction()),
+      })
+      const rivals = createRivalWatcher({
+        publicClient,
+        paymentsAddress,
+        tokens: [token],
+        ownAddresses: [walletAddress],
+        maxPendingAge: 1000,
+        now: () => time,
+      })
+
+      await watchers.pending.onTransactions([rivalHash])
+      time = 1001
+
+      assert.equal(rivals.pendingBid(token.address), null)
+    })
+
+    it('records auctions lost to landed rival bids', async () => {
+      const ledgerPath = join(
+        await mkdtemp(join(tmpdir(), 'ledger-')),
+        'ledger.jsonl',
+      )
+      const { publicClient, watchers } = createWatchingClient({
+        getTransaction: mock.fn(async () => createBidTransaction()),
+        getTransactionReceipt: mock.fn(async () => ({
+          from: rivalAddress,
+          logs: [],
+        })),
+      })
+      const metrics = createMetrics()
+      const rivals = createRivalWatcher({
+        publicClient,
+        paymentsAddress,
+        tokens: [token],
+        ownAddresses: [walletAddress],
+        metrics,
+        ledgerPath,
+      })
+      await watchers.pending.onTransactions([rivalHash])
+
+      await watchers.event.onLogs([
+        {
+          address: token.address,
+          transactionHash: rivalHash,
+          args: { from: paymentsAddress, to: rivalAddress, value: 5n },
+        },
+      ])
+
+      assert.deepStrictEqual(watchers.event.args, { from: paymentsAddress })
+      assert.equal(rivals.pendingBid(token.address), null)
+      assert.equal(metrics.auctionsLost.value({ token: 'USDFC' }), 1)
+      const [entry] = await readLedger(ledgerPath)
+      assert.equal(entry.type, 'rival-bid')
+      assert.equal(entry.hash, rivalHash)
+      assert.equal(entry.bidder, rivalAddress)
+      assert.equal(entry.amount, 5n)
+    })
+
+    it('ignores withdrawals and our own bids landing', async () => {
+      const withdrawHash = `0x${'b'.repeat(64)}`
+      const ownHash = `0x${'c'.repeat(64)}`
+      const receipts = {
+        [withdrawHash]: {
+          from: rivalAddress,
+          logs: [
+            {
+              address: paymentsAddress,
+              topics: [
+                toEventSelector(
+                  'WithdrawRecorded(address,address,address,uint256)',
+                ),
+              ],
+            },
+          ],
+        },
+        [ownHash]: { from: walletAddress, logs: [] },
+      }
+      const { publicClient, watchers } = createWatchingClient({
+        getTransactionReceipt: mock.fn(async ({ hash }) => receipts[hash]),
+      })
+      const metrics = createMetrics()
+      createRivalWatcher({
+        publicClient,
+        paymentsAddress,
+        tokens: [token],
+        ownAddresses: [walletAddress],
+        metrics,
+      })
+
+      await watchers.event.onLogs([
+        {
+          address: token.address,
+          transactionHash: withdrawHash,
+          args: { to: rivalAddress, value: 5n },
+        },
+        {
+          address: token.address,
+          transactionHash: ownHash,
+          args: { to: walletAddress, value: 5n },
+        },
+      ])
+
+      assert.equal(metrics.auctionsLost.value({ token: 'USDFC' }), 0)
+    })
+  })
+})
@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { HALVING_SECONDS, auctionPriceAt } from '@filoz/synapse-core/auction'
+import { findBreakEvenTime, getNextCheckDelay } from '../lib/scheduler.js'
+
+describe('scheduler', () => {
+  describe('findBreakEvenTime', () => {
+    const auction = {
+      token: '0x3333333333333333333333333333333333333333',
+      startPrice: 1000000000000000000n,
+      startTime: 1700000000n,
+    }
+
+    it('returns the start time when already below target', () => {
+      assert.equal(
+        findBreakEvenTime(auction, auction.startPrice),
+        auction.startTime,
+      )
+    })
+
+    it('finds the first second the price is at or below target', () => {
+      const target = auction.startPrice / 2n
+      const time = findBreakEvenTime(auction, target)
+
+      assert.ok(time)
+      assert.ok(auctionPriceAt(auction, time) <= target)
+      assert.ok(auctionPriceAt(auction, time - 1n) > target)
+      // One halving, give or take rounding in the fixed point math
+      const elapsed = time - auction.startTime
+      assert.ok(elapsed >= HALVING_SECONDS - 1n && elapsed <= HALVING_SECONDS)
+    })
+
+    it('returns null for a negative target', () => {
+      assert.equal(findBreakEvenTime(auction, -1n), null)
+    })
+  })
+
+  describe('getNextCheckDelay', () => {
+    const schedule = {
+      delay: 600000,
+      fastDelay: 30000,
+      maxDelay: 3600000,
+      window: 300000,
+    }
+    const now = 1700000000000
+
+    it('falls back to the default delay without break-even times', () => {
+      assert.equal(
+        getNextCheckDelay({ breakEvenTimes: [], now, schedule }),
+        600000,
+      )
+    })
+
+    it('sleeps until the window before the earliest break-even', () => {
+      const breakEvenTimes = [
+        BigInt((now + 3000000) / 1000),
+        BigInt((now + 1000000) / 1000),
+      ]
+      assert.equal(getNextCheckDelay({ breakEvenTimes, now, schedule }), 700000)
+    })
+
+    it('caps the sleep at the maximum delay', () => {
+      const breakEvenTimes = [BigInt((now + 86400000) / 1000)]
+      assert.equal(
+        getNextCheckDelay({ breakEvenTimes, now, schedule }),
+        3600000,
+      )
+    })
+
+    it('polls quickly around the break-even time', () => {
+      for (const offset of [200000, 0, -200000]) {
+        const breakEvenTimes = [BigInt((now + offset) / 1000)]
+        assert.equal(
+          getNextCheckDelay({ breakEvenTimes, now, schedule }),
+          30000,
+        )
+      }
+    })
+
+    it('ignores break-even times well in the past', () => {
+      const breakEvenTimes = [BigInt((now - 600000) / 1000)]
+      assert.equal(getNextCheckDelay({ breakEvenTimes, now, schedule }), 600000)
+    })
+  })
+})
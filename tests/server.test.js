@@ -0,0 +1,50 @@
+import { describe, it, after, before } from 'node:test'
+import assert from 'node:assert/strict'
+import { createMetrics } from '../lib/metrics.js'
+import { startServer } from '../lib/server.js'
+
+describe('server', () => {
+  let server
+  let baseUrl
+  let ready = false
+  const metrics = createMetrics()
+
+  before(async () => {
+    server = await startServer({ port: 0, metrics, isReady: () => ready })
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+  })
+
+  after(() => {
+    server.close()
+  })
+
+  it('responds to /healthz', async () => {
+    const res = await fetch(`${baseUrl}/healthz`)
+    assert.equal(res.status, 200)
+  })
+
+  it('reports readiness from isReady', async () => {
+    ready = false
+    assert.equal((await fetch(`${baseUrl}/readyz`)).status, 503)
+
+    ready = true
+    assert.equal((await fetch(`${baseUrl}/readyz`)).status, 200)
+  })
+
+  it('serves metrics in the Prometheus text format', async () => {
+    metrics.bidsSubmitted.inc({ token: 'USDFC' })
+
+    const res = await fetch(`${baseUrl}/metrics`)
+    assert.equal(res.status, 200)
+    assert.match(res.headers.get('content-type'), /^text\/plain/)
+    assert.match(
+      await res.text(),
+      /^auction_bot_bids_submitted_total\{token="USDFC"\} 1$/m,
+    )
+  })
+
+  it('returns 404 for unknown paths', async () => {
+    const res = await fetch(`${baseUrl}/unknown`)
+    assert.equal(res.status, 404)
+  })
+})
@@ -0,0 +1,221 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  createCipheriv,
+  pbkdf2Sync,
+  randomBytes,
+  scryptSync,
+} from 'node:crypto'
+import { mkdtemp, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { concat, custom, keccak256, parseGwei } from 'viem'
+import { privateKeyToAccount, sign } from 'viem/accounts'
+import {
+  createRemoteSigner,
+  createSigner,
+  decryptKeystore,
+  fromDigestSigner,
+  parseSignerOptions,
+} from '../lib/signer.js'
+
+const privateKey = `0x${'11'.repeat(32)}`
+const account = privateKeyToAccount(privateKey)
+const transaction = {
+  chainId: 314159,
+  type: 'eip1559',
+  to: '0x2222222222222222222222222222222222222222',
+  value: 1n,
+  nonce: 5,
+  gas: 21000n,
+  maxFeePerGas: parseGwei('2'),
+  maxPriorityFeePerGas: parseGwei('1'),
+}
+
+/**
+ * Encrypt `privateKey` the way geth does, with cheap KDF parameters
+ *
+ * @param {string} password
+ * @param {'scrypt' | 'pbkdf2'} [kdf]
+ */
+function createKeystore(password, kdf = 'scrypt') {
+  const salt = randomBytes(32)
+  const iv = randomBytes(16)
+  const kdfparams =
+    kdf === 'scrypt'
+      ? { n: 1024, r: 8, p: 1, dklen: 32, salt: salt.toString('hex') }
+      : { c: 1000, dklen: 32, prf: 'hmac-sha256', salt: salt.toString('hex') }
+  const derivedKey =
+    kdf === 'scrypt'
+      ? scryptSync(password, salt, 32, { N: 1024, r: 8, p: 1 })
+      : pbkdf2Sync(password, salt, 1000, 32, 'sha256')
+  const cipher = createCipheriv('aes-128-ctr', derivedKey.subarray(0, 16), iv)
+  const ciphertext = Buffer.concat([
+    cipher.update(Buffer.from(privateKey.slice(2), 'hex')),
+    cipher.final(),
+  ])
+
+  return {
+    version: 3,
+    address: account.address.slice(2).toLowerCase(),
+    crypto: {
+      cipher: 'aes-128-ctr',
+      cipherparams: { iv: iv.toString('hex') },
+      ciphertext: ciphertext.toString('hex'),
+      kdf,
+      kdfparams,
+      mac: keccak256(concat([derivedKey.subarray(16, 32), ciphertext])).slice(
+        2,
+      ),
+    },
+  }
+}
+
+describe('signer', () => {
+  describe('parseSignerOptions', () => {
+    it('uses PRIVATE_KEY when no SIGNER is set', () => {
+      assert.deepStrictEqual(parseSignerOptions({ PRIVATE_KEY: privateKey }), {
+        type: 'private-key',
+        privateKey,
+      })
+      assert.equal(parseSignerOptions({}), null)
+    })
+
+    it('parses a keystore signer', () => {
+      assert.deepStrictEqual(
+        parseSignerOptions({
+          SIGNER: 'keystore',
+          KEYSTORE_PATH: '/keys/bot.json',
+          KEYSTORE_PASSWORD_FILE: '/secrets/password',
+        }),
+        {
+          type: 'keystore',
+          path: '/keys/bot.json',
+          password: null,
+          passwordFile: '/secrets/password',
+        },
+      )
+    })
+
+    it('throws for missing or invalid settings', () => {
+      assert.throws(() => parseSignerOptions({ SIGNER: 'keystore' }), {
+        message: 'SIGNER=keystore requires KEYSTORE_PATH',
+      })
+      assert.throws(() => parseSignerOptions({ SIGNER: 'remote' }), {
+        message: 'SIGNER=remote requires REMOTE_SIGNER_URL',
+      })
+      assert.throws(() => parseSignerOptions({ SIGNER: 'ledger' }), {
+        message:
+          'SIGNER must be one of private-key, keystore, remote, got ledger',
+      })
+      assert.throws(() => parseSignerOptions({ PRIVATE_KEY: '0x1234' }), {
+        message: 'PRIVATE_KEY must be 0x followed by 64 hex characters',
+      })
+    })
+  })
+
+  describe('decryptKeystore', () => {
+    it('decrypts scrypt and pbkdf2 keystores', async () => {
+      assert.equal(
+        await decryptKeystore(createKeystore('secret'), 'secret'),
+        privateKey,
+      )
+      assert.equal(
+        await decryptKeystore(createKeystore('secret', 'pbkdf2'), 'secret'),
+        privateKey,
+      )
+    })
+
+    it('throws for a wrong password', async () => {
+      await assert.rejects(decryptKeystore(createKeystore('secret'), 'guess'), {
+        message: 'Wrong keystore password',
+      })
+    })
+  })
+
+  describe('createSigner', () => {
+    it('reads the keystore password from a file', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'signer-'))
+      await writeFile(
+        join(dir, 'keystore.json'),
+        JSON.stringify(createKeystore('secret')),
+      )
+      await writeFile(join(dir, 'password'), 'secret\n')
+
+      const signer = await createSigner({
+        type: 'keystore',
+        path: join(dir, 'keystore.json'),
+        password: null,
+        passwordFile: join(dir, 'password'),
+      })
+
+      assert.equal(signer.address, account.address)
+    })
+  })
+
+  describe('fromDigestSigner', () => {
+    it('signs like the key it wraps', async () => {
+      // Stand-in for a KMS that holds the key and signs digests
+      const kms = {
+        address: account.address,
+        sign: mock.fn((digest) =>
+          sign({ hash: digest, privateKey, to: 'hex' }),
+        ),
+      }
+      const signer = fromDigestSigner(kms)
+
+      assert.equal(
+        await signer.signTransaction(transaction),
+        await account.signTransaction(transaction),
+      )
+      assert.equal(
+        await signer.signMessage({ message: 'hello' }),
+        await account.signMessage({ message: 'hello' }),
+      )
+      assert.equal(kms.sign.mock.calls.length, 2)
+    })
+  })
+
+  describe('createRemoteSigner', () => {
+    it('signs transactions through eth_signTransaction', async () => {
+      const signed = await account.signTransaction(transaction)
+      const request = mock.fn(async ({ method }) =>
+        method === 'eth_accounts' ? [account.address.toLowerCase()] : signed,
+      )
+      const signer = await createRemoteSigner({
+        transport: custom({ request }),
+      })
+
+      assert.equal(signer.address, account.address)
+      assert.equal(await signer.signTransaction(transaction), signed)
+      const [{ method, params }] = request.mock.calls[1].arguments
+      assert.equal(method, 'eth_signTransaction')
+      assert.deepStrictEqual(params[0], {
+        from: account.address,
+        to: transaction.to,
+        value: '0x1',
+        nonce: '0x5',
+        gas: '0x5208',
+        maxFeePerGas: '0x77359400',
+        maxPriorityFeePerGas: '0x3b9aca00',
+        type: '0x2',
+        chainId: '0x4cb2f',
+      })
+    })
+
+    it('throws when the signer does not hold the address', async () => {
+      const request = mock.fn(async () => [account.address])
+
+      await assert.rejects(
+        createRemoteSigner({
+          transport: custom({ request }),
+          address: '0x2222222222222222222222222222222222222222',
+        }),
+        {
+          message:
+            'Remote signer does not hold 0x2222222222222222222222222222222222222222',
+        },
+      )
+    })
+  })
+})
@@ -0,0 +1,167 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  DEFAULT_BID_SIZES_BPS,
+  getBidCandidates,
+  parseBidSizes,
+  sizeBid,
+} from '../lib/sizing.js'
+
+describe('sizing', () => {
+  describe('parseBidSizes', () => {
+    it('returns defaults when unset', () => {
+      assert.deepStrictEqual(parseBidSizes(undefined), DEFAULT_BID_SIZES_BPS)
+    })
+
+    it('parses a comma separated list', () => {
+      assert.deepStrictEqual(parseBidSizes('10000, 5000'), [10000, 5000])
+    })
+
+    it('throws for out of range values', () => {
+      assert.throws(() => parseBidSizes('10000,20000'), {
+        message:
+          'BID_SIZES_BPS must be integers between 1 and 10000, got 10000,20000',
+      })
+    })
+  })
+
+  describe('getBidCandidates', () => {
+    it('returns distinct non-zero amounts, largest first', () => {
+      assert.deepStrictEqual(getBidCandidates(100n, [5000, 10000, 5000, 1]), [
+        100n,
+        50n,
+      ])
+    })
+  })
+
+  describe('sizeBid', () => {
+    it('picks the amount with the highest net profit', async () => {
+      // Shallow pool: selling everything gets barely more than selling half
+      const outputs = new Map([
+        [100n, '105'],
+        [50n, '104'],
+      ])
+      const getQuote = mock.fn(async ({ amount }) => ({
+        status: 'Success',
+        assumedAmountOut: outputs.get(amount),
+        gasSpent: amount === 100n ? '5' : '1',
+      }))
+
+      const { best, evaluations } = await sizeBid({
+        quoteAddress: '0x4444444444444444444444444444444444444444',
+        availableFees: 100n,
+        auctionPrice: 90n,
+        bidGasCost: 2n,
+        gasPrice: 1n,
+        swapEnabled: true,
+        sizesBps: [10000, 5000],
+        slippage: { base: 0, auto: false, max: 0 },
+        getQuote,
+      })
+
+      assert.equal(getQuote.mock.calls.length, 2)
+      assert.equal(evaluations.length, 2)
+      assert.ok(best)
+      assert.equal(best.amount, 50n)
+      assert.equal(best.totalCost, 93n)
+      assert.equal(best.profit, 11n)
+    })
+
+    it('values the swap at its worst-case output', async () => {
+      const getQuote = mock.fn(async () => ({
+        status: 'Success',
+        assumedAmountOut: '10000',
+        gasSpent: '0',
+        priceImpact: 0.02,
+      }))
+
+      const args = {
+        quoteAddress: '0x4444444444444444444444444444444444444444',
+        availableFees: 100n,
+        auctionPrice: 1n,
+        bidGasCost: 0n,
+        gasPrice: 1n,
+        swapEnabled: false,
+        sizesBps: [10000],
+        getQuote,
+      }
+
+      const fixed = await sizeBid({
+        ...args,
+        slippage: { base: 0.01, auto: false, max: 0.05 },
+      })
+      assert.equal(getQuote.mock.calls[0].arguments[0].maxSlippage, 0.01)
+      assert.equal(fixed.best?.slippage, 0.01)
+      assert.equal(fixed.best?.swapAmountOut, 9900n)
+
+      const auto = await sizeBid({
+        ...args,
+        slippage: { base: 0.01, auto: true, max: 0.05 },
+      })
+      assert.equal(auto.best?.slippage, 0.03)
+      assert.equal(auto.best?.swapAmountOut, 9700n)
+    })
+
+    it('skips failed quotes and reports their status', async () => {
+      const getQuote = mock.fn(async ({ amount }) =>
+        amount === 100n
+          ? { status: 'NoWay' }
+          : { status: 'Success', assumedAmountOut: '10', gasSpent: '0' },
+      )
+
+      const { best, failedStatus } = await sizeBid({
+        quoteAddress: '0x4444444444444444444444444444444444444444',
+        availableFees: 100n,
+        auctionPrice: 1n,
+        bidGasCost: 0n,
+        gasPrice: 1n,
+        swapEnabled: false,
+        sizesBps: [10000, 5000],
+        getQuote,
+      })
+
+      assert.equal(failedStatus, 'NoWay')
+      assert.ok(best)
+      assert.equal(best.amount, 50n)
+    })
+
+    it('treats malformed quotes as failed', async () => {
+      const getQuote = mock.fn(async () => ({
+        status: 'Success',
+        assumedAmountOut: '1e21',
+        gasSpent: '0',
+      }))
+
+      const { best, failedStatus } = await sizeBid({
+        quoteAddress: '0x4444444444444444444444444444444444444444',
+        availableFees: 100n,
+        auctionPrice: 1n,
+        bidGasCost: 0n,
+        gasPrice: 1n,
+        swapEnabled: false,
+        sizesBps: [10000],
+        getQuote,
+      })
+
+      assert.equal(best, null)
+      assert.equal(failedStatus, 'Invalid')
+    })
+
+    it('returns no bid when every quote fails', async () => {
+      const getQuote = mock.fn(async () => ({ status: 'NoWay' }))
+
+      const { best, failedStatus } = await sizeBid({
+        quoteAddress: '0x4444444444444444444444444444444444444444',
+        availableFees: 100n,
+        auctionPrice: 1n,
+        bidGasCost: 0n,
+        gasPrice: 1n,
+        swapEnabled: false,
+        getQuote,
+      })
+
+      assert.equal(best, null)
+      assert.equal(failedStatus, 'NoWay')
+    })
+  })
+})
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  DEFAULT_MAX_AUTO_SLIPPAGE,
+  DEFAULT_SLIPPAGE,
+  getAmountOutMin,
+  getSlippage,
+  parseSlippage,
+} from '../lib/slippage.js'
+
+describe('slippage', () => {
+  describe('parseSlippage', () => {
+    it('returns defaults when unset', () => {
+      assert.deepStrictEqual(parseSlippage({}), {
+        base: DEFAULT_SLIPPAGE,
+        auto: false,
+        max: DEFAULT_MAX_AUTO_SLIPPAGE,
+      })
+    })
+
+    it('parses configured values', () => {
+      assert.deepStrictEqual(
+        parseSlippage({
+          SLIPPAGE: '0.01',
+          AUTO_SLIPPAGE: 'true',
+          MAX_AUTO_SLIPPAGE: '0.05',
+        }),
+        { base: 0.01, auto: true, max: 0.05 },
+      )
+    })
+
+    it('throws for values that are not fractions', () => {
+      assert.throws(() => parseSlippage({ SLIPPAGE: '5' }), {
+        message:
+          'SLIPPAGE must be a fraction between 0 and 1 (e.g. 0.005 for 0.5%), got 5',
+      })
+    })
+
+    it('throws when the automatic maximum is below the base', () => {
+      assert.throws(
+        () => parseSlippage({ SLIPPAGE: '0.02', MAX_AUTO_SLIPPAGE: '0.01' }),
+        {
+          message: 'MAX_AUTO_SLIPPAGE (0.01) must not be below SLIPPAGE (0.02)',
+        },
+      )
+    })
+  })
+
+  describe('getSlippage', () => {
+    it('ignores price impact unless automatic', () => {
+      assert.equal(
+        getSlippage({ base: 0.005, auto: false, max: 0.03 }, 0.1),
+        0.005,
+      )
+    })
+
+    it('adds price impact to the base and caps it', () => {
+      const options = { base: 0.005, auto: true, max: 0.03 }
+      assert.equal(getSlippage(options, 0.01), 0.015)
+      assert.equal(getSlippage(options, 0.1), 0.03)
+      assert.equal(getSlippage(options), 0.005)
+    })
+  })
+
+  describe('getAmountOutMin', () => {
+    it('deducts the tolerance from the quoted output', () => {
+      assert.equal(getAmountOutMin(1000000n, 0.005), 995000n)
+      assert.equal(getAmountOutMin(1000n, 0), 1000n)
+    })
+  })
+})
@@ -1,8 +1,9 @@
-import { describe, it } from 'node:test'
+import { describe, it, mock } from 'node:test'
 import assert from 'node:assert/strict'
 import {
   getQuote,
   discoverSushiswapRouter,
+  getSwapAmounts,
   SUSHISWAP_NATIVE_PLACEHOLDER,
 } from '../lib/swap.js'
 
@@ -21,6 +22,23 @@ describe('swap', () => {
         },
       )
     })
+
+    it('asks another Sushiswap API when given one', async (t) => {
+      const fetch = t.mock.method(globalThis, 'fetch', async () =>
+        Response.json({ status: 'NoWay' }),
+      )
+      const quote = await getQuote({
+        tokenIn: '0x1234567890123456789012345678901234567890',
+        tokenOut: SUSHISWAP_NATIVE_PLACEHOLDER,
+        amount: 1000n,
+        baseUrl: 'http://127.0.0.1:3000',
+      })
+      assert.deepEqual(quote, { status: 'NoWay' })
+      const url = new URL(fetch.mock.calls[0].arguments[0])
+      assert.equal(url.origin, 'http://127.0.0.1:3000')
+      assert.equal(url.pathname, '/quote/v7/314')
+      assert.equal(url.searchParams.get('amount'), '1000')
+    })
   })
 
   describe('discoverSushiswapRouter', () => {
@@ -33,6 +51,32 @@ describe('swap', () => {
 
       assert.equal(result, null)
     })
+
+    it('returns the router of a mainnet swap route', async () => {
+      const router = '0xAc4c6e212A361c968F1725b4d055b47E63F80b75'
+      const getSwap = mock.fn(async () => ({
+        status: 'Success',
+        tx: { to: router },
+      }))
+      const result = await discoverSushiswapRouter({
+        chainId: 314,
+        tokenIn: '0x1234567890123456789012345678901234567890',
+        sender: '0xabcdefabcdefabcdefabcdefabcdefabcdefabcd',
+        getSwap,
+      })
+
+      assert.equal(result, router)
+      assert.equal(
+        getSwap.mock.calls[0].arguments[0].tokenOut,
+        SUSHISWAP_NATIVE_PLACEHOLDER,
+      )
+    })
+  })
+
+  describe('getSwapAmounts', () => {
+    it('returns null when the receipt has no Route event', () => {
+      assert.equal(getSwapAmounts({ logs: [] }), null)
+    })
   })
 
   describe('SUSHISWAP_NATIVE_PLACEHOLDER', () => {
@@ -0,0 +1,189 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { zeroAddress } from 'viem'
+import {
+  discoverTokens,
+  getTokenRegistry,
+  mergeTokens,
+  parseTokenDefinitions,
+} from '../lib/tokens.js'
+
+describe('tokens', () => {
+  describe('parseTokenDefinitions', () => {
+    it('returns an empty list when unset', () => {
+      assert.deepStrictEqual(parseTokenDefinitions(undefined), [])
+    })
+
+    it('throws for invalid JSON', () => {
+      assert.throws(() => parseTokenDefinitions('not json'), {
+        message: 'TOKENS must be a JSON array of token definitions',
+      })
+    })
+
+    it('throws when addresses are missing', () => {
+      assert.throws(() => parseTokenDefinitions('[{"symbol":"FOO"}]'), {
+        message: 'Token FOO requires an addresses map keyed by chain ID',
+      })
+    })
+
+    it('throws for an invalid address, naming the token and chain', () => {
+      assert.throws(
+        () =>
+          parseTokenDefinitions(
+            '[{"symbol":"FOO","addresses":{"314":"0x1111111111111111111111111111111111111111","314159":"0x123"}}]',
+          ),
+        {
+          message:
+            'Token FOO address on chain 314159 is not a valid address: 0x123',
+        },
+      )
+    })
+
+    it('throws for addresses not keyed by chain ID', () => {
+      assert.throws(
+        () =>
+          parseTokenDefinitions(
+            '[{"symbol":"FOO","addresses":{"mainnet":"0x1111111111111111111111111111111111111111"}}]',
+          ),
+        {
+          message: 'Token FOO addresses must be keyed by chain ID, got mainnet',
+        },
+      )
+    })
+
+    it('throws for an invalid quote address', () => {
+      assert.throws(
+        () =>
+          parseTokenDefinitions(
+            '[{"symbol":"FOO","addresses":{},"quoteAddress":"0xabc"}]',
+          ),
+        { message: 'Token FOO quoteAddress is not a valid address: 0xabc' },
+      )
+    })
+
+    it('throws for invalid decimals', () => {
+      for (const decimals of ['"18"', '1.5', '-1', '256']) {
+        assert.throws(
+          () =>
+            parseTokenDefinitions(
+              `[{"symbol":"FOO","addresses":{},"decimals":${decimals}}]`,
+            ),
+          { message: /^Token FOO decimals must be an integer from 0 to 255/ },
+        )
+      }
+    })
+
+    it('accepts valid definitions', () => {
+      const value =
+        '[{"symbol":"FOO","addresses":{"314":"0x1111111111111111111111111111111111111111"},"quoteAddress":"0x2222222222222222222222222222222222222222","decimals":6}]'
+      assert.deepStrictEqual(parseTokenDefinitions(value), JSON.parse(value))
+    })
+  })
+
+  describe('getTokenRegistry', () => {
+    it('includes USDFC by default', () => {
+      assert.deepStrictEqual(getTokenRegistry(314159), [
+        {
+          symbol: 'USDFC',
+          address: '0xb3042734b608a1B16e9e86B374A3f3e389B4cDf0',
+          quoteAddress: '0x80B98d3aa09ffff255c3ba4A241111Ff1262F045',
+          decimals: 18,
+        },
+      ])
+    })
+
+    it('adds configured tokens and maps them to their mainnet quote address', () => {
+      const tokens = getTokenRegistry(314159, [
+        {
+          symbol: 'FOO',
+          addresses: {
+            314: '0x1111111111111111111111111111111111111111',
+            314159: '0x2222222222222222222222222222222222222222',
+          },
+          decimals: 6,
+        },
+      ])
+
+      assert.deepStrictEqual(tokens[1], {
+        symbol: 'FOO',
+        address: '0x2222222222222222222222222222222222222222',
+        quoteAddress: '0x1111111111111111111111111111111111111111',
+        decimals: 6,
+      })
+    })
+
+    it('skips tokens without an address on the current chain', () => {
+      const tokens = getTokenRegistry(314159, [
+        {
+          symbol: 'FOO',
+          addresses: { 314: '0x1111111111111111111111111111111111111111' },
+        },
+      ])
+
+      assert.deepStrictEqual(
+        tokens.map((t) => t.symbol),
+        ['USDFC'],
+      )
+    })
+  })
+
+  describe('discoverTokens', () => {
+    const foo = '0x1111111111111111111111111111111111111111'
+    const broken = '0x2222222222222222222222222222222222222222'
+
+    it('skips native FIL rails and tokens it cannot read', async () => {
+      const readContract = mock.fn(async ({ address, functionName }) => {
+        if (address === broken) {
+          throw new Error('execution reverted')
+        }
+        return functionName === 'symbol' ? 'FOO' : 6
+      })
+      const publicClient = /** @type {any} */ ({
+        chain: { id: 314 },
+        getBlockNumber: async () => 100n,
+        getLogs: async () => [
+          { args: { token: zeroAddress } },
+          { args: { token: foo } },
+          { args: { token: broken } },
+        ],
+        readContract,
+      })
+
+      const tokens = await discoverTokens({ publicClient, lookback: 10n })
+
+      assert.deepStrictEqual(tokens, [
+        { symbol: 'FOO', address: foo, quoteAddress: foo, decimals: 6 },
+      ])
+      assert.ok(
+        readContract.mock.calls.every(
+          (call) => call.arguments[0].address !== zeroAddress,
+        ),
+      )
+    })
+  })
+
+  describe('mergeTokens', () => {
+    it('ignores discovered tokens that are already registered', () => {
+      const registry = getTokenRegistry(314)
+      const merged = mergeTokens(registry, [
+        {
+          symbol: 'USDFC',
+          address: '0x80b98d3aa09ffff255c3ba4a241111ff1262f045',
+          quoteAddress: '0x80b98d3aa09ffff255c3ba4a241111ff1262f045',
+          decimals: 18,
+        },
+        {
+          symbol: 'FOO',
+          address: '0x1111111111111111111111111111111111111111',
+          quoteAddress: '0x1111111111111111111111111111111111111111',
+          decimals: 18,
+        },
+      ])
+
+      assert.deepStrictEqual(
+        merged.map((t) => t.symbol),
+        ['USDFC', 'FOO'],
+      )
+    })
+  })
+})
@@ -0,0 +1,539 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, readFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { TransactionReceiptNotFoundError } from 'viem'
+import {
+  createTransactionManager,
+  parseTransactionOptions,
+  readPendingTransactions,
+} from '../lib/transactions.js'
+
+const walletAddress = '0x1111111111111111111111111111111111111111'
+const routerAddress = '0x5555555555555555555555555555555555555555'
+
+/**
+ * In-memory stand-in for the mempool of a single account
+ *
+ * Transactions stay pending until `mine(hash)` is called, which also drops
+ * every other version sent with the same nonce.
+ *
+ * @param {object} [args]
+ * @param {number} [args.nonce] - Transactions already mined for the account
+ */
+function createMempool({ nonce = 0 } = {}) {
+  const state = {
+    minedNonce: nonce,
+    /** @type {Map<string, object>} */
+    sent: new Map(),
+    /** @type {Map<string, object>} */
+    receipts: new Map(),
+    fees: { maxFeePerGas: 100n, maxPriorityFeePerGas: 10n },
+  }
+
+  const publicClient = {
+    estimateFeesPerGas: mock.fn(async () => state.fees),
+    getTransactionCount: mock.fn(async ({ blockTag }) => {
+      if (blockTag === 'latest') return state.minedNonce
+      const nonces = [...state.sent.values()].map((tx) => tx.nonce + 1)
+      return Math.max(state.minedNonce, ...nonces)
+    }),
+    getTransactionReceipt: mock.fn(async ({ hash }) => {
+      const receipt = state.receipts.get(hash)
+      if (!receipt) throw new TransactionReceiptNotFoundError({ hash })
+      return receipt
+    }),
+  }
+
+  const walletClient = {
+    chain: { id: 314 },
+    sendTransaction: mock.fn(async (request) => {
+      const hash = `0x${(state.sent.size + 1).toString(16).padStart(64, '0')}`
+      state.sent.set(hash, request)
+      return hash
+    }),
+  }
+
+  /** @param {string} hash */
+  const mine = (hash) => {
+    const tx = state.sent.get(hash)
+    state.receipts.set(hash, { transactionHash: hash, status: 'success' })
+    state.minedNonce = Math.max(state.minedNonce, tx.nonce + 1)
+  }
+
+  return { state, publicClient, walletClient, mine }
+}
+
+/** Fake clock advanced by `sleep`, so timeouts pass instantly */
+function createClock() {
+  let time = 0
+  return {
+    now: () => time,
+    sleep: mock.fn(async (ms) => {
+      time += ms
+    }),
+  }
+}
+
+describe('transactions', () => {
+  describe('parseTransactionOptions', () => {
+    it('returns defaults', () => {
+      assert.deepStrictEqual(parseTransactionOptions({}), {
+        statePath: 'pending-transactions.json',
+        receiptTimeout: 180000,
+        bumpPercent: 30,
+        maxBumps: 3,
+      })
+    })
+
+    it('keeps pending transactions in memory when TX_STATE_PATH is empty', () => {
+      assert.equal(
+        parseTransactionOptions({ TX_STATE_PATH: '' }).statePath,
+        null,
+      )
+    })
+
+    it('throws when fee bumps are too small to replace a transaction', () => {
+      assert.throws(() => parseTransactionOptions({ FEE_BUMP_PERCENT: '10' }), {
+        message:
+          'FEE_BUMP_PERCENT must be at least 25, or replacements are rejected, got 10',
+      })
+    })
+
+    it('throws for non-integer values', () => {
+      assert.throws(() => parseTransactionOptions({ MAX_FEE_BUMPS: 'two' }), {
+        message: 'MAX_FEE_BUMPS must be a non-negative integer, got two',
+      })
+    })
+  })
+
+  describe('createTransactionManager', () => {
+    it('assigns nonces after transactions still pending', async () => {
+      const { publicClient, walletClient } = createMempool({ nonce: 5 })
+      const manager = createTransactionManager({
+        publicClient,
+        walletClient,
+        account: { address: walletAddress },
+      })
+
+      assert.equal(await manager.nextNonce(), 5)
+      await manager.send({ label: 'bid', to: routerAddress, nonce: 5 })
+      // Sent with a nonce the node has not seen yet, e.g. after a restart
+      await manager.send({ label: 'swap', to: routerAddress, nonce: 7 })
+
+      assert.equal(await manager.nextNonce(), 8)
+      assert.deepStrictEqual(
+        manager.pending().map((tx) => tx.nonce),
+        [5, 7],
+      )
+    })
+
+    it('sends with the estimated fees and persists the pending state', async () => {
+      const statePath = join(await mkdtemp(join(tmpdir(), 'txs-')), 'txs.json')
+      const { publicClient, walletClient } = createMempool()
+      const account = { address: walletAddress }
+      const manager = createTransactionManager({
+        publicClient,
+        walletClient,
+        account,
+        statePath,
+      })
+
+      const hash = await manager.send({
+        label: 'swap',
+        to: routerAddress,
+        data: '0xabcdef',
+        value: 3n,
+        nonce: 0,
+      })
+
+      assert.deepStrictEqual(
+        walletClient.sendTransaction.mock.calls[0].arguments,
+        [
+          {
+            account,
+            chain: walletClient.chain,
+            to: routerAddress,
+            data: '0xabcdef',
+            value: 3n,
+            nonce: 0,
+            maxFeePerGas: 100n,
+            maxPriorityFeePerGas: 10n,
+          },
+        ],
+      )
+      const [saved] = await readPendingTransactions(statePath)
+      assert.equal(saved.label, 'swap')
+      assert.deepStrictEqual(saved.hashes, [hash])
+      assert.equal(saved.value, 3n)
+      assert.equal(saved.maxFeePerGas, 100n)
+      assert.match(await readFile(statePath, 'utf8'), /"maxFeePerGas": "100"/)
+    })
+
+    it('persists transactions mined at the same time', async () => {
+      const statePath = join(await mkdtemp(join(tmpdir(), 'txs-')), 'txs.json')
+      const { publicClient, walletClient, mine } = createMempool()
+      const manager = createTransactionManager({
+        publicClient,
+        walletClient,
+        account: { address: walletAddress },
+        statePath,
+        ...createClock(),
+      })
+      const bidHash = await manager.send({
+        label: 'bid',
+        to: routerAddress,
+        nonce: 0,
+      })
+      const swapHash = await manager.send({
+        label: 'swap',
+        to: routerAddress,
+        nonce: 1,
+      })
+      mine(bidHash)
+      mine(swapHash)
+
+      await Promise.all([
+        manager.waitForReceipt(bidHash),
+        manager.waitForReceipt(swapHash),
+      ])
+
+      assert.deepStrictEqual(await readPendingTransactions(statePath), [])
+    })
+
+    it('returns the receipt and stops tracking once mined', async () => {
+      const { publicClient, walletClient, mine } = createMempool()
+      const manager = createTransactionManager({
+        publicClient,
+        walletClient,
+        account: { address: walletAddress },
+        ...createClock(),
+      })
+      const hash = await manager.send({
+        label: 'bid',
+        to: routerAddress,
+        nonce: 0,
+      })
+      mine(hash)
+
+      const result = await manager.waitForReceipt(hash)
+
+      assert.equal(result.cancelled, false)
+      assert.equal(result.receipt.transactionHash, hash)
+      assert.deepStrictEqual(manager.pending(), [])
+    })
+
+    it('raises fees when a transaction is not mined in time', async () => {
+      const { state, publicClient, walletClient, mine } = createMempool()
+      const clock = createClock()
+      const manager = createTransactionManager({
+        publicClient,
+        walletClient,
+        account: { address: walletAddress },
+        receiptTimeout: 100,
+        pollInterval: 50,
+        ...clock,
+      })
+      const hash = await manager.send({
+        label: 'bid',
+        to: routerAddress,
+        nonce: 0,
+      })
+
+      // Mine the replacement as soon as it is sent
+      walletClient.sendTransaction.mock.mockImplementation(async (request) => {
+        const replacement = `0x${'b'.repeat(64)}`
+        state.sent.set(replacement, request)
+        mine(replacement)
+        return replacement
+      })
+      const result = await manager.waitForReceipt(hash)
+
+      const [bumped] = walletClient.sendTransaction.mock.calls[1].arguments
+      assert.equal(bumped.nonce, 0)
+      assert.equal(bumped.to, routerAddress)
+      assert.equal(bumped.maxFeePerGas, 130n)
+      assert.equal(bumped.maxPriorityFeePerGas, 13n)
+      assert.equal(result.receipt.transactionHash, `0x${'b'.repeat(64)}`)
+      assert.equal(result.cancelled, false)
+    })
+
+    it('bumps to the current estimate when fees rose further', async () => {
+      const { state, publicClient, walletClient } = createMempool()
+      const manager = createTransactionManager({
+        publicClient,
+        walletClient,
+        account: { address: walletAddress },
+      })
+      await manager.send({ label: 'bid', to: routerAddress, nonce: 0 })
+
+      state.fees = { maxFeePerGas: 500n, maxPriorityFeePerGas: 11n }
+      await manager.bump(0)
+
+      const [tx] = manager.pending()
+      assert.equal(tx.maxFeePerGas, 500n)
+      assert.equal(tx.maxPriorityFeePerGas, 13n)
+      assert.equal(tx.bumps, 1)
+      assert.equal(tx.hashes.length, 2)
+    })
+
+    it('cancels a transaction after the maximum number of bumps', async () => {
+      const { state, publicClient, walletClient, mine } = createMempool()
+      const account = { address: walletAddress }
+      const manager = createTransactionManager({
+        publicClient,
+        walletClient,
+        account,
+        receiptTimeout: 100,
+        pollInterval: 100,
+        maxBumps: 2,
+        ...createClock(),
+      })
+      const hash = await manager.send({
+        label: 'bid',
+        to: routerAddress,
+        nonce: 0,
+      })
+
+      walletClient.sendTransaction.mock.mockImplementation(async (request) => {
+        const next = `0x${(state.sent.size + 1).toString(16).padStart(64, '0')}`
+        state.sent.set(next, request)
+        // Only the cancellation gets mined
+        if (request.to === walletAddress) mine(next)
+        return next
+      })
+      const result = await manager.waitForReceipt(hash)
+
+      const requests = walletClient.sendTransaction.mock.calls.map(
+        (call) => call.arguments[0],
+      )
+      assert.equal(requests.length, 4)
+      assert.deepStrictEqual(
+        requests.map((request) => request.to),
+        [routerAddress, routerAddress, routerAddress, walletAddress],
+      )
+      assert.equal(requests[3].value, 0n)
+      assert.equal(requests[3].data, '0x')
+      assert.equal(result.cancelled, true)
+      assert.deepStrictEqual(manager.pending(), [])
+    })
+
+    it('cancels instead of raising fees once the transaction no longer pays', async () => {
+      const { state, publicClient, walletClient, mine } = createMempool()
+      const manager = createTransactionManager({
+        publicClient,
+        walletClient,
+        account: { address: walletAddress },
+        receiptTimeout: 100,
+        pollInterval: 100,
+        maxBumps: 3,
+        ...createClock(),
+      })
+      const hash = await manager.send({
+        label: 'bid',
+        to: routerAddress,
+        nonce: 0,
+      })
+      walletClient.sendTransaction.mock.mockImplementation(async (request) => {
+        const next = `0x${(state.sent.size + 1).toString(16).padStart(64, '0')}`
+        state.sent.set(next, request)
+        if (request.to === walletAddress) mine(next)
+        return next
+      })
+      const shouldBump = mock.fn(async () => false)
+
+      const result = await manager.waitForReceipt(hash, { shouldBump })
+
+      // Asked with the fees the bump would have raised it to
+      assert.deepStrictEqual(shouldBump.mock.calls[0].arguments, [
+        { maxFeePerGas: 130n, maxPriorityFeePerGas: 13n },
+      ])
+      const requests = walletClient.sendTransaction.mock.calls.map(
+        (call) => call.arguments[0],
+      )
+      assert.deepStrictEqual(
+        requests.map((request) => request.to),
+        [routerAddress, walletAddress],
+      )
+      assert.equal(result.cancelled, true)
+    })
+
+    it('cancels the transactions that depend on a cancelled one', async () => {
+      const { state, publicClient, walletClient, mine } = createMempool()
+      const manager = createTransactionManager({
+        publicClient,
+        walletClient,
+        account: { address: walletAddress },
+        receiptTimeout: 100,
+        pollInterval: 100,
+        maxBumps: 0,
+        ...createClock(),
+      })
+      const bidHash = await manager.send({
+        label: 'bid',
+        to: routerAddress,
+        nonce: 0,
+      })
+      await manager.send({
+        label: 'swap',
+        to: routerAddress,
+        nonce: 1,
+        dependsOn: 0,
+      })
+      walletClient.sendTransaction.mock.mockImplementation(async (request) => {
+        const next = `0x${(state.sent.size + 1).toString(16).padStart(64, '0')}`
+        state.sent.set(next, request)
+        if (request.to === walletAddress) mine(next)
+        return next
+      })
+
+      // Only the bid timed out, the swap goes with it
+      const bid = await manager.waitForReceipt(bidHash)
+
+      assert.equal(bid.cancelled, true)
+      const cancellations = walletClient.sendTransaction.mock.calls
+        .map((call) => call.arguments[0])
+        .filter((request) => request.to === walletAddress)
+      assert.deepStrictEqual(
+        cancellations.map((request) => request.nonce),
+        [0, 1],
+      )
+      const [swap] = manager.pending()
+      assert.equal(swap.nonce, 1)
+      assert.equal(swap.cancelHashes.length, 1)
+    })
+
+    it('cancels dependents when a nonce is used by another transaction', async () => {
+      const { state, publicClient, walletClient } = createMempool()
+      const manager = createTransactionManager({
+        publicClient,
+        walletClient,
+        account: { address: walletAddress },
+        ...createClock(),
+      })
+      const bidHash = await manager.send({
+        label: 'bid',
+        to: routerAddress,
+        nonce: 0,
+      })
+      await manager.send({
+        label: 'swap',
+        to: routerAddress,
+        nonce: 1,
+        dependsOn: 0,
+      })
+
+      // Sent from the same key by someone else
+      state.minedNonce = 1
+      await manager.waitForReceipt(bidHash)
+
+      const [swap] = manager.pending()
+      assert.equal(swap.nonce, 1)
+      assert.equal(swap.cancelHashes.length, 1)
+    })
+
+    it('keeps tracking a transaction when even its cancellation is stuck', async () => {
+      const { publicClient, walletClient } = createMempool()
+      const manager = createTransactionManager({
+        publicClient,
+        walletClient,
+        account: { address: walletAddress },
+        receiptTimeout: 100,
+        pollInterval: 100,
+        maxBumps: 0,
+        ...createClock(),
+      })
+      const hash = await manager.send({
+        label: 'bid',
+        to: routerAddress,
+        nonce: 0,
+      })
+
+      const result = await manager.waitForReceipt(hash)
+
+      assert.deepStrictEqual(result, { receipt: null, cancelled: false })
+      assert.equal(manager.pending().length, 1)
+      assert.equal(manager.pending()[0].cancelHashes.length, 1)
+    })
+
+    it('treats a nonce used by another transaction as cancelled', async () => {
+      const { state, publicClient, walletClient } = createMempool()
+      const manager = createTransactionManager({
+        publicClient,
+        walletClient,
+        account: { address: walletAddress },
+        ...createClock(),
+      })
+      const hash = await manager.send({
+        label: 'bid',
+        to: routerAddress,
+        nonce: 0,
+      })
+
+      // Sent from the same key by someone else
+      state.minedNonce = 1
+      const result = await manager.waitForReceipt(hash)
+
+      assert.deepStrictEqual(result, { receipt: null, cancelled: true })
+      assert.deepStrictEqual(manager.pending(), [])
+    })
+
+    it('settles transactions left pending by a previous run', async () => {
+      const statePath = join(await mkdtemp(join(tmpdir(), 'txs-')), 'txs.json')
+      const chain = createMempool()
+      const account = { address: walletAddress }
+      const first = createTransactionManager({
+        publicClient: chain.publicClient,
+        walletClient: chain.walletClient,
+        account,
+        statePath,
+      })
+      const minedHash = await first.send({
+        label: 'bid',
+        to: routerAddress,
+        nonce: 0,
+      })
+      await first.send({ label: 'swap', to: routerAddress, nonce: 1 })
+      chain.mine(minedHash)
+
+      // Restart: the bid was mined meanwhile, the swap is still stuck
+      const second = createTransactionManager({
+        publicClient: chain.publicClient,
+        walletClient: chain.walletClient,
+        account,
+        statePath,
+        pending: await readPendingTransactions(statePath),
+        receiptTimeout: 100,
+        pollInterval: 100,
+        ...createClock(),
+      })
+      chain.walletClient.sendTransaction.mock.mockImplementation(
+        async (request) => {
+          const next = `0x${'c'.repeat(64)}`
+          chain.state.sent.set(next, request)
+          chain.mine(next)
+          return next
+        },
+      )
+      const remaining = await second.settlePending()
+
+      assert.equal(remaining, 0)
+      const [cancellation] =
+        chain.walletClient.sendTransaction.mock.calls.at(-1).arguments
+      assert.equal(cancellation.nonce, 1)
+      assert.equal(cancellation.to, walletAddress)
+      assert.deepStrictEqual(await readPendingTransactions(statePath), [])
+    })
+  })
+
+  describe('readPendingTransactions', () => {
+    it('returns nothing when there is no state file', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'txs-'))
+      assert.deepStrictEqual(
+        await readPendingTransactions(join(dir, 'missing.json')),
+        [],
+      )
+    })
+  })
+})
@@ -0,0 +1,271 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseEther } from 'viem'
+import { createMetrics } from '../lib/metrics.js'
+import {
+  createWalletPool,
+  parseWalletOptions,
+  sweepProceeds,
+  walletStatePath,
+} from '../lib/wallets.js'
+
+const SIGNER_ADDRESS = '0x8888888888888888888888888888888888888888'
+const TREASURY = '0x9999999999999999999999999999999999999999'
+
+/**
+ * @param {string} address
+ * @param {number} [pending] - Transactions it is waiting for
+ */
+function createWallet(address, pending = 0) {
+  return {
+    address,
+    account: { address },
+    walletClient: {},
+    txManager: {
+      pending: mock.fn(() =>
+        Array.from({ length: pending }, (_, nonce) => ({ nonce })),
+      ),
+      settlePending: mock.fn(async () => pending),
+      nextNonce: mock.fn(async () => 7),
+      send: mock.fn(async () => '0xsweephash'),
+      waitForReceipt: mock.fn(async () => ({
+        receipt: { status: 'success' },
+      })),
+    },
+  }
+}
+
+/** @param {Record<string, bigint>} balances */
+function createGetBalance(balances) {
+  return mock.fn(async (_client, address) => balances[address])
+}
+
+describe('wallets', () => {
+  describe('parseWalletOptions', () => {
+    it('bids from the signer alone by default', () => {
+      assert.deepEqual(parseWalletOptions({}), {
+        signers: [],
+        recipient: null,
+        treasury: null,
+        sweepAbove: null,
+      })
+    })
+
+    it('parses wallet signers, recipient and treasury', () => {
+      const options = parseWalletOptions({
+        WALLET_KEYSTORE_PATHS: ' /keys/2.json, /keys/3.json ',
+        KEYSTORE_PASSWORD_FILE: '/secrets/password',
+        WALLET_SIGNER_ADDRESSES: SIGNER_ADDRESS,
+        REMOTE_SIGNER_URL: 'http://web3signer:9000',
+        BID_RECIPIENT: TREASURY,
+        TREASURY_ADDRESS: TREASURY,
+        SWEEP_ABOVE: '1.5',
+      })
+      assert.deepEqual(options.signers, [
+        {
+          type: 'keystore',
+          path: '/keys/2.json',
+          password: null,
+          passwordFile: '/secrets/password',
+        },
+        {
+          type: 'keystore',
+          path: '/keys/3.json',
+          password: null,
+          passwordFile: '/secrets/password',
+        },
+        {
+          type: 'remote',
+          url: 'http://web3signer:9000',
+          address: SIGNER_ADDRESS,
+        },
+      ])
+      assert.equal(options.recipient, TREASURY)
+      assert.equal(options.sweepAbove, parseEther('1.5'))
+    })
+
+    it('requires the signer backend of the pool wallets', () => {
+      assert.throws(
+        () => parseWalletOptions({ WALLET_KEYSTORE_PATHS: '/keys/2.json' }),
+        /WALLET_KEYSTORE_PATHS requires KEYSTORE_PASSWORD_FILE or KEYSTORE_PASSWORD/,
+      )
+      assert.throws(
+        () => parseWalletOptions({ WALLET_SIGNER_ADDRESSES: SIGNER_ADDRESS }),
+        /WALLET_SIGNER_ADDRESSES requires REMOTE_SIGNER_URL/,
+      )
+      assert.throws(
+        () =>
+          parseWalletOptions({
+            WALLET_SIGNER_ADDRESSES: '0x1234',
+            REMOTE_SIGNER_URL: 'http://web3signer:9000',
+          }),
+        {
+          message:
+            'WALLET_SIGNER_ADDRESSES entry is not a valid address: 0x1234',
+        },
+      )
+    })
+
+    it('requires a threshold for the treasury', () => {
+      assert.throws(
+        () => parseWalletOptions({ TREASURY_ADDRESS: TREASURY }),
+        /TREASURY_ADDRESS requires SWEEP_ABOVE/,
+      )
+      assert.throws(
+        () =>
+          parseWalletOptions({ TREASURY_ADDRESS: TREASURY, SWEEP_ABOVE: '0' }),
+        { message: 'SWEEP_ABOVE must be a positive FIL amount, got 0' },
+      )
+    })
+
+    it('rejects more wallets or a recipient with an executor', () => {
+      const EXECUTOR_ADDRESS = '0x7777777777777777777777777777777777777777'
+      assert.throws(
+        () =>
+          parseWalletOptions({
+            EXECUTOR_ADDRESS,
+            WALLET_SIGNER_ADDRESSES: SIGNER_ADDRESS,
+            REMOTE_SIGNER_URL: 'http://web3signer:9000',
+          }),
+        /cannot be combined with EXECUTOR_ADDRESS/,
+      )
+      assert.throws(
+        () => parseWalletOptions({ EXECUTOR_ADDRESS, BID_RECIPIENT: TREASURY }),
+        /BID_RECIPIENT cannot be combined with EXECUTOR_ADDRESS/,
+      )
+    })
+  })
+
+  describe('walletStatePath', () => {
+    it('keeps the configured path for the first wallet only', () => {
+      const address = '0xAbCd000000000000000000000000000000000001'
+      assert.equal(walletStatePath('data/tx.json', address, 0), 'data/tx.json')
+      assert.equal(
+        walletStatePath('data/tx.json', address, 1),
+        'data/tx-0xabcd000000000000000000000000000000000001.json',
+      )
+    })
+  })
+
+  describe('createWalletPool', () => {
+    it('picks the wallet with the most FIL among those without pending transactions', async () => {
+      const busy = createWallet('0x1111111111111111111111111111111111111111', 1)
+      const poor = createWallet('0x2222222222222222222222222222222222222222')
+      const rich = createWallet('0x3333333333333333333333333333333333333333')
+      const metrics = createMetrics()
+      const pool = createWalletPool({
+        wallets: [busy, poor, rich],
+        publicClient: /** @type {any} */ ({}),
+        metrics,
+        getBalance: createGetBalance({
+          [busy.address]: parseEther('100'),
+          [poor.address]: parseEther('1'),
+          [rich.address]: parseEther('5'),
+        }),
+      })
+
+      assert.equal(await pool.pick(), rich)
+      assert.equal(metrics.walletBalance.value({ wallet: busy.address }), 100)
+    })
+
+    it('falls back to the wallet with the fewest pending transactions', async () => {
+      const a = createWallet('0x1111111111111111111111111111111111111111', 2)
+      const b = createWallet('0x2222222222222222222222222222222222222222', 1)
+      const pool = createWalletPool({
+        wallets: [a, b],
+        publicClient: /** @type {any} */ ({}),
+        getBalance: createGetBalance({ [a.address]: 10n, [b.address]: 1n }),
+      })
+
+      assert.equal(await pool.pick(), b)
+    })
+
+    it('does not read balances for a single wallet', async () => {
+      const wallet = createWallet('0x1111111111111111111111111111111111111111')
+      const getBalance = mock.fn()
+      const pool = createWalletPool({
+        wallets: [wallet],
+        publicClient: /** @type {any} */ ({}),
+        getBalance,
+      })
+
+      assert.equal(await pool.pick(), wallet)
+      assert.equal(getBalance.mock.calls.length, 0)
+    })
+
+    it('settles and lists what every wallet left pending', async () => {
+      const pool = createWalletPool({
+        wallets: [
+          createWallet('0x1111111111111111111111111111111111111111', 2),
+          createWallet('0x2222222222222222222222222222222222222222', 1),
+        ],
+        publicClient: /** @type {any} */ ({}),
+      })
+
+      assert.equal(await pool.settlePending(), 3)
+      assert.equal(pool.pending().length, 3)
+    })
+  })
+
+  describe('sweepProceeds', () => {
+    const publicClient = /** @type {any} */ ({
+      estimateGas: mock.fn(async () => 21000n),
+      getGasPrice: mock.fn(async () => 100n),
+    })
+
+    it('sends the FIL above the threshold to the treasury', async () => {
+      const rich = createWallet('0x1111111111111111111111111111111111111111')
+      const busy = createWallet('0x2222222222222222222222222222222222222222', 1)
+      const poor = createWallet('0x3333333333333333333333333333333333333333')
+      const dust = createWallet('0x4444444444444444444444444444444444444444')
+      const sweepAbove = parseEther('10')
+      const walletPool = createWalletPool({
+        wallets: [rich, busy, poor, dust],
+        publicClient,
+      })
+
+      const swept = await sweepProceeds({
+        walletPool,
+        treasury: TREASURY,
+        sweepAbove,
+        publicClient,
+        getBalance: createGetBalance({
+          [rich.address]: parseEther('12'),
+          [busy.address]: parseEther('50'),
+          [poor.address]: parseEther('3'),
+          [dust.address]: sweepAbove + 1000n,
+        }),
+      })
+
+      assert.equal(swept, parseEther('2'))
+      assert.equal(rich.txManager.send.mock.calls.length, 1)
+      assert.deepEqual(rich.txManager.send.mock.calls[0].arguments[0], {
+        label: 'sweep',
+        to: TREASURY,
+        value: parseEther('2'),
+        nonce: 7,
+      })
+      for (const wallet of [busy, poor, dust]) {
+        assert.equal(wallet.txManager.send.mock.calls.length, 0)
+      }
+    })
+
+    it('only logs the sweep in dry runs', async () => {
+      const wallet = {
+        ...createWallet('0x1111111111111111111111111111111111111111'),
+        txManager: null,
+      }
+      const walletPool = createWalletPool({ wallets: [wallet], publicClient })
+
+      const swept = await sweepProceeds({
+        walletPool,
+        treasury: TREASURY,
+        sweepAbove: 1n,
+        publicClient,
+        getBalance: async () => parseEther('5'),
+      })
+
+      assert.equal(swept, 0n)
+    })
+  })
+})